@@ -0,0 +1,143 @@
+/**
+ * Alert Routes
+ * CRUD for persistent price alert rules and their trigger history
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Alert service will be injected
+let alertService = null;
+
+// Set alert service (called from main server)
+router.setAlertService = (service) => {
+  alertService = service;
+};
+
+const ensureAlertService = (req, res, next) => {
+  if (!alertService) {
+    return res.status(503).json({ error: 'Alert service not available' });
+  }
+  next();
+};
+
+// GET /api/alerts - List alert rules (?symbol, ?status=active|triggered|disabled)
+router.get('/', ensureAlertService, (req, res) => {
+  try {
+    const { symbol, status } = req.query;
+    const rules = alertService.getRules({ symbol: symbol ? symbol.toUpperCase() : undefined, status });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// GET /api/alerts/history - Trigger history, newest first (?ruleId, ?symbol, ?limit)
+router.get('/history', ensureAlertService, (req, res) => {
+  try {
+    const { ruleId, symbol } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const history = alertService.getHistory({ ruleId, symbol: symbol ? symbol.toUpperCase() : undefined, limit });
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching alert history:', error);
+    res.status(500).json({ error: 'Failed to fetch alert history' });
+  }
+});
+
+// GET /api/alerts/:id - One rule with its recent triggers
+router.get('/:id', ensureAlertService, (req, res) => {
+  try {
+    const rule = alertService.getRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { ...rule, history: alertService.getHistory({ ruleId: rule.id, limit: 50 }) },
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+// POST /api/alerts - Create a rule { symbol, condition, category?, name?, mode?, cooldownMs?, webhook?, enabled? }
+router.post('/', ensureAlertService, async (req, res) => {
+  try {
+    const errors = alertService.validateRule(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert', details: errors });
+    }
+
+    const rule = await alertService.createRule(req.body);
+    res.status(201).json({
+      success: true,
+      data: rule,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error creating alert:', error);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+// PUT /api/alerts/:id - Update a rule; { enabled: true } re-arms a triggered one-shot alert
+router.put('/:id', ensureAlertService, async (req, res) => {
+  try {
+    const errors = alertService.validateRule(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert', details: errors });
+    }
+
+    const rule = await alertService.updateRule(req.params.id, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error updating alert:', error);
+    res.status(500).json({ error: 'Failed to update alert' });
+  }
+});
+
+// DELETE /api/alerts/:id - Delete a rule (its trigger history is kept)
+router.delete('/:id', ensureAlertService, async (req, res) => {
+  try {
+    const deleted = await alertService.deleteRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert deleted',
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error deleting alert:', error);
+    res.status(500).json({ error: 'Failed to delete alert' });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,11 @@ const router = express.Router();
 
 const backtestingService = new BacktestingService();
 
+// Share the scanner's instrument registry instead of loading a second copy (called from main server)
+router.setInstrumentRegistry = (registry) => {
+  backtestingService.instrumentRegistry = registry;
+};
+
 // POST /api/backtesting/run - Run a backtest
 router.post('/run', async (req, res) => {
   try {
@@ -12,6 +12,14 @@ const router = express.Router();
 const candlestickService = new CandlestickService();
 const settingsFile = path.join(__dirname, '../data/settings.json');
 
+// Market data service will be injected
+let marketDataService = null;
+
+// Set market data service (called from main server)
+router.setMarketDataService = (service) => {
+  marketDataService = service;
+};
+
 // Helper function to load settings
 async function loadSettings() {
   try {
@@ -176,7 +184,7 @@ router.post('/validate-settings', (req, res) => {
 
     // Validate intervals
     if (settings.intervals && Array.isArray(settings.intervals)) {
-      const validIntervals = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+      const validIntervals = ['1m', '3m', '5m', '15m', '30m', '1h', '4h', '1d'];
       const invalidIntervals = settings.intervals.filter(i => !validIntervals.includes(i));
       if (invalidIntervals.length > 0) {
         errors.push(`Invalid intervals: ${invalidIntervals.join(', ')}`);
@@ -303,6 +311,47 @@ router.post('/signals', async (req, res) => {
   }
 });
 
+// GET /api/candlestick/levels/:symbol - Support/resistance zones (?interval=15m, ?category=linear)
+router.get('/levels/:symbol', (req, res) => {
+  try {
+    if (!marketDataService) {
+      return res.status(503).json({ error: 'Market data service not available' });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const { interval = '15m', category = 'linear' } = req.query;
+
+    if (!marketDataService.getSupportedIntervals().includes(interval)) {
+      return res.status(400).json({
+        error: `Unsupported interval: ${interval}`,
+        details: marketDataService.getSupportedIntervals()
+      });
+    }
+
+    if (!marketDataService.getCategories().includes(category)) {
+      return res.status(400).json({ error: `Unsupported category: ${category}` });
+    }
+
+    const levels = marketDataService.getLevels(symbol, interval, category);
+    if (!levels) {
+      return res.status(404).json({ error: `Not enough ${interval} candles for ${symbol}` });
+    }
+
+    res.json({
+      success: true,
+      symbol,
+      category,
+      interval,
+      data: levels,
+      timestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('❌ Error detecting support/resistance levels:', error);
+    res.status(500).json({ error: 'Failed to detect support/resistance levels' });
+  }
+});
+
 // Helper function to generate sample candlestick data
 function generateSampleCandleData(count = 50) {
   const data = [];
@@ -8,6 +8,8 @@ const router = express.Router();
 
 // This will be injected by the main server
 let marketDataService = null;
+let marketDataRecorder = null;
+let screenService = null;
 
 // Middleware to ensure market data service is available
 const ensureMarketService = (req, res, next) => {
@@ -17,16 +19,59 @@ const ensureMarketService = (req, res, next) => {
   next();
 };
 
+// Reject a `category` query parameter the scanner does not subscribe to
+const validateCategory = (req, res, next) => {
+  const { category } = req.query;
+  if (category && !marketDataService.getCategories().includes(category)) {
+    return res.status(400).json({
+      error: `Unsupported category: ${category}`,
+      supportedCategories: marketDataService.getCategories()
+    });
+  }
+  next();
+};
+
+// Reject a `:symbol` path parameter that is not an exchange symbol (it names store directories)
+const validateSymbol = (req, res, next) => {
+  if (!/^[A-Z0-9]+$/.test(req.params.symbol)) {
+    return res.status(400).json({ error: `Invalid symbol: ${req.params.symbol}` });
+  }
+  next();
+};
+
+// Time query parameter as ms since epoch or an ISO date; null when absent, NaN when invalid
+const parseTime = (value) => {
+  if (value === undefined || value === '') return null;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+};
+
 // Set market data service (called from main server)
 router.setMarketDataService = (service) => {
   marketDataService = service;
 };
 
+// Set market data recorder (optional, called from main server)
+router.setMarketDataRecorder = (recorder) => {
+  marketDataRecorder = recorder;
+};
+
+// Set screen service (called from main server)
+router.setScreenService = (service) => {
+  screenService = service;
+};
+
+const ensureScreenService = (req, res, next) => {
+  if (!screenService) {
+    return res.status(503).json({ error: 'Screen service not available' });
+  }
+  next();
+};
+
 // GET /api/market/data - Get current market data
-router.get('/data', ensureMarketService, async (req, res) => {
+router.get('/data', ensureMarketService, validateCategory, async (req, res) => {
   try {
-    const { limit = 50, sort = 'volume' } = req.query;
-    let data = await marketDataService.getMarketData();
+    const { limit = 50, sort = 'volume', category } = req.query;
+    let data = await marketDataService.getMarketData({ category });
     
     // Always use real data - no demo mode
     
@@ -49,17 +94,38 @@ router.get('/data', ensureMarketService, async (req, res) => {
 });
 
 // GET /api/market/kline/:symbol - Get kline data for a specific symbol
-router.get('/kline/:symbol', ensureMarketService, async (req, res) => {
+// Optional start/end (ms or ISO date) read older candles from the time series store
+router.get('/kline/:symbol', ensureMarketService, validateCategory, validateSymbol, async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { interval = '1m', limit = 100 } = req.query;
+    const { interval = '1m', limit = 100, category = 'linear' } = req.query;
+    const start = parseTime(req.query.start);
+    const end = parseTime(req.query.end);
     
-    const data = await marketDataService.getKlineData(symbol, interval, parseInt(limit));
+    if (!marketDataService.getSupportedIntervals().includes(interval)) {
+      return res.status(400).json({
+        error: `Unsupported interval: ${interval}`,
+        supportedIntervals: marketDataService.getSupportedIntervals()
+      });
+    }
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return res.status(400).json({ error: 'start and end must be timestamps in ms or ISO dates' });
+    }
+
+    if (start !== null && end !== null && start > end) {
+      return res.status(400).json({ error: 'start must be before end' });
+    }
+
+    const data = await marketDataService.getKlineData(symbol, interval, parseInt(limit), category, { start, end });
     
     res.json({
       success: true,
       symbol,
+      category,
       interval,
+      start,
+      end,
       data,
       timestamp: Date.now()
     });
@@ -69,11 +135,84 @@ router.get('/kline/:symbol', ensureMarketService, async (req, res) => {
   }
 });
 
+// GET /api/market/orderbook/:symbol - Get the local order book for a symbol
+router.get('/orderbook/:symbol', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { depth = 25, category = 'linear' } = req.query;
+    const orderBook = marketDataService.getOrderBook(symbol, category);
+
+    if (!orderBook || !orderBook.isSynced) {
+      return res.status(404).json({ error: 'Order book not available' });
+    }
+
+    res.json({
+      success: true,
+      symbol,
+      category,
+      ...orderBook.getSummary(),
+      bids: orderBook.getBids(parseInt(depth)),
+      asks: orderBook.getAsks(parseInt(depth)),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching order book:', error);
+    res.status(500).json({ error: 'Failed to fetch order book' });
+  }
+});
+
+// GET /api/market/correlation/:symbol - Correlation and beta to the benchmark symbols
+router.get('/correlation/:symbol', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { category = 'linear' } = req.query;
+    const correlation = marketDataService.getCorrelation(symbol, category);
+
+    if (!correlation) {
+      return res.status(404).json({ error: 'Not enough candle data for correlation' });
+    }
+
+    res.json({
+      success: true,
+      symbol,
+      category,
+      ...correlation,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching correlation:', error);
+    res.status(500).json({ error: 'Failed to fetch correlation' });
+  }
+});
+
+// GET /api/market/spoofs/:symbol - Large orders pulled near the touch without trading
+router.get('/spoofs/:symbol', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { category = 'linear' } = req.query;
+    const spoofs = marketDataService.getSpoofEvents(symbol, category);
+
+    if (!spoofs) {
+      return res.status(404).json({ error: 'No order book activity for symbol' });
+    }
+
+    res.json({
+      success: true,
+      category,
+      ...spoofs,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching spoof events:', error);
+    res.status(500).json({ error: 'Failed to fetch spoof events' });
+  }
+});
+
 // GET /api/market/movers - Get top movers
-router.get('/movers', ensureMarketService, async (req, res) => {
+router.get('/movers', ensureMarketService, validateCategory, async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
-    const data = await marketDataService.getTopMovers(parseInt(limit));
+    const { limit = 10, category } = req.query;
+    const data = await marketDataService.getTopMovers(parseInt(limit), category);
     
     res.json({
       success: true,
@@ -86,6 +225,132 @@ router.get('/movers', ensureMarketService, async (req, res) => {
   }
 });
 
+// GET /api/market/heatmap - Sector returns, relative strength and breadth
+router.get('/heatmap', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { category = 'linear', sort } = req.query;
+    const windows = marketDataService.sectorHeatmap.getWindows();
+
+    if (sort && !windows.includes(sort)) {
+      return res.status(400).json({ error: `Unknown window: ${sort}`, windows });
+    }
+
+    res.json({
+      success: true,
+      ...marketDataService.getHeatmap(category, sort),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error building heatmap:', error);
+    res.status(500).json({ error: 'Failed to build heatmap' });
+  }
+});
+
+// GET /api/market/screens - List custom screens with their match counts
+router.get('/screens', ensureScreenService, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: screenService.getScreens(),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching screens:', error);
+    res.status(500).json({ error: 'Failed to fetch screens' });
+  }
+});
+
+// GET /api/market/screens/fields - Fields screen expressions can use
+router.get('/screens/fields', ensureScreenService, (req, res) => {
+  res.json({
+    success: true,
+    data: screenService.getFields(),
+    timestamp: Date.now()
+  });
+});
+
+// GET /api/market/screens/:id - One screen with its current matches
+router.get('/screens/:id', ensureScreenService, (req, res) => {
+  try {
+    const screen = screenService.getScreen(req.params.id);
+    if (!screen) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+
+    res.json({
+      success: true,
+      data: screen,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching screen:', error);
+    res.status(500).json({ error: 'Failed to fetch screen' });
+  }
+});
+
+// POST /api/market/screens - Create a screen { name, expression, category?, enabled? }
+router.post('/screens', ensureScreenService, async (req, res) => {
+  try {
+    const errors = screenService.validateScreen(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid screen', details: errors });
+    }
+
+    const screen = await screenService.createScreen(req.body);
+    res.status(201).json({
+      success: true,
+      data: screen,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error creating screen:', error);
+    res.status(500).json({ error: 'Failed to create screen' });
+  }
+});
+
+// PUT /api/market/screens/:id - Update a screen's name, expression, category or enabled flag
+router.put('/screens/:id', ensureScreenService, async (req, res) => {
+  try {
+    const errors = screenService.validateScreen(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid screen', details: errors });
+    }
+
+    const screen = await screenService.updateScreen(req.params.id, req.body || {});
+    if (!screen) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+
+    res.json({
+      success: true,
+      data: screen,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error updating screen:', error);
+    res.status(500).json({ error: 'Failed to update screen' });
+  }
+});
+
+// DELETE /api/market/screens/:id - Delete a screen
+router.delete('/screens/:id', ensureScreenService, async (req, res) => {
+  try {
+    const deleted = await screenService.deleteScreen(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Screen deleted',
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error deleting screen:', error);
+    res.status(500).json({ error: 'Failed to delete screen' });
+  }
+});
+
 // GET /api/market/filters - Get current scanner filters
 router.get('/filters', ensureMarketService, async (req, res) => {
   try {
@@ -111,6 +376,11 @@ router.put('/filters', ensureMarketService, async (req, res) => {
       return res.status(400).json({ error: 'Invalid filters data' });
     }
 
+    const errors = marketDataService.validateFilters(filters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filters data', details: errors });
+    }
+
     marketDataService.updateFilters(filters);
     const updatedFilters = marketDataService.getFilters();
     
@@ -185,6 +455,11 @@ router.get('/status', (req, res) => {
   const status = {
     marketServiceAvailable: !!marketDataService,
     isInitialized: marketDataService ? marketDataService.isInitialized : false,
+    exchange: marketDataService ? marketDataService.exchange.name : null,
+    connection: marketDataService ? marketDataService.getConnectionHealth() : null,
+    evaluation: marketDataService ? marketDataService.getEvaluationMetrics() : null,
+    recorder: marketDataRecorder ? marketDataRecorder.getStatus() : null,
+    storage: marketDataService?.timeSeriesStore ? marketDataService.timeSeriesStore.getStatus() : null,
     timestamp: Date.now()
   };
 
@@ -217,6 +492,89 @@ router.get('/symbols', ensureMarketService, async (req, res) => {
   }
 });
 
+// GET /api/market/evaluation - Signal evaluation metrics (evaluations/sec, queue lag)
+router.get('/evaluation', ensureMarketService, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      evaluation: marketDataService.getEvaluationMetrics(),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching evaluation metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch evaluation metrics' });
+  }
+});
+
+// PUT /api/market/evaluation - Change evaluation mode, cadence or log level
+router.put('/evaluation', ensureMarketService, (req, res) => {
+  const { mode, intervalMs, maxBatch, logLevel } = req.body || {};
+
+  try {
+    const evaluation = marketDataService.configureEvaluation({ mode, intervalMs, maxBatch, logLevel });
+    res.json({
+      success: true,
+      message: 'Evaluation settings updated',
+      evaluation,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/market/universe - Ranked symbol universe and the active top-N set
+router.get('/universe', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { category = 'linear' } = req.query;
+    res.json({
+      success: true,
+      universe: marketDataService.getUniverseStatus(category),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching symbol universe:', error);
+    res.status(500).json({ error: 'Failed to fetch symbol universe' });
+  }
+});
+
+// GET /api/market/instruments - Instrument registry status, or every instrument of a category with ?category
+router.get('/instruments', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { category } = req.query;
+    const registry = marketDataService.instrumentRegistry;
+    res.json({
+      success: true,
+      status: registry.getStatus(),
+      ...(category ? { data: registry.getAll(category) } : {}),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching instruments:', error);
+    res.status(500).json({ error: 'Failed to fetch instruments' });
+  }
+});
+
+// GET /api/market/instruments/:symbol - Tick size, lot size, leverage limits and funding interval of a symbol
+router.get('/instruments/:symbol', ensureMarketService, validateCategory, (req, res) => {
+  try {
+    const { category = 'linear' } = req.query;
+    const instrument = marketDataService.getInstrument(req.params.symbol.toUpperCase(), category);
+    if (!instrument) {
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+
+    res.json({
+      success: true,
+      data: instrument,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching instrument:', error);
+    res.status(500).json({ error: 'Failed to fetch instrument' });
+  }
+});
+
 // GET /api/market/all-data - Get all market data (for debugging)
 router.get('/all-data', ensureMarketService, async (req, res) => {
   try {
@@ -261,10 +619,11 @@ router.get('/signals', ensureMarketService, async (req, res) => {
 // GET /api/market/filter-settings - Show current filter settings
 router.get('/filter-settings', ensureMarketService, (req, res) => {
   try {
-    const settings = marketDataService.scannerFilters;
+    const settings = marketDataService.getFilters();
     res.json({
       success: true,
       settings: settings,
+      detectors: marketDataService.getDetectorSettings(),
       message: 'Current scanner filter settings',
       timestamp: Date.now()
     });
@@ -39,7 +39,15 @@ const defaultSettings = {
     defaultInterval: '1m',
     volumeAnalysis: true,
     priceActionAnalysis: true,
-    supportResistanceAnalysis: false
+    supportResistanceAnalysis: false,
+    supportResistance: {
+      swingLookback: 3,
+      volumeBins: 40,
+      zoneWidthAtr: 0.5,
+      maxZones: 8,
+      minStrength: 0.3,
+      proximityPercent: 0.3
+    }
   },
   riskManagement: {
     defaultStopLoss: 0.02, // 2%
@@ -87,6 +95,122 @@ const defaultSettings = {
     soundAlerts: false,
     popupAlerts: true
   },
+  marketData: {
+    categories: ['linear', 'spot', 'inverse'], // Bybit product categories the scanner subscribes to
+    backfill: {
+      enabled: true,
+      // Candles loaded per interval when a symbol is subscribed
+      depth: {
+        '1m': 300,
+        '3m': 250,
+        '5m': 250,
+        '15m': 250,
+        '1h': 250,
+        '4h': 250
+      }
+    },
+    whaleDetection: {
+      minNotional: 100000, // USDT, smallest print or cluster treated as a whale
+      turnoverFraction: 0.0005, // Threshold scales with 24h turnover on liquid symbols
+      clusterGapMs: 1000,
+      alertWindowMs: 60000,
+      deltaWindowMs: 300000,
+      symbols: {
+        BTCUSDT: 1000000,
+        ETHUSDT: 500000
+      }
+    },
+    orderSpoofing: {
+      minNotional: 50000, // USDT, smallest order followed near the touch
+      sizeMultiple: 3, // ...and at least 3x the average level size
+      maxDistancePercent: 0.5, // Placed within 0.5% of the best price
+      maxLifetimeMs: 60000, // Pulled within a minute
+      maxFillRatio: 0.2, // With at most 20% of it traded
+      confirmDelayMs: 2000,
+      windowMs: 300000
+    },
+    correlation: {
+      benchmarks: ['BTCUSDT', 'ETHUSDT'], // Linear perpetuals every symbol is compared against
+      interval: '5m',
+      windows: [12, 48, 144], // 1h, 4h and 12h of 5m candles
+      primaryWindow: 48,
+      followCandles: 3, // Recent move measured over the last 15 minutes
+      minBenchmarkMove: 0.003,
+      minCorrelation: 0.7,
+      maxResidualShare: 0.5
+    },
+    volatility: {
+      interval: '5m', // Regime is measured on 5m candles
+      atrPeriod: 14,
+      volatilityWindow: 24, // Realized volatility over 2h samples
+      regimes: { low: 25, normal: 75, high: 95 }, // Percentile bounds; above high is extreme
+      sigmaWindow: 60 // 1m candles behind the sigma thresholds
+    },
+    heatmap: {
+      benchmark: 'BTC', // Relative strength is measured against this base coin
+      sortWindow: '1h',
+      // Base coins per sector; other symbols are grouped under "Other"
+      sectors: {
+        L1: ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA', 'AVAX', 'DOT', 'TRX', 'TON', 'NEAR', 'APT', 'SUI', 'SEI', 'ATOM', 'ALGO', 'LTC', 'BCH', 'ETC', 'HBAR'],
+        L2: ['ARB', 'OP', 'POL', 'MATIC', 'STRK', 'IMX', 'MNT', 'ZK', 'BLAST'],
+        Memes: ['DOGE', 'SHIB', 'PEPE', 'WIF', 'BONK', 'FLOKI', 'BOME', 'MEME', 'POPCAT', 'NEIRO', 'TURBO', 'MEW', 'BRETT'],
+        DeFi: ['UNI', 'AAVE', 'LINK', 'MKR', 'CRV', 'LDO', 'SNX', 'COMP', 'DYDX', 'PENDLE', 'JUP', 'ENA', 'SUSHI', '1INCH', 'GMX'],
+        AI: ['FET', 'RENDER', 'TAO', 'WLD', 'AGIX', 'OCEAN', 'ARKM', 'GRT', 'IO', 'VIRTUAL', 'AI16Z'],
+        Gaming: ['AXS', 'SAND', 'MANA', 'GALA', 'APE', 'ILV', 'BEAM', 'PIXEL']
+      }
+    },
+    derivatives: {
+      oiWindowMs: 900000, // Open interest change window
+      liquidationWindowMs: 60000, // Liquidation cascade window
+      minCascadeEvents: 3
+    },
+    universe: {
+      refreshIntervalMs: 300000, // Re-rank instruments every 5 minutes
+      turnoverWeight: 0.7,
+      volatilityWeight: 0.3,
+      minTurnover: 1000000, // USDT
+      hysteresis: 0.2, // Keep members until they fall below maxSymbols * 1.2
+      newListingDays: 3,
+      newListingBoost: 0.25,
+      // Per-category overrides; maxSymbols defaults to scanner.maxSymbols
+      categories: {
+        linear: { pinned: ['BTCUSDT', 'ETHUSDT'] },
+        spot: { maxSymbols: 20, pinned: ['BTCUSDT', 'ETHUSDT'] },
+        inverse: { maxSymbols: 10, minTurnover: 100000, pinned: ['BTCUSD', 'ETHUSD'] }
+      }
+    },
+    instruments: {
+      refreshIntervalMs: 900000 // Reload tick sizes, lot sizes and leverage limits every 15 minutes
+    },
+    signalEvaluation: {
+      mode: 'cadence', // 'cadence' or 'candleClose'
+      intervalMs: 1000, // Queued symbols are evaluated at most once per interval
+      maxBatch: 200
+    },
+    storage: {
+      enabled: true, // Persist candles, ticker snapshots and detector outputs under data/timeseries
+      tickerIntervalMs: 60000,
+      detectorIntervalMs: 60000,
+      // Days kept per series; candles per interval
+      retentionDays: {
+        candles: { '1m': 7, '3m': 14, '5m': 30, '15m': 60, '1h': 180, '4h': 365 },
+        tickers: 7,
+        detectors: 30
+      }
+    },
+    connection: {
+      checkIntervalMs: 5000,
+      staleAfterMs: {
+        tickers: 60000,
+        kline: 90000,
+        orderbook: 30000,
+        publicTrade: 300000
+      },
+      feedDeadAfterMs: 30000, // Switch to REST polling after this long without any message
+      reconnectGraceMs: 10000,
+      resubscribeCooldownMs: 60000
+    }
+  },
   api: {
     bybit: {
       testnet: process.env.BYBIT_TESTNET === 'true',
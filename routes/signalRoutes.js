@@ -34,20 +34,74 @@ router.get('/', (req, res) => {
   }
 });
 
-// GET /api/signals/history - Get signal history
+// Time query parameter as ms since epoch or an ISO date; null when absent, NaN when invalid
+const parseTime = (value) => {
+  if (value === undefined || value === '') return null;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+};
+
+// Numeric query parameter; null when absent, NaN when invalid
+const parseNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+const SIGNAL_STATUSES = ['active', 'tp1_hit', 'tp2_hit', 'tp3_hit', 'tp4_hit', 'sl_hit', 'expired'];
+
+// GET /api/signals/history - Get signal history, newest first
+// Filters: symbol, category, direction (LONG/SHORT), status (comma-separated), minConfidence,
+// maxConfidence, from, to (ms or ISO date); paging: page, pageSize (or limit)
 router.get('/history', (req, res) => {
   try {
     if (!signalService) {
       return res.status(500).json({ error: 'Signal service not initialized' });
     }
 
-    const limit = parseInt(req.query.limit) || 100;
-    const history = signalService.getSignalHistory(limit);
+    const { symbol, category, direction, status } = req.query;
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : 1;
+    const pageSize = parseInt(req.query.pageSize || req.query.limit) || 100;
+    const minConfidence = parseNumber(req.query.minConfidence);
+    const maxConfidence = parseNumber(req.query.maxConfidence);
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const statuses = status ? status.split(',').map(value => value.trim()) : null;
+    const errors = [];
+
+    if (!(page >= 1)) errors.push('page must be a positive integer');
+    if (!(pageSize >= 1 && pageSize <= 1000)) errors.push('pageSize must be between 1 and 1000');
+    if (direction && !['LONG', 'SHORT'].includes(direction.toUpperCase())) errors.push('direction must be LONG or SHORT');
+    if (statuses && statuses.some(value => !SIGNAL_STATUSES.includes(value))) {
+      errors.push(`status must be one of: ${SIGNAL_STATUSES.join(', ')}`);
+    }
+    if (Number.isNaN(minConfidence) || Number.isNaN(maxConfidence)) errors.push('confidence bounds must be numbers');
+    if (Number.isNaN(from) || Number.isNaN(to)) errors.push('from and to must be timestamps or ISO dates');
+    if (minConfidence !== null && maxConfidence !== null && minConfidence > maxConfidence) {
+      errors.push('minConfidence must not exceed maxConfidence');
+    }
+    if (from !== null && to !== null && from > to) errors.push('from must not be after to');
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid history query', details: errors });
+    }
+
+    const result = signalService.querySignalHistory({
+      symbol: symbol ? symbol.toUpperCase() : null,
+      category: category || null,
+      direction: direction ? direction.toUpperCase() : null,
+      statuses,
+      minConfidence,
+      maxConfidence,
+      from,
+      to,
+      page,
+      pageSize
+    });
     
     res.json({
       success: true,
-      data: history,
-      count: history.length
+      data: result.data,
+      count: result.data.length,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      totalPages: result.totalPages
     });
   } catch (error) {
     console.error('Error getting signal history:', error);
@@ -5,11 +5,16 @@
 
 const express = require('express');
 const axios = require('axios');
+const WebhookService = require('../services/WebhookService');
 const router = express.Router();
 
-// Store webhook history (in production, use a database)
-let webhookHistory = [];
-const MAX_HISTORY = 1000;
+// Delivery and history; replaced by the server's shared instance
+let webhookService = new WebhookService();
+
+// Set webhook service (called from main server, shared with the alert service)
+router.setWebhookService = (service) => {
+  webhookService = service;
+};
 
 // POST /api/webhook/send - Send data to webhook
 router.post('/send', async (req, res) => {
@@ -30,100 +35,15 @@ router.post('/send', async (req, res) => {
       return res.status(400).json({ error: 'Data payload is required' });
     }
 
-    const webhookPayload = {
-      timestamp: Date.now(),
-      source: 'bybit-trading-dashboard',
-      ...data
-    };
-
-    let lastError = null;
-    let success = false;
-    let response = null;
-
-    // Retry logic
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        console.log(`🔄 Webhook attempt ${attempt}/${retries} to ${url}`);
-        
-        const startTime = Date.now();
-        response = await axios.post(url, webhookPayload, {
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'Bybit-Trading-Dashboard/1.0',
-            ...headers
-          },
-          timeout
-        });
-
-        const duration = Date.now() - startTime;
-        
-        // Log successful webhook
-        const historyEntry = {
-          id: `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          timestamp: Date.now(),
-          url,
-          payload: webhookPayload,
-          status: 'success',
-          statusCode: response.status,
-          duration,
-          attempt,
-          response: {
-            status: response.status,
-            statusText: response.statusText,
-            data: response.data
-          }
-        };
-
-        addToHistory(historyEntry);
-        success = true;
-        
-        console.log(`✅ Webhook sent successfully in ${duration}ms`);
-        break;
-
-      } catch (error) {
-        lastError = error;
-        const duration = Date.now() - startTime;
-        
-        console.error(`❌ Webhook attempt ${attempt} failed:`, error.message);
-
-        // Log failed attempt
-        const historyEntry = {
-          id: `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          timestamp: Date.now(),
-          url,
-          payload: webhookPayload,
-          status: 'failed',
-          statusCode: error.response?.status || 0,
-          duration,
-          attempt,
-          error: {
-            message: error.message,
-            code: error.code,
-            response: error.response ? {
-              status: error.response.status,
-              statusText: error.response.statusText,
-              data: error.response.data
-            } : null
-          }
-        };
-
-        addToHistory(historyEntry);
-
-        // Wait before retry (exponential backoff)
-        if (attempt < retries) {
-          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
+    const result = await webhookService.send(url, data, { headers, timeout, retries });
 
-    if (success) {
+    if (result.success) {
       res.json({
         success: true,
         message: 'Webhook sent successfully',
         url,
-        statusCode: response.status,
-        attempts: webhookHistory.filter(h => h.url === url && h.timestamp > Date.now() - 60000).length,
+        statusCode: result.statusCode,
+        attempts: result.attempts,
         timestamp: Date.now()
       });
     } else {
@@ -131,8 +51,8 @@ router.post('/send', async (req, res) => {
         success: false,
         error: 'Webhook failed after all retries',
         url,
-        lastError: lastError.message,
-        attempts: retries,
+        lastError: result.lastError.message,
+        attempts: result.attempts,
         timestamp: Date.now()
       });
     }
@@ -214,7 +134,7 @@ router.get('/history', (req, res) => {
       endDate
     } = req.query;
 
-    let filteredHistory = [...webhookHistory];
+    let filteredHistory = [...webhookService.history];
 
     // Apply filters
     if (status) {
@@ -261,6 +181,7 @@ router.get('/stats', (req, res) => {
     const last24h = now - (24 * 60 * 60 * 1000);
     const last1h = now - (60 * 60 * 1000);
 
+    const webhookHistory = webhookService.history;
     const recent24h = webhookHistory.filter(h => h.timestamp >= last24h);
     const recent1h = webhookHistory.filter(h => h.timestamp >= last1h);
 
@@ -310,20 +231,16 @@ router.delete('/history', (req, res) => {
     const { olderThan } = req.query;
 
     if (olderThan) {
-      const cutoff = new Date(olderThan).getTime();
-      const originalLength = webhookHistory.length;
-      webhookHistory = webhookHistory.filter(h => h.timestamp >= cutoff);
-      const removed = originalLength - webhookHistory.length;
+      const removed = webhookService.clearHistory(new Date(olderThan).getTime());
 
       res.json({
         success: true,
         message: `Removed ${removed} webhook entries older than ${olderThan}`,
-        remaining: webhookHistory.length,
+        remaining: webhookService.history.length,
         timestamp: Date.now()
       });
     } else {
-      const cleared = webhookHistory.length;
-      webhookHistory = [];
+      const cleared = webhookService.clearHistory();
 
       res.json({
         success: true,
@@ -391,15 +308,6 @@ router.post('/signal', async (req, res) => {
 });
 
 // Helper functions
-function addToHistory(entry) {
-  webhookHistory.unshift(entry);
-  
-  // Keep only the last MAX_HISTORY entries
-  if (webhookHistory.length > MAX_HISTORY) {
-    webhookHistory = webhookHistory.slice(0, MAX_HISTORY);
-  }
-}
-
 function calculateAvgDuration(history) {
   if (history.length === 0) return 0;
   const total = history.reduce((sum, h) => sum + (h.duration || 0), 0);
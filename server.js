@@ -20,11 +20,16 @@ const settingsRoutes = require('./routes/settingsRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const { router: signalRoutes, initializeSignalService } = require('./routes/signalRoutes');
 const candlestickRoutes = require('./routes/candlestickRoutes');
+const alertRoutes = require('./routes/alertRoutes');
 
 // Import services
 const MarketDataService = require('./services/MarketDataService');
 const SocketIOService = require('./services/SocketIOService');
 const SignalService = require('./services/SignalService');
+const MarketDataRecorder = require('./services/MarketDataRecorder');
+const ScreenService = require('./services/ScreenService');
+const WebhookService = require('./services/WebhookService');
+const AlertService = require('./services/AlertService');
 
 const app = express();
 const server = http.createServer(app);
@@ -65,6 +70,7 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/webhook', webhookRoutes);
 app.use('/api/signals', signalRoutes);
 app.use('/api/candlestick', candlestickRoutes);
+app.use('/api/alerts', alertRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -84,10 +90,22 @@ app.use('*', (req, res) => {
 const marketDataService = new MarketDataService();
 const socketService = new SocketIOService(server);
 const signalService = new SignalService();
+const marketDataRecorder = process.env.RECORD_MARKET_DATA === 'true' ? new MarketDataRecorder() : null;
+const screenService = new ScreenService(marketDataService);
+const webhookService = new WebhookService();
+const alertService = new AlertService(marketDataService, webhookService);
 
 // Connect services
 socketService.setMarketDataService(marketDataService);
 marketRoutes.setMarketDataService(marketDataService);
+candlestickRoutes.setMarketDataService(marketDataService);
+backtestingRoutes.setInstrumentRegistry(marketDataService.instrumentRegistry);
+marketRoutes.setMarketDataRecorder(marketDataRecorder);
+marketRoutes.setScreenService(screenService);
+socketService.setScreenService(screenService);
+webhookRoutes.setWebhookService(webhookService);
+alertRoutes.setAlertService(alertService);
+socketService.setAlertService(alertService);
 initializeSignalService(signalService);
 signalService.setMarketDataService(marketDataService);
 
@@ -99,10 +117,24 @@ server.listen(PORT, async () => {
   console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
   console.log(`Socket.IO server available at http://localhost:${PORT}`);
   
+  // Start recording before the stream connects so nothing is missed
+  if (marketDataRecorder) {
+    marketDataRecorder.start(marketDataService);
+  }
+
+  // Restore signals before price updates start moving them
+  await signalService.initialize();
+
   // Initialize market data service
   try {
     await marketDataService.initialize();
     console.log('Market Data Service initialized successfully');
+
+    await screenService.initialize();
+    screenService.start();
+
+    await alertService.initialize();
+    alertService.start();
     
     // Don't auto-start signal generation - wait for user to click Start button
     console.log('✅ Signal service ready - waiting for user to start signal generation');
@@ -112,12 +144,35 @@ server.listen(PORT, async () => {
   }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+// Graceful shutdown: persist signals and buffered time series before exiting
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully`);
+
+  try {
+    if (marketDataRecorder) {
+      await marketDataRecorder.stop();
+    }
+    screenService.stop();
+    alertService.stop();
+    signalService.stopLifecycleTracking();
+    await signalService.flush();
+    await marketDataService.shutdown(); // Flushes the time series store
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+  }
+
   server.close(() => {
     console.log('Process terminated');
+    process.exit(0);
   });
-});
+  // Open Socket.IO connections keep the server from closing
+  setTimeout(() => process.exit(0), 5000).unref();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
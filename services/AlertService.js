@@ -0,0 +1,538 @@
+/**
+ * Alert Service
+ * Persistent user alert rules (price crosses, percent moves in a window and
+ * indicator conditions) evaluated on market data updates
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const CandleAggregator = require('./CandleAggregator');
+const MarketDataService = require('./MarketDataService');
+
+const DEFAULT_OPTIONS = {
+  file: path.join(__dirname, '../data/alerts.json'),
+  maxRules: 200,
+  maxHistory: 1000,
+  defaultCooldownMs: 5 * 60 * 1000,
+  webhookRetries: 2
+};
+
+const CONDITION_TYPES = ['price_cross', 'percent_move', 'indicator'];
+const MODES = ['once', 'repeat'];
+const INDICATORS = ['rsi', 'sma', 'ema'];
+const OPERATORS = ['>', '>=', '<', '<='];
+const MOVE_INTERVALS = ['1m', '5m', '15m', '1h']; // Candles a percent move window is measured on
+const MAX_WINDOW_CANDLES = 240;
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A rule:
+ *
+ *   { id, name, symbol, category, condition, mode, cooldownMs, webhook, enabled,
+ *     status, triggerCount, lastTriggeredAt, createdAt, updatedAt }
+ *
+ * Conditions:
+ *   { type: 'price_cross', price, direction: 'above' | 'below' | 'any' }
+ *   { type: 'percent_move', percent, windowMs, direction: 'up' | 'down' | 'any' }
+ *       up = price against the window's low, down = against the window's high
+ *   { type: 'indicator', indicator: 'rsi' | 'sma' | 'ema', period, interval, operator, value }
+ *       `indicator operator value`; value is a number or 'price' (current price)
+ *
+ * Rules trigger when their condition turns true, not on every update while it
+ * stays true. 'once' rules switch to status 'triggered' and stop; 'repeat'
+ * rules trigger again at most once per cooldownMs. webhook is false, true
+ * (WEBHOOK_URL) or a URL.
+ */
+class AlertService extends EventEmitter {
+  /**
+   * @param {MarketDataService} marketDataService - Source of prices and candles
+   * @param {WebhookService} webhookService - Optional webhook delivery
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(marketDataService, webhookService = null, options = {}) {
+    super();
+    this.marketDataService = marketDataService;
+    this.webhookService = webhookService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.rules = new Map(); // id -> rule
+    this.history = []; // Triggers, newest first
+    this.conditionStates = new Map(); // rule id -> whether the condition held at the last evaluation
+    this.lastPrices = new Map(); // market key -> price at the last ticker update
+    this.saving = Promise.resolve();
+
+    this.handleMarketUpdate = this.handleMarketUpdate.bind(this);
+    this.handleKlineUpdate = this.handleKlineUpdate.bind(this);
+  }
+
+  async initialize() {
+    try {
+      await this.load();
+      console.log(`🔔 Alert service initialized with ${this.rules.size} rules`);
+    } catch (error) {
+      console.error('Error initializing alert service:', error);
+    }
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.options.file, 'utf8'));
+      (data.rules || []).forEach(rule => this.rules.set(rule.id, rule));
+      this.history = data.history || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Writes are chained so triggers saved in quick succession never interleave
+  save() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.options.file), { recursive: true });
+        await fs.writeFile(this.options.file, JSON.stringify({
+          rules: Array.from(this.rules.values()),
+          history: this.history
+        }, null, 2));
+      } catch (error) {
+        console.error('Error saving alerts:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  // Evaluate rules on ticker and candle updates
+  start() {
+    this.marketDataService.on('marketUpdate', this.handleMarketUpdate);
+    this.marketDataService.on('klineUpdate', this.handleKlineUpdate);
+  }
+
+  stop() {
+    this.marketDataService.removeListener('marketUpdate', this.handleMarketUpdate);
+    this.marketDataService.removeListener('klineUpdate', this.handleKlineUpdate);
+  }
+
+  /**
+   * Check a rule definition
+   * @param {Object} input - Rule fields
+   * @param {boolean} partial - Update: only the given keys are checked
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateRule(input = {}, partial = false) {
+    const errors = [];
+
+    if (!partial || input.symbol !== undefined) {
+      if (typeof input.symbol !== 'string' || !/^[A-Z0-9]+$/i.test(input.symbol)) {
+        errors.push('symbol is required');
+      }
+    }
+
+    if (input.category !== undefined && !this.marketDataService.getCategories().includes(input.category)) {
+      errors.push(`Unsupported category: ${input.category}`);
+    }
+
+    if (input.name !== undefined && (typeof input.name !== 'string' || input.name.length > 100)) {
+      errors.push('name must be a string of at most 100 characters');
+    }
+
+    if (!partial || input.condition !== undefined) {
+      errors.push(...this.validateCondition(input.condition));
+    }
+
+    if (input.mode !== undefined && !MODES.includes(input.mode)) {
+      errors.push(`mode must be one of: ${MODES.join(', ')}`);
+    }
+
+    if (input.cooldownMs !== undefined && !(typeof input.cooldownMs === 'number' && input.cooldownMs >= 0)) {
+      errors.push('cooldownMs must be a number of at least 0');
+    }
+
+    if (input.webhook !== undefined && typeof input.webhook !== 'boolean' &&
+        !(typeof input.webhook === 'string' && /^https?:\/\//.test(input.webhook))) {
+      errors.push('webhook must be true, false or an http(s) URL');
+    }
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    if (!partial && this.rules.size >= this.options.maxRules) {
+      errors.push(`At most ${this.options.maxRules} alert rules can be defined`);
+    }
+
+    return errors;
+  }
+
+  validateCondition(condition) {
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+      return [`condition.type must be one of: ${CONDITION_TYPES.join(', ')}`];
+    }
+
+    const errors = [];
+    const isPositive = value => typeof value === 'number' && value > 0;
+
+    switch (condition.type) {
+      case 'price_cross':
+        if (!isPositive(condition.price)) errors.push('condition.price must be a positive number');
+        if (condition.direction !== undefined && !['above', 'below', 'any'].includes(condition.direction)) {
+          errors.push('condition.direction must be above, below or any');
+        }
+        break;
+      case 'percent_move':
+        if (!isPositive(condition.percent)) errors.push('condition.percent must be a positive number');
+        if (condition.windowMs !== undefined && !(isPositive(condition.windowMs) && condition.windowMs >= 60000 && condition.windowMs <= MAX_WINDOW_MS)) {
+          errors.push('condition.windowMs must be between 60000 (1m) and 86400000 (24h)');
+        }
+        if (condition.direction !== undefined && !['up', 'down', 'any'].includes(condition.direction)) {
+          errors.push('condition.direction must be up, down or any');
+        }
+        break;
+      case 'indicator':
+        if (!INDICATORS.includes(condition.indicator)) errors.push(`condition.indicator must be one of: ${INDICATORS.join(', ')}`);
+        if (condition.period !== undefined && !(Number.isInteger(condition.period) && condition.period >= 2 && condition.period <= 200)) {
+          errors.push('condition.period must be an integer between 2 and 200');
+        }
+        if (condition.interval !== undefined && !this.marketDataService.getSupportedIntervals().includes(condition.interval)) {
+          errors.push(`condition.interval must be one of: ${this.marketDataService.getSupportedIntervals().join(', ')}`);
+        }
+        if (!OPERATORS.includes(condition.operator)) errors.push(`condition.operator must be one of: ${OPERATORS.join(' ')}`);
+        if (typeof condition.value !== 'number' && condition.value !== 'price') {
+          errors.push("condition.value must be a number or 'price'");
+        }
+        break;
+      default:
+        break;
+    }
+
+    return errors;
+  }
+
+  // Fill in condition defaults
+  normalizeCondition(condition) {
+    switch (condition.type) {
+      case 'price_cross':
+        return { type: condition.type, price: condition.price, direction: condition.direction || 'any' };
+      case 'percent_move':
+        return { type: condition.type, percent: condition.percent, windowMs: condition.windowMs || 15 * 60 * 1000, direction: condition.direction || 'any' };
+      default:
+        return {
+          type: condition.type,
+          indicator: condition.indicator,
+          period: condition.period || 14,
+          interval: condition.interval || '5m',
+          operator: condition.operator,
+          value: condition.value
+        };
+    }
+  }
+
+  getRules({ symbol, status } = {}) {
+    return Array.from(this.rules.values())
+      .filter(rule => (!symbol || rule.symbol === symbol) && (!status || rule.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  /**
+   * Trigger history, newest first
+   * @param {Object} filters - { ruleId, symbol, limit }
+   */
+  getHistory({ ruleId, symbol, limit = 100 } = {}) {
+    return this.history
+      .filter(trigger => (!ruleId || trigger.ruleId === ruleId) && (!symbol || trigger.symbol === symbol))
+      .slice(0, limit);
+  }
+
+  async createRule(input) {
+    const now = Date.now();
+    const condition = this.normalizeCondition(input.condition);
+    const rule = {
+      id: `alert_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      name: input.name || this.describeCondition(input.symbol.toUpperCase(), condition),
+      symbol: input.symbol.toUpperCase(),
+      category: input.category || 'linear',
+      condition,
+      mode: input.mode || 'once',
+      cooldownMs: input.cooldownMs !== undefined ? input.cooldownMs : this.options.defaultCooldownMs,
+      webhook: input.webhook || false,
+      enabled: input.enabled !== false,
+      status: input.enabled !== false ? 'active' : 'disabled',
+      triggerCount: 0,
+      lastTriggeredAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.rules.set(rule.id, rule);
+    await this.save();
+
+    console.log(`🔔 Alert created: ${rule.name}`);
+    return rule;
+  }
+
+  async updateRule(id, updates) {
+    const rule = this.rules.get(id);
+    if (!rule) return null;
+
+    const updated = { ...rule, updatedAt: Date.now() };
+    ['name', 'category', 'mode', 'cooldownMs', 'webhook', 'enabled'].forEach(field => {
+      if (updates[field] !== undefined) updated[field] = updates[field];
+    });
+    if (updates.symbol !== undefined) updated.symbol = updates.symbol.toUpperCase();
+    if (updates.condition !== undefined) updated.condition = this.normalizeCondition(updates.condition);
+
+    // Enabling re-arms a triggered one-shot rule
+    if (updates.enabled !== undefined || updates.condition !== undefined) {
+      updated.status = updated.enabled ? 'active' : 'disabled';
+      this.conditionStates.delete(id);
+    }
+
+    this.rules.set(id, updated);
+    await this.save();
+    return updated;
+  }
+
+  async deleteRule(id) {
+    if (!this.rules.delete(id)) return false;
+
+    this.conditionStates.delete(id);
+    await this.save();
+    return true;
+  }
+
+  handleMarketUpdate(data) {
+    if (!data || typeof data.price !== 'number') return;
+
+    const key = MarketDataService.toMarketKey(data.category, data.symbol);
+    const previousPrice = this.lastPrices.get(key);
+    this.lastPrices.set(key, data.price);
+
+    this.getActiveRules(data.symbol, data.category)
+      .filter(rule => rule.condition.type !== 'indicator')
+      .forEach(rule => this.evaluateRule(rule, data.price, previousPrice));
+  }
+
+  // Indicator rules are re-checked when a candle of their interval updates
+  handleKlineUpdate(data) {
+    if (!data || !data.data) return;
+
+    const price = this.lastPrices.get(MarketDataService.toMarketKey(data.category, data.symbol)) ?? data.data.close;
+    this.getActiveRules(data.symbol, data.category)
+      .filter(rule => rule.condition.type === 'indicator' && rule.condition.interval === data.interval)
+      .forEach(rule => this.evaluateRule(rule, price));
+  }
+
+  getActiveRules(symbol, category) {
+    return Array.from(this.rules.values())
+      .filter(rule => rule.status === 'active' && rule.symbol === symbol && rule.category === category);
+  }
+
+  evaluateRule(rule, price, previousPrice = undefined) {
+    let result;
+    try {
+      result = this.checkCondition(rule, price, previousPrice);
+    } catch (error) {
+      console.error(`❌ Alert ${rule.id} evaluation failed:`, error.message);
+      return;
+    }
+    if (!result) return;
+
+    // Only the transition into the condition triggers; crosses are transitions already
+    const wasMet = !result.cross && this.conditionStates.get(rule.id) === true;
+    this.conditionStates.set(rule.id, result.met);
+    if (!result.met || wasMet) return;
+
+    // The cooldown spaces out repeat triggers; a re-enabled one-shot rule is armed right away
+    if (rule.mode === 'repeat' && rule.lastTriggeredAt && Date.now() - rule.lastTriggeredAt < rule.cooldownMs) return;
+
+    this.trigger(rule, price, result);
+  }
+
+  /**
+   * @returns {Object|null} { met, value, message, cross }, null when there is not enough data yet
+   */
+  checkCondition(rule, price, previousPrice) {
+    const { condition, symbol } = rule;
+    const key = MarketDataService.toMarketKey(rule.category, symbol);
+
+    switch (condition.type) {
+      case 'price_cross': {
+        // Needs two prices; a price already past the level when the rule is created does not count
+        if (previousPrice === undefined) return null;
+        const crossedUp = previousPrice < condition.price && price >= condition.price;
+        const crossedDown = previousPrice > condition.price && price <= condition.price;
+        const met = (condition.direction !== 'below' && crossedUp) || (condition.direction !== 'above' && crossedDown);
+        return {
+          met,
+          cross: true,
+          value: price,
+          message: `${symbol} crossed ${crossedUp ? 'above' : 'below'} ${condition.price} (${price})`
+        };
+      }
+
+      case 'percent_move': {
+        const range = this.getWindowRange(key, condition.windowMs);
+        if (!range) return null;
+
+        const fromHigh = (price / range.high - 1) * 100;
+        const fromLow = (price / range.low - 1) * 100;
+        const down = condition.direction !== 'up' && fromHigh <= -condition.percent;
+        const up = condition.direction !== 'down' && fromLow >= condition.percent;
+        const move = down && (!up || Math.abs(fromHigh) >= fromLow) ? fromHigh : fromLow;
+        const window = `${Math.round(condition.windowMs / 60000)}m`;
+
+        return {
+          met: up || down,
+          value: move,
+          message: `${symbol} ${move >= 0 ? 'rose' : 'dropped'} ${Math.abs(move).toFixed(2)}% in ${window} (${price})`
+        };
+      }
+
+      case 'indicator': {
+        const indicatorValue = this.getIndicatorValue(key, condition);
+        if (indicatorValue === null) return null;
+
+        const target = condition.value === 'price' ? price : condition.value;
+        const met = {
+          '>': indicatorValue > target,
+          '>=': indicatorValue >= target,
+          '<': indicatorValue < target,
+          '<=': indicatorValue <= target
+        }[condition.operator];
+
+        return {
+          met,
+          value: indicatorValue,
+          message: `${symbol} ${condition.indicator.toUpperCase()}(${condition.period}, ${condition.interval}) ${indicatorValue.toFixed(4)} ${condition.operator} ${condition.value === 'price' ? `price ${price}` : target}`
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // High and low over the last windowMs from the smallest interval that covers it
+  getWindowRange(key, windowMs) {
+    const interval = MOVE_INTERVALS.find(name => windowMs / CandleAggregator.INTERVAL_MS[name] <= MAX_WINDOW_CANDLES) || '1h';
+    const candles = this.getCandles(key, interval);
+    const from = Date.now() - windowMs;
+    const inWindow = candles.filter(candle => candle.timestamp + CandleAggregator.INTERVAL_MS[interval] > from);
+    if (inWindow.length === 0) return null;
+
+    return {
+      high: Math.max(...inWindow.map(candle => candle.high)),
+      low: Math.min(...inWindow.map(candle => candle.low))
+    };
+  }
+
+  getIndicatorValue(key, { indicator, period, interval }) {
+    const closes = this.getCandles(key, interval).map(candle => candle.close);
+
+    switch (indicator) {
+      case 'rsi': return AlertService.rsi(closes, period);
+      case 'sma': return closes.length >= period ? closes.slice(-period).reduce((sum, close) => sum + close, 0) / period : null;
+      case 'ema': return AlertService.ema(closes, period);
+      default: return null;
+    }
+  }
+
+  getCandles(key, interval) {
+    return this.marketDataService.klineData.get(`${key}_${interval}`) || [];
+  }
+
+  trigger(rule, price, result) {
+    const now = Date.now();
+    const trigger = {
+      id: `trigger_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      name: rule.name,
+      symbol: rule.symbol,
+      category: rule.category,
+      conditionType: rule.condition.type,
+      message: result.message,
+      price,
+      value: result.value,
+      triggeredAt: now
+    };
+
+    const updated = {
+      ...rule,
+      triggerCount: rule.triggerCount + 1,
+      lastTriggeredAt: now,
+      ...(rule.mode === 'once' ? { status: 'triggered', enabled: false } : {})
+    };
+    this.rules.set(rule.id, updated);
+
+    this.history.unshift(trigger);
+    if (this.history.length > this.options.maxHistory) {
+      this.history = this.history.slice(0, this.options.maxHistory);
+    }
+    this.save();
+
+    console.log(`🔔 Alert triggered: ${trigger.message}`);
+    this.emit('alert', { ...trigger, rule: updated });
+    this.sendWebhook(updated, trigger);
+  }
+
+  sendWebhook(rule, trigger) {
+    const url = rule.webhook === true ? process.env.WEBHOOK_URL : rule.webhook;
+    if (!url || !this.webhookService) return;
+
+    this.webhookService.send(url, { type: 'price_alert', ...trigger, condition: rule.condition }, { retries: this.options.webhookRetries })
+      .catch(error => console.error(`❌ Alert webhook failed for ${rule.id}:`, error.message));
+  }
+
+  describeCondition(symbol, condition) {
+    switch (condition.type) {
+      case 'price_cross':
+        return `${symbol} crosses ${condition.direction === 'any' ? '' : `${condition.direction} `}${condition.price}`;
+      case 'percent_move':
+        return `${symbol} moves ${condition.direction === 'any' ? '' : `${condition.direction} `}${condition.percent}% in ${Math.round(condition.windowMs / 60000)}m`;
+      default:
+        return `${symbol} ${condition.indicator.toUpperCase()}(${condition.period}, ${condition.interval}) ${condition.operator} ${condition.value}`;
+    }
+  }
+
+  // Wilder's RSI over the closes, oldest first
+  static rsi(closes, period = 14) {
+    if (closes.length <= period) return null;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change > 0) gain += change;
+      else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+
+    for (let i = period + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+  }
+
+  static ema(closes, period) {
+    if (closes.length < period) return null;
+
+    const multiplier = 2 / (period + 1);
+    let ema = closes.slice(0, period).reduce((sum, close) => sum + close, 0) / period;
+    for (let i = period; i < closes.length; i++) {
+      ema = (closes[i] - ema) * multiplier + ema;
+    }
+    return ema;
+  }
+}
+
+AlertService.CONDITION_TYPES = CONDITION_TYPES;
+
+module.exports = AlertService;
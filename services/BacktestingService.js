@@ -4,14 +4,26 @@
  */
 
 const { RestClientV5 } = require('bybit-api');
+const defaultDetectors = require('./detectors');
+const VolatilityRegime = require('./VolatilityRegime');
+const InstrumentRegistry = require('./InstrumentRegistry');
+
+// Historical klines are all a backtest has; detectors that need the book, trades or derivatives data are skipped
+const BACKTEST_INPUTS = ['candles'];
+const DETECTOR_CANDLES = 10; // Same lookback the live scanner gives detectors
+// On/off switches the backtest route still sends for the two original entry checks
+const LEGACY_SWITCHES = { volumeSpike: 'volume_spike', priceBreakout: 'price_breakout' };
 
 class BacktestingService {
-  constructor() {
+  constructor(options = {}) {
     this.client = new RestClientV5({
       key: process.env.BYBIT_API_KEY,
       secret: process.env.BYBIT_API_SECRET,
       testnet: process.env.BYBIT_TESTNET === 'true'
     });
+    this.detectors = options.detectors || defaultDetectors;
+    // Trades use the exchange's tick size, lot size and leverage limits; shared with the scanner when provided
+    this.instrumentRegistry = options.instrumentRegistry || new InstrumentRegistry(this.client, { categories: ['linear'] });
   }
 
   async runBacktest(params) {
@@ -40,9 +52,13 @@ class BacktestingService {
         },
         trades: [],
         dailyPnL: [],
-        equityCurve: []
+        equityCurve: [],
+        detectors: this.getBacktestDetectors(filters)
       };
 
+      // Without instrument rules prices and sizes are left unrounded
+      await this.instrumentRegistry.ensureLoaded();
+
       // Get historical data for each symbol
       for (const symbol of symbols) {
         const historicalData = await this.getHistoricalData(symbol, startDate, endDate);
@@ -99,25 +115,35 @@ class BacktestingService {
   async simulateTrading(symbol, historicalData, filters, riskSettings, capital) {
     const trades = [];
     let currentPosition = null;
+    const detectorParams = this.resolveDetectorParams(filters);
+    const detectorIds = this.getBacktestDetectors(filters);
     
     for (let i = 1; i < historicalData.length; i++) {
       const currentCandle = historicalData[i];
-      const previousCandle = historicalData[i - 1];
       
       // Check for entry signals
       if (!currentPosition) {
-        const signal = this.checkEntrySignal(currentCandle, previousCandle, filters);
+        const signal = this.checkEntrySignal(
+          this.getDetectorCandles(historicalData, i),
+          detectorParams,
+          detectorIds,
+          this.getDetectorVolatility(historicalData, i)
+        );
         
-        if (signal) {
+        const size = signal ? this.calculatePositionSize(capital, currentCandle.close, riskSettings, symbol) : 0;
+        // A size below the instrument's minimum order could not be placed
+        if (signal && size > 0) {
+          const roundPrice = price => this.instrumentRegistry.roundPrice(symbol, price);
           currentPosition = {
             symbol,
             entryTime: currentCandle.timestamp,
             entryPrice: currentCandle.close,
             direction: signal.direction,
-            size: this.calculatePositionSize(capital, currentCandle.close, riskSettings),
-            stopLoss: this.calculateStopLoss(currentCandle.close, signal.direction, riskSettings),
-            takeProfit1: this.calculateTakeProfit(currentCandle.close, signal.direction, riskSettings.tp1),
-            takeProfit2: this.calculateTakeProfit(currentCandle.close, signal.direction, riskSettings.tp2)
+            leverage: this.getLeverage(riskSettings, symbol),
+            size,
+            stopLoss: roundPrice(this.calculateStopLoss(currentCandle.close, signal.direction, riskSettings)),
+            takeProfit1: roundPrice(this.calculateTakeProfit(currentCandle.close, signal.direction, riskSettings.tp1)),
+            takeProfit2: roundPrice(this.calculateTakeProfit(currentCandle.close, signal.direction, riskSettings.tp2))
           };
         }
       } else {
@@ -143,21 +169,75 @@ class BacktestingService {
     return trades;
   }
 
-  checkEntrySignal(currentCandle, previousCandle, filters) {
-    // Volume spike check
-    if (filters.volumeSpike && currentCandle.volume > previousCandle.volume * filters.volumeSpikeThreshold) {
-      // Price breakout check
-      const priceChange = (currentCandle.close - previousCandle.close) / previousCandle.close;
-      
-      if (Math.abs(priceChange) >= filters.priceBreakoutThreshold) {
-        return {
-          direction: priceChange > 0 ? 'long' : 'short',
-          strength: Math.abs(priceChange)
-        };
+  // Detectors from the registry that can run on candles and are not switched off by the filters
+  getBacktestDetectors(filters = {}) {
+    const runnable = this.detectors.getRunnable(BACKTEST_INPUTS);
+    const selected = Array.isArray(filters.detectors) ? filters.detectors : runnable.map(detector => detector.id);
+    const params = this.resolveDetectorParams(filters);
+    const switchedOff = Object.entries(LEGACY_SWITCHES)
+      .filter(([name]) => filters[name] === false)
+      .map(([, id]) => id);
+
+    return runnable
+      .filter(detector => selected.includes(detector.id) && !switchedOff.includes(detector.id) && this.detectors.isEnabled(detector, params))
+      .map(detector => detector.id);
+  }
+
+  // Map backtest filters onto detector params; the older keys are still accepted
+  resolveDetectorParams(filters = {}) {
+    const params = {};
+
+    // Boolean volumeSpike/priceBreakout are the legacy switches (see getBacktestDetectors), not ratios
+    Object.entries(filters).forEach(([name, value]) => {
+      const owner = this.detectors.findParamOwner(name);
+      if (owner && typeof value === owner.params[name].type) {
+        params[name] = value;
       }
+    });
+
+    // volumeSpikeThreshold is a volume ratio (1.2), priceBreakoutThreshold a fractional move either way (0.01 = ±1%)
+    if (filters.volumeSpikeThreshold !== undefined) {
+      params.volumeSpike = filters.volumeSpikeThreshold;
+    }
+    if (filters.priceBreakoutThreshold !== undefined) {
+      params.priceBreakout = 1 + filters.priceBreakoutThreshold;
+      params.priceBreakdown = 1 - filters.priceBreakoutThreshold;
     }
 
-    return null;
+    return params;
+  }
+
+  // Candles up to index, newest first, in the detector input format
+  getDetectorCandles(historicalData, index) {
+    return historicalData
+      .slice(Math.max(0, index - DETECTOR_CANDLES + 1), index + 1)
+      .reverse()
+      .map(candle => [candle.timestamp, candle.open, candle.high, candle.low, candle.close, candle.volume]);
+  }
+
+  // Return and volume sigmas of the candles before index, for thresholds in volatility units
+  getDetectorVolatility(historicalData, index) {
+    const window = VolatilityRegime.DEFAULT_OPTIONS.sigmaWindow;
+    return VolatilityRegime.measureSigma(historicalData.slice(Math.max(0, index - window - 1), index), window);
+  }
+
+  checkEntrySignal(candles, detectorParams, detectorIds, volatility = null) {
+    if (detectorIds.length === 0 || candles.length < 2) return null;
+
+    // Every selected detector has to fire on the same candle
+    const evaluations = this.detectors.evaluate({ candles, volatility }, detectorParams, detectorIds);
+    if (!evaluations.every(({ result }) => result)) return null;
+
+    // Direction comes from the first detector that reports one (price breakout by default)
+    const directional = evaluations.find(({ result }) => result.direction);
+    if (!directional) return null;
+
+    const [current, previous] = candles;
+    return {
+      direction: ['up', 'buy', 'bullish'].includes(directional.result.direction) ? 'long' : 'short',
+      strength: Math.abs((current[4] - previous[4]) / previous[4]),
+      detectors: detectorIds
+    };
   }
 
   checkExitConditions(position, currentCandle, riskSettings) {
@@ -194,10 +274,18 @@ class BacktestingService {
     return null;
   }
 
-  calculatePositionSize(capital, price, riskSettings) {
-    const riskAmount = capital * (riskSettings.riskPerTrade || 0.02); // 2% default risk
+  // Requested leverage within the symbol's limits
+  getLeverage(riskSettings, symbol = null) {
     const leverage = riskSettings.leverage || 1;
-    return (riskAmount * leverage) / price;
+    return symbol ? this.instrumentRegistry.clampLeverage(symbol, leverage) : leverage;
+  }
+
+  // Quantity rounded down to the symbol's lot size; 0 when it is below the minimum order
+  calculatePositionSize(capital, price, riskSettings, symbol = null) {
+    const riskAmount = capital * (riskSettings.riskPerTrade || 0.02); // 2% default risk
+    const leverage = this.getLeverage(riskSettings, symbol);
+    const size = (riskAmount * leverage) / price;
+    return symbol ? this.instrumentRegistry.roundQty(symbol, size, 'linear', price) : size;
   }
 
   calculateStopLoss(entryPrice, direction, riskSettings) {
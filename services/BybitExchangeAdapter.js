@@ -0,0 +1,76 @@
+/**
+ * Bybit Exchange Adapter
+ * Live market data from the Bybit V5 REST and WebSocket APIs
+ */
+
+const { RestClientV5, WebsocketClient } = require('bybit-api');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+class BybitExchangeAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('bybit');
+    this.credentials = {
+      key: options.key || process.env.BYBIT_API_KEY,
+      secret: options.secret || process.env.BYBIT_API_SECRET,
+      testnet: options.testnet !== undefined ? options.testnet : process.env.BYBIT_TESTNET === 'true'
+    };
+
+    this.client = new RestClientV5(this.credentials);
+    this.wsClient = null;
+  }
+
+  async connect() {
+    if (this.wsClient) return;
+
+    this.wsClient = new WebsocketClient({
+      ...this.credentials,
+      market: 'v5'
+    });
+
+    // Forward WebSocket events to adapter listeners
+    ['update', 'open', 'close', 'reconnect', 'reconnected', 'response'].forEach(event => {
+      this.wsClient.on(event, (data) => this.emit(event, data));
+    });
+
+    this.wsClient.on('error', (error) => {
+      this.emit('error', error);
+    });
+  }
+
+  async disconnect() {
+    if (this.wsClient) {
+      this.wsClient.closeAll();
+      this.wsClient.removeAllListeners();
+      this.wsClient = null;
+    }
+  }
+
+  async subscribe(topics, category = 'linear') {
+    await super.subscribe(topics, category);
+    // subscribeV5 returns one promise per connection; awaiting the array alone would leave rejections unhandled
+    await Promise.all(this.wsClient.subscribeV5(topics, category));
+  }
+
+  async unsubscribe(topics, category = 'linear') {
+    await super.unsubscribe(topics, category);
+    await Promise.all(this.wsClient.unsubscribeV5(topics, category));
+  }
+
+  getServerTime() {
+    return this.client.getServerTime();
+  }
+
+  getInstrumentsInfo(params) {
+    return this.client.getInstrumentsInfo(params);
+  }
+
+  getTickers(params) {
+    return this.client.getTickers(params);
+  }
+
+  getKline(params) {
+    return this.client.getKline(params);
+  }
+}
+
+module.exports = BybitExchangeAdapter;
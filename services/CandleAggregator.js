@@ -0,0 +1,205 @@
+/**
+ * Candle Aggregator
+ * Builds higher-timeframe candles from the 1m kline stream and 1m candles from trades
+ */
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Bybit kline interval codes (topic `kline.<code>.<symbol>` and REST `interval`)
+const BYBIT_INTERVALS = {
+  '1': '1m',
+  '3': '3m',
+  '5': '5m',
+  '15': '15m',
+  '30': '30m',
+  '60': '1h',
+  '120': '2h',
+  '240': '4h',
+  'D': '1d'
+};
+
+class CandleAggregator {
+  /**
+   * @param {Array<string>} intervals - Target intervals built from 1m candles (e.g. ['5m', '1h'])
+   */
+  constructor(intervals = ['3m', '5m', '15m', '1h', '4h']) {
+    this.intervals = intervals.filter(interval => interval !== '1m' && INTERVAL_MS[interval]);
+    this.buckets = new Map(); // `${symbol}_${interval}` -> { start, minutes: Map(minuteStart -> 1m candle) }
+    this.tradeCandles = new Map(); // symbol -> 1m candle being built from trades
+  }
+
+  /**
+   * Fold a 1m candle into every target interval
+   * @param {string} symbol - Trading symbol
+   * @param {Object} candle - 1m candle ({ timestamp, open, high, low, close, volume, turnover, confirmed })
+   * @returns {Array} Updated higher-timeframe candles
+   */
+  addCandle(symbol, candle) {
+    const updated = [];
+
+    this.intervals.forEach(interval => {
+      const intervalMs = INTERVAL_MS[interval];
+      const bucketStart = Math.floor(candle.timestamp / intervalMs) * intervalMs;
+      const key = `${symbol}_${interval}`;
+
+      let bucket = this.buckets.get(key);
+      if (bucket && bucketStart < bucket.start) {
+        return; // Late update for a bucket that has already rolled over
+      }
+
+      if (!bucket || bucketStart > bucket.start) {
+        // Close the previous bucket if its last minute never arrived confirmed
+        if (bucket && !bucket.confirmed) {
+          updated.push(this.buildCandle(bucket, interval, true));
+        }
+        bucket = { start: bucketStart, minutes: new Map(), confirmed: false };
+        this.buckets.set(key, bucket);
+      }
+
+      bucket.minutes.set(candle.timestamp, candle);
+
+      // The bucket closes with its last minute
+      const isLastMinute = candle.timestamp + INTERVAL_MS['1m'] >= bucketStart + intervalMs;
+      bucket.confirmed = isLastMinute && !!candle.confirmed;
+      updated.push(this.buildCandle(bucket, interval, bucket.confirmed));
+    });
+
+    return updated;
+  }
+
+  /**
+   * Rebuild the current bucket of each interval from stored 1m candles,
+   * e.g. after a backfill so the first live update is not a partial candle
+   * @param {string} symbol - Trading symbol
+   * @param {Array} minuteCandles - 1m candles sorted by time
+   * @returns {Array} Rebuilt in-progress candles
+   */
+  seedCandles(symbol, minuteCandles) {
+    if (minuteCandles.length === 0) return [];
+
+    const latest = minuteCandles[minuteCandles.length - 1];
+    const seeded = [];
+
+    this.intervals.forEach(interval => {
+      const intervalMs = INTERVAL_MS[interval];
+      const bucketStart = Math.floor(latest.timestamp / intervalMs) * intervalMs;
+      const key = `${symbol}_${interval}`;
+      const existing = this.buckets.get(key);
+
+      // Only seed when the stored minutes reach back to the start of the bucket
+      if (minuteCandles[0].timestamp > bucketStart) return;
+      if (existing && existing.start > bucketStart) return;
+
+      const minutes = minuteCandles.filter(c => c.timestamp >= bucketStart);
+      const bucket = {
+        start: bucketStart,
+        minutes: new Map(minutes.map(c => [c.timestamp, c])),
+        confirmed: false
+      };
+
+      this.buckets.set(key, bucket);
+      seeded.push(this.buildCandle(bucket, interval, false));
+    });
+
+    return seeded;
+  }
+
+  buildCandle(bucket, interval, confirmed) {
+    const minutes = Array.from(bucket.minutes.values()).sort((a, b) => a.timestamp - b.timestamp);
+    const first = minutes[0];
+    const last = minutes[minutes.length - 1];
+
+    return {
+      timestamp: bucket.start,
+      open: first.open,
+      high: Math.max(...minutes.map(c => c.high)),
+      low: Math.min(...minutes.map(c => c.low)),
+      close: last.close,
+      volume: minutes.reduce((sum, c) => sum + (c.volume || 0), 0),
+      turnover: minutes.reduce((sum, c) => sum + (c.turnover || 0), 0),
+      interval,
+      confirmed,
+      source: 'aggregated'
+    };
+  }
+
+  /**
+   * Build 1m candles from public trades
+   * @param {string} symbol - Trading symbol
+   * @param {Object} trade - { price, size, timestamp }
+   * @param {string} category - Product category, for the units of volume and turnover
+   * @returns {Array} 1m candles that changed (the closed previous minute, then the current one)
+   */
+  addTrade(symbol, trade, category = 'linear') {
+    const minuteStart = Math.floor(trade.timestamp / INTERVAL_MS['1m']) * INTERVAL_MS['1m'];
+    const updated = [];
+    let candle = this.tradeCandles.get(symbol);
+
+    if (candle && minuteStart < candle.timestamp) {
+      return updated; // Out-of-order trade from a closed minute
+    }
+
+    if (candle && minuteStart > candle.timestamp) {
+      // First trade of a new minute closes the previous one
+      updated.push({ ...candle, confirmed: true });
+      candle = null;
+    }
+
+    if (!candle) {
+      candle = {
+        timestamp: minuteStart,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: 0,
+        turnover: 0,
+        interval: '1m',
+        confirmed: false,
+        source: 'trades'
+      };
+    }
+
+    candle.high = Math.max(candle.high, trade.price);
+    candle.low = Math.min(candle.low, trade.price);
+    candle.close = trade.price;
+    candle.volume += trade.size;
+    // Same units as Bybit's klines: inverse volume is USD contracts and turnover is in the base coin
+    candle.turnover += category === 'inverse' ? trade.size / trade.price : trade.price * trade.size;
+
+    this.tradeCandles.set(symbol, candle);
+    updated.push({ ...candle });
+
+    return updated;
+  }
+
+  removeSymbol(symbol) {
+    this.tradeCandles.delete(symbol);
+    this.intervals.forEach(interval => this.buckets.delete(`${symbol}_${interval}`));
+  }
+
+  /**
+   * Bybit interval code for an interval name
+   * @param {string} interval - e.g. '1h'
+   * @returns {string|null} e.g. '60'
+   */
+  static toBybitInterval(interval) {
+    const entry = Object.entries(BYBIT_INTERVALS).find(([, name]) => name === interval);
+    return entry ? entry[0] : null;
+  }
+}
+
+CandleAggregator.INTERVAL_MS = INTERVAL_MS;
+CandleAggregator.BYBIT_INTERVALS = BYBIT_INTERVALS;
+
+module.exports = CandleAggregator;
@@ -3,6 +3,8 @@
  * Handles candlestick pattern recognition and technical analysis
  */
 
+const SupportResistanceService = require('./SupportResistanceService');
+
 class CandlestickService {
   constructor() {
     this.patterns = {
@@ -30,6 +32,7 @@ class CandlestickService {
       signals: [],
       trendAnalysis: null,
       volatilityAnalysis: null,
+      levels: null,
       confidence: 0,
       timestamp: Date.now()
     };
@@ -55,6 +58,11 @@ class CandlestickService {
         results.volumeAnalysis = this.analyzeVolume(candleData);
       }
 
+      // Support/Resistance Analysis
+      if (settings.supportResistanceAnalysis) {
+        results.levels = SupportResistanceService.detect(candleData, settings.supportResistance);
+      }
+
       // Generate trading signals
       results.signals = this.generateSignals(results, settings);
       results.confidence = this.calculateConfidence(results);
@@ -441,6 +449,22 @@ class CandlestickService {
         confidence: Math.min(analysis.volumeAnalysis.ratio / 3, 0.8)
       });
     }
+
+    // Level-based signals: price at a strong support (bounce) or resistance (rejection)
+    if (analysis.levels) {
+      const proximityPercent = settings.supportResistance?.proximityPercent ?? SupportResistanceService.DEFAULT_OPTIONS.proximityPercent;
+      SupportResistanceService.proximity(analysis.levels, proximityPercent).forEach(zone => {
+        const isSupport = zone.type === 'support';
+        signals.push({
+          type: 'level',
+          signal: isSupport ? 'bullish_support' : 'bearish_resistance',
+          strength: zone.strength,
+          source: 'support_resistance',
+          description: `Price at ${zone.type} ${zone.price.toPrecision(6)} (${zone.touches} touches)`,
+          confidence: zone.strength * 0.7
+        });
+      });
+    }
     
     return signals;
   }
@@ -525,6 +549,11 @@ class CandlestickService {
         ratio: Math.round(analysis.volumeAnalysis.ratio * 100) / 100,
         trend: analysis.volumeAnalysis.trend
       } : null,
+      levels: analysis.levels ? {
+        support: analysis.levels.nearestSupport,
+        resistance: analysis.levels.nearestResistance,
+        zones: analysis.levels.zones
+      } : null,
       confidence: Math.round(analysis.confidence * 100) / 100
     };
   }
@@ -0,0 +1,295 @@
+/**
+ * Connection Supervisor
+ * Watches the exchange stream for drops and stale topics, resubscribes and
+ * tells MarketDataService when to fall back to REST polling
+ */
+
+const EventEmitter = require('events');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+const DEFAULT_OPTIONS = {
+  checkIntervalMs: 5000,
+  // Topics without a message for this long are stale; prefixes not listed are not supervised
+  // (liquidations can be silent for hours)
+  staleAfterMs: {
+    tickers: 60000,
+    kline: 90000,
+    orderbook: 30000,
+    publicTrade: 300000
+  },
+  feedDeadAfterMs: 30000, // No message on any topic for this long = feed is down
+  reconnectGraceMs: 10000, // Topics still silent this long after a reconnect get resubscribed
+  resubscribeCooldownMs: 60000 // Minimum time between resubscribes of one topic
+};
+
+/**
+ * States: 'connecting' -> 'connected' <-> 'reconnecting' / 'stale', 'ended' when a replay runs out,
+ * 'disconnected' after stop()
+ *
+ * Events:
+ *   'down' { reason } - stream dropped or went silent, poll over REST
+ *   'up'              - messages flowing again
+ *   'resubscribed' { topics }
+ */
+class ConnectionSupervisor extends EventEmitter {
+  constructor(exchange, options = {}) {
+    super();
+    this.exchange = exchange;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      staleAfterMs: { ...DEFAULT_OPTIONS.staleAfterMs, ...(options.staleAfterMs || {}) }
+    };
+
+    this.state = 'connecting';
+    this.isDown = false;
+    this.reconnectCount = 0;
+    this.resubscribeCount = 0;
+    this.connectedAt = null;
+    this.lastReconnectAt = null;
+    this.lastDisconnectAt = null;
+    this.lastMessageAt = null;
+    this.topics = new Map(); // `${category}:${topic}` -> { lastMessageAt, latencyMs, watchedSince, lastResubscribeAt }
+    this.checkTimer = null;
+    this.reconnectTimer = null;
+
+    this.handleUpdate = this.handleUpdate.bind(this);
+    this.handleOpen = this.handleOpen.bind(this);
+    this.handleClose = this.handleClose.bind(this);
+    this.handleReconnect = this.handleReconnect.bind(this);
+    this.handleReconnected = this.handleReconnected.bind(this);
+    this.handleEnd = this.handleEnd.bind(this);
+  }
+
+  start() {
+    if (this.checkTimer) return;
+
+    this.exchange.on('update', this.handleUpdate);
+    this.exchange.on('open', this.handleOpen);
+    this.exchange.on('close', this.handleClose);
+    this.exchange.on('reconnect', this.handleReconnect);
+    this.exchange.on('reconnected', this.handleReconnected);
+    this.exchange.on('end', this.handleEnd);
+
+    this.checkTimer = setInterval(() => this.check(), this.options.checkIntervalMs);
+  }
+
+  stop() {
+    this.exchange.removeListener('update', this.handleUpdate);
+    this.exchange.removeListener('open', this.handleOpen);
+    this.exchange.removeListener('close', this.handleClose);
+    this.exchange.removeListener('reconnect', this.handleReconnect);
+    this.exchange.removeListener('reconnected', this.handleReconnected);
+    this.exchange.removeListener('end', this.handleEnd);
+
+    clearInterval(this.checkTimer);
+    clearTimeout(this.reconnectTimer);
+    this.checkTimer = null;
+    this.reconnectTimer = null;
+    this.state = 'disconnected';
+  }
+
+  handleUpdate(message) {
+    if (!message || !message.topic) return;
+
+    const now = Date.now();
+    const key = `${ExchangeAdapter.getCategory(message)}:${message.topic}`;
+    const entry = this.topics.get(key) || { watchedSince: now, lastResubscribeAt: null };
+
+    entry.lastMessageAt = now;
+    entry.latencyMs = message.ts ? Math.max(0, now - message.ts) : null; // Exchange timestamp to receipt
+    this.topics.set(key, entry);
+    this.lastMessageAt = now;
+
+    if (this.state !== 'connected' && this.state !== 'reconnecting') {
+      this.setConnected();
+    }
+  }
+
+  handleOpen() {
+    this.setConnected();
+  }
+
+  handleClose() {
+    this.lastDisconnectAt = Date.now();
+    this.state = 'reconnecting';
+    this.markDown('socket closed');
+  }
+
+  handleReconnect() {
+    this.state = 'reconnecting';
+    this.markDown('reconnecting');
+  }
+
+  handleReconnected() {
+    this.reconnectCount++;
+    this.lastReconnectAt = Date.now();
+    this.setConnected();
+    console.log(`🔌 WebSocket reconnected (${this.reconnectCount} reconnects)`);
+
+    // The client restores its own subscriptions; resubscribe whatever is still silent after a grace period
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      const silent = this.getSupervisedTopics()
+        .filter(({ key }) => {
+          const entry = this.topics.get(key);
+          return !entry || !entry.lastMessageAt || entry.lastMessageAt < this.lastReconnectAt;
+        });
+      this.resubscribe(silent);
+    }, this.options.reconnectGraceMs);
+  }
+
+  // A finished replay is not a dropped feed: no REST fallback, no resubscribes
+  handleEnd() {
+    clearTimeout(this.reconnectTimer);
+    this.state = 'ended';
+  }
+
+  setConnected() {
+    if (!this.connectedAt || this.state !== 'connected') {
+      this.connectedAt = Date.now();
+    }
+    this.state = 'connected';
+
+    if (this.isDown) {
+      this.isDown = false;
+      console.log('✅ Market data stream is live again');
+      this.emit('up');
+    }
+  }
+
+  markDown(reason) {
+    if (this.isDown) return;
+
+    this.isDown = true;
+    console.log(`⚠️ Market data stream down (${reason})`);
+    this.emit('down', { reason });
+  }
+
+  // Periodic staleness check
+  check() {
+    if (this.state === 'ended') return;
+
+    const now = Date.now();
+    const supervised = this.getSupervisedTopics();
+    const supervisedKeys = new Set(supervised.map(({ key }) => key));
+
+    // Forget topics that were unsubscribed
+    Array.from(this.topics.keys()).forEach(key => {
+      if (!this.exchange.subscriptions.has(key)) this.topics.delete(key);
+    });
+
+    supervised.forEach(({ key }) => {
+      if (!this.topics.has(key)) {
+        this.topics.set(key, { watchedSince: now, lastMessageAt: null, latencyMs: null, lastResubscribeAt: null });
+      }
+    });
+
+    if (supervisedKeys.size > 0 && this.state !== 'reconnecting') {
+      const lastMessageAt = this.lastMessageAt || this.connectedAt || now;
+      if (now - lastMessageAt > this.options.feedDeadAfterMs) {
+        this.state = 'stale';
+        this.markDown(`no messages for ${Math.round((now - lastMessageAt) / 1000)}s`);
+        this.resubscribe(supervised);
+        return;
+      }
+    }
+
+    // Individual topics that went quiet while the feed as a whole is alive
+    if (this.state === 'connected') {
+      this.resubscribe(supervised.filter(topic => this.isTopicStale(topic, now)));
+    }
+  }
+
+  getSupervisedTopics() {
+    return Array.from(this.exchange.subscriptions)
+      .map(key => {
+        const separator = key.indexOf(':');
+        const topic = key.slice(separator + 1);
+        return { key, category: key.slice(0, separator), topic, staleAfterMs: this.getStaleAfter(topic) };
+      })
+      .filter(({ staleAfterMs }) => staleAfterMs !== null);
+  }
+
+  getStaleAfter(topic) {
+    const prefix = Object.keys(this.options.staleAfterMs).find(name => topic.startsWith(name));
+    return prefix ? this.options.staleAfterMs[prefix] : null;
+  }
+
+  isTopicStale({ key, staleAfterMs }, now = Date.now()) {
+    const entry = this.topics.get(key);
+    if (!entry || staleAfterMs === null) return false;
+    return now - (entry.lastMessageAt || entry.watchedSince) > staleAfterMs;
+  }
+
+  async resubscribe(topics) {
+    const now = Date.now();
+    const due = topics.filter(({ key }) => {
+      const entry = this.topics.get(key);
+      return !entry || !entry.lastResubscribeAt || now - entry.lastResubscribeAt >= this.options.resubscribeCooldownMs;
+    });
+    if (due.length === 0) return;
+
+    // Group per category, the exchange subscribes one category at a time
+    const byCategory = new Map();
+    due.forEach(({ key, category, topic }) => {
+      const entry = this.topics.get(key) || { watchedSince: now, lastMessageAt: null, latencyMs: null };
+      entry.lastResubscribeAt = now;
+      this.topics.set(key, entry);
+      byCategory.set(category, [...(byCategory.get(category) || []), topic]);
+    });
+
+    for (const [category, categoryTopics] of byCategory) {
+      try {
+        console.log(`🔁 Resubscribing ${categoryTopics.length} stale ${category} topic(s)`);
+        await this.exchange.unsubscribe(categoryTopics, category);
+        await this.exchange.subscribe(categoryTopics, category);
+        this.resubscribeCount += categoryTopics.length;
+        this.emit('resubscribed', { category, topics: categoryTopics });
+      } catch (error) {
+        console.error(`❌ Error resubscribing ${category} topics:`, error.message);
+      }
+    }
+  }
+
+  // `${category}:${symbol}` of symbols with at least one stale supervised topic
+  getStaleSymbols() {
+    const now = Date.now();
+    const symbols = new Set();
+    this.getSupervisedTopics()
+      .filter(topic => this.isTopicStale(topic, now))
+      .forEach(({ category, topic }) => symbols.add(`${category}:${topic.split('.').pop()}`));
+    return Array.from(symbols);
+  }
+
+  getHealth() {
+    const now = Date.now();
+    const topics = this.getSupervisedTopics().map(({ key, category, topic, staleAfterMs }) => {
+      const entry = this.topics.get(key) || {};
+      return {
+        topic,
+        category,
+        lastMessageAt: entry.lastMessageAt || null,
+        ageMs: entry.lastMessageAt ? now - entry.lastMessageAt : null,
+        latencyMs: entry.latencyMs !== undefined ? entry.latencyMs : null,
+        staleAfterMs,
+        stale: this.isTopicStale({ key, staleAfterMs }, now)
+      };
+    });
+
+    return {
+      state: this.state,
+      isDown: this.isDown,
+      reconnectCount: this.reconnectCount,
+      resubscribeCount: this.resubscribeCount,
+      connectedAt: this.connectedAt,
+      lastReconnectAt: this.lastReconnectAt,
+      lastDisconnectAt: this.lastDisconnectAt,
+      lastMessageAt: this.lastMessageAt,
+      staleSymbols: this.getStaleSymbols(),
+      topics
+    };
+  }
+}
+
+module.exports = ConnectionSupervisor;
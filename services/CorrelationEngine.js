@@ -0,0 +1,181 @@
+/**
+ * Correlation Engine
+ * Rolling correlation and beta of each symbol's candle returns to benchmark
+ * symbols (BTCUSDT, ETHUSDT), computed from the kline store
+ */
+
+const DEFAULT_OPTIONS = {
+  interval: '5m', // Candle interval returns are computed on
+  windows: [12, 48, 144], // Candles per window: 1h, 4h and 12h of 5m candles
+  primaryWindow: 48, // Window whose correlation/beta decide whether a move follows the benchmark
+  minSamples: 10, // Windows with fewer overlapping returns are reported as null
+  followCandles: 3, // Recent move = return over the last 3 closed candles
+  minBenchmarkMove: 0.003, // The benchmark must have moved at least 0.3% to be followed
+  minCorrelation: 0.7,
+  maxResidualShare: 0.5, // Following = the part of the move beta does not explain is at most half of it
+  cacheMs: 60000 // Results are recomputed at most this often per symbol
+};
+
+const INTERVAL_MINUTES = { '1m': 1, '3m': 3, '5m': 5, '15m': 15, '1h': 60, '4h': 240 };
+
+class CorrelationEngine {
+  /**
+   * @param {Function} getCandles - (marketKey, interval) => candles, oldest first
+   * @param {Array} benchmarks - [{ symbol, key }] benchmark symbols and their market keys
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(getCandles, benchmarks, options = {}) {
+    this.getCandles = getCandles;
+    this.benchmarks = benchmarks;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!this.options.windows.includes(this.options.primaryWindow)) {
+      this.options.primaryWindow = this.options.windows[Math.floor(this.options.windows.length / 2)];
+    }
+    this.cache = new Map(); // market key -> { computedAt, result }
+  }
+
+  /**
+   * Correlation and beta of a symbol to every benchmark except itself
+   * @param {string} key - Market key
+   * @returns {Object|null} { interval, benchmarks: { BTCUSDT: {...} }, followsBenchmark, updatedAt }
+   */
+  get(key) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.computedAt < this.options.cacheMs) {
+      return cached.result;
+    }
+
+    const result = this.compute(key);
+    this.cache.set(key, { computedAt: Date.now(), result });
+    return result;
+  }
+
+  compute(key) {
+    const returns = this.getReturns(key);
+    if (returns.length < this.options.minSamples) return null;
+
+    const benchmarks = {};
+    let followsBenchmark = null;
+
+    this.benchmarks
+      .filter(benchmark => benchmark.key !== key)
+      .forEach(benchmark => {
+        const benchmarkReturns = new Map(this.getReturns(benchmark.key).map(r => [r.timestamp, r.value]));
+        if (benchmarkReturns.size === 0) return;
+
+        // Only candles both symbols have
+        const pairs = returns
+          .filter(r => benchmarkReturns.has(r.timestamp))
+          .map(r => [r.value, benchmarkReturns.get(r.timestamp)]);
+
+        const windows = {};
+        this.options.windows.forEach(size => {
+          windows[this.formatWindow(size)] = CorrelationEngine.regress(pairs.slice(-size), this.options.minSamples);
+        });
+
+        const primary = windows[this.formatWindow(this.options.primaryWindow)];
+        const entry = {
+          windows,
+          correlation: primary ? primary.correlation : null,
+          beta: primary ? primary.beta : null,
+          ...this.getRecentMove(pairs, primary)
+        };
+
+        benchmarks[benchmark.symbol] = entry;
+        if (entry.followsBenchmark && !followsBenchmark) {
+          followsBenchmark = benchmark.symbol;
+        }
+      });
+
+    if (Object.keys(benchmarks).length === 0) return null;
+
+    return {
+      interval: this.options.interval,
+      primaryWindow: this.formatWindow(this.options.primaryWindow),
+      benchmarks,
+      followsBenchmark, // First benchmark whose recent move explains this symbol's move
+      updatedAt: Date.now()
+    };
+  }
+
+  // Simple returns of closed candles, oldest first
+  getReturns(key) {
+    const candles = (this.getCandles(key, this.options.interval) || []).filter(candle => candle.confirmed !== false);
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      const previousClose = candles[i - 1].close;
+      if (previousClose > 0) {
+        returns.push({ timestamp: candles[i].timestamp, value: candles[i].close / previousClose - 1 });
+      }
+    }
+    return returns;
+  }
+
+  /**
+   * Compare the last few candles' move with what beta predicts from the benchmark
+   * @param {Array} pairs - [[symbolReturn, benchmarkReturn]], oldest first
+   * @param {Object} primary - Regression of the primary window
+   */
+  getRecentMove(pairs, primary) {
+    const recent = pairs.slice(-this.options.followCandles);
+    if (recent.length === 0 || !primary) {
+      return { move: null, benchmarkMove: null, expectedMove: null, residualMove: null, followsBenchmark: false };
+    }
+
+    const compound = values => values.reduce((total, value) => total * (1 + value), 1) - 1;
+    const move = compound(recent.map(([value]) => value));
+    const benchmarkMove = compound(recent.map(([, value]) => value));
+    const expectedMove = primary.beta * benchmarkMove;
+    const residualMove = move - expectedMove;
+
+    const followsBenchmark = Math.abs(benchmarkMove) >= this.options.minBenchmarkMove &&
+      primary.correlation >= this.options.minCorrelation &&
+      Math.sign(move) === Math.sign(benchmarkMove) &&
+      Math.abs(residualMove) <= Math.abs(move) * this.options.maxResidualShare;
+
+    return { move, benchmarkMove, expectedMove, residualMove, followsBenchmark };
+  }
+
+  formatWindow(size) {
+    const minutes = size * (INTERVAL_MINUTES[this.options.interval] || 1);
+    return minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+  }
+
+  clear(key) {
+    this.cache.delete(key);
+  }
+
+  /**
+   * Pearson correlation and OLS beta of symbol returns on benchmark returns
+   * @param {Array} pairs - [[symbolReturn, benchmarkReturn]]
+   * @returns {Object|null} { correlation, beta, samples }
+   */
+  static regress(pairs, minSamples = 2) {
+    const n = pairs.length;
+    if (n < Math.max(minSamples, 2)) return null;
+
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    pairs.forEach(([x, y]) => {
+      covariance += (x - meanX) * (y - meanY);
+      varianceX += (x - meanX) ** 2;
+      varianceY += (y - meanY) ** 2;
+    });
+
+    if (varianceX === 0 || varianceY === 0) return null;
+
+    return {
+      correlation: covariance / Math.sqrt(varianceX * varianceY),
+      beta: covariance / varianceY, // Symbol move per unit of benchmark move
+      samples: n
+    };
+  }
+}
+
+CorrelationEngine.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = CorrelationEngine;
@@ -0,0 +1,254 @@
+/**
+ * Detector Registry
+ * Holds the signal detectors the scanner, filter settings and backtests run from
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Data a detector can ask for; evaluation is skipped while any declared input is missing
+const INPUTS = {
+  ticker: 'Latest ticker record (price, 24h volume/change, ...)',
+  candles: 'Recent 1m candles, newest first, as [timestamp, open, high, low, close, volume]',
+  orderBook: 'Top of book levels { b, a } plus the local OrderBook as `book`',
+  trades: 'TradeTape of recent public trades',
+  orderBookActivity: 'SpoofTracker with large orders added and pulled near the touch',
+  openInterest: 'Open interest { openInterest, openInterestValue, change, priceChange } over the OI window',
+  funding: 'Funding { rate, nextFundingTime }',
+  liquidations: 'Liquidations within the liquidation window, oldest first',
+  volatility: 'Volatility regime { atr, atrPercent, realizedVolatility, percentile, regime } and 1m sigmas { returnSigma, volumeMean, volumeSigma }'
+};
+
+const PARAM_TYPES = ['number', 'boolean', 'string'];
+
+function toFlag(id) {
+  return id.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * A detector module exports:
+ *
+ *   id            - Signal type, e.g. 'volume_spike'
+ *   order         - Optional position in filter lists; detectors without one come last
+ *   inputs        - Keys of INPUTS the detector needs
+ *   params        - { name: { type, default, min, max, description } }; names are scanner filter
+ *                   keys and must be unique across detectors
+ *   enabledParam  - Optional boolean param that switches the detector on and off
+ *   display       - { icon, label, severity }
+ *   evaluate(context, params)          - Result object when the detector fires, otherwise null
+ *   formatThreshold(params, context)   - Optional threshold text for the filter list
+ *   describe(result, context, params)  - Optional { description, actualValue, icon, label } for the filter list
+ *   marketFields(result)               - Optional extra fields merged into the symbol's market data
+ *                                        while it has signals (kept for older API clients)
+ */
+class DetectorRegistry {
+  constructor() {
+    this.detectors = new Map(); // id -> detector, in registration order
+  }
+
+  // Register every detector module in a directory (index.js excluded)
+  loadDirectory(dir) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js') && file !== 'index.js')
+      .sort()
+      .forEach(file => this.register(require(path.join(dir, file))));
+    return this;
+  }
+
+  register(detector) {
+    this.validateDetector(detector);
+    if (this.detectors.has(detector.id)) {
+      throw new Error(`Detector already registered: ${detector.id}`);
+    }
+
+    this.detectors.set(detector.id, {
+      flag: toFlag(detector.id),
+      params: {},
+      ...detector
+    });
+    return this;
+  }
+
+  unregister(id) {
+    return this.detectors.delete(id);
+  }
+
+  validateDetector(detector) {
+    if (!detector || typeof detector.id !== 'string' || !detector.id) {
+      throw new Error('Detector needs an id');
+    }
+    if (typeof detector.evaluate !== 'function') {
+      throw new Error(`Detector ${detector.id} needs an evaluate function`);
+    }
+    if (!detector.display || !detector.display.label) {
+      throw new Error(`Detector ${detector.id} needs display metadata with a label`);
+    }
+
+    const unknownInputs = (detector.inputs || []).filter(input => !INPUTS[input]);
+    if (unknownInputs.length > 0) {
+      throw new Error(`Detector ${detector.id} has unknown inputs: ${unknownInputs.join(', ')}`);
+    }
+
+    Object.entries(detector.params || {}).forEach(([name, schema]) => {
+      if (!PARAM_TYPES.includes(schema.type)) {
+        throw new Error(`Detector ${detector.id} param ${name} has unknown type: ${schema.type}`);
+      }
+      const owner = this.findParamOwner(name);
+      if (owner && owner.id !== detector.id) {
+        throw new Error(`Detector ${detector.id} param ${name} is already used by ${owner.id}`);
+      }
+    });
+
+    if (detector.enabledParam && (detector.params || {})[detector.enabledParam]?.type !== 'boolean') {
+      throw new Error(`Detector ${detector.id} enabledParam must be a boolean param`);
+    }
+  }
+
+  findParamOwner(name) {
+    return Array.from(this.detectors.values()).find(detector => name in detector.params) || null;
+  }
+
+  get(id) {
+    return this.detectors.get(id) || null;
+  }
+
+  getAll() {
+    return Array.from(this.detectors.values())
+      .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+  }
+
+  // Detectors that only need the given inputs, e.g. ['candles'] for backtests
+  getRunnable(availableInputs) {
+    return this.getAll().filter(detector => (detector.inputs || []).every(input => availableInputs.includes(input)));
+  }
+
+  // Flat { param: default } of every detector, the shape of MarketDataService#scannerFilters
+  getDefaults() {
+    const defaults = {};
+    this.getAll().forEach(detector => {
+      Object.entries(detector.params).forEach(([name, schema]) => {
+        defaults[name] = schema.default;
+      });
+    });
+    return defaults;
+  }
+
+  getParams(detector, values = {}) {
+    const params = {};
+    Object.entries(detector.params).forEach(([name, schema]) => {
+      params[name] = values[name] !== undefined ? values[name] : schema.default;
+    });
+    return params;
+  }
+
+  isEnabled(detector, values = {}) {
+    return !detector.enabledParam || this.getParams(detector, values)[detector.enabledParam] !== false;
+  }
+
+  /**
+   * Check filter values against the param schemas; keys no detector declares are ignored
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateParams(values = {}) {
+    const errors = [];
+    Object.entries(values).forEach(([name, value]) => {
+      const owner = this.findParamOwner(name);
+      if (!owner) return;
+
+      const schema = owner.params[name];
+      if (typeof value !== schema.type || (schema.type === 'number' && isNaN(value))) {
+        errors.push(`${name} must be a ${schema.type}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${name} must be at least ${schema.min}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${name} must be at most ${schema.max}`);
+      }
+    });
+    return errors;
+  }
+
+  hasInputs(detector, context) {
+    return (detector.inputs || []).every(input => context[input] !== null && context[input] !== undefined);
+  }
+
+  /**
+   * Run every detector against one symbol
+   * @param {Object} context - Inputs (see INPUTS) plus helpers the detectors use
+   * @param {Object} values - Flat filter values (scanner filters or backtest filters)
+   * @param {Array} ids - Optional subset of detector ids to run
+   * @returns {Array} [{ detector, params, enabled, result }], result null when the detector did not fire
+   */
+  evaluate(context, values = {}, ids = null) {
+    return this.getAll()
+      .filter(detector => !ids || ids.includes(detector.id))
+      .map(detector => {
+        const params = this.getParams(detector, values);
+        const enabled = this.isEnabled(detector, values);
+        let result = null;
+
+        if (enabled && this.hasInputs(detector, context)) {
+          try {
+            result = detector.evaluate(context, params) || null;
+          } catch (error) {
+            console.error(`❌ Detector ${detector.id} failed:`, error.message);
+          }
+        }
+
+        return { detector, params, enabled, result };
+      });
+  }
+
+  /**
+   * Filter entry for display (getMarketData allFilters)
+   * @param {Object} evaluation - Entry from evaluate()
+   * @param {Object} context - Context the detector was evaluated with
+   * @param {boolean} idle - Symbol has not been evaluated yet, show only the threshold
+   */
+  toFilter({ detector, params, result }, context = {}, idle = false) {
+    const { icon, label, severity = 'medium' } = detector.display;
+    const described = !idle && detector.describe ? detector.describe(result, context, params) || {} : {};
+
+    return {
+      type: detector.id,
+      icon: described.icon || icon,
+      label: described.label || label,
+      description: described.description || 'No data available',
+      severity: result ? (described.severity || severity) : 'inactive',
+      threshold: detector.formatThreshold ? detector.formatThreshold(params, context) : '',
+      actualValue: described.actualValue !== undefined ? described.actualValue : 'N/A',
+      isActive: !!result
+    };
+  }
+
+  // Extra market data fields of every detector, from evaluate() entries
+  getMarketFields(evaluations) {
+    return evaluations.reduce((fields, { detector, result }) =>
+      (detector.marketFields ? { ...fields, ...detector.marketFields(result) } : fields), {});
+  }
+
+  // Filter list for symbols that have not been evaluated yet
+  getIdleFilters(values = {}, context = {}) {
+    return this.getAll().map(detector =>
+      this.toFilter({ detector, params: this.getParams(detector, values), result: null }, context, true));
+  }
+
+  // Schema and current values for the filter settings endpoint
+  describe(values = {}) {
+    return this.getAll().map(detector => ({
+      id: detector.id,
+      flag: detector.flag,
+      inputs: detector.inputs || [],
+      display: detector.display,
+      enabledParam: detector.enabledParam || null,
+      enabled: this.isEnabled(detector, values),
+      params: Object.fromEntries(Object.entries(detector.params).map(([name, schema]) => [
+        name,
+        { ...schema, value: values[name] !== undefined ? values[name] : schema.default }
+      ]))
+    }));
+  }
+}
+
+DetectorRegistry.INPUTS = INPUTS;
+
+module.exports = DetectorRegistry;
@@ -0,0 +1,152 @@
+/**
+ * Direction Model
+ * Weighs the directional evidence of the firing detectors and the moving
+ * average trend into LONG, SHORT or NO_TRADE, with the inputs that drove it
+ */
+
+const DEFAULT_OPTIONS = {
+  // Weight of each detector's vote; detectors without a direction are not listed
+  weights: {
+    price_breakout: 1.0,
+    spoof_detection: 0.6,
+    whale_alert: 0.8,
+    order_spoofing: 0.5,
+    liquidity_imbalance: 0.3,
+    oi_surge: 0.7,
+    extreme_funding: 0.5,
+    liquidation_cascade: 0.6,
+    trend: 1.0,
+    change24h: 0.2
+  },
+  volumeConfirmation: 1.5, // A volume spike multiplies the breakout's weight
+  minScore: 0.8, // Net weighted votes needed for a direction
+  minAgreement: 0.6 // Share of the weight that must point the same way
+};
+
+// Sign of each detector's direction (+1 long, -1 short)
+const DIRECTION_SIGNS = { up: 1, buy: 1, bullish: 1, down: -1, sell: -1, bearish: -1 };
+
+class DirectionModel {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      weights: { ...DEFAULT_OPTIONS.weights, ...(options.weights || {}) }
+    };
+  }
+
+  /**
+   * Decide the direction of a signal
+   * @param {Object} evidence - { detectorResults: { detectorId: result }, trend: CandlestickService#analyzeTrend result, change24h }
+   * @returns {Object} { direction, score, agreement, inputs: [{ source, vote, weight, reason }], explanation }
+   *   score is the net weighted vote (positive = long), agreement the share of weight behind the winning side
+   */
+  evaluate({ detectorResults = {}, trend = null, change24h = null } = {}) {
+    const { weights } = this.options;
+    const inputs = [];
+
+    Object.entries(detectorResults).forEach(([id, result]) => {
+      const vote = DirectionModel.getVote(id, result);
+      if (!vote || !weights[id]) return;
+
+      const confirmed = id === 'price_breakout' && detectorResults.volume_spike;
+      inputs.push({
+        source: id,
+        vote: vote.sign,
+        weight: weights[id] * (confirmed ? this.options.volumeConfirmation : 1),
+        reason: confirmed ? `${vote.reason}, confirmed by volume` : vote.reason
+      });
+    });
+
+    // Trend weight scales with how many moving averages agree
+    if (trend && trend.overall !== 'neutral') {
+      const votes = trend.consensus.bullish + trend.consensus.bearish + trend.consensus.neutral;
+      const agreeing = trend.consensus[trend.overall];
+      inputs.push({
+        source: 'trend',
+        vote: trend.overall === 'bullish' ? 1 : -1,
+        weight: weights.trend * (votes > 0 ? agreeing / votes : 0),
+        reason: `${trend.overall} trend (${agreeing}/${votes} moving averages)`
+      });
+    }
+
+    if (typeof change24h === 'number' && change24h !== 0 && weights.change24h) {
+      inputs.push({
+        source: 'change24h',
+        vote: change24h > 0 ? 1 : -1,
+        weight: weights.change24h,
+        reason: `24h change ${change24h > 0 ? '+' : ''}${(change24h * 100).toFixed(2)}%`
+      });
+    }
+
+    const totalWeight = inputs.reduce((sum, input) => sum + input.weight, 0);
+    const score = inputs.reduce((sum, input) => sum + input.vote * input.weight, 0);
+    const agreement = totalWeight > 0 ? (totalWeight + Math.abs(score)) / (2 * totalWeight) : 0;
+
+    let direction = 'NO_TRADE';
+    if (Math.abs(score) >= this.options.minScore && agreement >= this.options.minAgreement) {
+      direction = score > 0 ? 'LONG' : 'SHORT';
+    }
+
+    const rounded = value => parseFloat(value.toFixed(3));
+    const roundedInputs = inputs
+      .map(input => ({ ...input, weight: rounded(input.weight) }))
+      .sort((a, b) => b.weight - a.weight);
+
+    return {
+      direction,
+      score: rounded(score),
+      agreement: rounded(agreement),
+      inputs: roundedInputs,
+      explanation: this.explain(direction, score, agreement, roundedInputs)
+    };
+  }
+
+  explain(direction, score, agreement, inputs) {
+    if (inputs.length === 0) return 'NO_TRADE: no directional evidence';
+
+    const side = vote => inputs.filter(input => input.vote === vote).map(input => `${input.reason} (${input.weight})`);
+    const longs = side(1);
+    const shorts = side(-1);
+    const parts = [
+      longs.length > 0 ? `long: ${longs.join(', ')}` : null,
+      shorts.length > 0 ? `short: ${shorts.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+
+    if (direction === 'NO_TRADE') {
+      const reason = Math.abs(score) < this.options.minScore
+        ? `net score ${score.toFixed(2)} below ${this.options.minScore}`
+        : `only ${(agreement * 100).toFixed(0)}% agreement`;
+      return `NO_TRADE: ${reason} (${parts})`;
+    }
+    return `${direction} (score ${score.toFixed(2)}, ${(agreement * 100).toFixed(0)}% agreement): ${parts}`;
+  }
+
+  /**
+   * Directional vote of one detector result
+   * @returns {Object|null} { sign, reason }, null when the result has no direction
+   */
+  static getVote(id, result) {
+    if (!result) return null;
+
+    // Bid walls hold price up, ask walls cap it; the larger side wins
+    if (id === 'liquidity_imbalance') {
+      const size = walls => (walls || []).reduce((sum, wall) => sum + wall.volume * wall.price, 0);
+      const bids = size(result.walls?.buy);
+      const asks = size(result.walls?.sell);
+      if (bids === asks) return null;
+      return { sign: bids > asks ? 1 : -1, reason: `${bids > asks ? 'bid' : 'ask'} walls dominate` };
+    }
+
+    const sign = DIRECTION_SIGNS[result.direction];
+    if (!sign) return null;
+    return { sign, reason: `${id.replace(/_/g, ' ')} ${result.direction}` };
+  }
+}
+
+DirectionModel.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = DirectionModel;
@@ -0,0 +1,122 @@
+/**
+ * Exchange Adapter
+ * Base interface between MarketDataService and a market data source
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Adapters expose the subset of the Bybit V5 REST client used by the
+ * services (responses keep Bybit's { retCode, retMsg, result } shape) and
+ * stream raw WebSocket messages through the following events:
+ *
+ * - 'update'   (message)  raw topic message, e.g. { topic, type, ts, data }
+ * - 'open'                stream connected
+ * - 'close'               stream disconnected
+ * - 'reconnected'         stream came back after a drop
+ * - 'end'                 finite source (replay) has no more messages
+ * - 'response' (data)     subscription acknowledgements
+ * - 'error'    (error)
+ */
+class ExchangeAdapter extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.subscriptions = new Set(); // `${category}:${topic}` keys
+  }
+
+  /**
+   * Open the streaming connection
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    throw new Error(`${this.name} adapter does not implement connect()`);
+  }
+
+  /**
+   * Close the streaming connection and release timers
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    throw new Error(`${this.name} adapter does not implement disconnect()`);
+  }
+
+  /**
+   * Subscribe to one or more topics
+   * @param {string|Array<string>} topics - Bybit topic names
+   * @param {string} category - Bybit product category
+   * @returns {Promise<void>}
+   */
+  async subscribe(topics, category = 'linear') {
+    this.toTopicList(topics).forEach(topic => this.subscriptions.add(`${category}:${topic}`));
+  }
+
+  /**
+   * Unsubscribe from one or more topics
+   * @param {string|Array<string>} topics - Bybit topic names
+   * @param {string} category - Bybit product category
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(topics, category = 'linear') {
+    this.toTopicList(topics).forEach(topic => this.subscriptions.delete(`${category}:${topic}`));
+  }
+
+  async getServerTime() {
+    throw new Error(`${this.name} adapter does not implement getServerTime()`);
+  }
+
+  async getInstrumentsInfo(params) {
+    throw new Error(`${this.name} adapter does not implement getInstrumentsInfo()`);
+  }
+
+  async getTickers(params) {
+    throw new Error(`${this.name} adapter does not implement getTickers()`);
+  }
+
+  async getKline(params) {
+    throw new Error(`${this.name} adapter does not implement getKline()`);
+  }
+
+  toTopicList(topics) {
+    return Array.isArray(topics) ? topics : [topics];
+  }
+
+  /**
+   * Product category a stream message belongs to
+   * @param {Object} message - Raw message; replays carry `category`, bybit-api tags live ones with `wsKey` (e.g. "v5SpotPublic")
+   * @returns {string} 'linear' | 'spot' | 'inverse' | 'option'
+   */
+  static getCategory(message) {
+    if (message.category) return message.category;
+
+    const wsKey = (message.wsKey || '').toLowerCase();
+    if (wsKey.includes('spot')) return 'spot';
+    if (wsKey.includes('inverse')) return 'inverse';
+    if (wsKey.includes('option')) return 'option';
+    return 'linear';
+  }
+
+  /**
+   * Quote-currency (USD/USDT) value of a trade, order or liquidation
+   * @param {number} price - Price
+   * @param {number} size - Quantity as the exchange reports it
+   * @param {string} category - Product category; inverse contracts are sized in USD, so size is the notional
+   * @returns {number}
+   */
+  static notional(price, size, category = 'linear') {
+    return category === 'inverse' ? size : price * size;
+  }
+
+  /**
+   * 24h turnover of a ticker in the quote currency
+   * @param {Object} ticker - Raw or parsed ticker with volume24h and turnover24h
+   * @param {string} category - Product category; inverse tickers report volume in USD and turnover in the base coin
+   * @returns {number}
+   */
+  static quoteTurnover(ticker, category = 'linear') {
+    const value = parseFloat(category === 'inverse' ? ticker.volume24h : ticker.turnover24h);
+    return Number.isFinite(value) ? value : 0;
+  }
+}
+
+module.exports = ExchangeAdapter;
@@ -0,0 +1,248 @@
+/**
+ * Instrument Registry
+ * Exchange trading rules per symbol (tick size, lot size, leverage limits,
+ * funding interval, status) from getInstrumentsInfo, refreshed on a schedule,
+ * with helpers that round prices, quantities and leverage to valid values
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_OPTIONS = {
+  categories: ['linear'],
+  refreshIntervalMs: 15 * 60 * 1000
+};
+
+/**
+ * Events:
+ *   'refresh' { category, count } - a category's instruments were reloaded
+ */
+class InstrumentRegistry extends EventEmitter {
+  /**
+   * @param {Object} exchange - Anything with getInstrumentsInfo (exchange adapter or RestClientV5)
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(exchange, options = {}) {
+    super();
+    this.exchange = exchange;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.instruments = new Map(); // `${category}:${symbol}` -> normalized instrument
+    this.lastRefresh = new Map(); // category -> time of the last successful refresh
+    this.refreshTimer = null;
+    this.refreshing = null; // Pending refresh, shared by concurrent callers
+  }
+
+  start() {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('❌ Instrument registry refresh failed:', error.message));
+    }, this.options.refreshIntervalMs);
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Reload every category; a category that fails keeps its previous instruments
+   * @returns {Promise<number>} Instruments known after the refresh
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.refreshCategories().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async refreshCategories() {
+    for (const category of this.options.categories) {
+      try {
+        const list = await this.fetchInstruments(category);
+
+        Array.from(this.instruments.keys())
+          .filter(key => key.startsWith(`${category}:`))
+          .forEach(key => this.instruments.delete(key));
+        list.forEach(raw => {
+          const instrument = InstrumentRegistry.normalize(raw, category);
+          this.instruments.set(`${category}:${instrument.symbol}`, instrument);
+        });
+
+        this.lastRefresh.set(category, Date.now());
+        this.emit('refresh', { category, count: list.length });
+      } catch (error) {
+        console.error(`❌ Failed to load ${category} instruments:`, error.message);
+      }
+    }
+    return this.instruments.size;
+  }
+
+  // Load once if nothing has been loaded yet (backtests without a running scanner)
+  async ensureLoaded() {
+    if (this.lastRefresh.size === 0) {
+      await this.refresh();
+    }
+  }
+
+  async fetchInstruments(category) {
+    const list = [];
+    let cursor;
+
+    // Bybit pages the instrument list
+    do {
+      const response = await this.exchange.getInstrumentsInfo({
+        category,
+        limit: 1000,
+        ...(cursor ? { cursor } : {})
+      });
+
+      if (response.retCode !== 0) {
+        throw new Error(response.retMsg);
+      }
+
+      list.push(...response.result.list.filter(instrument => instrument.symbol));
+      cursor = response.result.nextPageCursor;
+    } while (cursor);
+
+    return list;
+  }
+
+  /**
+   * @returns {Object|null} Normalized instrument (see normalize), null when unknown
+   */
+  get(symbol, category = 'linear') {
+    return this.instruments.get(`${category}:${symbol}`) || null;
+  }
+
+  getAll(category = null) {
+    return Array.from(this.instruments.values())
+      .filter(instrument => !category || instrument.category === category);
+  }
+
+  getStatus() {
+    const categories = {};
+    this.options.categories.forEach(category => {
+      categories[category] = {
+        count: this.getAll(category).length,
+        lastRefresh: this.lastRefresh.get(category) || null
+      };
+    });
+
+    return {
+      categories,
+      refreshIntervalMs: this.options.refreshIntervalMs,
+      isRunning: !!this.refreshTimer
+    };
+  }
+
+  /**
+   * Round a price to the symbol's tick size
+   * @returns {number} The price unchanged when the tick size is unknown
+   */
+  roundPrice(symbol, price, category = 'linear') {
+    const tickSize = this.get(symbol, category)?.tickSize;
+    return tickSize ? InstrumentRegistry.roundToStep(price, tickSize) : price;
+  }
+
+  /**
+   * Round an order quantity down to the symbol's lot size
+   * @param {number} price - Optional price, to check the minimum order value
+   * @returns {number} Quantity capped at maxOrderQty; 0 when it is below minOrderQty or the
+   *   minimum order value, i.e. the order could not be placed. Unchanged when the symbol is unknown
+   */
+  roundQty(symbol, qty, category = 'linear', price = null) {
+    const instrument = this.get(symbol, category);
+    if (!instrument || !Number.isFinite(qty)) return qty;
+
+    let rounded = instrument.qtyStep ? InstrumentRegistry.roundToStep(qty, instrument.qtyStep, Math.floor) : qty;
+    if (instrument.maxOrderQty && rounded > instrument.maxOrderQty) {
+      rounded = instrument.qtyStep
+        ? InstrumentRegistry.roundToStep(instrument.maxOrderQty, instrument.qtyStep, Math.floor)
+        : instrument.maxOrderQty;
+    }
+
+    if (instrument.minOrderQty && rounded < instrument.minOrderQty) return 0;
+    if (instrument.minNotional && price > 0 && rounded * price < instrument.minNotional) return 0;
+    return rounded;
+  }
+
+  /**
+   * Clamp leverage to the symbol's range and step
+   * @returns {number} 1 for instruments without leverage (spot); unchanged when the symbol is unknown
+   */
+  clampLeverage(symbol, leverage, category = 'linear') {
+    const instrument = this.get(symbol, category);
+    if (!instrument) return leverage;
+    if (!instrument.maxLeverage) return 1;
+
+    const clamped = Math.min(Math.max(leverage, instrument.minLeverage || 1), instrument.maxLeverage);
+    return instrument.leverageStep
+      ? InstrumentRegistry.roundToStep(clamped, instrument.leverageStep, Math.floor)
+      : clamped;
+  }
+
+  /**
+   * Exchange instrument info as numbers; fields the category does not have are null
+   * @param {Object} raw - getInstrumentsInfo list entry
+   * @param {string} category - Market category
+   */
+  static normalize(raw, category) {
+    const number = value => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+    const priceFilter = raw.priceFilter || {};
+    const lotSizeFilter = raw.lotSizeFilter || {};
+    const leverageFilter = raw.leverageFilter || {};
+
+    return {
+      symbol: raw.symbol,
+      category,
+      status: raw.status || null,
+      baseCoin: raw.baseCoin || null,
+      quoteCoin: raw.quoteCoin || null,
+      contractType: raw.contractType || null,
+      tickSize: number(priceFilter.tickSize),
+      minPrice: number(priceFilter.minPrice),
+      maxPrice: number(priceFilter.maxPrice),
+      // Spot lots are in basePrecision steps
+      qtyStep: number(lotSizeFilter.qtyStep ?? lotSizeFilter.basePrecision),
+      minOrderQty: number(lotSizeFilter.minOrderQty),
+      maxOrderQty: number(lotSizeFilter.maxOrderQty ?? lotSizeFilter.maxMktOrderQty),
+      minNotional: number(lotSizeFilter.minNotionalValue ?? lotSizeFilter.minOrderAmt),
+      minLeverage: number(leverageFilter.minLeverage),
+      maxLeverage: number(leverageFilter.maxLeverage),
+      leverageStep: number(leverageFilter.leverageStep),
+      fundingIntervalMinutes: number(raw.fundingInterval),
+      launchTime: number(raw.launchTime)
+    };
+  }
+
+  /**
+   * Round a value to a multiple of step without float noise
+   * @param {number} value - Value
+   * @param {number|string} step - Step, e.g. a tick size or lot size
+   * @param {Function} method - Math.round, Math.floor or Math.ceil
+   * @returns {number}
+   */
+  static roundToStep(value, step, method = Math.round) {
+    const size = parseFloat(step);
+    if (!Number.isFinite(value) || !(size > 0)) return value;
+
+    // Decimals of the step, e.g. 0.25 -> 2, 1e-7 -> 7
+    const [mantissa, exponent] = size.toExponential().split('e');
+    const decimals = Math.max(0, (mantissa.split('.')[1] || '').length - parseInt(exponent));
+    // Trimming to 12 digits keeps floor/ceil from losing a step on 0.3 / 0.1 = 2.9999999999999996
+    const steps = method(parseFloat((value / size).toPrecision(12)));
+    return parseFloat((steps * size).toFixed(decimals));
+  }
+}
+
+InstrumentRegistry.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = InstrumentRegistry;
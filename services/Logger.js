@@ -0,0 +1,60 @@
+/**
+ * Logger
+ * Console logging with a configurable level (error, warn, info, debug)
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+let warnedEnvLevel = null;
+
+// LOG_LEVEL in any case; an unknown value falls back to info instead of stopping the server
+function levelFromEnv() {
+  const value = process.env.LOG_LEVEL;
+  if (!value) return 'info';
+
+  const level = value.trim().toLowerCase();
+  if (level in LEVELS) return level;
+
+  if (warnedEnvLevel !== value) {
+    warnedEnvLevel = value;
+    console.warn(`⚠️ Unknown LOG_LEVEL "${value}" (expected ${Object.keys(LEVELS).join(', ')}), using info`);
+  }
+  return 'info';
+}
+
+class Logger {
+  constructor(level = levelFromEnv()) {
+    this.setLevel(level);
+  }
+
+  setLevel(level) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  error(...args) {
+    if (this.isEnabled('error')) console.error(...args);
+  }
+
+  warn(...args) {
+    if (this.isEnabled('warn')) console.warn(...args);
+  }
+
+  info(...args) {
+    if (this.isEnabled('info')) console.log(...args);
+  }
+
+  debug(...args) {
+    if (this.isEnabled('debug')) console.log(...args);
+  }
+}
+
+Logger.LEVELS = Object.keys(LEVELS);
+
+module.exports = Logger;
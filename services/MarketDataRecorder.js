@@ -0,0 +1,211 @@
+/**
+ * Market Data Recorder
+ * Captures the raw market data stream to rotating, gzipped NDJSON files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+/**
+ * Each recording session gets its own directory:
+ *
+ *   <dir>/<session>/index.json
+ *   <dir>/<session>/<category>/<topic>/<firstReceivedAt>-<seq>.ndjson.gz
+ *
+ * Lines use the format ReplayExchangeAdapter reads:
+ *   {"receivedAt":<ms>,"category":"linear","message":<raw message>}
+ *
+ * index.json lists the segments per symbol and topic with their time range
+ * and message count, so a session can be searched without decompressing it.
+ */
+class MarketDataRecorder {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.RECORDINGS_DIR || path.join(__dirname, '../data/recordings'));
+    this.topicPrefixes = options.topicPrefixes || ['tickers', 'kline', 'orderbook', 'publicTrade', 'allLiquidation', 'liquidation'];
+    this.rotateIntervalMs = options.rotateIntervalMs || 60 * 60 * 1000; // New segment every hour
+    this.maxSegmentBytes = options.maxSegmentBytes || 64 * 1024 * 1024; // ...or every 64MB uncompressed
+    this.flushIntervalMs = options.flushIntervalMs || 5000;
+
+    this.exchange = null;
+    this.sessionDir = null;
+    this.segments = new Map(); // Open segment per `${category}:${topic}`
+    this.index = null;
+    this.isRecording = false;
+    this.flushTimer = null;
+    this.indexDirty = false;
+    this.messageCount = 0;
+    this.segmentCount = 0;
+
+    this.handleUpdate = this.handleUpdate.bind(this);
+  }
+
+  /**
+   * Start recording the raw stream of a MarketDataService
+   * @param {MarketDataService} marketDataService - Service whose exchange stream is recorded
+   */
+  start(marketDataService) {
+    if (this.isRecording) return;
+
+    const session = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    this.sessionDir = path.join(this.dir, session);
+    fs.mkdirSync(this.sessionDir, { recursive: true });
+
+    this.index = {
+      version: 1,
+      session,
+      startedAt: Date.now(),
+      stoppedAt: null,
+      symbols: {}
+    };
+
+    this.exchange = marketDataService.exchange;
+    this.exchange.on('update', this.handleUpdate);
+    this.isRecording = true;
+
+    this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+
+    console.log(`⏺️ Recording market data to ${this.sessionDir}`);
+  }
+
+  async stop() {
+    if (!this.isRecording) return;
+
+    this.isRecording = false;
+    this.exchange.removeListener('update', this.handleUpdate);
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+
+    await Promise.all(Array.from(this.segments.keys()).map(key => this.closeSegment(key)));
+
+    this.index.stoppedAt = Date.now();
+    this.writeIndex();
+
+    console.log(`⏹️ Recording stopped: ${this.messageCount} messages in ${this.sessionDir}`);
+  }
+
+  handleUpdate(message) {
+    if (!this.isRecording || !message || !message.topic) return;
+    if (!this.topicPrefixes.some(prefix => message.topic.startsWith(prefix))) return;
+
+    try {
+      const receivedAt = Date.now();
+      const category = ExchangeAdapter.getCategory(message);
+      const line = JSON.stringify({
+        receivedAt,
+        category,
+        message
+      }) + '\n';
+
+      // The same topic name exists per category (kline.1.BTCUSDT on linear and spot)
+      const segment = this.getSegment(category, message.topic, receivedAt);
+      segment.gzip.write(line);
+      segment.bytes += Buffer.byteLength(line);
+      segment.entry.lastReceivedAt = receivedAt;
+      segment.entry.messages++;
+
+      this.messageCount++;
+      this.indexDirty = true;
+    } catch (error) {
+      console.error(`❌ Error recording ${message.topic}:`, error.message);
+    }
+  }
+
+  getSegment(category, topic, receivedAt) {
+    const key = `${category}:${topic}`;
+    let segment = this.segments.get(key);
+
+    if (segment && (receivedAt - segment.entry.firstReceivedAt >= this.rotateIntervalMs || segment.bytes >= this.maxSegmentBytes)) {
+      this.closeSegment(key);
+      segment = null;
+    }
+
+    if (!segment) {
+      segment = this.openSegment(category, topic, receivedAt);
+      this.segments.set(key, segment);
+    }
+
+    return segment;
+  }
+
+  openSegment(category, topic, receivedAt) {
+    const topicDir = path.join(this.sessionDir, category, topic);
+    fs.mkdirSync(topicDir, { recursive: true });
+
+    // Sequence suffix keeps segments rotated within the same millisecond apart
+    this.segmentCount++;
+    const file = path.join(topicDir, `${receivedAt}-${this.segmentCount}.ndjson.gz`);
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(file);
+    gzip.pipe(output);
+
+    output.on('error', (error) => {
+      console.error(`❌ Error writing recording ${file}:`, error.message);
+    });
+
+    const entry = {
+      file: path.relative(this.sessionDir, file),
+      category,
+      firstReceivedAt: receivedAt,
+      lastReceivedAt: receivedAt,
+      messages: 0,
+      closed: false
+    };
+
+    // Index by symbol (last topic segment, e.g. "orderbook.50.BTCUSDT") and topic
+    const symbol = topic.split('.').pop();
+    const symbolIndex = this.index.symbols[symbol] || (this.index.symbols[symbol] = {});
+    (symbolIndex[topic] || (symbolIndex[topic] = [])).push(entry);
+
+    return { gzip, output, entry, bytes: 0 };
+  }
+
+  closeSegment(key) {
+    const segment = this.segments.get(key);
+    if (!segment) return Promise.resolve();
+
+    this.segments.delete(key);
+    segment.entry.closed = true;
+    this.indexDirty = true;
+
+    return new Promise(resolve => {
+      segment.output.on('close', resolve);
+      segment.output.on('error', resolve);
+      segment.gzip.end();
+    });
+  }
+
+  // Sync-flush open segments so they are readable up to this point, then persist the index
+  flush() {
+    this.segments.forEach(segment => segment.gzip.flush());
+
+    if (this.indexDirty) {
+      this.writeIndex();
+    }
+  }
+
+  writeIndex() {
+    try {
+      const indexFile = path.join(this.sessionDir, 'index.json');
+      const tempFile = `${indexFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(this.index, null, 2));
+      fs.renameSync(tempFile, indexFile);
+      this.indexDirty = false;
+    } catch (error) {
+      console.error('❌ Error writing recording index:', error.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      sessionDir: this.sessionDir,
+      openSegments: this.segments.size,
+      messageCount: this.messageCount,
+      symbols: this.index ? Object.keys(this.index.symbols).length : 0
+    };
+  }
+}
+
+module.exports = MarketDataRecorder;
@@ -3,73 +3,205 @@
  * Handles real-time market data from Bybit API
  */
 
-const { RestClientV5, WebsocketClient } = require('bybit-api');
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const ExchangeAdapter = require('./ExchangeAdapter');
+const BybitExchangeAdapter = require('./BybitExchangeAdapter');
+const ReplayExchangeAdapter = require('./ReplayExchangeAdapter');
+const OrderBook = require('./OrderBook');
+const CandleAggregator = require('./CandleAggregator');
+const TradeTape = require('./TradeTape');
+const SpoofTracker = require('./SpoofTracker');
+const CorrelationEngine = require('./CorrelationEngine');
+const SectorHeatmap = require('./SectorHeatmap');
+const VolatilityRegime = require('./VolatilityRegime');
+const TimeSeriesStore = require('./TimeSeriesStore');
+const SupportResistanceService = require('./SupportResistanceService');
+const SymbolUniverse = require('./SymbolUniverse');
+const InstrumentRegistry = require('./InstrumentRegistry');
+const ConnectionSupervisor = require('./ConnectionSupervisor');
+const SignalScheduler = require('./SignalScheduler');
+const Logger = require('./Logger');
+const defaultDetectors = require('./detectors');
+
+const settingsFile = path.join(__dirname, '../data/settings.json');
+const AGGREGATED_INTERVALS = ['3m', '5m', '15m', '1h', '4h'];
+const DEFAULT_BACKFILL_DEPTH = 250; // Enough for the 200-period trend MA
+const DEFAULT_WHALE_DETECTION = {
+  minNotional: 100000, // Smallest print/cluster (USDT) treated as a whale
+  turnoverFraction: 0.0005, // ...raised to this share of 24h turnover on liquid symbols
+  clusterGapMs: 1000, // Same-side prints this close together form one cluster
+  alertWindowMs: 60000, // How long a whale print keeps the filter active
+  deltaWindowMs: 5 * 60 * 1000, // Window for the rolling buy/sell volume delta
+  symbols: {} // Per-symbol minNotional overrides
+};
+// Scanner settings per product category; only `marketData.categories` are subscribed
+const CATEGORY_DEFAULTS = {
+  linear: { quoteCoin: 'USDT', pinned: ['BTCUSDT', 'ETHUSDT'] },
+  spot: { quoteCoin: 'USDT', pinned: ['BTCUSDT', 'ETHUSDT'] },
+  inverse: { quoteCoin: 'USD', pinned: ['BTCUSD', 'ETHUSD'] }
+};
+const DEFAULT_DERIVATIVES = {
+  oiWindowMs: 15 * 60 * 1000, // Open interest change is measured over this window
+  liquidationWindowMs: 60 * 1000, // Liquidations within this window count towards a cascade
+  minCascadeEvents: 3 // A cascade needs at least this many liquidations
+};
+const DEFAULT_STORAGE = {
+  enabled: false,
+  tickerIntervalMs: 60 * 1000, // Ticker snapshots are persisted at most this often per symbol
+  detectorIntervalMs: 60 * 1000 // Unchanged detector outputs are persisted at most this often per symbol
+};
+const TICKER_SNAPSHOT_FIELDS = ['price', 'change24h', 'volume24h', 'turnover24h', 'fundingRate', 'nextFundingTime', 'openInterest', 'openInterestValue'];
+
+// Per-instrument state is keyed by category and symbol: BTCUSDT is both a linear perpetual and a spot pair
+function toMarketKey(category, symbol) {
+  return `${category}:${symbol}`;
+}
+
+function parseMarketKey(key) {
+  const separator = key.indexOf(':');
+  return { category: key.slice(0, separator), symbol: key.slice(separator + 1) };
+}
+
+// Pick the market data source: live Bybit (default) or recorded replay
+function createExchangeAdapter(options = {}) {
+  const type = options.type || process.env.EXCHANGE_ADAPTER || 'bybit';
+
+  switch (type) {
+    case 'bybit':
+      return new BybitExchangeAdapter(options);
+    case 'replay':
+      return new ReplayExchangeAdapter(options);
+    default:
+      throw new Error(`Unknown exchange adapter: ${type}`);
+  }
+}
 
 class MarketDataService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.client = new RestClientV5({
-      key: process.env.BYBIT_API_KEY,
-      secret: process.env.BYBIT_API_SECRET,
-      testnet: process.env.BYBIT_TESTNET === 'true'
-    });
+    // Exchange adapter provides both REST calls and the raw message stream
+    this.exchange = options.exchange || createExchangeAdapter(options.adapter);
+    this.client = this.exchange;
+    this.settings = options.settings || this.loadSettings();
     
-    this.wsClient = null;
     this.marketData = new Map();
     this.klineData = new Map();
-    this.volumeData = new Map();
     this.orderBookData = new Map();
-    this.signalData = new Map(); // Store detected signals for each symbol
+    this.orderBooks = new Map(); // Local order book per market key (OrderBook)
+    this.orderBookResubscribes = new Map(); // Last resubscribe time per market key after a sequence gap
+    this.maxCandles = 100; // Minimum candles kept per symbol and interval (raised to the backfill depth)
+    this.backfillQueue = []; // Market keys waiting for a REST kline backfill
+    this.isBackfilling = false;
+    this.lastKlineMessage = new Map(); // Last 1m kline message time per market key
+    this.tradeTapes = new Map(); // Rolling public trades per market key (TradeTape)
+    this.lastWhaleAlert = new Map(); // Start time of the last whale cluster announced per market key
+    this.whaleDetection = { ...DEFAULT_WHALE_DETECTION, ...(this.settings.marketData?.whaleDetection || {}) };
+    this.spoofTrackers = new Map(); // Large order add/cancel history per market key (SpoofTracker)
+    this.orderSpoofing = { ...SpoofTracker.DEFAULT_OPTIONS, ...(this.settings.marketData?.orderSpoofing || {}) };
+    this.derivativesSettings = { ...DEFAULT_DERIVATIVES, ...(this.settings.marketData?.derivatives || {}) };
+    this.openInterestHistory = new Map(); // market key -> [{ timestamp, openInterest, price }]
+    this.liquidations = new Map(); // market key -> recent liquidations, oldest first
+    this.categories = (this.settings.marketData?.categories || ['linear']).filter(category => CATEGORY_DEFAULTS[category]);
+    // Tick size, lot size and leverage limits of every instrument in the scanned categories
+    this.instrumentRegistry = new InstrumentRegistry(this.exchange, {
+      ...(this.settings.marketData?.instruments || {}),
+      categories: this.categories
+    });
+    // Top-N instruments per category by turnover and volatility that get full stream subscriptions
+    this.symbolUniverses = new Map(this.categories.map(category => [category, this.createSymbolUniverse(category)]));
+    this.subscribedSymbols = new Set(); // Market keys
+    // Detects dropped/stale streams; REST polling only runs while the stream is down
+    this.connectionSupervisor = new ConnectionSupervisor(this.exchange, this.settings.marketData?.connection || {});
+    // Build every interval the candlestick settings use from the 1m stream
+    const settingsIntervals = this.settings.candlestickLogic?.intervals || [];
+    this.candleAggregator = new CandleAggregator([...new Set([...AGGREGATED_INTERVALS, ...settingsIntervals])]);
+    this.signalData = new Map(); // Store detected signals for each market key
+    this.filterValues = new Map(); // Latest actual filter values per market key, with or without signals
+    // Correlation and beta to BTC/ETH from the stored candles
+    const correlationSettings = this.settings.marketData?.correlation || {};
+    const benchmarkCategory = correlationSettings.benchmarkCategory || 'linear';
+    this.correlationEngine = new CorrelationEngine(
+      (key, interval) => this.klineData.get(`${key}_${interval}`),
+      (correlationSettings.benchmarks || ['BTCUSDT', 'ETHUSDT']).map(symbol => ({ symbol, key: toMarketKey(benchmarkCategory, symbol) })),
+      correlationSettings
+    );
+    // ATR, realized volatility percentile and the sigmas behind volatility-unit thresholds
+    this.volatilityRegime = new VolatilityRegime(
+      (key, interval) => this.klineData.get(`${key}_${interval}`),
+      this.settings.marketData?.volatility || {}
+    );
+    // Sector returns, relative strength and breadth for the heatmap
+    this.sectorHeatmap = new SectorHeatmap(
+      (key, interval) => this.klineData.get(`${key}_${interval}`),
+      this.settings.marketData?.heatmap || {}
+    );
+    // Support/resistance zones from swings, volume nodes and round numbers
+    this.supportResistance = new SupportResistanceService(
+      (key, interval) => this.klineData.get(`${key}_${interval}`),
+      this.settings.candlestickLogic?.supportResistance || {}
+    );
+    // Closed candles, ticker snapshots and detector outputs are persisted so history survives restarts
+    this.storageSettings = { ...DEFAULT_STORAGE, ...(this.settings.marketData?.storage || {}) };
+    this.timeSeriesStore = options.timeSeriesStore !== undefined
+      ? options.timeSeriesStore
+      : (this.storageSettings.enabled ? new TimeSeriesStore(this.storageSettings) : null);
+    this.lastSnapshots = new Map(); // `${series}:${key}` -> { timestamp, signature } of the last persisted snapshot
+    // Updates only queue a symbol; filters are rebuilt in batches on the scheduler's cadence
+    const evaluationSettings = this.settings.marketData?.signalEvaluation || {};
+    this.logger = new Logger(); // LOG_LEVEL, info by default
+    this.signalScheduler = new SignalScheduler((key) => this.checkForSignalsAdvanced(key), evaluationSettings);
     this.isInitialized = false;
-    this.scannerFilters = {
-      volumeSpike: 1.005,   // 0.5% volume spike (ultra sensitive)
-      priceBreakout: 1.0005, // 0.05% price movement (ultra sensitive)
-      spoofDetection: true,
-      whaleAlerts: true,
-      liquidityImbalance: true
-    };
+    // Signal detectors (services/detectors); scanner filters are their flat params
+    this.detectors = options.detectors || defaultDetectors;
+    this.scannerFilters = this.detectors.getDefaults();
   }
 
   async initialize() {
     try {
+      if (this.timeSeriesStore) {
+        this.timeSeriesStore.start();
+      }
+
       // Test REST API connection first
       await this.testRestConnection();
       
-      // Initialize WebSocket connection
-      this.wsClient = new WebsocketClient({
-        key: process.env.BYBIT_API_KEY,
-        secret: process.env.BYBIT_API_SECRET,
-        testnet: process.env.BYBIT_TESTNET === 'true',
-        market: 'v5'
-      });
-
-      // Set up WebSocket event handlers
-      this.wsClient.on('update', (data) => {
+      // Set up exchange stream event handlers
+      this.exchange.on('update', (data) => {
         this.handleWebSocketUpdate(data);
       });
 
-      this.wsClient.on('open', () => {
-        // WebSocket connection opened
+      // Connection state, reconnects and staleness are handled by the supervisor
+      this.connectionSupervisor.on('down', () => {
+        this.startRestFallback();
       });
 
-      this.wsClient.on('close', () => {
-        // WebSocket connection closed
+      this.connectionSupervisor.on('up', () => {
+        this.stopRestFallback();
       });
 
-      this.wsClient.on('error', (error) => {
+      this.connectionSupervisor.start();
+
+      this.exchange.on('error', (error) => {
         console.error('WebSocket error:', error);
       });
 
-      this.wsClient.on('response', (data) => {
+      this.exchange.on('response', (data) => {
         // WebSocket response received
       });
 
+      // Initialize WebSocket connection
+      await this.exchange.connect();
+
       // Get initial market data
       await this.fetchInitialData();
       
-      // Start REST fallback as backup (will run alongside WebSocket)
-      await this.startRestFallback();
+      // Re-rank the symbol universe and reload instrument rules periodically
+      this.startUniverseRotation();
+      this.instrumentRegistry.start();
+      
+      this.signalScheduler.start();
       
       this.isInitialized = true;
       
@@ -88,6 +220,18 @@ class MarketDataService extends EventEmitter {
     }
   }
 
+  // Read data/settings.json (shared with the settings routes)
+  loadSettings() {
+    try {
+      return JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Error loading settings:', error.message);
+      }
+      return {};
+    }
+  }
+
   async testRestConnection() {
     try {
       const response = await this.client.getServerTime();
@@ -98,36 +242,37 @@ class MarketDataService extends EventEmitter {
     }
   }
 
+  createSymbolUniverse(category) {
+    const universeSettings = this.settings.marketData?.universe || {};
+    const categorySettings = universeSettings.categories?.[category] || {};
+    const { categories, ...sharedSettings } = universeSettings;
+
+    return new SymbolUniverse(this.exchange, this.instrumentRegistry, {
+      ...CATEGORY_DEFAULTS[category],
+      ...sharedSettings,
+      ...categorySettings,
+      category,
+      maxSymbols: categorySettings.maxSymbols || this.settings.scanner?.maxSymbols || 50
+    });
+  }
+
   async fetchInitialData() {
     try {
-      // Get all USDT perpetual symbols
-      const symbolsResponse = await this.client.getInstrumentsInfo({
-        category: 'linear',
-        baseCoin: 'USDT'
-      });
+      const instrumentCount = await this.instrumentRegistry.refresh();
+      console.log(`📐 Instrument registry: ${instrumentCount} instruments loaded`);
 
-      if (symbolsResponse.retCode === 0) {
-        const symbols = symbolsResponse.result.list
-          .filter(symbol => this.isValidSymbol(symbol.symbol))
-          .sort((a, b) => {
-            // Sort by priority first, then by volume
-            const priorityA = this.getSymbolPriority(a.symbol);
-            const priorityB = this.getSymbolPriority(b.symbol);
-            
-            if (priorityA !== priorityB) {
-              return priorityB - priorityA; // Higher priority first
-            }
-            
-            // If same priority, sort by volume (if available)
-            return 0; // Keep original order for same priority
-          })
-          .slice(0, 100); // Increase to 100 symbols to get maximum data
-
-        // Subscribe to real-time data for these symbols
-        const symbolNames = symbols.map(s => s.symbol);
-        await this.subscribeToSymbols(symbolNames);
-      } else {
-        console.error('Failed to fetch symbols:', symbolsResponse.retMsg);
+      // Rank each category's instruments and pick the top-N sets
+      for (const [category, universe] of this.symbolUniverses) {
+        const { symbols } = await universe.refresh();
+        console.log(`🌐 Symbol universe (${category}): ${symbols.length} symbols selected`);
+      }
+
+      // Seed tickers over REST once, the stream only sends changes
+      await this.fetchRestMarketData();
+
+      // Subscribe to real-time data for these symbols
+      for (const [category, universe] of this.symbolUniverses) {
+        await this.subscribeToSymbols(universe.getSymbols(), category);
       }
     } catch (error) {
       console.error('Error fetching initial data:', error);
@@ -135,35 +280,135 @@ class MarketDataService extends EventEmitter {
     }
   }
 
-  async subscribeToSymbols(symbols) {
+  // Streams every universe symbol is fully subscribed to
+  getSymbolTopics(symbol, category = 'linear') {
+    const topics = [
+      `tickers.${symbol}`,
+      `kline.1.${symbol}`,
+      `orderbook.50.${symbol}`, // Order book data (50 levels)
+      `publicTrade.${symbol}` // Public trades for the trade tape
+    ];
+
+    // Only derivatives have liquidations
+    if (category !== 'spot') {
+      topics.push(`allLiquidation.${symbol}`);
+    }
+
+    return topics;
+  }
+
+  async subscribeToSymbols(symbols, category = 'linear') {
     try {
-      // Subscribe to ticker data for all linear instruments
-      const tickerResult = await this.wsClient.subscribeV5('tickers.linear', 'linear');
-      
-      // Subscribe to kline data and order book for selected symbols
-      for (const symbol of symbols.slice(0, 20)) { // Increase to 20 symbols for better coverage
-        const klineResult = await this.wsClient.subscribeV5(`kline.1.${symbol}`, 'linear');
-        
-        // Subscribe to order book data (50 levels)
-        const orderbookResult = await this.wsClient.subscribeV5(`orderbook.50.${symbol}`, 'linear');
+      for (const symbol of symbols) {
+        await this.exchange.subscribe(this.getSymbolTopics(symbol, category), category);
+        this.subscribedSymbols.add(toMarketKey(category, symbol));
         
         // Add a small delay between subscriptions
         await new Promise(resolve => setTimeout(resolve, 200));
       }
+
+      // Load history for the kline symbols now that live candles are flowing
+      this.queueBackfill(symbols.map(symbol => toMarketKey(category, symbol)));
     } catch (error) {
       console.error('Error subscribing to symbols:', error);
       console.error('Error details:', error.message);
     }
   }
 
+  async unsubscribeFromSymbols(symbols, category = 'linear') {
+    for (const symbol of symbols) {
+      const key = toMarketKey(category, symbol);
+      try {
+        await this.exchange.unsubscribe(this.getSymbolTopics(symbol, category), category);
+      } catch (error) {
+        console.error(`Error unsubscribing from ${key}:`, error.message);
+      }
+      this.subscribedSymbols.delete(key);
+      this.removeSymbolState(key);
+    }
+  }
+
+  // Drop live state of a symbol that left the universe (kline history is kept for the candlestick routes)
+  removeSymbolState(key) {
+    this.marketData.delete(key);
+    this.signalData.delete(key);
+    this.filterValues.delete(key);
+    this.orderBooks.delete(key);
+    this.orderBookData.delete(key);
+    this.tradeTapes.delete(key);
+    this.spoofTrackers.delete(key);
+    this.correlationEngine.clear(key);
+    this.volatilityRegime.clear(key);
+    this.supportResistance.clear(key);
+    this.openInterestHistory.delete(key);
+    this.liquidations.delete(key);
+    this.lastSnapshots.delete(`tickers:${key}`);
+    this.lastSnapshots.delete(`detectors:${key}`);
+    this.candleAggregator.removeSymbol(key);
+    this.backfillQueue = this.backfillQueue.filter(queued => queued !== key);
+  }
+
+  startUniverseRotation() {
+    if (this.universeRotationStarted) return;
+    this.universeRotationStarted = true;
+
+    this.symbolUniverses.forEach((universe, category) => {
+      universe.on('rotation', ({ added, removed }) => {
+        console.log(`🔄 Symbol universe rotation (${category}): +${added.length} ${added.join(', ')} / -${removed.length} ${removed.join(', ')}`);
+        this.emit('universeRotation', { category, added, removed });
+
+        this.unsubscribeFromSymbols(removed.filter(symbol => this.subscribedSymbols.has(toMarketKey(category, symbol))), category)
+          .then(() => this.subscribeToSymbols(added.filter(symbol => !this.subscribedSymbols.has(toMarketKey(category, symbol))), category));
+      });
+
+      universe.on('listing', (listing) => this.emit('newListing', { category, ...listing }));
+      universe.on('delisting', (delisting) => this.emit('delisting', { category, ...delisting }));
+
+      // Pick up scanner.maxSymbols changes made through the settings API
+      universe.on('beforeRefresh', () => {
+        const settings = this.loadSettings();
+        const maxSymbols = settings.marketData?.universe?.categories?.[category]?.maxSymbols || settings.scanner?.maxSymbols;
+        if (maxSymbols) {
+          universe.setMaxSymbols(maxSymbols);
+        }
+      });
+
+      universe.start();
+    });
+  }
+
+  getUniverseStatus(category = 'linear') {
+    const universe = this.symbolUniverses.get(category);
+    if (!universe) return null;
+
+    return {
+      category,
+      ...universe.getStatus(),
+      subscribed: Array.from(this.subscribedSymbols)
+        .map(parseMarketKey)
+        .filter(market => market.category === category)
+        .map(market => market.symbol)
+    };
+  }
+
+  getCategories() {
+    return this.categories;
+  }
+
   handleWebSocketUpdate(data) {
     try {
+      const category = ExchangeAdapter.getCategory(data);
+
       if (data.topic && data.topic.startsWith('tickers')) {
-        this.handleTickerUpdate(data);
+        this.handleTickerUpdate(data, category);
       } else if (data.topic && data.topic.startsWith('kline')) {
-        this.handleKlineUpdate(data);
+        this.handleKlineUpdate(data, category);
       } else if (data.topic && data.topic.startsWith('orderbook')) {
-        this.handleOrderBookUpdate(data);
+        this.handleOrderBookUpdate(data, category);
+      } else if (data.topic && data.topic.startsWith('publicTrade')) {
+        this.handleTradeUpdate(data, category);
+      } else if (data.topic && (data.topic.startsWith('allLiquidation') || data.topic.startsWith('liquidation'))) {
+        this.handleLiquidationUpdate(data, category);
       }
     } catch (error) {
       console.error('Error handling WebSocket update:', error);
@@ -171,51 +416,58 @@ class MarketDataService extends EventEmitter {
     }
   }
 
-  handleTickerUpdate(data) {
+  handleTickerUpdate(data, category = 'linear') {
     if (data.data) {
-      data.data.forEach((ticker, index) => {
+      // Bybit sends a single ticker object per topic; batches arrive as arrays
+      const tickers = Array.isArray(data.data) ? data.data : [data.data];
+      tickers.forEach((ticker, index) => {
         const symbol = ticker.symbol;
         
         // Filter out unwanted symbols
-        if (!this.isValidSymbol(symbol)) return;
+        if (!this.isValidSymbol(symbol, category)) return;
         
-        const currentData = this.marketData.get(symbol) || {};
+        const key = toMarketKey(category, symbol);
+        const currentData = this.marketData.get(key) || {};
         
         const updatedData = {
           ...currentData,
           symbol,
-          price: parseFloat(ticker.lastPrice),
-          change24h: parseFloat(ticker.price24hPcnt),
-          volume24h: parseFloat(ticker.volume24h),
-          turnover24h: parseFloat(ticker.turnover24h),
+          category,
+          // Delta messages only carry changed fields, keep the previous value otherwise
+          price: this.parseTickerField(ticker.lastPrice, currentData.price),
+          change24h: this.parseTickerField(ticker.price24hPcnt, currentData.change24h),
+          volume24h: this.parseTickerField(ticker.volume24h, currentData.volume24h),
+          turnover24h: this.parseTickerField(ticker.turnover24h, currentData.turnover24h),
+          ...this.parseDerivativesFields(ticker, currentData),
           timestamp: Date.now()
         };
 
-        this.marketData.set(symbol, updatedData);
+        this.marketData.set(key, updatedData);
+        this.recordOpenInterest(key, updatedData.openInterest, updatedData.price);
+        this.recordTickerSnapshot(key, updatedData);
         
         // Emit update for real-time clients
         this.emit('marketUpdate', updatedData);
         
-        // Check for signals (both old and new methods)
-        this.checkForSignals(updatedData);
-        this.checkForSignalsAdvanced(symbol);
+        // Queue for signal evaluation
+        this.signalScheduler.schedule(key, 'ticker');
       });
     }
   }
 
-  handleKlineUpdate(data) {
+  handleKlineUpdate(data, category = 'linear') {
     if (data.data) {
+      const [, intervalCode, topicSymbol] = data.topic.split('.'); // Topic like "kline.1.BTCUSDT"
+      const interval = CandleAggregator.BYBIT_INTERVALS[intervalCode];
+      if (!interval) return;
+
       data.data.forEach(kline => {
-        const symbol = kline.symbol;
+        const symbol = kline.symbol || topicSymbol;
         
         // Filter out unwanted symbols
-        if (!this.isValidSymbol(symbol)) return;
-        
-        const interval = data.topic.includes('kline.1.') ? '1m' : '5m';
-        
-        const klineKey = `${symbol}_${interval}`;
-        const klineArray = this.klineData.get(klineKey) || [];
+        if (!this.isValidSymbol(symbol, category)) return;
         
+        const key = toMarketKey(category, symbol);
         const klineData = {
           timestamp: parseInt(kline.start),
           open: parseFloat(kline.open),
@@ -223,538 +475,654 @@ class MarketDataService extends EventEmitter {
           low: parseFloat(kline.low),
           close: parseFloat(kline.close),
           volume: parseFloat(kline.volume),
-          interval
+          turnover: parseFloat(kline.turnover || 0),
+          interval,
+          confirmed: kline.confirm === true, // Bybit marks the final update of a candle
+          source: 'kline'
         };
 
-        // Update or add new kline
-        const existingIndex = klineArray.findIndex(k => k.timestamp === klineData.timestamp);
-        if (existingIndex >= 0) {
-          klineArray[existingIndex] = klineData;
+        if (interval === '1m') {
+          this.lastKlineMessage.set(key, Date.now());
+          this.handleMinuteCandle(key, klineData);
         } else {
-          klineArray.push(klineData);
-          // Keep only last 100 candles
-          if (klineArray.length > 100) {
-            klineArray.shift();
-          }
+          this.storeCandle(key, klineData);
         }
-
-        this.klineData.set(klineKey, klineArray);
-        
-        // Emit kline update
-        this.emit('klineUpdate', { symbol, interval, data: klineData });
-        
-        // Check for signals after kline update
-        this.checkForSignalsAdvanced(symbol);
       });
     }
   }
 
-  handleOrderBookUpdate(data) {
-    if (data.data) {
-      const symbol = data.topic.split('.')[2]; // Extract symbol from topic like "orderbook.50.BTCUSDT"
-      
-      // Filter out unwanted symbols
-      if (!this.isValidSymbol(symbol)) return;
-      
-      // Store order book data
-      this.orderBookData.set(symbol, {
-        bids: data.data.b || [], // Buy orders
-        asks: data.data.a || [], // Sell orders
-        timestamp: Date.now()
-      });
-      
-      // Check for signals after orderbook update
-      this.checkForSignalsAdvanced(symbol);
-    }
+  // Store a 1m candle and roll it up into the higher intervals
+  handleMinuteCandle(key, candle) {
+    this.storeCandle(key, candle);
+    this.candleAggregator.addCandle(key, candle).forEach(aggregated => {
+      this.storeCandle(key, aggregated);
+    });
+    
+    // Queue for signal evaluation after kline update
+    this.signalScheduler.schedule(key, candle.confirmed ? 'candleClose' : 'kline');
   }
 
-  // Advanced signal checking based on btcEthMonitor.js logic
-  checkForSignalsAdvanced(symbol) {
-    const klineKey = `${symbol}_1m`;
+  // Insert or replace a candle by start time and emit it
+  storeCandle(key, candle) {
+    const klineKey = `${key}_${candle.interval}`;
     const klineArray = this.klineData.get(klineKey) || [];
-    const orderBook = this.orderBookData.get(symbol);
-    const marketData = this.marketData.get(symbol);
-    
-    // Always try to analyze with whatever data we have
-    if (!marketData) return; // Only skip if we have no market data at all
-    
-    // Convert kline data to the format expected by btcEthMonitor functions (if available)
-    const candles = klineArray.length > 0 ? klineArray.slice(-10).reverse().map(k => [
-      k.timestamp,
-      k.open,
-      k.high,
-      k.low,
-      k.close,
-      k.volume
-    ]) : null;
-    
-    // Convert orderbook to expected format (if available)
-    const orderBookFormatted = orderBook ? {
-      b: orderBook.bids, // bids
-      a: orderBook.asks  // asks
-    } : null;
-    
-    // Run signal detection with ultra-sensitive settings (handle missing data gracefully)
-    const volumeSpike = candles ? this.detectVolumeSpike(candles, this.scannerFilters.volumeSpike) : false;
-    const priceBreakout = candles ? this.detectPriceBreakout(candles, this.scannerFilters.priceBreakout) : { isBreakout: false, direction: null };
-    const orderBookImbalance = orderBookFormatted ? this.detectOrderBookImbalance(orderBookFormatted, 1.005) : { isImbalanced: false }; // Ultra sensitive
-    const liquidityWalls = orderBookFormatted ? this.detectLiquidityWalls(orderBookFormatted, 1.01) : { hasWalls: false }; // More sensitive
-    const whaleActivity = this.detectWhaleActivityAdvanced(marketData, candles); // Whale detection (can work with just market data)
-    
-    // Fallback detection - basic market activity (always triggers for active coins)
-    const basicActivity = this.detectBasicMarketActivity(marketData);
-    
-    // Check if any signals were detected
-    let hasSignal = false;
-    const detectedSignals = [];
-    
-    // Calculate actual values for display
-    const actualValues = this.calculateActualFilterValues(symbol, candles, orderBookFormatted, marketData);
+
+    // Update or add new kline
+    const existingIndex = klineArray.findIndex(k => k.timestamp === candle.timestamp);
+    if (existingIndex >= 0) {
+      // Native kline data wins over candles rebuilt from trades
+      if (klineArray[existingIndex].source === 'kline' && candle.source === 'trades') return;
+      klineArray[existingIndex] = candle;
+    } else {
+      klineArray.push(candle);
+      if (klineArray.length > 1 && candle.timestamp < klineArray[klineArray.length - 2].timestamp) {
+        klineArray.sort((a, b) => a.timestamp - b.timestamp);
+      }
+      // Keep only the most recent candles
+      const capacity = this.getCandleCapacity(candle.interval);
+      if (klineArray.length > capacity) {
+        klineArray.splice(0, klineArray.length - capacity);
+      }
+    }
+
+    this.klineData.set(klineKey, klineArray);
+    if (candle.confirmed) {
+      this.persist(`candles/${candle.interval}`, key, candle);
+    }
     
-    // Debug logging
-    console.log(`🔍 Analyzing ${symbol}:`, {
-      volumeSpike: volumeSpike,
-      priceBreakout: priceBreakout?.isBreakout,
-      orderBookImbalance: orderBookImbalance?.isImbalanced,
-      liquidityWalls: liquidityWalls?.hasWalls,
-      whaleActivity: !!whaleActivity,
-      actualValues: actualValues
+    // Emit kline update
+    this.emit('klineUpdate', { ...parseMarketKey(key), interval: candle.interval, data: candle });
+  }
+
+  // Candles kept per interval: at least the backfill depth
+  getCandleCapacity(interval) {
+    return Math.max(this.maxCandles, this.getBackfillDepth(interval));
+  }
+
+  getBackfillDepth(interval) {
+    const depth = this.settings.marketData?.backfill?.depth || {};
+    return depth[interval] || DEFAULT_BACKFILL_DEPTH;
+  }
+
+  // Queue a REST kline backfill for market keys; runs one symbol at a time to respect rate limits
+  queueBackfill(keys) {
+    if (this.settings.marketData?.backfill?.enabled === false) return;
+
+    keys.forEach(key => {
+      if (!this.backfillQueue.includes(key)) {
+        this.backfillQueue.push(key);
+      }
     });
-    
-    if (volumeSpike) {
-      hasSignal = true;
-      detectedSignals.push({ type: 'volume_spike', data: { detected: true } });
+
+    if (!this.isBackfilling) {
+      this.processBackfillQueue();
     }
-    
-    if (priceBreakout.isBreakout) {
-      hasSignal = true;
-      detectedSignals.push({ 
-        type: 'price_breakout', 
-        data: { 
-          direction: priceBreakout.direction,
-          detected: true 
-        } 
-      });
+  }
+
+  async processBackfillQueue() {
+    this.isBackfilling = true;
+
+    while (this.backfillQueue.length > 0) {
+      const key = this.backfillQueue.shift();
+      try {
+        await this.backfillSymbol(key);
+      } catch (error) {
+        console.error(`❌ Kline backfill failed for ${key}:`, error.message);
+      }
     }
-    
-    if (orderBookImbalance.isImbalanced && this.scannerFilters.spoofDetection) {
-      hasSignal = true;
-      detectedSignals.push({ 
-        type: 'spoof_detection', 
-        data: { 
-          direction: orderBookImbalance.direction,
-          ratio: orderBookImbalance.ratio,
-          detected: true 
-        } 
-      });
+
+    this.isBackfilling = false;
+  }
+
+  async backfillSymbol(key) {
+    const { category, symbol } = parseMarketKey(key);
+    const intervals = this.getSupportedIntervals();
+    const counts = {};
+
+    for (const interval of intervals) {
+      const candles = await this.fetchHistoricalCandles(symbol, interval, this.getBackfillDepth(interval), category);
+      // Candles a previous run already stored are only merged into memory
+      const lastStored = this.timeSeriesStore
+        ? await this.timeSeriesStore.getLastTimestamp(`candles/${interval}`, key)
+        : null;
+      counts[interval] = this.mergeCandles(key, interval, candles, lastStored);
     }
-    
-    if (liquidityWalls.hasWalls && this.scannerFilters.liquidityImbalance) {
-      hasSignal = true;
-      detectedSignals.push({ 
-        type: 'liquidity_imbalance', 
-        data: { 
-          walls: liquidityWalls.walls,
-          detected: true 
-        } 
+
+    // Rebuild in-progress aggregated candles from complete minute data
+    const minuteCandles = this.klineData.get(`${key}_1m`) || [];
+    this.candleAggregator.seedCandles(key, minuteCandles).forEach(candle => {
+      this.storeCandle(key, candle);
+    });
+
+    this.emit('klineBackfill', { symbol, category, counts, timestamp: Date.now() });
+  }
+
+  /**
+   * Page backwards through REST klines until the requested depth is reached
+   * @param {string} symbol - Trading symbol
+   * @param {string} interval - Interval name (e.g. '5m')
+   * @param {number} depth - Number of candles wanted
+   * @param {string} category - Bybit product category
+   * @returns {Promise<Array>} Candles sorted oldest first
+   */
+  async fetchHistoricalCandles(symbol, interval, depth, category = 'linear') {
+    const bybitInterval = CandleAggregator.toBybitInterval(interval);
+    const candles = new Map();
+    let end = Date.now();
+    let newestTimestamp = null;
+
+    while (candles.size < depth) {
+      const response = await this.exchange.getKline({
+        category,
+        symbol,
+        interval: bybitInterval,
+        end,
+        limit: Math.min(1000, depth - candles.size)
       });
-    }
-    
-    if (whaleActivity && this.scannerFilters.whaleAlerts) {
-      hasSignal = true;
-      detectedSignals.push({ 
-        type: 'whale_alert', 
-        data: { 
-          ...whaleActivity,
-          detected: true 
-        } 
+
+      if (response.retCode !== 0) {
+        throw new Error(response.retMsg);
+      }
+
+      const list = response.result.list || [];
+      if (list.length === 0) break;
+
+      list.forEach(kline => {
+        const timestamp = parseInt(kline[0]);
+        candles.set(timestamp, {
+          timestamp,
+          open: parseFloat(kline[1]),
+          high: parseFloat(kline[2]),
+          low: parseFloat(kline[3]),
+          close: parseFloat(kline[4]),
+          volume: parseFloat(kline[5]),
+          turnover: parseFloat(kline[6] || 0),
+          interval,
+          confirmed: true,
+          source: 'backfill'
+        });
+        if (newestTimestamp === null || timestamp > newestTimestamp) newestTimestamp = timestamp;
       });
+
+      // Bybit returns newest first; continue before the oldest candle of this page
+      const oldest = parseInt(list[list.length - 1][0]);
+      if (oldest >= end) break;
+      end = oldest - 1;
+
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
-    
-    // Basic activity detection (fallback to ensure we always get some data)
-    if (basicActivity) {
-      hasSignal = true;
-      detectedSignals.push({ 
-        type: 'basic_activity', 
-        data: { 
-          ...basicActivity,
-          detected: true 
-        } 
-      });
+
+    // The newest candle Bybit returns is still forming
+    if (newestTimestamp !== null) {
+      candles.get(newestTimestamp).confirmed = false;
     }
-    
-    // Always create detailed filter information for display (both active and inactive)
-    const allFilters = [];
-    
-    // Volume Spike Filter (always show)
-    allFilters.push({
-      type: 'volume_spike',
-      icon: '📈',
-      label: 'Volume Spike',
-      description: actualValues.volumeRatio !== undefined ? 
-        `${actualValues.volumeRatio.toFixed(2)}x avg (${actualValues.volumePercentage > 0 ? '+' : ''}${actualValues.volumePercentage.toFixed(1)}%)` :
-        `24h volume: ${this.formatVolume(actualValues.volume24h || 0)}`,
-      severity: volumeSpike ? 'high' : 'inactive',
-      threshold: `${((this.scannerFilters.volumeSpike - 1) * 100).toFixed(1)}%`,
-      actualValue: actualValues.volumePercentage !== undefined ? 
-        (actualValues.volumePercentage > 0 ? '+' : '') + actualValues.volumePercentage.toFixed(1) + '%' :
-        this.formatVolume(actualValues.volume24h || 0),
-      isActive: volumeSpike
-    });
-    
-    // Price Breakout Filter (always show)
-    allFilters.push({
-      type: 'price_breakout',
-      icon: priceBreakout?.direction === 'up' ? '🚀' : priceBreakout?.direction === 'down' ? '📉' : '📊',
-      label: priceBreakout?.direction === 'up' ? 'Price Breakout' : priceBreakout?.direction === 'down' ? 'Price Breakdown' : 'Price Movement',
-      description: actualValues.priceChangePercentage !== undefined ? 
-        `${actualValues.priceChangePercentage > 0 ? '+' : ''}${actualValues.priceChangePercentage.toFixed(2)}% change` :
-        'No price data',
-      severity: priceBreakout?.isBreakout ? 'high' : 'inactive',
-      threshold: `${((this.scannerFilters.priceBreakout - 1) * 100).toFixed(1)}%`,
-      actualValue: actualValues.priceChangePercentage !== undefined ? 
-        (actualValues.priceChangePercentage > 0 ? '+' : '') + actualValues.priceChangePercentage.toFixed(2) + '%' : 'N/A',
-      isActive: priceBreakout?.isBreakout
-    });
-    
-    // Order Book Imbalance Filter (always show)
-    allFilters.push({
-      type: 'spoof_detection',
-      icon: '⚠️',
-      label: 'Order Book Imbalance',
-      description: actualValues.orderBookRatio !== undefined ? 
-        `${actualValues.orderBookRatio.toFixed(2)}:1 ratio (${actualValues.orderBookImbalance > 0 ? 'Buy' : actualValues.orderBookImbalance < 0 ? 'Sell' : 'Balanced'} pressure)` :
-        'Balanced orderbook',
-      severity: orderBookImbalance?.isImbalanced ? 'medium' : 'inactive',
-      threshold: '1%',
-      actualValue: actualValues.orderBookImbalance !== undefined ? 
-        (actualValues.orderBookImbalance > 0 ? '+' : '') + actualValues.orderBookImbalance.toFixed(1) + '%' : '0%',
-      isActive: orderBookImbalance?.isImbalanced
-    });
-    
-    // Whale Activity Filter (always show)
-    allFilters.push({
-      type: 'whale_alert',
-      icon: '🐋',
-      label: 'Whale Activity',
-      description: whaleActivity ? 
-        `${whaleActivity.type}: ${this.formatVolume(actualValues.turnover24h)} ${whaleActivity.direction || ''}` :
-        `${this.formatVolume(actualValues.turnover24h)} turnover, ${actualValues.change24h?.toFixed(2)}% change`,
-      severity: whaleActivity ? 'critical' : 'inactive',
-      threshold: '$1K + 0.01%',
-      actualValue: this.formatVolume(actualValues.turnover24h || 0),
-      isActive: !!whaleActivity
-    });
-    
-    // Basic Activity Filter (always show - fallback to ensure data)
-    allFilters.push({
-      type: 'basic_activity',
-      icon: '📊',
-      label: 'Market Activity',
-      description: basicActivity ? 
-        `Active trading: ${this.formatVolume(actualValues.volume24h)} volume` :
-        `${this.formatVolume(actualValues.volume24h)} volume, ${actualValues.change24h?.toFixed(2)}% change`,
-      severity: basicActivity ? 'low' : 'inactive',
-      threshold: '$100 volume',
-      actualValue: this.formatVolume(actualValues.volume24h || 0),
-      isActive: !!basicActivity
+
+    return Array.from(candles.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Merge backfilled candles under the live ones (live candles are never overwritten)
+   * @param {number} lastStored - Optional timestamp of the newest stored candle; older ones are not persisted again
+   * @returns {number} Number of candles added
+   */
+  mergeCandles(key, interval, candles, lastStored = null) {
+    const klineKey = `${key}_${interval}`;
+    const klineArray = this.klineData.get(klineKey) || [];
+    const existing = new Set(klineArray.map(k => k.timestamp));
+    const added = candles.filter(candle => !existing.has(candle.timestamp));
+
+    if (added.length === 0) return 0;
+
+    const merged = klineArray.concat(added).sort((a, b) => a.timestamp - b.timestamp);
+    const capacity = this.getCandleCapacity(interval);
+    this.klineData.set(klineKey, merged.slice(-capacity));
+    added
+      .filter(candle => candle.confirmed !== false && (lastStored === null || candle.timestamp > lastStored))
+      .forEach(candle => this.persist(`candles/${interval}`, key, candle));
+
+    return added.length;
+  }
+
+  handleTradeUpdate(data, category = 'linear') {
+    if (!Array.isArray(data.data)) return;
+
+    const symbol = data.topic.split('.')[1]; // Topic like "publicTrade.BTCUSDT"
+    if (!this.isValidSymbol(symbol, category)) return;
+    const key = toMarketKey(category, symbol);
+
+    // S is the taker (aggressor) side
+    const trades = data.data.map(trade => ({
+      id: trade.i,
+      timestamp: parseInt(trade.T),
+      price: parseFloat(trade.p),
+      size: parseFloat(trade.v),
+      side: trade.S === 'Buy' ? 'buy' : 'sell',
+      isBlockTrade: !!trade.BT
+    }));
+
+    let tape = this.tradeTapes.get(key);
+    if (!tape) {
+      tape = new TradeTape(symbol, { windowMs: this.whaleDetection.deltaWindowMs, category });
+      this.tradeTapes.set(key, tape);
+    }
+    tape.addTrades(trades);
+
+    this.checkWhaleTrades(key, tape);
+    this.signalScheduler.schedule(key, 'trade');
+
+    // Only build candles from trades when there is no live 1m kline stream for the symbol
+    const lastKline = this.lastKlineMessage.get(key) || 0;
+    if (Date.now() - lastKline < 2 * 60 * 1000) return;
+
+    trades.forEach(trade => {
+      const candles = this.candleAggregator.addTrade(key, trade, category);
+      candles.forEach(candle => this.handleMinuteCandle(key, candle));
     });
-    
-    // Store signal data for this symbol (always store, regardless of hasSignal)
-    this.signalData.set(symbol, {
-      signals: detectedSignals,
-      timestamp: Date.now(),
-      volumeSpike: volumeSpike,
-      priceBreakout: priceBreakout.isBreakout,
-      spoofDetection: orderBookImbalance.isImbalanced,
-      liquidityImbalance: liquidityWalls.hasWalls,
-      allFilters: allFilters, // Include all filter information
-      actualValues: actualValues
+  }
+
+  // Announce a whale cluster once, as soon as it crosses the threshold
+  checkWhaleTrades(key, tape) {
+    const clusters = tape.getClusters(this.whaleDetection.alertWindowMs, this.whaleDetection.clusterGapMs);
+    const latest = clusters[clusters.length - 1];
+    if (!latest || latest.notional < this.getWhaleThreshold(key)) return;
+    if (this.lastWhaleAlert.get(key) === latest.startTime) return;
+
+    this.lastWhaleAlert.set(key, latest.startTime);
+    this.emit('whaleAlert', {
+      ...parseMarketKey(key),
+      ...latest,
+      direction: latest.side === 'buy' ? 'bullish' : 'bearish',
+      timestamp: Date.now()
     });
-    
-    // Only active filters for backwards compatibility
-    const activeFilters = allFilters.filter(filter => filter.isActive);
-    
-    if (hasSignal) {
-      // Create detailed filter information for display
-      const legacyActiveFilters = [];
-      
-      if (volumeSpike) {
-        activeFilters.push({
-          type: 'volume_spike',
-          icon: '📈',
-          label: 'Volume Spike',
-          description: `${((candles[0][5] / (candles.slice(1).reduce((sum, c) => sum + c[5], 0) / (candles.length - 1))) * 100 - 100).toFixed(1)}% above average`,
-          severity: 'high'
-        });
-      }
-      
-      if (priceBreakout.isBreakout) {
-        activeFilters.push({
-          type: 'price_breakout',
-          icon: priceBreakout.direction === 'up' ? '🚀' : '📉',
-          label: `Price ${priceBreakout.direction === 'up' ? 'Breakout' : 'Breakdown'}`,
-          description: `${priceBreakout.direction === 'up' ? 'Upward' : 'Downward'} price movement detected`,
-          severity: priceBreakout.direction === 'up' ? 'high' : 'medium'
-        });
-      }
+  }
+
+  getWhaleThreshold(key) {
+    const override = this.whaleDetection.symbols[parseMarketKey(key).symbol];
+    if (override) return override;
+
+    const marketData = this.marketData.get(key);
+    const turnover = marketData ? ExchangeAdapter.quoteTurnover(marketData, parseMarketKey(key).category) : 0;
+    const turnoverThreshold = turnover * this.whaleDetection.turnoverFraction;
+    return Math.max(this.whaleDetection.minNotional, turnoverThreshold);
+  }
+
+  getTradeTape(symbol, category = 'linear') {
+    return this.tradeTapes.get(toMarketKey(category, symbol)) || null;
+  }
+
+
+  handleOrderBookUpdate(data, category = 'linear') {
+    if (data.data) {
+      const [, depth, symbol] = data.topic.split('.'); // Extract from topic like "orderbook.50.BTCUSDT"
       
-      if (orderBookImbalance.isImbalanced) {
-        activeFilters.push({
-          type: 'spoof_detection',
-          icon: '⚠️',
-          label: 'Order Book Imbalance',
-          description: `${orderBookImbalance.direction === 'buy' ? 'Buy' : 'Sell'} pressure (${orderBookImbalance.ratio.toFixed(2)}x ratio)`,
-          severity: 'medium'
-        });
-      }
+      // Filter out unwanted symbols
+      if (!this.isValidSymbol(symbol, category)) return;
       
-      if (liquidityWalls.hasWalls) {
-        const wallTypes = [];
-        if (liquidityWalls.walls.buy.length > 0) wallTypes.push('Buy');
-        if (liquidityWalls.walls.sell.length > 0) wallTypes.push('Sell');
-        
-        activeFilters.push({
-          type: 'liquidity_imbalance',
-          icon: '🧱',
-          label: 'Liquidity Walls',
-          description: `${wallTypes.join(' & ')} wall${wallTypes.length > 1 ? 's' : ''} detected`,
-          severity: 'high'
-        });
+      const key = toMarketKey(category, symbol);
+      let orderBook = this.orderBooks.get(key);
+      if (!orderBook) {
+        orderBook = new OrderBook(symbol, parseInt(depth));
+        this.orderBooks.set(key, orderBook);
       }
-      
-      if (whaleActivity) {
-        activeFilters.push({
-          type: 'whale_alert',
-          icon: '🐋',
-          label: 'Whale Activity',
-          description: `${whaleActivity.type}: $${(whaleActivity.estimatedSize || 0).toLocaleString()} ${whaleActivity.direction}`,
-          severity: 'critical'
-        });
+
+      const result = orderBook.apply(data);
+
+      if (result.gap) {
+        console.warn(`⚠️ Order book gap for ${key} (expected u=${result.expected}, got u=${result.received}), resubscribing`);
+        this.orderBookData.delete(key);
+        this.resubscribeOrderBook(key, data.topic);
+        return;
       }
 
-      // Update market data with signal flags and filter details
-      const updatedMarketData = {
-        ...marketData,
-        volumeSpike: volumeSpike,
-        priceBreakout: priceBreakout.isBreakout,
-        priceBreakoutDirection: priceBreakout.direction,
-        spoofDetection: orderBookImbalance.isImbalanced,
-        spoofDirection: orderBookImbalance.direction,
-        spoofRatio: orderBookImbalance.ratio,
-        whaleAlert: !!whaleActivity,
-        whaleActivity: whaleActivity,
-        liquidityImbalance: liquidityWalls.hasWalls,
-        liquidityWalls: liquidityWalls.walls,
-        hasSignals: true,
-        activeFilters: activeFilters,
-        filterCount: activeFilters.length
-      };
+      if (!result.applied) return;
       
-      this.marketData.set(symbol, updatedMarketData);
+      this.trackOrderBookChanges(key, orderBook, result, data.ts);
       
-      // Emit signals
-      this.emit('signals', {
-        symbol,
-        signals: detectedSignals,
-        timestamp: Date.now(),
-        price: marketData.price,
-        volume: marketData.volume24h,
-        change: marketData.change24h
+      // Store order book view for detectors and API consumers
+      this.orderBookData.set(key, {
+        bids: orderBook.getBids(), // Buy orders
+        asks: orderBook.getAsks(), // Sell orders
+        ...orderBook.getSummary(),
+        timestamp: Date.now()
       });
       
+      // Queue for signal evaluation after orderbook update
+      this.signalScheduler.schedule(key, 'orderbook');
+    }
+  }
+
+  // Follow large orders near the touch for spoof detection
+  trackOrderBookChanges(key, orderBook, result, timestamp) {
+    let tracker = this.spoofTrackers.get(key);
+    if (!tracker) {
+      const { category, symbol } = parseMarketKey(key);
+      tracker = new SpoofTracker(symbol, { ...this.orderSpoofing, inverse: category === 'inverse' });
+      this.spoofTrackers.set(key, tracker);
+    }
 
+    if (result.snapshot) {
+      tracker.reset();
     } else {
-      // Remove from signal data if no signals
-      this.signalData.delete(symbol);
+      tracker.handleChanges(result.changes, orderBook, timestamp || Date.now());
     }
   }
 
-  checkForSignals(marketData) {
-    const signals = [];
-    
-    // Volume spike detection
-    if (this.scannerFilters.volumeSpike) {
-      const volumeSpike = this.detectVolumeSpike(marketData);
-      if (volumeSpike) {
-        signals.push({ type: 'volume_spike', data: volumeSpike, confidence: 0.7 });
-      }
+  getSpoofEvents(symbol, category = 'linear') {
+    const key = toMarketKey(category, symbol);
+    const tracker = this.spoofTrackers.get(key);
+    if (!tracker) return null;
+
+    tracker.settle(this.tradeTapes.get(key));
+    return {
+      ...tracker.getStatus(),
+      events: tracker.getEvents()
+    };
+  }
+
+  // Drop the local book and resubscribe so Bybit sends a fresh snapshot
+  async resubscribeOrderBook(key, topic) {
+    const lastResubscribe = this.orderBookResubscribes.get(key) || 0;
+    if (Date.now() - lastResubscribe < 5000) return; // A snapshot is already on its way
+
+    this.orderBookResubscribes.set(key, Date.now());
+    this.orderBooks.get(key).reset();
+
+    const { category } = parseMarketKey(key);
+    try {
+      await this.exchange.unsubscribe(topic, category);
+      await this.exchange.subscribe(topic, category);
+    } catch (error) {
+      console.error(`❌ Error resubscribing to ${topic}:`, error.message);
     }
+  }
 
-    // Price breakout detection
-    if (this.scannerFilters.priceBreakout) {
-      const breakout = this.detectPriceBreakout(marketData);
-      if (breakout) {
-        signals.push({ type: 'price_breakout', data: breakout, confidence: 0.8 });
-      }
+  getOrderBook(symbol, category = 'linear') {
+    return this.orderBooks.get(toMarketKey(category, symbol)) || null;
+  }
+
+  parseTickerField(value, previous) {
+    return value !== undefined && value !== '' ? parseFloat(value) : previous;
+  }
+
+  // Funding and open interest fields of perpetual tickers (absent on spot)
+  parseDerivativesFields(ticker, currentData) {
+    return {
+      fundingRate: this.parseTickerField(ticker.fundingRate, currentData.fundingRate),
+      nextFundingTime: this.parseTickerField(ticker.nextFundingTime, currentData.nextFundingTime),
+      openInterest: this.parseTickerField(ticker.openInterest, currentData.openInterest),
+      openInterestValue: this.parseTickerField(ticker.openInterestValue, currentData.openInterestValue)
+    };
+  }
+
+  // Queue a record for the time series store (no-op when storage is disabled)
+  persist(series, key, record) {
+    if (this.timeSeriesStore) {
+      this.timeSeriesStore.append(series, key, record);
     }
+  }
 
-    // Spoof detection
-    if (this.scannerFilters.spoofDetection) {
-      const spoof = this.detectSpoof(marketData);
-      if (spoof) {
-        signals.push({ type: 'spoof_detection', data: spoof, confidence: 0.6 });
-      }
+  // Whether a snapshot is due: the interval elapsed or its content (signature) changed
+  isSnapshotDue(id, intervalMs, signature = null) {
+    const now = Date.now();
+    const last = this.lastSnapshots.get(id);
+    if (last && now - last.timestamp < intervalMs && last.signature === signature) {
+      return false;
     }
 
-    // Whale alerts
-    if (this.scannerFilters.whaleAlerts) {
-      const whale = this.detectWhaleActivity(marketData);
-      if (whale) {
-        signals.push({ type: 'whale_alert', data: whale, confidence: 0.9 });
-      }
+    this.lastSnapshots.set(id, { timestamp: now, signature });
+    return true;
+  }
+
+  recordTickerSnapshot(key, data) {
+    if (!this.timeSeriesStore || !this.isSnapshotDue(`tickers:${key}`, this.storageSettings.tickerIntervalMs)) return;
+
+    const snapshot = { timestamp: data.timestamp };
+    TICKER_SNAPSHOT_FIELDS
+      .filter(field => data[field] !== undefined)
+      .forEach(field => { snapshot[field] = data[field]; });
+    this.persist('tickers', key, snapshot);
+  }
+
+  // Fired detectors with their results; persisted when the set changes and otherwise once per interval
+  recordDetectorOutput(key, marketData, signals) {
+    const signature = signals.map(signal => signal.type).join(',');
+    if (!this.timeSeriesStore || !this.isSnapshotDue(`detectors:${key}`, this.storageSettings.detectorIntervalMs, signature)) return;
+
+    this.persist('detectors', key, {
+      timestamp: Date.now(),
+      price: marketData.price,
+      signals: signals.map(signal => ({ type: signal.type, ...signal.data }))
+    });
+  }
+
+  // Price is sampled alongside so the OI surge direction covers the same window
+  recordOpenInterest(key, openInterest, price) {
+    if (openInterest === undefined || isNaN(openInterest)) return;
+
+    const now = Date.now();
+    const history = this.openInterestHistory.get(key) || [];
+    const last = history[history.length - 1];
+
+    // One sample every 10s is plenty for a multi-minute window
+    if (last && now - last.timestamp < 10000) {
+      last.openInterest = openInterest;
+      last.price = price;
+    } else {
+      history.push({ timestamp: now, openInterest, price });
     }
 
-    // Liquidity imbalance
-    if (this.scannerFilters.liquidityImbalance) {
-      const liquidity = this.detectLiquidityImbalance(marketData);
-      if (liquidity) {
-        signals.push({ type: 'liquidity_imbalance', data: liquidity, confidence: 0.5 });
-      }
+    const cutoff = now - this.derivativesSettings.oiWindowMs;
+    while (history.length > 1 && history[1].timestamp <= cutoff) {
+      history.shift();
     }
 
-    if (signals.length > 0) {
-      this.emit('signals', { 
-        symbol: marketData.symbol, 
-        signals, 
-        timestamp: Date.now(),
-        price: marketData.price,
-        volume: marketData.volume24h,
-        change: marketData.change24h
+    this.openInterestHistory.set(key, history);
+  }
+
+  handleLiquidationUpdate(data, category = 'linear') {
+    // allLiquidation sends an array, the legacy liquidation topic a single object
+    const events = Array.isArray(data.data) ? data.data : [data.data];
+    const symbol = data.topic.split('.')[1];
+    if (!this.isValidSymbol(symbol, category)) return;
+
+    const key = toMarketKey(category, symbol);
+    const liquidations = this.liquidations.get(key) || [];
+
+    events.forEach(event => {
+      const price = parseFloat(event.p || event.price);
+      const size = parseFloat(event.v || event.size);
+
+      // Side is the liquidated position: Buy = a long was closed out by a market sell
+      liquidations.push({
+        timestamp: parseInt(event.T || event.updatedTime) || Date.now(),
+        side: (event.S || event.side) === 'Buy' ? 'long' : 'short',
+        price,
+        size,
+        notional: ExchangeAdapter.notional(price, size, category)
       });
-    }
+    });
+
+    const cutoff = Date.now() - this.derivativesSettings.liquidationWindowMs;
+    this.liquidations.set(key, liquidations.filter(liquidation => liquidation.timestamp >= cutoff));
   }
 
-  detectVolumeSpike(marketData) {
-    // Simple volume spike detection logic
-    const symbol = marketData.symbol;
-    const currentVolume = marketData.volume24h;
-    
-    // Get historical volume data (simplified)
-    const historicalData = this.volumeData.get(symbol) || [];
-    if (historicalData.length < 5) {
-      historicalData.push(currentVolume);
-      this.volumeData.set(symbol, historicalData);
-      return null;
-    }
+  getDerivativesData(symbol, category = 'linear') {
+    const key = toMarketKey(category, symbol);
+    const marketData = this.marketData.get(key) || {};
+    const liquidations = this.getRecentLiquidations(key);
 
-    const avgVolume = historicalData.reduce((a, b) => a + b, 0) / historicalData.length;
-    const spikeRatio = currentVolume / avgVolume;
+    return {
+      fundingRate: marketData.fundingRate,
+      nextFundingTime: marketData.nextFundingTime,
+      openInterest: marketData.openInterest,
+      openInterestValue: marketData.openInterestValue,
+      openInterestChange: this.getOpenInterestChange(key),
+      liquidations: {
+        count: liquidations.length,
+        longNotional: liquidations.filter(l => l.side === 'long').reduce((sum, l) => sum + l.notional, 0),
+        shortNotional: liquidations.filter(l => l.side === 'short').reduce((sum, l) => sum + l.notional, 0)
+      }
+    };
+  }
 
-    if (spikeRatio >= this.scannerFilters.volumeSpike) {
-      return {
-        currentVolume,
-        avgVolume,
-        spikeRatio: spikeRatio.toFixed(2)
-      };
-    }
+  getRecentLiquidations(key) {
+    const cutoff = Date.now() - this.derivativesSettings.liquidationWindowMs;
+    return (this.liquidations.get(key) || []).filter(liquidation => liquidation.timestamp >= cutoff);
+  }
 
-    // Update historical data
-    historicalData.push(currentVolume);
-    if (historicalData.length > 20) {
-      historicalData.shift();
-    }
-    this.volumeData.set(symbol, historicalData);
+  // Relative open interest change across the OI window
+  getOpenInterestChange(key) {
+    const history = this.openInterestHistory.get(key) || [];
+    if (history.length < 2 || !history[0].openInterest) return null;
 
-    return null;
+    const first = history[0];
+    const last = history[history.length - 1];
+    return (last.openInterest - first.openInterest) / first.openInterest;
   }
 
-  detectPriceBreakout(marketData) {
-    const symbol = marketData.symbol;
-    const klineKey = `${symbol}_1m`;
-    const klineArray = this.klineData.get(klineKey) || [];
-    
-    if (klineArray.length < 2) return null;
+  // Relative price change across the same samples as getOpenInterestChange
+  getOpenInterestPriceChange(key) {
+    const history = this.openInterestHistory.get(key) || [];
+    if (history.length < 2 || !(history[0].price > 0) || !(history[history.length - 1].price > 0)) return null;
 
-    const currentCandle = klineArray[klineArray.length - 1];
-    const previousCandle = klineArray[klineArray.length - 2];
-    
-    const breakoutRatio = currentCandle.close / previousCandle.close;
-    
-    if (breakoutRatio >= this.scannerFilters.priceBreakout || breakoutRatio <= (2 - this.scannerFilters.priceBreakout)) {
-      return {
-        direction: breakoutRatio >= this.scannerFilters.priceBreakout ? 'up' : 'down',
-        ratio: breakoutRatio.toFixed(4),
-        previousPrice: previousCandle.close,
-        currentPrice: currentCandle.close
-      };
+    return (history[history.length - 1].price - history[0].price) / history[0].price;
+  }
+
+  // Inputs for the detector registry (see DetectorRegistry.INPUTS); data we do not have yet stays null
+  buildDetectorContext(key, marketData) {
+    const klineArray = this.klineData.get(`${key}_1m`) || [];
+    const orderBook = this.orderBookData.get(key);
+    const tape = this.tradeTapes.get(key);
+    const spoofTracker = this.spoofTrackers.get(key);
+    const openInterestChange = this.getOpenInterestChange(key);
+    
+    // Pulled orders are only judged once their trades had time to arrive
+    if (spoofTracker) {
+      spoofTracker.settle(tape);
     }
 
-    return null;
+    return {
+      key,
+      symbol: marketData.symbol,
+      category: marketData.category,
+      ticker: marketData,
+      // Last 10 candles, newest first, in the [timestamp, open, high, low, close, volume] format of btcEthMonitor
+      candles: klineArray.length > 0 ? klineArray.slice(-10).reverse().map(k => [
+        k.timestamp,
+        k.open,
+        k.high,
+        k.low,
+        k.close,
+        k.volume
+      ]) : null,
+      orderBook: orderBook ? {
+        b: orderBook.bids, // bids
+        a: orderBook.asks, // asks
+        book: this.orderBooks.get(key) // Local book for best bid/ask, depth and microprice
+      } : null,
+      trades: tape && tape.trades.length > 0 ? tape : null,
+      orderBookActivity: spoofTracker || null,
+      openInterest: openInterestChange !== null ? {
+        openInterest: marketData.openInterest,
+        openInterestValue: marketData.openInterestValue,
+        change: openInterestChange,
+        priceChange: this.getOpenInterestPriceChange(key)
+      } : null,
+      funding: marketData.fundingRate !== undefined ? {
+        rate: marketData.fundingRate,
+        nextFundingTime: marketData.nextFundingTime
+      } : null,
+      liquidations: marketData.category !== 'spot' ? this.getRecentLiquidations(key) : null, // No liquidation feed on spot
+      volatility: this.volatilityRegime.get(key),
+      whaleThreshold: this.getWhaleThreshold(key),
+      ...this.getDetectorHelpers()
+    };
   }
 
-  detectSpoof(marketData) {
-    // Simple spoof detection based on order book imbalance
-    // In a real implementation, you would analyze order book data
-    const symbol = marketData.symbol;
-    const currentPrice = marketData.price;
-    const volume = marketData.volume24h;
-    
-    // Mock spoof detection logic
-    if (volume > 1000000 && Math.random() < 0.1) { // 10% chance for high volume coins
-      return {
-        type: 'large_order_imbalance',
-        side: Math.random() > 0.5 ? 'buy' : 'sell',
-        imbalanceRatio: (Math.random() * 5 + 2).toFixed(2), // 2-7x imbalance
-        estimatedSize: Math.floor(volume * 0.1),
-        confidence: 0.6
-      };
-    }
-    
-    return null;
+  // Settings and formatters detectors use for thresholds and descriptions
+  getDetectorHelpers() {
+    return {
+      settings: {
+        whaleDetection: this.whaleDetection,
+        orderSpoofing: this.orderSpoofing,
+        derivatives: this.derivativesSettings
+      },
+      format: {
+        volume: (volume) => this.formatVolume(volume),
+        window: (ms) => this.formatWindow(ms)
+      },
+      logger: this.logger
+    };
   }
 
-  detectWhaleActivity(marketData) {
-    // Whale detection based on large volume movements
-    const symbol = marketData.symbol;
-    const volume = marketData.volume24h;
-    const change = Math.abs(marketData.change24h || 0);
+  // Advanced signal checking based on btcEthMonitor.js logic
+  checkForSignalsAdvanced(key) {
+    const marketData = this.marketData.get(key);
     
-    // Detect whale activity if high volume with significant price movement
-    if (volume > 5000000 && change > 3) { // $5M+ volume and >3% change
-      return {
-        type: 'large_volume_movement',
-        volume: volume,
-        priceImpact: change,
-        direction: marketData.change24h > 0 ? 'bullish' : 'bearish',
-        estimatedSize: Math.floor(volume * 0.15),
-        confidence: 0.8
-      };
-    }
+    // Always try to analyze with whatever data we have
+    if (!marketData) return; // Only skip if we have no market data at all
     
-    return null;
-  }
-
-  detectLiquidityImbalance(marketData) {
-    // Liquidity wall detection
-    const symbol = marketData.symbol;
-    const volume = marketData.volume24h;
-    const klineKey = `${symbol}_1m`;
-    const klineArray = this.klineData.get(klineKey) || [];
+    const context = this.buildDetectorContext(key, marketData);
     
-    if (klineArray.length < 5) return null;
+    // Calculate actual values for display
+    context.values = this.calculateActualFilterValues(key, context.candles, context.orderBook, marketData);
+    this.filterValues.set(key, context.values);
     
-    // Check for unusual volume patterns
-    const recentCandles = klineArray.slice(-5);
-    const avgVolume = recentCandles.reduce((sum, candle) => sum + candle.volume, 0) / 5;
-    const lastCandle = recentCandles[recentCandles.length - 1];
+    // Run every registered detector; ones whose inputs are missing stay inactive
+    const evaluations = this.detectors.evaluate(context, this.scannerFilters);
+    const flags = Object.fromEntries(evaluations.map(({ detector, result }) => [detector.flag, !!result]));
     
-    if (lastCandle.volume > avgVolume * 3) { // 3x average volume
-      return {
-        type: 'liquidity_wall',
-        side: lastCandle.close > lastCandle.open ? 'buy_wall' : 'sell_wall',
-        volumeRatio: (lastCandle.volume / avgVolume).toFixed(2),
-        wallSize: Math.floor(lastCandle.volume * marketData.price),
-        priceLevel: lastCandle.close,
-        confidence: 0.7
-      };
-    }
+    this.logger.debug(`🔍 Analyzing ${key}:`, {
+      ...flags,
+      actualValues: context.values
+    });
+    
+    const detectedSignals = evaluations
+      .filter(({ result }) => result)
+      .map(({ detector, result }) => ({ type: detector.id, data: { ...result, detected: true } }));
+    
+    // Always create detailed filter information for display (both active and inactive)
+    const allFilters = evaluations.map(evaluation => this.detectors.toFilter(evaluation, context));
+    
+    // Kept even without signals so the filter breakdown stays visible
+    this.signalData.set(key, {
+      signals: detectedSignals,
+      timestamp: Date.now(),
+      ...flags,
+      allFilters: allFilters, // Include all filter information
+      actualValues: context.values
+    });
     
-    return null;
+    if (detectedSignals.length === 0) return;
+    
+    const activeFilters = allFilters.filter(filter => filter.isActive);
+    this.recordDetectorOutput(key, marketData, detectedSignals);
+    
+    // Update market data with signal flags, detector results and filter details
+    this.marketData.set(key, {
+      ...marketData,
+      ...flags,
+      ...this.detectors.getMarketFields(evaluations),
+      detectorResults: Object.fromEntries(detectedSignals.map(signal => [signal.type, signal.data])),
+      hasSignals: true,
+      activeFilters: activeFilters,
+      filterCount: activeFilters.length
+    });
+    
+    // Emit signals
+    this.emit('signals', {
+      symbol: marketData.symbol,
+      category: marketData.category,
+      signals: detectedSignals,
+      timestamp: Date.now(),
+      price: marketData.price,
+      volume: marketData.volume24h,
+      change: marketData.change24h
+    });
   }
 
   // Calculate actual filter values for display
-  calculateActualFilterValues(symbol, candles, orderBook, marketData) {
+  calculateActualFilterValues(key, candles, orderBook, marketData) {
     const values = {};
     
     // Volume spike calculation
@@ -801,218 +1169,61 @@ class MarketDataService extends EventEmitter {
       values.change24h = Math.abs(marketData.change24h || 0);
     }
     
-    return values;
-  }
-
-  // Detection methods from btcEthMonitor.js
-  detectVolumeSpike(candles, threshold = 1.2) {
-    if (!candles || candles.length < 2) return false;
-    
-    // If we have less than 5 candles, use what we have
-    const previousCandles = candles.slice(1);
-    if (previousCandles.length === 0) return false;
-    
-    const avgVolume = previousCandles.reduce((sum, candle) => sum + parseFloat(candle[5]), 0) / previousCandles.length;
-    
-    // Current candle volume
-    const currentVolume = parseFloat(candles[0][5]);
-    
-    // If avgVolume is 0 or very small, consider any volume as a spike
-    if (avgVolume === 0) return currentVolume > 0;
-    
-    const isSpike = currentVolume > avgVolume * threshold;
-    
-    // Debug log for volume spike detection
-    if (isSpike) {
-      console.log(`📈 Volume spike detected: current=${currentVolume}, avg=${avgVolume}, ratio=${(currentVolume/avgVolume).toFixed(2)}`);
+    // Funding, open interest and liquidations (linear perpetuals)
+    if (marketData && marketData.fundingRate !== undefined) {
+      values.fundingRate = marketData.fundingRate;
     }
-    
-    return isSpike;
-  }
-
-  detectPriceBreakout(candles, threshold = 1.01) {
-  if (!candles || candles.length < 2) return { isBreakout: false, direction: null };
-  
-  const currentClose = parseFloat(candles[0][4]);
-  const previousClose = parseFloat(candles[1][4]);
-  
-  const isBreakout = currentClose > previousClose * threshold;
-  const isBreakdown = currentClose < previousClose / threshold;
-  
-  if (isBreakout) {
-    return { isBreakout: true, direction: 'up' };
-  } else if (isBreakdown) {
-    return { isBreakout: true, direction: 'down' };
-  } else {
-    return { isBreakout: false, direction: null };
-  }
-}
-
-
-  detectOrderBookImbalance(orderBook, threshold = 1.2) {
-    if (!orderBook || !orderBook.b || !orderBook.a) return { isImbalanced: false };
-    
-    // Calculate total bid and ask volumes (top 10 levels)
-    const bidVolume = orderBook.b.slice(0, 10).reduce((sum, level) => sum + parseFloat(level[1]), 0);
-    const askVolume = orderBook.a.slice(0, 10).reduce((sum, level) => sum + parseFloat(level[1]), 0);
-    
-    const ratio = bidVolume / askVolume;
-    
-    return {
-      isImbalanced: ratio > threshold || ratio < 1/threshold,
-      direction: ratio > threshold ? 'buy' : ratio < 1/threshold ? 'sell' : null,
-      ratio: ratio
-    };
-  }
-
-  detectLiquidityWalls(orderBook, threshold = 1.5) {
-    if (!orderBook || !orderBook.b || !orderBook.a) return { hasWalls: false };
-    
-    const walls = {
-      buy: [],
-      sell: []
-    };
-    
-    // Calculate average volume per level
-    const avgBidVolume = orderBook.b.reduce((sum, level) => sum + parseFloat(level[1]), 0) / orderBook.b.length;
-    const avgAskVolume = orderBook.a.reduce((sum, level) => sum + parseFloat(level[1]), 0) / orderBook.a.length;
-    
-    // Find bid walls
-    orderBook.b.forEach((level, index) => {
-      if (parseFloat(level[1]) > avgBidVolume * threshold) {
-        walls.buy.push({
-          price: parseFloat(level[0]),
-          volume: parseFloat(level[1]),
-          ratio: parseFloat(level[1]) / avgBidVolume
-        });
-      }
-    });
-    
-    // Find ask walls
-    orderBook.a.forEach((level, index) => {
-      if (parseFloat(level[1]) > avgAskVolume * threshold) {
-        walls.sell.push({
-          price: parseFloat(level[0]),
-          volume: parseFloat(level[1]),
-          ratio: parseFloat(level[1]) / avgAskVolume
-        });
-      }
-    });
-    
-    return {
-      hasWalls: walls.buy.length > 0 || walls.sell.length > 0,
-      walls: walls
-    };
-  }
-
-  detectWhaleActivityAdvanced(marketData, candles) {
-    if (!marketData || !candles || candles.length < 2) return null;
-    
-    const volume24h = marketData.volume24h || 0;
-    const turnover24h = marketData.turnover24h || 0;
-    const change24h = Math.abs(marketData.change24h || 0);
-    const currentVolume = parseFloat(candles[0][5]);
-    
-    // Calculate average volume from recent candles
-    const avgVolume = candles.slice(1, 6).reduce((sum, candle) => sum + parseFloat(candle[5]), 0) / Math.min(5, candles.length - 1);
-    
-    // Whale detection criteria (ultra sensitive)
-    const highVolumeThreshold = 1000; // $1K+ turnover (ultra low threshold)
-    const volumeSpikeThreshold = 1.05; // 1.05x average volume (ultra sensitive)
-    const priceImpactThreshold = 0.01; // 0.01% price change (ultra sensitive)
-    
-    // Check for whale activity (any significant price change)
-    if (turnover24h > highVolumeThreshold && Math.abs(change24h) > priceImpactThreshold) {
-      return {
-        type: 'large_volume_movement',
-        volume: volume24h,
-        turnover: turnover24h,
-        priceImpact: change24h,
-        direction: marketData.change24h > 0 ? 'bullish' : 'bearish',
-        estimatedSize: Math.floor(turnover24h * 0.1), // Estimate 10% of turnover
-        confidence: 0.7
-      };
+    const openInterestChange = this.getOpenInterestChange(key);
+    if (openInterestChange !== null) {
+      values.openInterestChange = openInterestChange;
     }
-    
-    // Check for volume spike whale activity
-    if (currentVolume > avgVolume * volumeSpikeThreshold && turnover24h > highVolumeThreshold * 0.5) {
-      return {
-        type: 'volume_spike_whale',
-        volume: currentVolume,
-        volumeRatio: (currentVolume / avgVolume).toFixed(2),
-        turnover: turnover24h,
-        direction: candles[0][4] > candles[0][1] ? 'bullish' : 'bearish',
-        estimatedSize: Math.floor(currentVolume * marketData.price * 0.15),
-        confidence: 0.6
-      };
+    values.liquidationNotional = this.getRecentLiquidations(key).reduce((sum, l) => sum + l.notional, 0);
+    
+    // Rolling aggressor volume from the trade tape
+    const tape = this.tradeTapes.get(key);
+    if (tape && tape.trades.length > 0) {
+      const delta = tape.getVolumeDelta(this.whaleDetection.deltaWindowMs);
+      values.buyNotional = delta.buyNotional;
+      values.sellNotional = delta.sellNotional;
+      values.tradeDelta = delta.deltaNotional;
+      values.largestPrint = Math.max(...tape.getTrades(this.whaleDetection.alertWindowMs).map(t => t.notional), 0);
     }
     
-    return null;
+    return values;
   }
 
-  // Basic market activity detection (fallback to ensure we always get some data)
-  detectBasicMarketActivity(marketData) {
-    if (!marketData) return null;
-    
-    const volume24h = marketData.volume24h || 0;
-    const turnover24h = marketData.turnover24h || 0;
-    const change24h = Math.abs(marketData.change24h || 0);
-    const price = marketData.price || 0;
+  // Helper method to validate symbols - any listed instrument of an enabled category
+  isValidSymbol(symbol, category = 'linear') {
+    const universe = this.symbolUniverses.get(category);
+    if (!symbol || !universe) return false;
     
-    // Ultra-low threshold - any coin with basic activity
-    const minVolumeThreshold = 100; // $100 minimum volume
-    const minPriceThreshold = 0.001; // Any price above $0.001
-    
-    // Detect basic market activity (very permissive)
-    if ((volume24h > minVolumeThreshold || turnover24h > minVolumeThreshold) && price > minPriceThreshold) {
-      return {
-        type: 'basic_market_activity',
-        volume: volume24h,
-        turnover: turnover24h,
-        price: price,
-        change: change24h,
-        activity_level: volume24h > 10000 ? 'high' : volume24h > 1000 ? 'medium' : 'low',
-        confidence: 0.3
-      };
+    // Before the first instrument refresh, fall back to the category's quote coin
+    if (universe.instruments.size === 0) {
+      return symbol.endsWith(universe.options.quoteCoin);
     }
     
-    return null;
-  }
-
-  // Helper method to validate symbols - Allow all USDT pairs for maximum data
-  isValidSymbol(symbol) {
-    // Only filter for USDT pairs - allow everything else to get maximum data
-    if (!symbol.endsWith('USDT')) return false;
-    
-    // Allow all USDT pairs including leveraged tokens to get more data
-    return true;
-  }
-
-  // Helper method to get priority for symbols (higher number = higher priority)
-  getSymbolPriority(symbol) {
-    const priorityCoins = [
-      'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ADAUSDT', 'SOLUSDT', 
-      'XRPUSDT', 'DOTUSDT', 'DOGEUSDT', 'AVAXUSDT', 'MATICUSDT',
-      'LINKUSDT', 'LTCUSDT', 'UNIUSDT', 'ATOMUSDT', 'FILUSDT',
-      'TRXUSDT', 'ETCUSDT', 'XLMUSDT', 'VETUSDT', 'ICPUSDT'
-    ];
-    
-    const index = priorityCoins.indexOf(symbol);
-    return index >= 0 ? (priorityCoins.length - index) : 0;
+    return universe.instruments.has(symbol);
   }
 
   // Enhanced API Methods
-  async getMarketData() {
-    const data = Array.from(this.marketData.values());
+  async getMarketData(options = {}) {
+    const data = Array.from(this.marketData.values())
+      .filter(coin => !options.category || coin.category === options.category);
     
     // Always return all coins with their filter information (both active and inactive)
+    const idleFilters = this.detectors.getIdleFilters(this.scannerFilters, this.getDetectorHelpers());
     const enrichedData = data.map(coin => {
-      const signalData = this.signalData.get(coin.symbol);
+      const key = toMarketKey(coin.category, coin.symbol);
+      const signalData = this.signalData.get(key);
+      const correlation = this.correlationEngine.get(key);
+      const volatility = this.volatilityRegime.get(key);
       
       if (signalData && signalData.allFilters) {
         // Return coin with all filter information
         return {
           ...coin,
+          correlation,
+          volatility,
           hasSignals: signalData.signals && signalData.signals.length > 0,
           activeFilters: signalData.allFilters.filter(f => f.isActive), // Only active filters
           allFilters: signalData.allFilters, // All filters (active and inactive)
@@ -1023,50 +1234,11 @@ class MarketDataService extends EventEmitter {
         // Return coin with empty filter information
         return {
           ...coin,
+          correlation,
+          volatility,
           hasSignals: false,
           activeFilters: [],
-          allFilters: [
-            {
-              type: 'volume_spike',
-              icon: '📈',
-              label: 'Volume Spike',
-              description: 'No data available',
-              severity: 'inactive',
-              threshold: '1%',
-              actualValue: 'N/A',
-              isActive: false
-            },
-            {
-              type: 'price_breakout',
-              icon: '📊',
-              label: 'Price Movement',
-              description: 'No data available',
-              severity: 'inactive',
-              threshold: '0.1%',
-              actualValue: 'N/A',
-              isActive: false
-            },
-            {
-              type: 'spoof_detection',
-              icon: '⚠️',
-              label: 'Order Book Imbalance',
-              description: 'No data available',
-              severity: 'inactive',
-              threshold: '1%',
-              actualValue: 'N/A',
-              isActive: false
-            },
-            {
-              type: 'whale_alert',
-              icon: '🐋',
-              label: 'Whale Activity',
-              description: 'No data available',
-              severity: 'inactive',
-              threshold: '$10K + 0.1%',
-              actualValue: 'N/A',
-              isActive: false
-            }
-          ],
+          allFilters: idleFilters,
           filterCount: 0,
           actualValues: {}
         };
@@ -1086,30 +1258,171 @@ class MarketDataService extends EventEmitter {
 
   // Get current signals
   async getSignals() {
-    const signals = Array.from(this.signalData.entries()).map(([symbol, data]) => ({
-      symbol,
-      ...data
-    }));
+    const signals = Array.from(this.signalData.entries())
+      .filter(([, data]) => data.signals.length > 0)
+      .map(([key, data]) => ({
+        ...parseMarketKey(key),
+        ...data
+      }));
     return signals.sort((a, b) => b.timestamp - a.timestamp);
   }
 
-  async getKlineData(symbol, interval = '1m', limit = 100) {
-    const klineKey = `${symbol}_${interval}`;
-    return this.klineData.get(klineKey) || [];
+  // Correlation and beta to the benchmarks (null until enough candles are stored)
+  getCorrelation(symbol, category = 'linear') {
+    return this.correlationEngine.get(toMarketKey(category, symbol));
   }
 
-  async getTopMovers(limit = 10) {
-    const data = Array.from(this.marketData.values());
+  /**
+   * Everything custom screens can filter on, one row per symbol
+   * @param {string} category - Optional category filter
+   * @returns {Array} [{ ...ticker, key, values, signals, returns, volatility, correlation }]
+   */
+  getScreenData(category = null) {
+    return Array.from(this.marketData.values())
+      .filter(coin => !category || coin.category === category)
+      .map(coin => {
+        const key = toMarketKey(coin.category, coin.symbol);
+        const signalData = this.signalData.get(key);
+        const returns = {};
+        this.sectorHeatmap.getWindows().forEach(window => {
+          returns[window] = this.sectorHeatmap.getReturn(key, window, coin.price);
+        });
+
+        return {
+          ...coin,
+          key,
+          values: this.filterValues.get(key) || {},
+          signals: signalData ? signalData.signals.map(signal => signal.type) : [],
+          returns,
+          volatility: this.volatilityRegime.get(key),
+          correlation: this.correlationEngine.get(key)
+        };
+      });
+  }
+
+  // Volatility regime and 1m sigmas (null until enough candles are stored)
+  getVolatility(symbol, category = 'linear') {
+    return this.volatilityRegime.get(toMarketKey(category, symbol));
+  }
+
+  /**
+   * Trading rules of a symbol from the instrument registry
+   * @returns {Object|null} See InstrumentRegistry.normalize, null before the instruments are loaded
+   */
+  getInstrument(symbol, category = 'linear') {
+    return this.instrumentRegistry.get(symbol, category);
+  }
+
+  /**
+   * Price tick size from the instrument registry
+   * @returns {number|null} null before the instruments are loaded
+   */
+  getTickSize(symbol, category = 'linear') {
+    return this.instrumentRegistry.get(symbol, category)?.tickSize || null;
+  }
+
+  /**
+   * Results of the detectors currently firing for a symbol
+   * @returns {Object|null} { detectorId: result }, null when none fire
+   */
+  getDetectorResults(symbol, category = 'linear') {
+    const signalData = this.signalData.get(toMarketKey(category, symbol));
+    if (!signalData || signalData.signals.length === 0) return null;
+    return Object.fromEntries(signalData.signals.map(signal => [signal.type, signal.data]));
+  }
+
+  /**
+   * Support/resistance zones of a symbol on one interval
+   * @param {string} symbol - Trading symbol
+   * @param {string} interval - Candle interval
+   * @param {string} category - Product category
+   */
+  getLevels(symbol, interval = '15m', category = 'linear') {
+    return this.supportResistance.getLevels(toMarketKey(category, symbol), interval);
+  }
+
+  /**
+   * Sector heatmap of one category
+   * @param {string} category - Product category
+   * @param {string} sortWindow - Window sectors are ranked by ('5m', '1h', '4h', '24h')
+   */
+  getHeatmap(category = 'linear', sortWindow) {
+    const universe = this.symbolUniverses.get(category);
+    const coins = Array.from(this.marketData.values())
+      .filter(coin => coin.category === category)
+      .map(coin => ({
+        key: toMarketKey(category, coin.symbol),
+        symbol: coin.symbol,
+        baseCoin: universe?.instruments.get(coin.symbol)?.baseCoin || this.getBaseCoin(coin.symbol, category),
+        price: coin.price,
+        change24h: coin.change24h,
+        turnover24h: ExchangeAdapter.quoteTurnover(coin, category)
+      }));
+
+    return {
+      category,
+      ...this.sectorHeatmap.build(coins, sortWindow)
+    };
+  }
+
+  // Base coin from the symbol when the instrument list has not been fetched yet
+  getBaseCoin(symbol, category = 'linear') {
+    const { quoteCoin } = CATEGORY_DEFAULTS[category] || {};
+    return quoteCoin && symbol.endsWith(quoteCoin) ? symbol.slice(0, -quoteCoin.length) : symbol;
+  }
+
+  /**
+   * Candles of one symbol, oldest first
+   * @param {Object} range - Optional { start, end } in ms; ranges are served from the
+   *   time series store merged with the candles in memory
+   */
+  async getKlineData(symbol, interval = '1m', limit = 100, category = 'linear', { start = null, end = null } = {}) {
+    const key = toMarketKey(category, symbol);
+    const inMemory = this.klineData.get(`${key}_${interval}`) || [];
+    if (start === null && end === null) {
+      return inMemory.slice(-limit);
+    }
+
+    const stored = this.timeSeriesStore
+      ? await this.timeSeriesStore.query(`candles/${interval}`, key, { start, end, limit })
+      : [];
+
+    // Candles in memory win: they include the forming candle and the latest updates
+    const candles = new Map(stored.map(candle => [candle.timestamp, candle]));
+    inMemory
+      .filter(candle => (start === null || candle.timestamp >= start) && (end === null || candle.timestamp <= end))
+      .forEach(candle => candles.set(candle.timestamp, candle));
+
+    const sorted = Array.from(candles.values()).sort((a, b) => a.timestamp - b.timestamp);
+    return start !== null ? sorted.slice(0, limit) : sorted.slice(-limit);
+  }
+
+  getSupportedIntervals() {
+    return ['1m', ...this.candleAggregator.intervals];
+  }
+
+  async getTopMovers(limit = 10, category = null) {
+    const data = Array.from(this.marketData.values())
+      .filter(coin => !category || coin.category === category);
     return data
       .sort((a, b) => Math.abs(b.change24h || 0) - Math.abs(a.change24h || 0))
       .slice(0, limit);
   }
 
+  // Error messages for filter values that do not match a detector's params schema
+  validateFilters(filters) {
+    return this.detectors.validateParams(filters);
+  }
+
   updateFilters(newFilters) {
     this.scannerFilters = { ...this.scannerFilters, ...newFilters };
     console.log('📊 Scanner filters updated:', this.scannerFilters);
   }
 
+  formatWindow(ms) {
+    return ms >= 60000 ? `${Math.round(ms / 60000)}m` : `${Math.round(ms / 1000)}s`;
+  }
+
   formatVolume(volume) {
     if (volume >= 1e9) return `$${(volume / 1e9).toFixed(1)}B`;
     if (volume >= 1e6) return `$${(volume / 1e6).toFixed(1)}M`;
@@ -1121,8 +1434,14 @@ class MarketDataService extends EventEmitter {
     return this.scannerFilters;
   }
 
+  // Registered detectors with their params schema and current values
+  getDetectorSettings() {
+    return this.detectors.describe(this.scannerFilters);
+  }
+
   // REST API fallback method
   async startRestFallback() {
+    if (this.restFallbackInterval) return;
     console.log('🔄 Starting REST API fallback...');
     
     // Get market data every 5 seconds as fallback
@@ -1136,49 +1455,50 @@ class MarketDataService extends EventEmitter {
   }
 
   async fetchRestMarketData() {
-    try {
-      // Get ticker data for top USDT pairs
-      const tickerResponse = await this.client.getTickers({
-        category: 'linear'
-      });
-
-      if (tickerResponse.retCode === 0) {
-        const tickers = tickerResponse.result.list
-          .filter(ticker => this.isValidSymbol(ticker.symbol))
-          .sort((a, b) => {
-            // Sort by priority first, then by volume
-            const priorityA = this.getSymbolPriority(a.symbol);
-            const priorityB = this.getSymbolPriority(b.symbol);
-            
-            if (priorityA !== priorityB) {
-              return priorityB - priorityA; // Higher priority first
-            }
-            
-            // If same priority, sort by volume
-            const volumeA = parseFloat(a.volume24h) || 0;
-            const volumeB = parseFloat(b.volume24h) || 0;
-            return volumeB - volumeA;
-          })
-          .slice(0, 50); // Top 50 pairs
-
-        tickers.forEach((ticker, index) => {
-          const updatedData = {
-            symbol: ticker.symbol,
-            price: parseFloat(ticker.lastPrice),
-            change24h: parseFloat(ticker.price24hPcnt),
-            volume24h: parseFloat(ticker.volume24h),
-            turnover24h: parseFloat(ticker.turnover24h),
-            timestamp: Date.now()
-          };
-
-          this.marketData.set(ticker.symbol, updatedData);
-
-          // Emit update for real-time clients
-          this.emit('marketUpdate', updatedData);
-        });
+    for (const [category, universe] of this.symbolUniverses) {
+      try {
+        const tickerResponse = await this.client.getTickers({ category });
+
+        if (tickerResponse.retCode === 0) {
+          // Same symbols as the stream; by turnover until the universe has been ranked
+          const tickers = universe.getSymbols().length > 0
+            ? tickerResponse.result.list.filter(ticker => universe.has(ticker.symbol))
+            : tickerResponse.result.list
+              .filter(ticker => this.isValidSymbol(ticker.symbol, category))
+              .sort((a, b) => ExchangeAdapter.quoteTurnover(b, category) - ExchangeAdapter.quoteTurnover(a, category))
+              .slice(0, universe.options.maxSymbols);
+
+          tickers.forEach((ticker, index) => {
+            const key = toMarketKey(category, ticker.symbol);
+            const currentData = this.marketData.get(key) || {};
+
+            // Merged like stream tickers so detector results and filter details survive the outage
+            const updatedData = {
+              ...currentData,
+              symbol: ticker.symbol,
+              category,
+              price: this.parseTickerField(ticker.lastPrice, currentData.price),
+              change24h: this.parseTickerField(ticker.price24hPcnt, currentData.change24h),
+              volume24h: this.parseTickerField(ticker.volume24h, currentData.volume24h),
+              turnover24h: this.parseTickerField(ticker.turnover24h, currentData.turnover24h),
+              ...this.parseDerivativesFields(ticker, currentData),
+              timestamp: Date.now()
+            };
+
+            this.marketData.set(key, updatedData);
+            this.recordOpenInterest(key, updatedData.openInterest, updatedData.price);
+            this.recordTickerSnapshot(key, updatedData);
+
+            // Emit update for real-time clients
+            this.emit('marketUpdate', updatedData);
+
+            // Queue for signal evaluation
+            this.signalScheduler.schedule(key, 'ticker');
+          });
+        }
+      } catch (error) {
+        console.error(`Error fetching REST market data (${category}):`, error.message);
       }
-    } catch (error) {
-      console.error('Error fetching REST market data:', error.message);
     }
   }
 
@@ -1186,8 +1506,61 @@ class MarketDataService extends EventEmitter {
     if (this.restFallbackInterval) {
       clearInterval(this.restFallbackInterval);
       this.restFallbackInterval = null;
+      console.log('⏸️ Stopped REST API fallback');
+    }
+  }
+
+  getEvaluationMetrics() {
+    return {
+      ...this.signalScheduler.getMetrics(),
+      logLevel: this.logger.level
+    };
+  }
+
+  /**
+   * Change evaluation cadence, mode or log level at runtime
+   * @param {Object} options - { mode, intervalMs, maxBatch, logLevel }
+   */
+  configureEvaluation(options = {}) {
+    const { logLevel, ...schedulerOptions } = options;
+
+    // Validate everything first so a rejected request changes nothing
+    if (logLevel !== undefined && !Logger.LEVELS.includes(logLevel)) {
+      throw new Error(`Unknown log level: ${logLevel}`);
+    }
+    SignalScheduler.validate(schedulerOptions);
+
+    if (logLevel !== undefined) {
+      this.logger.setLevel(logLevel);
     }
+    this.signalScheduler.configure(schedulerOptions);
+    return this.getEvaluationMetrics();
+  }
+
+  getConnectionHealth() {
+    return {
+      ...this.connectionSupervisor.getHealth(),
+      restPolling: !!this.restFallbackInterval
+    };
+  }
+
+  // Stop streaming and polling
+  async shutdown() {
+    this.stopRestFallback();
+    this.symbolUniverses.forEach(universe => universe.stop());
+    this.instrumentRegistry.stop();
+    this.connectionSupervisor.stop();
+    this.signalScheduler.stop();
+    await this.exchange.disconnect();
+    if (this.timeSeriesStore) {
+      await this.timeSeriesStore.stop();
+    }
+    this.isInitialized = false;
   }
 }
 
+MarketDataService.toMarketKey = toMarketKey;
+MarketDataService.parseMarketKey = parseMarketKey;
+MarketDataService.CATEGORIES = Object.keys(CATEGORY_DEFAULTS);
+
 module.exports = MarketDataService;
\ No newline at end of file
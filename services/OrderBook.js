@@ -0,0 +1,208 @@
+/**
+ * Order Book
+ * Local per-symbol order book maintained from Bybit snapshot and delta messages
+ */
+
+class OrderBook {
+  constructor(symbol, depth = 50) {
+    this.symbol = symbol;
+    this.depth = depth;
+    this.bids = new Map(); // price string -> size
+    this.asks = new Map();
+    this.updateId = null; // Bybit `u`
+    this.sequence = null; // Bybit `seq`
+    this.isSynced = false; // False until a snapshot has been applied
+    this.timestamp = null;
+    this.sortedCache = { bids: null, asks: null };
+  }
+
+  /**
+   * Apply an orderbook topic message
+   * @param {Object} message - Raw message ({ type, ts, data: { b, a, u, seq } })
+   * @returns {Object} { applied, gap, snapshot, changes } - gap is true when deltas were missed,
+   *   changes lists the levels a delta touched as { side, price, previousSize, size }
+   */
+  apply(message) {
+    const data = message.data || {};
+
+    // u === 1 means Bybit restarted the book and this delta is a fresh snapshot
+    if (message.type === 'snapshot' || data.u === 1) {
+      this.applySnapshot(data, message.ts);
+      return { applied: true, gap: false, snapshot: true, changes: [] };
+    }
+
+    if (!this.isSynced) {
+      return { applied: false, gap: false }; // Waiting for a snapshot
+    }
+
+    // Stale or duplicate message
+    if (this.sequence !== null && data.seq !== undefined && data.seq <= this.sequence) {
+      return { applied: false, gap: false };
+    }
+
+    if (this.updateId !== null && data.u !== this.updateId + 1) {
+      this.isSynced = false;
+      return { applied: false, gap: true, expected: this.updateId + 1, received: data.u };
+    }
+
+    const changes = this.applyDelta(data, message.ts);
+    return { applied: true, gap: false, snapshot: false, changes };
+  }
+
+  applySnapshot(data, timestamp) {
+    this.bids.clear();
+    this.asks.clear();
+    this.applyLevels(this.bids, data.b);
+    this.applyLevels(this.asks, data.a);
+    this.updateId = data.u !== undefined ? data.u : null;
+    this.sequence = data.seq !== undefined ? data.seq : null;
+    this.timestamp = timestamp || Date.now();
+    this.isSynced = true;
+  }
+
+  applyDelta(data, timestamp) {
+    const changes = [
+      ...this.applyLevels(this.bids, data.b).map(change => ({ side: 'bid', ...change })),
+      ...this.applyLevels(this.asks, data.a).map(change => ({ side: 'ask', ...change }))
+    ];
+    this.updateId = data.u !== undefined ? data.u : this.updateId;
+    this.sequence = data.seq !== undefined ? data.seq : this.sequence;
+    this.timestamp = timestamp || Date.now();
+    return changes;
+  }
+
+  // Size "0" removes the level, anything else replaces it
+  applyLevels(side, levels = []) {
+    const changes = [];
+    levels.forEach(([price, size]) => {
+      const quantity = parseFloat(size);
+      changes.push({ price, previousSize: side.get(price) || 0, size: quantity });
+      if (quantity === 0) {
+        side.delete(price);
+      } else {
+        side.set(price, quantity);
+      }
+    });
+    this.sortedCache = { bids: null, asks: null };
+    return changes;
+  }
+
+  reset() {
+    this.bids.clear();
+    this.asks.clear();
+    this.updateId = null;
+    this.sequence = null;
+    this.isSynced = false;
+    this.sortedCache = { bids: null, asks: null };
+  }
+
+  /**
+   * Bid levels, best first
+   * @param {number} depth - Number of levels
+   * @returns {Array} [[price, size], ...]
+   */
+  getBids(depth = this.depth) {
+    if (!this.sortedCache.bids) {
+      this.sortedCache.bids = this.sortLevels(this.bids, (a, b) => b[0] - a[0]);
+    }
+    return this.sortedCache.bids.slice(0, depth);
+  }
+
+  /**
+   * Ask levels, best first
+   * @param {number} depth - Number of levels
+   * @returns {Array} [[price, size], ...]
+   */
+  getAsks(depth = this.depth) {
+    if (!this.sortedCache.asks) {
+      this.sortedCache.asks = this.sortLevels(this.asks, (a, b) => a[0] - b[0]);
+    }
+    return this.sortedCache.asks.slice(0, depth);
+  }
+
+  sortLevels(side, compare) {
+    return Array.from(side.entries())
+      .map(([price, size]) => [parseFloat(price), size])
+      .sort(compare);
+  }
+
+  getBestBid() {
+    const [best] = this.getBids(1);
+    return best ? { price: best[0], size: best[1] } : null;
+  }
+
+  getBestAsk() {
+    const [best] = this.getAsks(1);
+    return best ? { price: best[0], size: best[1] } : null;
+  }
+
+  getSpread() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    return bid && ask ? ask.price - bid.price : null;
+  }
+
+  getMidPrice() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    return bid && ask ? (bid.price + ask.price) / 2 : null;
+  }
+
+  /**
+   * Size-weighted mid price, leaning towards the side with less resting size
+   * @returns {number|null} Microprice
+   */
+  getMicroPrice() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    if (!bid || !ask) return null;
+
+    const totalSize = bid.size + ask.size;
+    if (totalSize === 0) return (bid.price + ask.price) / 2;
+
+    return (bid.price * ask.size + ask.price * bid.size) / totalSize;
+  }
+
+  /**
+   * Resting size at an exact price level
+   * @param {string} side - 'bid' or 'ask'
+   * @param {number} price - Price level
+   * @returns {number} Size (0 when the level is empty)
+   */
+  getDepthAtPrice(side, price) {
+    const levels = side === 'bid' ? this.getBids() : this.getAsks();
+    const level = levels.find(([levelPrice]) => levelPrice === parseFloat(price));
+    return level ? level[1] : 0;
+  }
+
+  /**
+   * Cumulative size from the touch down/up to a price
+   * @param {string} side - 'bid' or 'ask'
+   * @param {number} price - Furthest price to include
+   * @returns {number} Total size
+   */
+  getCumulativeDepth(side, price) {
+    const limit = parseFloat(price);
+    const levels = side === 'bid'
+      ? this.getBids().filter(([levelPrice]) => levelPrice >= limit)
+      : this.getAsks().filter(([levelPrice]) => levelPrice <= limit);
+    return levels.reduce((sum, [, size]) => sum + size, 0);
+  }
+
+  getSummary() {
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
+    return {
+      bestBid: bestBid ? bestBid.price : null,
+      bestAsk: bestAsk ? bestAsk.price : null,
+      spread: this.getSpread(),
+      midPrice: this.getMidPrice(),
+      microPrice: this.getMicroPrice(),
+      updateId: this.updateId,
+      sequence: this.sequence,
+      isSynced: this.isSynced
+    };
+  }
+}
+
+module.exports = OrderBook;
@@ -0,0 +1,270 @@
+/**
+ * Replay Exchange Adapter
+ * Feeds recorded market data messages from local NDJSON files so the
+ * stack can run without a live Bybit connection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+/**
+ * Recordings are newline-delimited JSON files (optionally gzipped) where
+ * every line is one raw WebSocket message with its receive time:
+ *
+ *   {"receivedAt":1718000000000,"category":"linear","message":{"topic":"kline.1.BTCUSDT",...}}
+ *
+ * All files under the replay directory are merged by receivedAt, so a
+ * session split per symbol/topic plays back in its original order.
+ */
+class ReplayExchangeAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('replay');
+    this.dir = path.resolve(options.dir || process.env.REPLAY_DIR || path.join(__dirname, '../data/recordings'));
+    this.speed = options.speed !== undefined ? Number(options.speed) : parseFloat(process.env.REPLAY_SPEED || '1'); // 0 = as fast as possible
+    this.loop = options.loop !== undefined ? options.loop : process.env.REPLAY_LOOP === 'true';
+    this.maxGap = options.maxGap || 5000; // Never sleep longer than this between two messages (ms)
+
+    this.isRunning = false;
+    this.playback = null;
+    this.sleepTimer = null;
+    this.wakeUp = null;
+    this.messageCount = 0;
+
+    // Latest state seen in the replay, used to answer REST calls
+    this.tickers = new Map();
+    this.klines = new Map();
+    this.replayClock = null;
+  }
+
+  async connect() {
+    if (this.isRunning) return;
+
+    const files = await this.findRecordingFiles(this.dir);
+    if (files.length === 0) {
+      throw new Error(`No recordings found in ${this.dir}`);
+    }
+
+    console.log(`📼 Replaying ${files.length} recording file(s) from ${this.dir} at ${this.speed > 0 ? `${this.speed}x` : 'max'} speed`);
+
+    this.isRunning = true;
+    this.emit('open');
+
+    this.playback = this.play(files)
+      .catch(error => this.emit('error', error))
+      .finally(() => {
+        this.isRunning = false;
+        // The recording ran out; nothing dropped, so this is not a 'close'
+        this.emit('end');
+      });
+  }
+
+  async disconnect() {
+    this.isRunning = false;
+    if (this.sleepTimer) {
+      clearTimeout(this.sleepTimer);
+      this.sleepTimer = null;
+    }
+    if (this.wakeUp) {
+      this.wakeUp();
+      this.wakeUp = null;
+    }
+    if (this.playback) {
+      await this.playback;
+      this.playback = null;
+    }
+  }
+
+  async subscribe(topics, category = 'linear') {
+    await super.subscribe(topics, category);
+    this.emit('response', { success: true, op: 'subscribe', args: this.toTopicList(topics) });
+  }
+
+  async unsubscribe(topics, category = 'linear') {
+    await super.unsubscribe(topics, category);
+    this.emit('response', { success: true, op: 'unsubscribe', args: this.toTopicList(topics) });
+  }
+
+  async play(files) {
+    do {
+      let previousTime = null;
+
+      for await (const record of this.mergeRecordings(files)) {
+        if (!this.isRunning) return;
+
+        if (previousTime !== null && this.speed > 0) {
+          const gap = Math.min(record.receivedAt - previousTime, this.maxGap);
+          if (gap > 0) await this.sleep(gap / this.speed);
+          if (!this.isRunning) return;
+        }
+
+        previousTime = record.receivedAt;
+        this.replayClock = record.receivedAt;
+
+        // Live messages get their category from the connection; replays carry it per line
+        const message = { ...record.message, category: record.category || ExchangeAdapter.getCategory(record.message) };
+        this.trackState(message);
+        this.messageCount++;
+        this.emit('update', message);
+      }
+    } while (this.loop && this.isRunning);
+  }
+
+  /**
+   * Merge several time-ordered recording files into one ordered stream
+   * @param {Array<string>} files - Recording file paths
+   */
+  async *mergeRecordings(files) {
+    const readers = files.map(file => this.readRecords(file));
+    const heads = await Promise.all(readers.map(reader => reader.next()));
+
+    try {
+      while (true) {
+        let next = -1;
+        heads.forEach((head, index) => {
+          if (head.done) return;
+          if (next === -1 || head.value.receivedAt < heads[next].value.receivedAt) {
+            next = index;
+          }
+        });
+
+        if (next === -1) return;
+
+        yield heads[next].value;
+        heads[next] = await readers[next].next();
+      }
+    } finally {
+      await Promise.all(readers.map(reader => reader.return()));
+    }
+  }
+
+  async *readRecords(file) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          const record = JSON.parse(line);
+          if (record && record.message) {
+            yield { ...record, receivedAt: Number(record.receivedAt) || 0 };
+          }
+        } catch (error) {
+          console.error(`⚠️ Skipping malformed replay line in ${path.basename(file)}:`, error.message);
+        }
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  async findRecordingFiles(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.findRecordingFiles(fullPath));
+      } else if (/\.ndjson(\.gz)?$/.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+
+    return files.sort();
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wakeUp = resolve;
+      this.sleepTimer = setTimeout(() => {
+        this.sleepTimer = null;
+        this.wakeUp = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  // Keep the latest ticker and kline per category and symbol so REST-style calls can be answered offline
+  trackState(message) {
+    if (!message.topic || !message.data) return;
+
+    if (message.topic.startsWith('tickers')) {
+      const tickers = Array.isArray(message.data) ? message.data : [message.data];
+      tickers.forEach(ticker => {
+        if (!ticker.symbol) return;
+        const key = `${message.category}:${ticker.symbol}`;
+        this.tickers.set(key, { ...this.tickers.get(key), ...ticker, category: message.category });
+      });
+    } else if (message.topic.startsWith('kline')) {
+      const [, interval, symbol] = message.topic.split('.');
+      const key = `${message.category}:${symbol}_${interval}`;
+      const candles = this.klines.get(key) || new Map();
+      message.data.forEach(kline => candles.set(parseInt(kline.start), kline));
+      this.klines.set(key, candles);
+    }
+  }
+
+  async getServerTime() {
+    const now = this.replayClock || Date.now();
+    return {
+      retCode: 0,
+      retMsg: 'OK',
+      result: {
+        timeSecond: String(Math.floor(now / 1000)),
+        timeNano: String(now * 1e6)
+      },
+      time: now
+    };
+  }
+
+  async getInstrumentsInfo(params = {}) {
+    const list = this.getTrackedTickers(params)
+      .map(ticker => ({ symbol: ticker.symbol, status: 'Trading' }));
+
+    return { retCode: 0, retMsg: 'OK', result: { category: params.category, list } };
+  }
+
+  async getTickers(params = {}) {
+    const list = this.getTrackedTickers(params)
+      .map(({ category, ...ticker }) => ticker);
+
+    return { retCode: 0, retMsg: 'OK', result: { category: params.category, list } };
+  }
+
+  getTrackedTickers(params) {
+    const category = params.category || 'linear';
+    return Array.from(this.tickers.values())
+      .filter(ticker => ticker.category === category && (!params.symbol || ticker.symbol === params.symbol));
+  }
+
+  async getKline(params = {}) {
+    const candles = this.klines.get(`${params.category || 'linear'}:${params.symbol}_${params.interval}`) || new Map();
+
+    // Bybit returns newest first as [start, open, high, low, close, volume, turnover]
+    const list = Array.from(candles.values())
+      .filter(k => (!params.start || k.start >= params.start) && (!params.end || k.start <= params.end))
+      .sort((a, b) => b.start - a.start)
+      .slice(0, params.limit || 200)
+      .map(k => [String(k.start), k.open, k.high, k.low, k.close, k.volume, k.turnover || '0']);
+
+    return { retCode: 0, retMsg: 'OK', result: { category: params.category, symbol: params.symbol, list } };
+  }
+}
+
+module.exports = ReplayExchangeAdapter;
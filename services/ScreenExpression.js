@@ -0,0 +1,324 @@
+/**
+ * Screen Expression
+ * Parser and evaluator for the scanner screen language, e.g.
+ *   change_5m > 1.5% AND volume_ratio > 3 AND funding < 0
+ *
+ * Expressions are parsed into a tree and walked; nothing is passed to eval or
+ * Function, and identifiers can only name fields from the given field list.
+ */
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 32;
+
+const KEYWORDS = { AND: 'and', OR: 'or', NOT: 'not', TRUE: 'true', FALSE: 'false', NULL: 'null' };
+const COMPARISONS = ['>', '>=', '<', '<=', '==', '!='];
+const NUMBER_SUFFIXES = { '%': 0.01, K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * Grammar (lowest precedence first):
+ *
+ *   or         := and (OR and)*
+ *   and        := not (AND not)*
+ *   not        := NOT not | comparison
+ *   comparison := additive (('>' | '>=' | '<' | '<=' | '==' | '!=') additive)?
+ *   additive   := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := number | string | TRUE | FALSE | NULL | field | '(' or ')'
+ *
+ * Numbers take an optional % (1.5% = 0.015), K, M or B suffix. AND/OR/NOT are
+ * case-insensitive and also written &&, || and !; = is the same as ==.
+ * A field without a value is null: comparisons with it are false (except
+ * `== null` / `!= null`) and arithmetic with it gives null.
+ */
+class ScreenExpression {
+  /**
+   * @param {string} source - Expression text
+   * @param {Array} fieldNames - Identifiers the expression may use
+   * @throws {Error} With the position of the first syntax error or unknown field
+   */
+  constructor(source, fieldNames) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error('Expression is empty');
+    }
+    if (source.length > MAX_LENGTH) {
+      throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+    }
+
+    this.source = source;
+    this.fieldNames = new Set(fieldNames);
+    this.fields = new Set(); // Fields the expression references
+    this.tokens = ScreenExpression.tokenize(source);
+    this.position = 0;
+    this.depth = 0;
+
+    this.ast = this.parseOr();
+    if (this.peek().type !== 'end') {
+      this.fail(`Unexpected ${this.describe(this.peek())}`);
+    }
+    delete this.tokens;
+  }
+
+  static tokenize(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+      const rest = source.slice(index);
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      const number = rest.match(/^(\d+(\.\d+)?|\.\d+)([%KMB](?![A-Za-z0-9_]))?/);
+      if (number) {
+        const multiplier = number[3] ? NUMBER_SUFFIXES[number[3]] : 1;
+        tokens.push({ type: 'number', value: parseFloat(number[1]) * multiplier, index });
+        index += number[0].length;
+        continue;
+      }
+
+      const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (identifier) {
+        const keyword = KEYWORDS[identifier[0].toUpperCase()];
+        tokens.push(keyword ? { type: keyword, index } : { type: 'field', value: identifier[0], index });
+        index += identifier[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const end = source.indexOf(char, index + 1);
+        if (end < 0) {
+          throw new Error(`Unterminated string at position ${index + 1}`);
+        }
+        tokens.push({ type: 'string', value: source.slice(index + 1, end), index });
+        index = end + 1;
+        continue;
+      }
+
+      const operator = rest.match(/^(>=|<=|==|!=|&&|\|\||[<>=!+\-*/()])/);
+      if (operator) {
+        const aliases = { '&&': 'and', '||': 'or', '!': 'not', '=': '==' };
+        const op = aliases[operator[0]] || operator[0];
+        tokens.push(['and', 'or', 'not'].includes(op) ? { type: op, index } : { type: 'operator', value: op, index });
+        index += operator[0].length;
+        continue;
+      }
+
+      throw new Error(`Unexpected character '${char}' at position ${index + 1}`);
+    }
+
+    tokens.push({ type: 'end', index: source.length });
+    return tokens;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isOperator(...values) {
+    const token = this.peek();
+    return token.type === 'operator' && values.includes(token.value);
+  }
+
+  describe(token) {
+    if (token.type === 'end') return 'end of expression';
+    if (token.type === 'operator') return `'${token.value}'`;
+    if (token.value !== undefined) return `'${token.value}'`;
+    return token.type.toUpperCase();
+  }
+
+  fail(message, token = this.peek()) {
+    throw new Error(`${message} at position ${token.index + 1}`);
+  }
+
+  // Guards against deeply nested input blowing the stack
+  nested(parse) {
+    if (++this.depth > MAX_DEPTH) {
+      this.fail('Expression is nested too deeply');
+    }
+    const node = parse();
+    this.depth--;
+    return node;
+  }
+
+  parseOr() {
+    return this.nested(() => {
+      let node = this.parseAnd();
+      while (this.peek().type === 'or') {
+        this.next();
+        node = { type: 'logical', op: 'or', left: node, right: this.parseAnd() };
+      }
+      return node;
+    });
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.peek().type === 'and') {
+      this.next();
+      node = { type: 'logical', op: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.peek().type === 'not') {
+      this.next();
+      return this.nested(() => ({ type: 'not', operand: this.parseNot() }));
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    if (this.isOperator(...COMPARISONS)) {
+      const op = this.next().value;
+      return { type: 'compare', op, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let node = this.parseTerm();
+    while (this.isOperator('+', '-')) {
+      const op = this.next().value;
+      node = { type: 'arithmetic', op, left: node, right: this.parseTerm() };
+    }
+    return node;
+  }
+
+  parseTerm() {
+    let node = this.parseUnary();
+    while (this.isOperator('*', '/')) {
+      const op = this.next().value;
+      node = { type: 'arithmetic', op, left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-')) {
+      this.next();
+      return this.nested(() => ({ type: 'negate', operand: this.parseUnary() }));
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'true':
+      case 'false':
+        return { type: 'literal', value: token.type === 'true' };
+      case 'null':
+        return { type: 'literal', value: null };
+      case 'field':
+        if (!this.fieldNames.has(token.value)) {
+          this.fail(`Unknown field '${token.value}'`, token);
+        }
+        this.fields.add(token.value);
+        return { type: 'field', name: token.value };
+      case 'operator':
+        if (token.value === '(') {
+          const node = this.parseOr();
+          if (!this.isOperator(')')) {
+            this.fail("Expected ')'");
+          }
+          this.next();
+          return node;
+        }
+        break;
+      default:
+        break;
+    }
+
+    return this.fail(`Unexpected ${this.describe(token)}`, token);
+  }
+
+  /**
+   * @param {Function} resolve - (fieldName) => value, null/undefined when unavailable
+   * @returns {boolean} Whether the expression matches
+   */
+  evaluate(resolve) {
+    return ScreenExpression.isTruthy(this.evaluateNode(this.ast, resolve));
+  }
+
+  evaluateNode(node, resolve) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'field': {
+        const value = resolve(node.name);
+        return value === undefined || (typeof value === 'number' && !isFinite(value)) ? null : value;
+      }
+      case 'not':
+        return !ScreenExpression.isTruthy(this.evaluateNode(node.operand, resolve));
+      case 'logical': {
+        const left = ScreenExpression.isTruthy(this.evaluateNode(node.left, resolve));
+        if (node.op === 'and' ? !left : left) return left;
+        return ScreenExpression.isTruthy(this.evaluateNode(node.right, resolve));
+      }
+      case 'negate': {
+        const value = this.evaluateNode(node.operand, resolve);
+        return typeof value === 'number' ? -value : null;
+      }
+      case 'arithmetic':
+        return ScreenExpression.calculate(node.op, this.evaluateNode(node.left, resolve), this.evaluateNode(node.right, resolve));
+      case 'compare':
+        return ScreenExpression.compare(node.op, this.evaluateNode(node.left, resolve), this.evaluateNode(node.right, resolve));
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
+  }
+
+  static isTruthy(value) {
+    if (typeof value === 'number') return value !== 0;
+    return !!value;
+  }
+
+  static calculate(op, left, right) {
+    if (typeof left !== 'number' || typeof right !== 'number') return null;
+
+    switch (op) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return right !== 0 ? left / right : null;
+      default: return null;
+    }
+  }
+
+  static compare(op, left, right) {
+    if (op === '==' || op === '!=') {
+      const equal = typeof left === 'string' && typeof right === 'string'
+        ? left.toLowerCase() === right.toLowerCase()
+        : left === right;
+      return op === '==' ? equal : !equal;
+    }
+
+    if (left === null || right === null || typeof left !== typeof right) return false;
+
+    switch (op) {
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      default: return false;
+    }
+  }
+}
+
+ScreenExpression.MAX_LENGTH = MAX_LENGTH;
+
+module.exports = ScreenExpression;
@@ -0,0 +1,330 @@
+/**
+ * Screen Service
+ * User-defined scanner screens: named filter expressions evaluated server-side
+ * against every symbol, with changes in the matching set pushed to clients
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const ScreenExpression = require('./ScreenExpression');
+const defaultDetectors = require('./detectors');
+
+const DEFAULT_OPTIONS = {
+  file: path.join(__dirname, '../data/screens.json'),
+  evaluationIntervalMs: 5000,
+  maxScreens: 50
+};
+
+const MAX_NAME_LENGTH = 64;
+
+const benchmark = (row, symbol) => row.correlation?.benchmarks?.[symbol] || null;
+
+// Fields screens can use; fractions are written with % in expressions (change_5m > 1.5%)
+const FIELDS = {
+  price: { description: 'Last price', get: row => row.price },
+  change_5m: { description: 'Return over 5 minutes (fraction)', get: row => row.returns['5m'] },
+  change_1h: { description: 'Return over 1 hour (fraction)', get: row => row.returns['1h'] },
+  change_4h: { description: 'Return over 4 hours (fraction)', get: row => row.returns['4h'] },
+  change_24h: { description: '24h price change (fraction)', get: row => row.change24h },
+  volume_24h: { description: '24h volume (base coin)', get: row => row.volume24h },
+  turnover_24h: { description: '24h turnover (quote coin)', get: row => row.turnover24h },
+  volume_ratio: { description: 'Current 1m volume / average of the previous candles', get: row => row.values.volumeRatio },
+  price_change_1m: { description: 'Current 1m close against the previous close (fraction)', get: row => row.values.priceChangeRatio !== undefined ? row.values.priceChangeRatio - 1 : null },
+  orderbook_ratio: { description: 'Bid volume / ask volume of the top of book', get: row => row.values.orderBookRatio },
+  funding: { description: 'Funding rate (fraction)', get: row => row.fundingRate },
+  oi_change: { description: 'Open interest change over the OI window (fraction)', get: row => row.values.openInterestChange },
+  open_interest_value: { description: 'Open interest value (quote coin)', get: row => row.openInterestValue },
+  liquidations: { description: 'Notional liquidated within the liquidation window', get: row => row.values.liquidationNotional },
+  trade_delta: { description: 'Buy minus sell aggressor notional over the delta window', get: row => row.values.tradeDelta },
+  largest_print: { description: 'Largest trade notional within the whale alert window', get: row => row.values.largestPrint },
+  atr_pct: { description: 'ATR as a fraction of price', get: row => row.volatility?.atrPercent != null ? row.volatility.atrPercent / 100 : null },
+  volatility_percentile: { description: 'Percentile rank of realized volatility (0-100)', get: row => row.volatility?.percentile },
+  regime: { description: "Volatility regime ('low', 'normal', 'high', 'extreme')", get: row => row.volatility?.regime },
+  beta_btc: { description: 'Beta to BTCUSDT', get: row => benchmark(row, 'BTCUSDT')?.beta },
+  corr_btc: { description: 'Correlation to BTCUSDT', get: row => benchmark(row, 'BTCUSDT')?.correlation },
+  filter_count: { description: 'Number of detectors currently firing', get: row => row.signals.length }
+};
+
+// Names from the ticker and actual filter values that read naturally in expressions
+const ALIASES = {
+  change24h: 'change_24h',
+  volume24h: 'volume_24h',
+  turnover24h: 'turnover_24h',
+  volumeRatio: 'volume_ratio',
+  orderBookRatio: 'orderbook_ratio',
+  fundingRate: 'funding'
+};
+
+class ScreenService extends EventEmitter {
+  /**
+   * @param {MarketDataService} marketDataService - Source of the per-symbol fields
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(marketDataService, options = {}) {
+    super();
+    this.marketDataService = marketDataService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.detectors = options.detectors || defaultDetectors;
+
+    this.screens = new Map(); // id -> screen
+    this.compiled = new Map(); // id -> ScreenExpression
+    this.matches = new Map(); // id -> { matches, evaluatedAt }
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  async initialize() {
+    try {
+      await this.loadScreens();
+      console.log(`🔎 Screen service initialized with ${this.screens.size} screens`);
+    } catch (error) {
+      console.error('Error initializing screen service:', error);
+    }
+  }
+
+  async loadScreens() {
+    try {
+      const data = await fs.readFile(this.options.file, 'utf8');
+      JSON.parse(data).forEach(screen => {
+        try {
+          this.compiled.set(screen.id, this.compile(screen.expression));
+          this.screens.set(screen.id, screen);
+        } catch (error) {
+          console.error(`❌ Skipping screen ${screen.name}: ${error.message}`);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async saveScreens() {
+    try {
+      await fs.mkdir(path.dirname(this.options.file), { recursive: true });
+      await fs.writeFile(this.options.file, JSON.stringify(Array.from(this.screens.values()), null, 2));
+    } catch (error) {
+      console.error('Error saving screens:', error);
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.isRunning = true;
+    this.timer = setInterval(() => this.evaluateAll(), this.options.evaluationIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  // Field names with descriptions, detector flags included
+  getFields() {
+    const fields = Object.entries(FIELDS).map(([name, { description }]) => ({ name, type: name === 'regime' ? 'string' : 'number', description }));
+    this.detectors.getAll().forEach(detector => {
+      fields.push({ name: detector.id, type: 'boolean', description: `${detector.display.label} is firing` });
+    });
+    Object.entries(ALIASES).forEach(([alias, name]) => {
+      fields.push({ name: alias, type: fields.find(field => field.name === name).type, description: `Same as ${name}` });
+    });
+    return fields;
+  }
+
+  getFieldNames() {
+    return [...Object.keys(FIELDS), ...this.detectors.getAll().map(detector => detector.id), ...Object.keys(ALIASES)];
+  }
+
+  compile(expression) {
+    return new ScreenExpression(expression, this.getFieldNames());
+  }
+
+  /**
+   * Check a screen definition
+   * @param {Object} input - { name, expression, category, enabled }
+   * @param {boolean} partial - Update: only the given keys are checked
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateScreen(input = {}, partial = false) {
+    const errors = [];
+
+    if (!partial || input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push('name is required');
+      } else if (input.name.length > MAX_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+    }
+
+    if (!partial || input.expression !== undefined) {
+      try {
+        this.compile(input.expression);
+      } catch (error) {
+        errors.push(`expression: ${error.message}`);
+      }
+    }
+
+    if (input.category !== undefined && input.category !== null &&
+        !this.marketDataService.getCategories().includes(input.category)) {
+      errors.push(`Unsupported category: ${input.category}`);
+    }
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    if (!partial && this.screens.size >= this.options.maxScreens) {
+      errors.push(`At most ${this.options.maxScreens} screens can be defined`);
+    }
+
+    return errors;
+  }
+
+  getScreens() {
+    return Array.from(this.screens.values()).map(screen => ({
+      ...screen,
+      matchCount: this.matches.get(screen.id)?.matches.length || 0
+    }));
+  }
+
+  getScreen(id) {
+    const screen = this.screens.get(id);
+    if (!screen) return null;
+
+    const result = this.matches.get(id);
+    return {
+      ...screen,
+      matches: result ? result.matches : [],
+      evaluatedAt: result ? result.evaluatedAt : null
+    };
+  }
+
+  async createScreen({ name, expression, category = null, enabled = true }) {
+    const now = Date.now();
+    const screen = {
+      id: `screen_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      name: name.trim(),
+      expression: expression.trim(),
+      category,
+      enabled,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.compiled.set(screen.id, this.compile(screen.expression));
+    this.screens.set(screen.id, screen);
+    await this.saveScreens();
+
+    this.evaluateScreen(screen, this.marketDataService.getScreenData());
+    console.log(`🔎 Screen created: ${screen.name} (${screen.expression})`);
+    return this.getScreen(screen.id);
+  }
+
+  async updateScreen(id, updates) {
+    const screen = this.screens.get(id);
+    if (!screen) return null;
+
+    const updated = {
+      ...screen,
+      ...(updates.name !== undefined ? { name: updates.name.trim() } : {}),
+      ...(updates.expression !== undefined ? { expression: updates.expression.trim() } : {}),
+      ...(updates.category !== undefined ? { category: updates.category } : {}),
+      ...(updates.enabled !== undefined ? { enabled: updates.enabled } : {}),
+      updatedAt: Date.now()
+    };
+
+    this.compiled.set(id, this.compile(updated.expression));
+    this.screens.set(id, updated);
+    await this.saveScreens();
+
+    this.evaluateScreen(updated, this.marketDataService.getScreenData());
+    return this.getScreen(id);
+  }
+
+  async deleteScreen(id) {
+    if (!this.screens.delete(id)) return false;
+
+    this.compiled.delete(id);
+    this.matches.delete(id);
+    await this.saveScreens();
+    return true;
+  }
+
+  evaluateAll() {
+    const enabled = Array.from(this.screens.values()).filter(screen => screen.enabled);
+    if (enabled.length === 0) return;
+
+    try {
+      const rows = this.marketDataService.getScreenData();
+      enabled.forEach(screen => this.evaluateScreen(screen, rows));
+    } catch (error) {
+      console.error('❌ Screen evaluation failed:', error.message);
+    }
+  }
+
+  /**
+   * Run one screen over the screen rows and emit 'matches' when the matching set changed
+   * @param {Object} screen - Screen definition
+   * @param {Array} rows - MarketDataService#getScreenData rows
+   */
+  evaluateScreen(screen, rows) {
+    const expression = this.compiled.get(screen.id);
+    const referenced = Array.from(expression.fields);
+
+    // A disabled screen matches nothing, so its last matches are reported as removed
+    const matches = rows
+      .filter(row => screen.enabled && (!screen.category || row.category === screen.category))
+      .map(row => ({ row, resolve: this.createResolver(row) }))
+      .filter(({ row, resolve }) => {
+        try {
+          return expression.evaluate(resolve);
+        } catch (error) {
+          console.error(`❌ Screen ${screen.name} failed on ${row.symbol}:`, error.message);
+          return false;
+        }
+      })
+      .map(({ row, resolve }) => ({
+        symbol: row.symbol,
+        category: row.category,
+        price: row.price,
+        fields: Object.fromEntries(referenced.map(name => [name, resolve(name) ?? null]))
+      }));
+
+    const previous = this.matches.get(screen.id);
+    this.matches.set(screen.id, { matches, evaluatedAt: Date.now() });
+
+    const previousKeys = new Set((previous ? previous.matches : []).map(match => `${match.category}:${match.symbol}`));
+    const currentKeys = new Set(matches.map(match => `${match.category}:${match.symbol}`));
+    const added = matches.filter(match => !previousKeys.has(`${match.category}:${match.symbol}`));
+    const removed = (previous ? previous.matches : []).filter(match => !currentKeys.has(`${match.category}:${match.symbol}`));
+
+    if (added.length > 0 || removed.length > 0) {
+      this.emit('matches', {
+        screenId: screen.id,
+        name: screen.name,
+        expression: screen.expression,
+        matches,
+        added: added.map(({ symbol, category }) => ({ symbol, category })),
+        removed: removed.map(({ symbol, category }) => ({ symbol, category })),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // Field lookup for one row; values are computed once per evaluation
+  createResolver(row) {
+    const cache = new Map();
+    return (name) => {
+      const field = ALIASES[name] || name;
+      if (!cache.has(field)) {
+        cache.set(field, FIELDS[field] ? FIELDS[field].get(row) : row.signals.includes(field));
+      }
+      return cache.get(field);
+    };
+  }
+}
+
+ScreenService.FIELDS = FIELDS;
+
+module.exports = ScreenService;
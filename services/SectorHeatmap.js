@@ -0,0 +1,204 @@
+/**
+ * Sector Heatmap
+ * Groups symbols into sectors and reports returns, relative strength to a
+ * benchmark and breadth over several windows from the kline store
+ */
+
+const CandleAggregator = require('./CandleAggregator');
+
+const DEFAULT_OPTIONS = {
+  benchmark: 'BTC', // Base coin relative strength is measured against
+  // Window -> candles it is measured on (interval and how many candles back)
+  windows: {
+    '5m': { interval: '1m', candles: 5 },
+    '1h': { interval: '5m', candles: 12 },
+    '4h': { interval: '15m', candles: 16 },
+    '24h': { interval: '1h', candles: 24 }
+  },
+  sortWindow: '1h', // Sectors and their symbols are ranked by relative strength over this window
+  flatThreshold: 0.0005, // Moves smaller than 0.05% count as unchanged for breadth
+  // Base coins per sector; symbols in none of them are grouped under "Other"
+  sectors: {
+    L1: ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA', 'AVAX', 'DOT', 'TRX', 'TON', 'NEAR', 'APT', 'SUI', 'SEI', 'ATOM', 'ALGO', 'LTC', 'BCH', 'ETC', 'HBAR'],
+    L2: ['ARB', 'OP', 'POL', 'MATIC', 'STRK', 'IMX', 'MNT', 'ZK', 'BLAST'],
+    Memes: ['DOGE', 'SHIB', 'PEPE', 'WIF', 'BONK', 'FLOKI', 'BOME', 'MEME', 'POPCAT', 'NEIRO', 'TURBO', 'MEW', 'BRETT'],
+    DeFi: ['UNI', 'AAVE', 'LINK', 'MKR', 'CRV', 'LDO', 'SNX', 'COMP', 'DYDX', 'PENDLE', 'JUP', 'ENA', 'SUSHI', '1INCH', 'GMX'],
+    AI: ['FET', 'RENDER', 'TAO', 'WLD', 'AGIX', 'OCEAN', 'ARKM', 'GRT', 'IO', 'VIRTUAL', 'AI16Z'],
+    Gaming: ['AXS', 'SAND', 'MANA', 'GALA', 'APE', 'ILV', 'BEAM', 'PIXEL']
+  }
+};
+
+const OTHER_SECTOR = 'Other';
+
+class SectorHeatmap {
+  /**
+   * @param {Function} getCandles - (marketKey, interval) => candles, oldest first
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(getCandles, options = {}) {
+    this.getCandles = getCandles;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sectorByCoin = new Map();
+    Object.entries(this.options.sectors).forEach(([sector, coins]) => {
+      coins.forEach(coin => {
+        if (!this.sectorByCoin.has(coin)) this.sectorByCoin.set(coin, sector);
+      });
+    });
+  }
+
+  getWindows() {
+    return Object.keys(this.options.windows);
+  }
+
+  getSector(baseCoin) {
+    return this.sectorByCoin.get(SectorHeatmap.normalizeCoin(baseCoin)) || OTHER_SECTOR;
+  }
+
+  /**
+   * Return over one window: latest price against the close `candles` intervals earlier
+   * @param {string} key - Market key
+   * @param {number} price - Latest price (falls back to the last candle's close)
+   * @returns {number|null} Fractional return, null without enough candles
+   */
+  getReturn(key, window, price = null) {
+    const { interval, candles: count } = this.options.windows[window];
+    const candles = this.getCandles(key, interval) || [];
+    if (candles.length === 0) return null;
+
+    // Match by time so gaps in the stored candles do not stretch the window
+    const last = candles[candles.length - 1];
+    const startTime = last.timestamp - count * CandleAggregator.INTERVAL_MS[interval];
+    const start = candles.find(candle => candle.timestamp === startTime);
+    if (!start || !(start.close > 0)) return null;
+
+    return (price || last.close) / start.close - 1;
+  }
+
+  /**
+   * @param {Array} coins - [{ key, symbol, baseCoin, price, change24h, turnover24h }]
+   * @param {string} sortWindow - Window to rank by (defaults to options.sortWindow)
+   * @returns {Object} { benchmark, windows, benchmarkReturns, breadth, sectors }
+   */
+  build(coins, sortWindow = this.options.sortWindow) {
+    const windows = this.getWindows();
+    const byStrength = (a, b) => (b.relativeStrength[sortWindow] ?? b.returns[sortWindow] ?? -Infinity) -
+      (a.relativeStrength[sortWindow] ?? a.returns[sortWindow] ?? -Infinity);
+
+    const symbols = coins.map(coin => {
+      const returns = {};
+      windows.forEach(window => {
+        returns[window] = this.getReturn(coin.key, window, coin.price);
+      });
+      // The ticker's 24h change covers symbols without a day of hourly candles yet
+      if (returns['24h'] === null && typeof coin.change24h === 'number') {
+        returns['24h'] = coin.change24h;
+      }
+
+      return {
+        symbol: coin.symbol,
+        baseCoin: coin.baseCoin,
+        sector: this.getSector(coin.baseCoin),
+        price: coin.price,
+        turnover24h: coin.turnover24h || 0,
+        returns
+      };
+    });
+
+    const benchmarkEntry = symbols.find(entry => SectorHeatmap.normalizeCoin(entry.baseCoin) === this.options.benchmark);
+    const benchmarkReturns = {};
+    windows.forEach(window => {
+      benchmarkReturns[window] = benchmarkEntry ? benchmarkEntry.returns[window] : null;
+    });
+
+    symbols.forEach(entry => {
+      entry.relativeStrength = this.getRelativeStrength(entry.returns, benchmarkReturns);
+    });
+
+    const grouped = new Map();
+    symbols.forEach(entry => {
+      if (!grouped.has(entry.sector)) grouped.set(entry.sector, []);
+      grouped.get(entry.sector).push(entry);
+    });
+
+    const sectors = Array.from(grouped.entries()).map(([name, members]) => {
+      const returns = {};
+      windows.forEach(window => {
+        returns[window] = this.getSectorReturn(members, window);
+      });
+
+      return {
+        name,
+        count: members.length,
+        returns,
+        relativeStrength: this.getRelativeStrength(returns, benchmarkReturns),
+        breadth: this.getBreadth(members),
+        symbols: members.sort(byStrength)
+      };
+    }).sort(byStrength);
+
+    return {
+      benchmark: benchmarkEntry ? benchmarkEntry.symbol : null,
+      windows,
+      sortWindow,
+      benchmarkReturns,
+      breadth: this.getBreadth(symbols),
+      sectors
+    };
+  }
+
+  getRelativeStrength(returns, benchmarkReturns) {
+    const relativeStrength = {};
+    Object.entries(returns).forEach(([window, value]) => {
+      const benchmark = benchmarkReturns[window];
+      relativeStrength[window] = value !== null && benchmark !== null && benchmark !== undefined ? value - benchmark : null;
+    });
+    return relativeStrength;
+  }
+
+  // Turnover-weighted so a few illiquid members do not dominate; equal weights without turnover
+  getSectorReturn(members, window) {
+    const withReturn = members.filter(entry => entry.returns[window] !== null);
+    if (withReturn.length === 0) return null;
+
+    const totalTurnover = withReturn.reduce((sum, entry) => sum + entry.turnover24h, 0);
+    if (totalTurnover <= 0) {
+      return withReturn.reduce((sum, entry) => sum + entry.returns[window], 0) / withReturn.length;
+    }
+    return withReturn.reduce((sum, entry) => sum + entry.returns[window] * entry.turnover24h, 0) / totalTurnover;
+  }
+
+  // Advancers vs decliners per window
+  getBreadth(entries) {
+    const breadth = {};
+    this.getWindows().forEach(window => {
+      let advancers = 0;
+      let decliners = 0;
+      let unchanged = 0;
+      entries.forEach(entry => {
+        const value = entry.returns[window];
+        if (value === null) return;
+        if (value > this.options.flatThreshold) advancers++;
+        else if (value < -this.options.flatThreshold) decliners++;
+        else unchanged++;
+      });
+
+      breadth[window] = {
+        advancers,
+        decliners,
+        unchanged,
+        ratio: advancers + decliners > 0 ? advancers / (advancers + decliners) : null
+      };
+    });
+    return breadth;
+  }
+
+  // 1000PEPE -> PEPE, SHIB1000 -> SHIB (1INCH stays 1INCH)
+  static normalizeCoin(baseCoin = '') {
+    return baseCoin.replace(/^10+(?=[A-Z])/, '').replace(/(?<=[A-Z])1000+$/, '');
+  }
+}
+
+SectorHeatmap.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+SectorHeatmap.OTHER_SECTOR = OTHER_SECTOR;
+
+module.exports = SectorHeatmap;
@@ -0,0 +1,170 @@
+/**
+ * Signal Scheduler
+ * Coalesces market data updates per symbol and runs signal evaluation in
+ * batches on a fixed cadence instead of once per WebSocket message
+ */
+
+const DEFAULT_OPTIONS = {
+  mode: 'cadence', // 'cadence' = any update queues the symbol, 'candleClose' = only closed candles do
+  intervalMs: 1000, // How often queued symbols are evaluated
+  maxBatch: 200, // Symbols evaluated per tick; the rest wait for the next one
+  metricsWindowMs: 10000 // Window for evaluations/sec and queue lag
+};
+
+const MODES = ['cadence', 'candleClose'];
+
+class SignalScheduler {
+  /**
+   * @param {Function} evaluate - Called with the queued key, e.g. MarketDataService#checkForSignalsAdvanced
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(evaluate, options = {}) {
+    this.evaluate = evaluate;
+    this.options = { ...DEFAULT_OPTIONS };
+    this.configure(options);
+
+    this.pending = new Map(); // key -> { queuedAt, updates, reasons }, insertion order = queue order
+    this.timer = null;
+    this.isRunning = false;
+
+    this.totalEvaluations = 0;
+    this.totalUpdates = 0;
+    this.coalescedUpdates = 0;
+    this.failedEvaluations = 0;
+    this.recentEvaluations = []; // [{ at, lagMs, durationMs }] within the metrics window
+    this.lastTickAt = null;
+  }
+
+  configure(options = {}) {
+    SignalScheduler.validate(options);
+
+    const { mode, intervalMs, maxBatch, metricsWindowMs } = options;
+    Object.entries({ mode, intervalMs, maxBatch, metricsWindowMs })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([name, value]) => { this.options[name] = value; });
+
+    // Pick up a new cadence
+    if (this.isRunning && intervalMs !== undefined) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Reject options that would stall or break the scheduler
+   * @throws {Error} On the first invalid option
+   */
+  static validate(options = {}) {
+    if (options.mode !== undefined && !MODES.includes(options.mode)) {
+      throw new Error(`Unknown evaluation mode: ${options.mode}`);
+    }
+    if (options.intervalMs !== undefined && !(typeof options.intervalMs === 'number' && options.intervalMs >= 50)) {
+      throw new Error('intervalMs must be at least 50');
+    }
+    // A batch of 0 would never evaluate anything again
+    if (options.maxBatch !== undefined && !(Number.isInteger(options.maxBatch) && options.maxBatch > 0)) {
+      throw new Error('maxBatch must be a positive integer');
+    }
+    if (options.metricsWindowMs !== undefined && !(typeof options.metricsWindowMs === 'number' && options.metricsWindowMs > 0)) {
+      throw new Error('metricsWindowMs must be positive');
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.isRunning = true;
+    this.timer = setInterval(() => this.tick(), this.options.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Queue a symbol for evaluation
+   * @param {string} key - Market key
+   * @param {string} reason - 'ticker' | 'kline' | 'orderbook' | 'trade' | 'candleClose'
+   */
+  schedule(key, reason) {
+    this.totalUpdates++;
+    if (this.options.mode === 'candleClose' && reason !== 'candleClose') return;
+
+    const entry = this.pending.get(key);
+    if (entry) {
+      entry.updates++;
+      entry.reasons.add(reason);
+      this.coalescedUpdates++;
+      return;
+    }
+
+    this.pending.set(key, { queuedAt: Date.now(), updates: 1, reasons: new Set([reason]) });
+  }
+
+  // Evaluate the oldest queued symbols
+  tick() {
+    const now = Date.now();
+    this.lastTickAt = now;
+
+    const batch = Array.from(this.pending.entries()).slice(0, this.options.maxBatch);
+    batch.forEach(([key, entry]) => {
+      this.pending.delete(key);
+
+      const startedAt = Date.now();
+      try {
+        this.evaluate(key, entry);
+      } catch (error) {
+        this.failedEvaluations++;
+        console.error(`❌ Signal evaluation failed for ${key}:`, error.message);
+      }
+
+      this.totalEvaluations++;
+      this.recentEvaluations.push({ at: startedAt, lagMs: startedAt - entry.queuedAt, durationMs: Date.now() - startedAt });
+    });
+
+    this.pruneMetrics(now);
+  }
+
+  pruneMetrics(now = Date.now()) {
+    const cutoff = now - this.options.metricsWindowMs;
+    let firstKept = 0;
+    while (firstKept < this.recentEvaluations.length && this.recentEvaluations[firstKept].at < cutoff) {
+      firstKept++;
+    }
+    if (firstKept > 0) {
+      this.recentEvaluations.splice(0, firstKept);
+    }
+  }
+
+  getMetrics() {
+    const now = Date.now();
+    this.pruneMetrics(now);
+
+    const recent = this.recentEvaluations;
+    const windowSeconds = this.options.metricsWindowMs / 1000;
+    const oldestPending = this.pending.size > 0 ? this.pending.values().next().value : null;
+
+    return {
+      mode: this.options.mode,
+      intervalMs: this.options.intervalMs,
+      maxBatch: this.options.maxBatch,
+      isRunning: this.isRunning,
+      queueLength: this.pending.size,
+      oldestQueuedMs: oldestPending ? now - oldestPending.queuedAt : 0,
+      evaluationsPerSecond: parseFloat((recent.length / windowSeconds).toFixed(2)),
+      avgQueueLagMs: recent.length > 0 ? Math.round(recent.reduce((sum, e) => sum + e.lagMs, 0) / recent.length) : 0,
+      maxQueueLagMs: recent.reduce((max, e) => Math.max(max, e.lagMs), 0),
+      avgEvaluationMs: recent.length > 0 ? parseFloat((recent.reduce((sum, e) => sum + e.durationMs, 0) / recent.length).toFixed(2)) : 0,
+      totalUpdates: this.totalUpdates,
+      coalescedUpdates: this.coalescedUpdates,
+      totalEvaluations: this.totalEvaluations,
+      failedEvaluations: this.failedEvaluations,
+      lastTickAt: this.lastTickAt
+    };
+  }
+}
+
+SignalScheduler.MODES = MODES;
+
+module.exports = SignalScheduler;
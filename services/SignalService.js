@@ -4,26 +4,52 @@
  */
 
 const EventEmitter = require('events');
+const SignalStore = require('./SignalStore');
+const DirectionModel = require('./DirectionModel');
+const CandlestickService = require('./CandlestickService');
+const TradeLevels = require('./TradeLevels');
+const Logger = require('./Logger');
+
+const TP_LEVELS = ['tp1', 'tp2', 'tp3', 'tp4'];
+// Statuses that close a signal when set by hand
+const CLOSED_STATUSES = ['tp1_hit', 'tp2_hit', 'tp3_hit', 'tp4_hit', 'sl_hit', 'expired'];
 
 class SignalService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.signals = new Map(); // Active signals
-    this.signalHistory = []; // Historical signals
+    this.signalHistory = []; // Historical signals, oldest first
+    this.maxHistory = options.maxHistory || 10000;
+    // Active signals and history survive restarts; null keeps them in memory only
+    this.signalStore = options.signalStore !== undefined ? options.signalStore : new SignalStore();
     this.isGenerating = false;
     this.selectedCoins = []; // Coins selected from frontend
     this.signalInterval = null; // Interval for signal generation
     this.marketDataService = null; // Will be injected
     this.lastSignalTime = new Map(); // Track last signal time per symbol to prevent duplicates
+    this.lifecycleTimer = null; // Expires signals of symbols without price updates
+    this.trackPrice = this.trackPrice.bind(this);
+    this.candlestickService = new CandlestickService(); // Trend context for the direction model
+    this.logger = options.logger || new Logger(); // Replaced by the market data service's logger when injected
     this.settings = {
       minConfidence: 10, // Ultra-low threshold to ensure signals are generated
-      leverage: '20x',
+      leverage: 20, // Requested leverage, clamped to each instrument's limits
+      positionSize: 100, // Margin per signal (quote currency); quantity = margin * leverage / entry, or margin * leverage USD contracts for inverse
       signalTypes: {
         volumeSpike: true,
         priceBreakout: true,
         whaleAlert: true,
         spoofDetection: true,
-        liquidityImbalance: true
+        liquidityImbalance: true,
+        oiSurge: true,
+        extremeFunding: true,
+        liquidationCascade: true
+      },
+      // Signals in the direction of a benchmark (BTC) move the coin is just following
+      correlationFilter: {
+        enabled: true,
+        mode: 'discount', // 'discount' lowers confidence, 'suppress' drops the signal
+        discount: 0.3 // Share of confidence removed in discount mode
       },
       tpLevels: 4, // Always 4 TP levels for Cordly
       riskRewardRatio: {
@@ -32,10 +58,59 @@ class SignalService extends EventEmitter {
         tp3: 0.06, // 6%
         tp4: 0.08, // 8%
         sl: 0.035  // 3.5%
+      },
+      // How TP/SL levels are placed: 'fixed' (riskRewardRatio), 'atr', 'swing' or 'supportResistance'
+      // (see TradeLevels for the per-mode options); modes without enough data fall back to fixed
+      levels: {
+        mode: 'fixed',
+        interval: '5m'
+      },
+      // Detector directions and the MA trend decide LONG/SHORT/NO_TRADE (see DirectionModel)
+      directionModel: {
+        trendInterval: '5m',
+        minScore: 0.8,
+        minAgreement: 0.6
+      },
+      // Active signals follow live prices: TP/SL hits, excursions, R-multiple and expiry
+      lifecycle: {
+        enabled: true,
+        ttlMs: 24 * 60 * 60 * 1000, // Signals still open after this are closed as 'expired'
+        sweepIntervalMs: 60000
       }
     };
   }
 
+  // Restore active signals and history from the signal store
+  async initialize() {
+    if (!this.signalStore) return;
+    
+    try {
+      const { signals, history } = await this.signalStore.load();
+      signals.forEach(signal => this.signals.set(signal.id, signal));
+      this.signalHistory = history.slice(-this.maxHistory);
+      console.log(`📂 Restored ${this.signals.size} active signals and ${this.signalHistory.length} historical signals`);
+    } catch (error) {
+      // Never overwrite a store this version cannot read
+      console.error('❌ Error loading signals, persistence disabled:', error.message);
+      this.signalStore = null;
+    }
+  }
+
+  // Save after a state change; excursions update on every tick and are saved with the next change
+  persist() {
+    if (!this.signalStore) return;
+    this.signalStore.scheduleSave(() => ({
+      signals: Array.from(this.signals.values()),
+      history: this.signalHistory
+    }));
+  }
+
+  async flush() {
+    if (this.signalStore) {
+      await this.signalStore.flush();
+    }
+  }
+
   // Start signal generation
   startSignalGeneration(coins = null) {
     // If coins are provided, update selected coins
@@ -99,15 +174,17 @@ class SignalService extends EventEmitter {
     if (!this.isGenerating) return null;
     
     const { symbol, price, change24h, volume24h } = marketData;
+    const category = marketData.category || 'linear';
+    const marketKey = `${category}:${symbol}`;
     
     // Only generate signals for selected coins from frontend
-    if (this.selectedCoins.length > 0 && !this.selectedCoins.includes(symbol)) {
+    if (this.selectedCoins.length > 0 && !this.isSelectedCoin(marketData)) {
       return null;
     }
     
     // Prevent duplicate signals - don't generate if we just generated one for this symbol
     const now = Date.now();
-    const lastSignalTime = this.lastSignalTime.get(symbol) || 0;
+    const lastSignalTime = this.lastSignalTime.get(marketKey) || 0;
     const timeSinceLastSignal = now - lastSignalTime;
     
     // Don't generate signals more frequently than every 60 seconds for the same symbol
@@ -117,7 +194,23 @@ class SignalService extends EventEmitter {
     }
     
     // Calculate confidence based on signal strength
-    const confidence = this.calculateConfidence(marketData, signalTypes);
+    let confidence = this.calculateConfidence(marketData, signalTypes);
+    
+    // Determine signal direction
+    const decision = this.determineDirection(marketData, signalTypes);
+    if (decision.direction === 'NO_TRADE') {
+      this.logger.debug(`🤷 ${symbol}: ${decision.explanation}`);
+      return null;
+    }
+    const direction = decision.direction;
+    
+    // Discount or drop signals that only follow the benchmark move
+    const benchmarkCheck = this.checkBenchmarkFollow(marketData, direction);
+    if (benchmarkCheck.suppressed) {
+      console.log(`🔗 Signal suppressed for ${symbol}: ${direction} just follows ${benchmarkCheck.context.benchmark}`);
+      return null;
+    }
+    confidence = Math.round(confidence * benchmarkCheck.confidenceFactor);
     
     // Check minimum confidence threshold
     console.log(`📊 Signal confidence for ${symbol}: ${confidence}% (min: ${this.settings.minConfidence}%)`);
@@ -126,28 +219,40 @@ class SignalService extends EventEmitter {
       return null;
     }
     
-    // Determine signal direction
-    const direction = this.determineDirection(marketData, signalTypes);
-    
     // Calculate entry price and levels
-    const entry = price;
-    const levels = this.calculateTradingLevels(entry, direction);
+    const levels = this.calculateTradingLevels(price, direction, { symbol, category });
+    const position = this.calculatePosition(levels.entry, { symbol, category });
     
     const signal = {
       id: `signal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       symbol,
+      category,
       direction,
-      leverage: this.settings.leverage,
-      entry: parseFloat(entry.toFixed(2)),
-      tp1: parseFloat(levels.tp1.toFixed(2)),
-      tp2: parseFloat(levels.tp2.toFixed(2)),
-      tp3: parseFloat(levels.tp3.toFixed(2)),
-      tp4: parseFloat(levels.tp4.toFixed(2)),
-      sl: parseFloat(levels.sl.toFixed(2)),
+      leverage: `${position.leverage}x`,
+      quantity: position.quantity,
+      entry: levels.entry,
+      tp1: levels.tp1,
+      tp2: levels.tp2,
+      tp3: levels.tp3,
+      tp4: levels.tp4,
+      sl: levels.sl,
+      levelMode: levels.fallback ? { mode: levels.mode, fallback: levels.fallback } : { mode: levels.mode },
       timestamp: new Date().toISOString(),
       status: 'active',
+      expiresAt: new Date(now + this.getLifecycleSettings().ttlMs).toISOString(),
+      hits: {}, // Level -> ISO time it was hit
+      mfe: 0, // Max favorable excursion (% from entry)
+      mae: 0, // Max adverse excursion (% from entry)
+      realizedR: 0, // R banked by the TPs hit so far
       confidence,
       signalType: signalTypes,
+      benchmark: benchmarkCheck.context,
+      directionModel: {
+        score: decision.score,
+        agreement: decision.agreement,
+        inputs: decision.inputs,
+        explanation: decision.explanation
+      },
       marketData: {
         price,
         change24h,
@@ -157,9 +262,10 @@ class SignalService extends EventEmitter {
     
     // Store signal
     this.signals.set(signal.id, signal);
+    this.persist();
     
     // Record the time this signal was generated to prevent duplicates
-    this.lastSignalTime.set(symbol, now);
+    this.lastSignalTime.set(marketKey, now);
     
     // Emit signal event
     this.emit('newSignal', signal);
@@ -169,6 +275,52 @@ class SignalService extends EventEmitter {
     return signal;
   }
 
+  // Coins are selected as "BTCUSDT" (linear perpetual) or "spot:BTCUSDT" / "inverse:BTCUSD"
+  isSelectedCoin(marketData) {
+    const category = marketData.category || 'linear';
+    if (this.selectedCoins.includes(`${category}:${marketData.symbol}`)) return true;
+    return category === 'linear' && this.selectedCoins.includes(marketData.symbol);
+  }
+
+  /**
+   * Check whether a signal only rides the benchmark (BTC/ETH) move
+   * @returns {Object} { suppressed, confidenceFactor, context } - context is null without correlation data
+   */
+  checkBenchmarkFollow(marketData, direction) {
+    const filter = this.settings.correlationFilter || {};
+    const category = marketData.category || 'linear';
+    const correlation = marketData.correlation ||
+      (this.marketDataService ? this.marketDataService.getCorrelation(marketData.symbol, category) : null);
+    
+    if (!correlation) {
+      return { suppressed: false, confidenceFactor: 1, context: null };
+    }
+    
+    // The primary benchmark gives the context even when the coin is not following it
+    const benchmark = correlation.followsBenchmark || Object.keys(correlation.benchmarks)[0];
+    const stats = correlation.benchmarks[benchmark];
+    const benchmarkDirection = stats.benchmarkMove > 0 ? 'LONG' : 'SHORT';
+    // A signal against the benchmark move is not following it
+    const isFollowing = !!correlation.followsBenchmark && benchmarkDirection === direction;
+    const applies = filter.enabled !== false && isFollowing;
+    
+    const context = {
+      benchmark,
+      correlation: stats.correlation,
+      beta: stats.beta,
+      benchmarkMove: stats.benchmarkMove,
+      residualMove: stats.residualMove,
+      followsBenchmark: isFollowing,
+      discounted: applies && filter.mode !== 'suppress'
+    };
+    
+    return {
+      suppressed: applies && filter.mode === 'suppress',
+      confidenceFactor: applies ? 1 - (filter.discount ?? 0.3) : 1,
+      context
+    };
+  }
+
   // Calculate confidence based on signal strength
   calculateConfidence(marketData, signalTypes) {
     let baseConfidence = 30; // Lower base confidence to ensure signals are generated
@@ -193,11 +345,29 @@ class SignalService extends EventEmitter {
       baseConfidence += 12;
     }
     
+    // Pulled-order spoofing adds confidence
+    if (signalTypes.includes('order_spoofing')) {
+      baseConfidence += 6;
+    }
+    
     // Liquidity imbalance adds confidence
     if (signalTypes.includes('liquidityImbalance') || signalTypes.includes('liquidity_imbalance')) {
       baseConfidence += 8;
     }
     
+    // Derivatives positioning adds confidence
+    if (signalTypes.includes('oi_surge')) {
+      baseConfidence += 8;
+    }
+    
+    if (signalTypes.includes('extreme_funding')) {
+      baseConfidence += 6;
+    }
+    
+    if (signalTypes.includes('liquidation_cascade')) {
+      baseConfidence += 10;
+    }
+    
     // Basic activity adds minimal confidence (fallback)
     if (signalTypes.includes('basic_activity')) {
       baseConfidence += 5;
@@ -224,39 +394,83 @@ class SignalService extends EventEmitter {
     return Math.min(95, Math.max(50, Math.round(baseConfidence)));
   }
 
-  // Determine signal direction
+  /**
+   * Determine signal direction from the firing detectors' directions and the trend
+   * @returns {Object} DirectionModel#evaluate result: { direction: 'LONG' | 'SHORT' | 'NO_TRADE', score, agreement, inputs, explanation }
+   */
   determineDirection(marketData, signalTypes) {
-    const { change24h } = marketData;
-    
-    // Use price change as primary indicator
-    if (change24h > 0) {
-      return 'LONG';
-    } else {
-      return 'SHORT';
-    }
+    const category = marketData.category || 'linear';
+    const modelSettings = this.settings.directionModel || {};
+    const detectorResults = (this.marketDataService && this.marketDataService.getDetectorResults(marketData.symbol, category)) ||
+      marketData.detectorResults || {};
+    
+    return new DirectionModel(modelSettings).evaluate({
+      detectorResults,
+      trend: this.getTrend(marketData.symbol, category, modelSettings.trendInterval || '5m'),
+      change24h: marketData.change24h
+    });
   }
 
-  // Calculate trading levels (TP1-4 and SL)
-  calculateTradingLevels(entry, direction) {
-    const { riskRewardRatio } = this.settings;
+  // Moving average trend of a symbol from the kline store, null without enough candles
+  getTrend(symbol, category, interval) {
+    if (!this.marketDataService) return null;
+    
+    const candles = this.marketDataService.klineData.get(`${category}:${symbol}_${interval}`) || [];
+    const trendSettings = this.marketDataService.settings?.candlestickLogic?.trendAnalysis || {};
+    const periods = (trendSettings.periods || [20, 50, 200]).filter(period => candles.length >= period);
+    if (periods.length === 0) return null;
+    
+    return this.candlestickService.analyzeTrend(candles, {
+      periods,
+      trendStrength: trendSettings.trendStrength ?? 0.02
+    });
+  }
+
+  /**
+   * Calculate trading levels (TP1-4 and SL), rounded to the instrument's tick size
+   * @param {number} entry - Entry price
+   * @param {string} direction - 'LONG' or 'SHORT'
+   * @param {Object} market - { symbol, category } for candles and tick size
+   * @returns {Object} TradeLevels#calculate result: { entry, tp1, tp2, tp3, tp4, sl, mode, fallback }
+   */
+  calculateTradingLevels(entry, direction, { symbol = null, category = 'linear' } = {}) {
+    const levelSettings = this.settings.levels || {};
+    const tradeLevels = new TradeLevels({ ...levelSettings, fixed: this.settings.riskRewardRatio });
+    const interval = tradeLevels.options.interval;
+    const hasMarket = symbol && this.marketDataService;
+    
+    return tradeLevels.calculate(entry, direction, {
+      candles: hasMarket ? this.marketDataService.klineData.get(`${category}:${symbol}_${interval}`) || [] : [],
+      tickSize: hasMarket ? this.marketDataService.getTickSize(symbol, category) : null
+    });
+  }
+
+  /**
+   * Leverage and order quantity of a signal within the instrument's limits
+   * @param {number} entry - Entry price
+   * @param {Object} market - { symbol, category }
+   * @returns {Object} { leverage, quantity } - quantity is rounded down to the lot size; 0 when the
+   *   position is below the instrument's minimum order, null when the instrument is unknown
+   */
+  calculatePosition(entry, { symbol = null, category = 'linear' } = {}) {
+    // Older settings stored leverage as a string such as '20x'
+    const requested = parseFloat(this.settings.leverage) || 1;
+    const registry = symbol && this.marketDataService ? this.marketDataService.instrumentRegistry : null;
+    if (!registry || !registry.get(symbol, category)) {
+      return { leverage: requested, quantity: null };
+    }
     
-    if (direction === 'LONG') {
-      return {
-        tp1: entry * (1 + riskRewardRatio.tp1),
-        tp2: entry * (1 + riskRewardRatio.tp2),
-        tp3: entry * (1 + riskRewardRatio.tp3),
-        tp4: entry * (1 + riskRewardRatio.tp4),
-        sl: entry * (1 - riskRewardRatio.sl)
-      };
-    } else {
-      return {
-        tp1: entry * (1 - riskRewardRatio.tp1),
-        tp2: entry * (1 - riskRewardRatio.tp2),
-        tp3: entry * (1 - riskRewardRatio.tp3),
-        tp4: entry * (1 - riskRewardRatio.tp4),
-        sl: entry * (1 + riskRewardRatio.sl)
-      };
+    const leverage = registry.clampLeverage(symbol, requested, category);
+    const notional = this.settings.positionSize * leverage;
+    // Inverse contracts are 1 USD each, so the quantity is the notional and has no minimum order value
+    if (category === 'inverse') {
+      return { leverage, quantity: registry.roundQty(symbol, notional, category) };
     }
+    const quantity = entry > 0 ? notional / entry : 0;
+    return {
+      leverage,
+      quantity: registry.roundQty(symbol, quantity, category, entry)
+    };
   }
 
   // Update signal status (TP hit, SL hit, etc.)
@@ -264,6 +478,11 @@ class SignalService extends EventEmitter {
     const signal = this.signals.get(signalId);
     if (!signal) return null;
     
+    // Move to history if signal is closed
+    if (CLOSED_STATUSES.includes(status)) {
+      return this.closeSignal(signal, status, hitPrice || null);
+    }
+    
     signal.status = status;
     signal.updatedAt = new Date().toISOString();
     
@@ -271,22 +490,158 @@ class SignalService extends EventEmitter {
       signal.exitPrice = hitPrice;
     }
     
-    // Move to history if signal is closed
-    if (['tp1_hit', 'tp2_hit', 'tp3_hit', 'tp4_hit', 'sl_hit', 'expired'].includes(status)) {
-      this.signalHistory.push(signal);
-      this.signals.delete(signalId);
-      
-      // Keep only last 1000 historical signals
-      if (this.signalHistory.length > 1000) {
-        this.signalHistory = this.signalHistory.slice(-1000);
-      }
+    this.persist();
+    this.emit('signalUpdated', signal);
+    
+    return signal;
+  }
+
+  getLifecycleSettings() {
+    return {
+      enabled: true,
+      ttlMs: 24 * 60 * 60 * 1000,
+      sweepIntervalMs: 60000,
+      ...(this.settings.lifecycle || {})
+    };
+  }
+
+  // Follow signals on every price update of their symbol
+  trackPrice(marketData) {
+    if (!marketData || typeof marketData.price !== 'number' || !this.getLifecycleSettings().enabled) return;
+    
+    const category = marketData.category || 'linear';
+    Array.from(this.signals.values())
+      .filter(signal => signal.symbol === marketData.symbol && (signal.category || 'linear') === category)
+      .forEach(signal => this.updateSignalProgress(signal, marketData.price));
+  }
+
+  /**
+   * Move a signal through its states at a new price. The position scales out in
+   * equal parts at each TP; whatever is left closes at the SL, at TP4 or at the
+   * price on expiry. Levels jumped over in one update all count as hit.
+   * @param {Object} signal - Active signal
+   * @param {number} price - Latest price
+   * @param {number} now - Time of the price
+   * @returns {Object} The signal
+   */
+  updateSignalProgress(signal, price, now = Date.now()) {
+    const sign = signal.direction === 'LONG' ? 1 : -1;
+    const move = sign * (price - signal.entry) / signal.entry * 100;
+    
+    signal.hits = signal.hits || {};
+    signal.realizedR = signal.realizedR || 0;
+    signal.lastPrice = price;
+    signal.mfe = Math.max(signal.mfe || 0, move);
+    signal.mae = Math.max(signal.mae || 0, -move);
+    
+    if (sign * (signal.sl - price) >= 0) {
+      return this.closeSignal(signal, 'sl_hit', signal.sl, now);
+    }
+    
+    const newHits = TP_LEVELS.filter(level => !signal.hits[level] && sign * (price - signal[level]) >= 0);
+    newHits.forEach(level => {
+      signal.hits[level] = new Date(now).toISOString();
+      signal.realizedR += this.calculateRMultiple(signal, signal[level]) / TP_LEVELS.length;
+    });
+    
+    if (signal.hits.tp4) {
+      return this.closeSignal(signal, 'tp4_hit', signal.tp4, now);
+    }
+    
+    if (now - new Date(signal.timestamp).getTime() >= this.getLifecycleSettings().ttlMs) {
+      return this.closeSignal(signal, 'expired', price, now);
+    }
+    
+    if (newHits.length > 0) {
+      signal.status = `${newHits[newHits.length - 1]}_hit`;
+      signal.updatedAt = new Date(now).toISOString();
+      console.log(`🎯 ${signal.symbol} ${signal.direction} signal hit ${newHits.join(', ').toUpperCase()}`);
+      this.persist();
+      this.emit('signalUpdated', signal);
+    }
+    
+    return signal;
+  }
+
+  // R-multiple of an exit: price move in the signal's direction per unit of initial risk
+  calculateRMultiple(signal, exitPrice) {
+    const risk = Math.abs(signal.entry - signal.sl);
+    if (!risk) return 0;
+    const sign = signal.direction === 'LONG' ? 1 : -1;
+    return sign * (exitPrice - signal.entry) / risk;
+  }
+
+  // Close a signal: the part not taken at TPs exits at exitPrice, then it moves to history
+  closeSignal(signal, status, exitPrice = null, now = Date.now()) {
+    const closedAt = new Date(now).toISOString();
+    const tpHits = TP_LEVELS.filter(level => signal.hits?.[level]).length;
+    const remaining = 1 - tpHits / TP_LEVELS.length;
+    const risk = Math.abs(signal.entry - signal.sl);
+    
+    signal.status = status;
+    signal.updatedAt = closedAt;
+    signal.closedAt = closedAt;
+    signal.durationMs = now - new Date(signal.timestamp).getTime();
+    
+    if (status === 'sl_hit' && signal.hits) {
+      signal.hits.sl = closedAt;
+    }
+    
+    if (exitPrice) {
+      signal.exitPrice = exitPrice;
+      signal.rMultiple = parseFloat(((signal.realizedR || 0) + remaining * this.calculateRMultiple(signal, exitPrice)).toFixed(3));
+    }
+    
+    if (risk && signal.mfe !== undefined) {
+      signal.mfeR = parseFloat((signal.mfe / 100 * signal.entry / risk).toFixed(3));
+      signal.maeR = parseFloat((signal.mae / 100 * signal.entry / risk).toFixed(3));
+    }
+    
+    this.signalHistory.push(signal);
+    this.signals.delete(signal.id);
+    
+    // Keep only the last maxHistory historical signals
+    if (this.signalHistory.length > this.maxHistory) {
+      this.signalHistory = this.signalHistory.slice(-this.maxHistory);
     }
     
+    this.persist();
+    
+    console.log(`📕 ${signal.symbol} ${signal.direction} signal closed: ${status}${signal.rMultiple !== undefined ? ` (${signal.rMultiple}R)` : ''}`);
     this.emit('signalUpdated', signal);
     
     return signal;
   }
 
+  // Close signals past their TTL, including symbols that stopped updating
+  expireSignals(now = Date.now()) {
+    const { ttlMs } = this.getLifecycleSettings();
+    
+    Array.from(this.signals.values())
+      .filter(signal => now - new Date(signal.timestamp).getTime() >= ttlMs)
+      .forEach(signal => {
+        const key = `${signal.category || 'linear'}:${signal.symbol}`;
+        const price = this.marketDataService?.marketData?.get(key)?.price ?? signal.lastPrice ?? null;
+        this.closeSignal(signal, 'expired', price, now);
+      });
+  }
+
+  startLifecycleTracking() {
+    this.stopLifecycleTracking();
+    this.marketDataService.on('marketUpdate', this.trackPrice);
+    this.lifecycleTimer = setInterval(() => {
+      if (this.getLifecycleSettings().enabled) this.expireSignals();
+    }, this.getLifecycleSettings().sweepIntervalMs);
+  }
+
+  stopLifecycleTracking() {
+    if (this.marketDataService) {
+      this.marketDataService.removeListener('marketUpdate', this.trackPrice);
+    }
+    clearInterval(this.lifecycleTimer);
+    this.lifecycleTimer = null;
+  }
+
   // Get active signals
   getActiveSignals() {
     return Array.from(this.signals.values()).sort((a, b) => 
@@ -296,9 +651,48 @@ class SignalService extends EventEmitter {
 
   // Get signal history
   getSignalHistory(limit = 100) {
-    return this.signalHistory
-      .slice(-limit)
-      .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+    return this.querySignalHistory({ pageSize: limit }).data;
+  }
+
+  /**
+   * Filter and page the signal history, newest first
+   * @param {Object} filters - { symbol, category, direction, statuses, minConfidence, maxConfidence, from, to, page, pageSize }
+   *   from/to are timestamps (ms) matched against the signal's creation time
+   * @returns {Object} { data, total, page, pageSize, totalPages }
+   */
+  querySignalHistory({
+    symbol = null,
+    category = null,
+    direction = null,
+    statuses = null,
+    minConfidence = null,
+    maxConfidence = null,
+    from = null,
+    to = null,
+    page = 1,
+    pageSize = 100
+  } = {}) {
+    const matches = this.signalHistory.filter(signal => {
+      const createdAt = new Date(signal.timestamp).getTime();
+      return (!symbol || signal.symbol === symbol) &&
+        (!category || (signal.category || 'linear') === category) &&
+        (!direction || signal.direction === direction) &&
+        (!statuses || statuses.includes(signal.status)) &&
+        (minConfidence === null || signal.confidence >= minConfidence) &&
+        (maxConfidence === null || signal.confidence <= maxConfidence) &&
+        (from === null || createdAt >= from) &&
+        (to === null || createdAt <= to);
+    });
+    
+    matches.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+    
+    return {
+      data: matches.slice((page - 1) * pageSize, page * pageSize),
+      total: matches.length,
+      page,
+      pageSize,
+      totalPages: Math.ceil(matches.length / pageSize)
+    };
   }
 
   // Get signal statistics
@@ -307,19 +701,49 @@ class SignalService extends EventEmitter {
     const historicalSignals = this.signalHistory;
     
     const totalSignals = activeSignals.length + historicalSignals.length;
-    const successfulSignals = historicalSignals.filter(s => s.status.includes('tp')).length;
-    const failedSignals = historicalSignals.filter(s => s.status === 'sl_hit').length;
+    // Outcomes come from the realized R-multiple; signals closed by hand without a price fall back to their status
+    const isWin = s => typeof s.rMultiple === 'number' ? s.rMultiple > 0 : s.status.includes('tp');
+    const isLoss = s => typeof s.rMultiple === 'number' ? s.rMultiple <= 0 : s.status === 'sl_hit';
+    const successfulSignals = historicalSignals.filter(isWin).length;
+    const failedSignals = historicalSignals.filter(isLoss).length;
     
     const successRate = (successfulSignals + failedSignals) > 0 
       ? (successfulSignals / (successfulSignals + failedSignals)) * 100 
       : 0;
     
+    const average = (values) => values.length > 0
+      ? parseFloat((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(3))
+      : null;
+    const rMultiples = historicalSignals.filter(s => typeof s.rMultiple === 'number').map(s => s.rMultiple);
+    const tracked = historicalSignals.filter(s => s.hits);
+    const durations = historicalSignals.filter(s => s.durationMs !== undefined).map(s => s.durationMs);
+    
+    const outcomes = {};
+    CLOSED_STATUSES.forEach(status => {
+      outcomes[status] = historicalSignals.filter(s => s.status === status).length;
+    });
+    
+    // Share of tracked signals that reached each level before closing
+    const hitRates = {};
+    [...TP_LEVELS, 'sl'].forEach(level => {
+      hitRates[level] = tracked.length > 0
+        ? parseFloat((tracked.filter(s => s.hits[level]).length / tracked.length * 100).toFixed(1))
+        : 0;
+    });
+    
     return {
       totalSignals,
       activeSignals: activeSignals.length,
       successfulSignals,
       failedSignals,
       successRate: parseFloat(successRate.toFixed(1)),
+      outcomes,
+      hitRates,
+      averageR: average(rMultiples),
+      totalR: parseFloat(rMultiples.reduce((sum, r) => sum + r, 0).toFixed(3)),
+      averageMfe: average(tracked.filter(s => s.mfe !== undefined).map(s => s.mfe)),
+      averageMae: average(tracked.filter(s => s.mae !== undefined).map(s => s.mae)),
+      averageDurationMs: durations.length > 0 ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null,
       isGenerating: this.isGenerating,
       selectedCoins: this.selectedCoins
     };
@@ -390,6 +814,7 @@ class SignalService extends EventEmitter {
   clearAllSignals() {
     this.signals.clear();
     this.signalHistory = [];
+    this.persist();
     
     this.emit('signalsCleared');
     
@@ -401,7 +826,13 @@ class SignalService extends EventEmitter {
 
   // Set market data service reference
   setMarketDataService(marketDataService) {
+    this.stopLifecycleTracking();
     this.marketDataService = marketDataService;
+    // Share the level set through the evaluation settings
+    if (marketDataService && marketDataService.logger) {
+      this.logger = marketDataService.logger;
+    }
+    this.startLifecycleTracking();
   }
 
   // Start signal generation loop
@@ -431,7 +862,7 @@ class SignalService extends EventEmitter {
       if (!this.isGenerating) return;
       
       // Only process selected coins from frontend
-      if (this.selectedCoins.length > 0 && !this.selectedCoins.includes(marketData.symbol)) {
+      if (this.selectedCoins.length > 0 && !this.isSelectedCoin(marketData)) {
         return;
       }
       
@@ -465,7 +896,7 @@ class SignalService extends EventEmitter {
         if (allMarketData && allMarketData.length > 0) {
           // Only process selected coins from frontend
           const selectedCoinsData = allMarketData.filter(coin => 
-            this.selectedCoins.length > 0 && this.selectedCoins.includes(coin.symbol)
+            this.selectedCoins.length > 0 && this.isSelectedCoin(coin)
           );
           
           console.log(`🔍 Processing ${selectedCoinsData.length} selected coins for signal generation`);
@@ -0,0 +1,129 @@
+/**
+ * Signal Store
+ * Durable JSON file of active signals and signal history. Writes go to a
+ * temporary file that is renamed over the old one, so a crash mid-write never
+ * leaves a truncated store; the schema version lets older files be upgraded.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_OPTIONS = {
+  file: path.join(__dirname, '../data/signals.json'),
+  saveDelayMs: 1000 // Changes within this window are written together
+};
+
+// Upgrades a file of version N to N + 1
+const MIGRATIONS = {
+  // Version 0: a bare array of historical signals
+  0: data => ({ version: 1, signals: [], history: Array.isArray(data) ? data : [] })
+};
+
+class SignalStore {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.saveTimer = null;
+    this.getState = null; // Latest state provider passed to scheduleSave
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the store, upgrading older schema versions
+   * @returns {Promise<Object>} { signals, history }, empty when there is no file
+   * @throws {Error} When the file was written by a newer schema version
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.options.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { signals: [], history: [] };
+      if (!(error instanceof SyntaxError)) throw error;
+
+      // Keep the unreadable file for inspection and start empty
+      const corruptFile = `${this.options.file}.corrupt-${Date.now()}`;
+      await fs.rename(this.options.file, corruptFile);
+      console.error(`❌ Signal store was unreadable, moved to ${corruptFile}`);
+      return { signals: [], history: [] };
+    }
+
+    const migrated = SignalStore.migrate(data);
+    return { signals: migrated.signals || [], history: migrated.history || [] };
+  }
+
+  static migrate(data) {
+    let current = data;
+    let version = Array.isArray(data) ? 0 : (data.version || 0);
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Signal store version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    while (version < SCHEMA_VERSION) {
+      current = MIGRATIONS[version](current);
+      version = current.version;
+    }
+    return current;
+  }
+
+  /**
+   * Write the state provider's result after saveDelayMs; calls in between share the write
+   * @param {Function} getState - () => { signals, history }
+   */
+  scheduleSave(getState) {
+    this.getState = getState;
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save(this.getState());
+    }, this.options.saveDelayMs);
+  }
+
+  // Write any scheduled state right away
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save(this.getState());
+    }
+    await this.writing;
+  }
+
+  save({ signals, history }) {
+    const content = JSON.stringify({
+      version: SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      signals,
+      history
+    });
+
+    // Writes are chained so an older state never lands after a newer one
+    this.writing = this.writing.then(async () => {
+      const tempFile = `${this.options.file}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(this.options.file), { recursive: true });
+        const handle = await fs.open(tempFile, 'w');
+        try {
+          await handle.writeFile(content);
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+        await fs.rename(tempFile, this.options.file);
+      } catch (error) {
+        console.error('❌ Error saving signals:', error.message);
+      }
+    });
+    return this.writing;
+  }
+}
+
+SignalStore.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = SignalStore;
@@ -139,6 +139,24 @@ class SocketIOService {
     marketDataService.on('signals', (data) => {
       this.broadcast('signals', data, 'signals');
     });
+
+    marketDataService.on('whaleAlert', (data) => {
+      this.broadcast('whale_alert', data, 'whales');
+    });
+  }
+
+  // Screen match changes go to clients subscribed to the 'screens' channel
+  setScreenService(screenService) {
+    screenService.on('matches', (data) => {
+      this.broadcast('screen_matches', data, 'screens');
+    });
+  }
+
+  // Alert triggers go to clients subscribed to the 'alerts' channel
+  setAlertService(alertService) {
+    alertService.on('alert', (data) => {
+      this.broadcast('price_alert', data, 'alerts');
+    });
   }
 
   broadcast(event, data, channel = null) {
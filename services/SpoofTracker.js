@@ -0,0 +1,197 @@
+/**
+ * Spoof Tracker
+ * Follows large orders added near the touch of one symbol's book and flags the
+ * ones that are pulled again without trading
+ */
+
+const DEFAULT_OPTIONS = {
+  minNotional: 50000, // Smallest added size (quote currency) tracked as a large order
+  sizeMultiple: 3, // ...that is also at least this multiple of the average level on its side
+  maxDistancePercent: 0.5, // Only orders placed this close to the touch are tracked
+  maxLifetimeMs: 60000, // Orders resting longer than this before they are pulled are not flagged
+  maxFillRatio: 0.2, // Pulled orders with more of their size traded than this are not spoofs
+  confirmDelayMs: 2000, // Trades can arrive after the book update; wait this long before checking fills
+  windowMs: 5 * 60 * 1000, // How long spoof events are kept
+  maxTracked: 200, // Large orders followed at once
+  inverse: false // Inverse contracts are sized in USD, so size is already the notional
+};
+
+// Share of a tracked order that has to leave its level before the order counts as pulled
+const VANISHED_SHARE = 0.75;
+
+class SpoofTracker {
+  constructor(symbol, options = {}) {
+    this.symbol = symbol;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.orders = new Map(); // `${side}:${price}` -> resting large order
+    this.pending = []; // Pulled orders waiting for confirmDelayMs before their fills are checked
+    this.events = []; // Confirmed spoofs, oldest first
+    this.lastTimestamp = null; // Exchange time of the latest book update
+    this.trackedCount = 0;
+    this.filledCount = 0;
+  }
+
+  getNotional(size, price) {
+    return this.options.inverse ? size : size * price;
+  }
+
+  /**
+   * Process the level changes of one order book delta
+   * @param {Array} changes - [{ side, price, previousSize, size }] from OrderBook#apply
+   * @param {OrderBook} book - Book after the delta was applied
+   * @param {number} timestamp - Exchange time of the delta
+   */
+  handleChanges(changes, book, timestamp = Date.now()) {
+    this.lastTimestamp = timestamp;
+    this.expireOrders(timestamp);
+
+    changes.forEach(change => {
+      const key = `${change.side}:${change.price}`;
+      const order = this.orders.get(key);
+
+      if (change.size > change.previousSize) {
+        const added = change.size - change.previousSize;
+        if (order) {
+          order.size += added;
+        } else {
+          this.trackOrder(key, change, added, book, timestamp);
+        }
+        return;
+      }
+
+      if (!order) return;
+
+      // Level shrank: the order is gone once most of what was added has left the level
+      const removed = order.baseSize + order.size - change.size;
+      if (removed >= order.size * VANISHED_SHARE) {
+        this.orders.delete(key);
+        this.pending.push({ ...order, vanishedAt: timestamp });
+      }
+    });
+  }
+
+  trackOrder(key, change, added, book, timestamp) {
+    const price = parseFloat(change.price);
+    const notional = this.getNotional(added, price);
+    if (notional < this.options.minNotional) return;
+
+    const levels = change.side === 'bid' ? book.getBids() : book.getAsks();
+    const averageSize = levels.reduce((sum, [, size]) => sum + size, 0) / Math.max(levels.length, 1);
+    if (added < averageSize * this.options.sizeMultiple) return;
+
+    const best = change.side === 'bid' ? book.getBestBid() : book.getBestAsk();
+    const distancePercent = best ? Math.abs(price - best.price) / best.price * 100 : null;
+    if (distancePercent === null || distancePercent > this.options.maxDistancePercent) return;
+
+    if (this.orders.size >= this.options.maxTracked) {
+      this.orders.delete(this.orders.keys().next().value); // Oldest first
+    }
+
+    this.orders.set(key, {
+      side: change.side,
+      price,
+      size: added,
+      baseSize: change.previousSize, // Resting size that was already on the level
+      notional,
+      distancePercent,
+      addedAt: timestamp
+    });
+    this.trackedCount++;
+  }
+
+  // Orders that rested longer than maxLifetimeMs are no longer spoof candidates
+  expireOrders(now) {
+    this.orders.forEach((order, key) => {
+      if (now - order.addedAt > this.options.maxLifetimeMs) {
+        this.orders.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Decide whether pulled orders traded, using the trade tape
+   * @param {TradeTape} tape - Public trades of the same symbol (optional)
+   */
+  settle(tape = null) {
+    const lastTradeTime = tape ? tape.getLastTradeTime() : null;
+    const now = Math.max(this.lastTimestamp || 0, lastTradeTime || 0) || Date.now();
+
+    const due = this.pending.filter(order => now - order.vanishedAt >= this.options.confirmDelayMs);
+    if (due.length === 0) return;
+    this.pending = this.pending.filter(order => !due.includes(order));
+
+    due.forEach(order => {
+      const filledSize = this.getFilledSize(order, tape);
+      const lifetimeMs = order.vanishedAt - order.addedAt;
+
+      if (filledSize > order.size * this.options.maxFillRatio) {
+        this.filledCount++;
+        return;
+      }
+
+      this.events.push({
+        side: order.side,
+        price: order.price,
+        size: order.size,
+        notional: order.notional,
+        lifetimeMs,
+        distancePercent: order.distancePercent,
+        filledSize,
+        addedAt: order.addedAt,
+        cancelledAt: order.vanishedAt
+      });
+    });
+
+    this.pruneEvents(now);
+  }
+
+  // Size traded at the order's price while it rested: sells hit bids, buys lift asks
+  getFilledSize(order, tape) {
+    if (!tape) return 0;
+
+    const aggressor = order.side === 'bid' ? 'sell' : 'buy';
+    return tape.trades
+      .filter(trade => trade.side === aggressor && trade.price === order.price &&
+        trade.timestamp >= order.addedAt && trade.timestamp <= order.vanishedAt + this.options.confirmDelayMs)
+      .reduce((sum, trade) => sum + trade.size, 0);
+  }
+
+  pruneEvents(now) {
+    const cutoff = now - this.options.windowMs;
+    this.events = this.events.filter(event => event.cancelledAt >= cutoff);
+  }
+
+  /**
+   * Confirmed spoofs, newest first
+   * @param {number} windowMs - Lookback from the latest book update
+   * @returns {Array} [{ side, price, size, notional, lifetimeMs, distancePercent, filledSize, addedAt, cancelledAt }]
+   */
+  getEvents(windowMs = this.options.windowMs) {
+    const now = this.lastTimestamp || Date.now();
+    return this.events
+      .filter(event => event.cancelledAt >= now - windowMs)
+      .reverse();
+  }
+
+  // Book was resynced from a snapshot; level history no longer lines up
+  reset() {
+    this.orders.clear();
+    this.pending = [];
+  }
+
+  getStatus() {
+    return {
+      symbol: this.symbol,
+      trackedOrders: this.orders.size,
+      pendingOrders: this.pending.length,
+      totalTracked: this.trackedCount,
+      totalFilled: this.filledCount,
+      spoofs: this.events.length
+    };
+  }
+}
+
+SpoofTracker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = SpoofTracker;
@@ -0,0 +1,249 @@
+/**
+ * Support/Resistance Service
+ * Support and resistance zones per symbol and interval from swing highs/lows,
+ * volume profile nodes and round numbers, scored by strength and touches
+ */
+
+const DEFAULT_OPTIONS = {
+  swingLookback: 3, // Candles on each side a swing high/low must exceed
+  volumeBins: 40, // Price buckets of the volume profile
+  volumeNodeRatio: 1.5, // A volume node holds at least this multiple of the average bucket
+  zoneWidthAtr: 0.5, // Zone width in ATRs...
+  minZoneWidthPercent: 0.1, // ...but at least this percent of price
+  atrPeriod: 14,
+  maxZones: 8, // Strongest zones returned
+  minStrength: 0.3, // Weaker zones are dropped
+  proximityPercent: 0.3, // Price this close to a zone (percent) counts as at the level
+  cacheMs: 10000 // Zones are recomputed at most this often per symbol and interval
+};
+
+// Weights of the strength score; strength = score / (score + STRENGTH_HALF_POINT)
+const SCORE_WEIGHTS = { swing: 1, touch: 0.5, volume: 2, round: 0.5 };
+const STRENGTH_HALF_POINT = 3;
+
+class SupportResistanceService {
+  /**
+   * @param {Function} getCandles - (marketKey, interval) => candles, oldest first
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(getCandles, options = {}) {
+    this.getCandles = getCandles;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.cache = new Map(); // `${key}_${interval}` -> { computedAt, result }
+  }
+
+  /**
+   * Current zones of a symbol on one interval
+   * @param {string} key - Market key
+   * @param {string} interval - Candle interval
+   * @returns {Object|null} See detect()
+   */
+  getLevels(key, interval) {
+    const cacheKey = `${key}_${interval}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.computedAt < this.options.cacheMs) {
+      return cached.result;
+    }
+
+    const result = SupportResistanceService.detect(this.getCandles(key, interval) || [], this.options);
+    this.cache.set(cacheKey, { computedAt: Date.now(), result });
+    return result;
+  }
+
+  clear(key) {
+    Array.from(this.cache.keys())
+      .filter(cacheKey => cacheKey.startsWith(`${key}_`))
+      .forEach(cacheKey => this.cache.delete(cacheKey));
+  }
+
+  /**
+   * Cluster swing points, volume nodes and round numbers into zones
+   * @param {Array} candles - Candles, oldest first; the last close is the current price
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @returns {Object|null} { price, zoneWidth, zones, nearestSupport, nearestResistance }
+   *   zones: [{ type, price, low, high, strength, touches, sources, lastTouch }], highest price first
+   */
+  static detect(candles, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (candles.length < opts.swingLookback * 2 + 2) return null;
+
+    const price = candles[candles.length - 1].close;
+    const atr = SupportResistanceService.averageTrueRange(candles, opts.atrPeriod);
+    const zoneWidth = Math.max(atr * opts.zoneWidthAtr, price * opts.minZoneWidthPercent / 100);
+
+    const low = Math.min(...candles.map(candle => candle.low));
+    const high = Math.max(...candles.map(candle => candle.high));
+    const candidates = [
+      ...SupportResistanceService.findSwings(candles, opts.swingLookback),
+      ...SupportResistanceService.findVolumeNodes(candles, opts.volumeBins, opts.volumeNodeRatio),
+      ...SupportResistanceService.findRoundNumbers(low, high, price)
+    ];
+
+    const zones = SupportResistanceService.cluster(candidates, zoneWidth)
+      .map(zone => SupportResistanceService.scoreZone(zone, candles, price))
+      // A round number nobody traded at is not a level
+      .filter(zone => zone.strength >= opts.minStrength && zone.touches > 0)
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, opts.maxZones)
+      .sort((a, b) => b.price - a.price);
+
+    return {
+      price,
+      zoneWidth,
+      zones,
+      ...SupportResistanceService.nearest(zones, price)
+    };
+  }
+
+  // Swing highs are resistance candidates, swing lows support candidates
+  static findSwings(candles, lookback) {
+    const swings = [];
+    for (let i = lookback; i < candles.length - lookback; i++) {
+      const neighbours = [...candles.slice(i - lookback, i), ...candles.slice(i + 1, i + lookback + 1)];
+      if (neighbours.every(candle => candles[i].high > candle.high)) {
+        swings.push({ price: candles[i].high, source: 'swing', side: 'high', timestamp: candles[i].timestamp });
+      }
+      if (neighbours.every(candle => candles[i].low < candle.low)) {
+        swings.push({ price: candles[i].low, source: 'swing', side: 'low', timestamp: candles[i].timestamp });
+      }
+    }
+    return swings;
+  }
+
+  // Local maxima of the volume profile (volume bucketed by typical price)
+  static findVolumeNodes(candles, bins, nodeRatio) {
+    const low = Math.min(...candles.map(candle => candle.low));
+    const high = Math.max(...candles.map(candle => candle.high));
+    if (!(high > low)) return [];
+
+    const size = (high - low) / bins;
+    const profile = new Array(bins).fill(0);
+    candles.forEach(candle => {
+      const typical = (candle.high + candle.low + candle.close) / 3;
+      profile[Math.min(Math.floor((typical - low) / size), bins - 1)] += candle.volume || 0;
+    });
+
+    const average = profile.reduce((sum, volume) => sum + volume, 0) / bins;
+    const largest = Math.max(...profile);
+    if (!(average > 0)) return [];
+
+    return profile
+      .map((volume, index) => ({ volume, index }))
+      .filter(({ volume, index }) => volume >= average * nodeRatio &&
+        volume >= (profile[index - 1] || 0) && volume >= (profile[index + 1] || 0))
+      .map(({ volume, index }) => ({ price: low + (index + 0.5) * size, source: 'volume', weight: volume / largest }));
+  }
+
+  // Round numbers inside the traded range, e.g. every 1000 at 67000 or every 0.01 at 0.52
+  static findRoundNumbers(low, high, price) {
+    if (!(price > 0)) return [];
+
+    // Widen 1 -> 5 -> 10 -> 50 ... until at most 10 levels fall in the range
+    let step = Math.pow(10, Math.floor(Math.log10(price)) - 1);
+    let factor = 5;
+    while ((high - low) / step > 10) {
+      step *= factor;
+      factor = factor === 5 ? 2 : 5;
+    }
+
+    const rounds = [];
+    for (let level = Math.ceil(low / step) * step; level <= high; level += step) {
+      rounds.push({ price: parseFloat(level.toPrecision(12)), source: 'round' });
+    }
+    return rounds;
+  }
+
+  // Group candidates closer than one zone width, walking up in price
+  static cluster(candidates, zoneWidth) {
+    const zones = [];
+    candidates
+      .slice()
+      .sort((a, b) => a.price - b.price)
+      .forEach(candidate => {
+        const zone = zones[zones.length - 1];
+        const center = zone ? zone.members.reduce((sum, member) => sum + member.price, 0) / zone.members.length : null;
+        if (zone && candidate.price - center <= zoneWidth) {
+          zone.members.push(candidate);
+        } else {
+          zones.push({ members: [candidate] });
+        }
+      });
+
+    return zones.map(({ members }) => {
+      const prices = members.map(member => member.price);
+      const center = prices.reduce((sum, value) => sum + value, 0) / prices.length;
+      return {
+        members,
+        price: center,
+        low: Math.min(center - zoneWidth / 2, ...prices),
+        high: Math.max(center + zoneWidth / 2, ...prices)
+      };
+    });
+  }
+
+  static scoreZone({ members, price, low, high }, candles, currentPrice) {
+    // Separate visits: consecutive candles inside the zone are one touch
+    let touches = 0;
+    let lastTouch = null;
+    let inside = false;
+    candles.forEach(candle => {
+      const touching = candle.high >= low && candle.low <= high;
+      if (touching && !inside) touches++;
+      if (touching) lastTouch = candle.timestamp;
+      inside = touching;
+    });
+
+    const swings = members.filter(member => member.source === 'swing').length;
+    const volumeWeight = Math.max(0, ...members.filter(member => member.source === 'volume').map(member => member.weight));
+    const isRound = members.some(member => member.source === 'round');
+    const score = swings * SCORE_WEIGHTS.swing + touches * SCORE_WEIGHTS.touch +
+      volumeWeight * SCORE_WEIGHTS.volume + (isRound ? SCORE_WEIGHTS.round : 0);
+
+    return {
+      type: price <= currentPrice ? 'support' : 'resistance',
+      price,
+      low,
+      high,
+      strength: score / (score + STRENGTH_HALF_POINT),
+      touches,
+      sources: [...new Set(members.map(member => member.source))],
+      lastTouch
+    };
+  }
+
+  // Closest zone on each side with the distance from price as a fraction
+  static nearest(zones, price) {
+    const support = zones.filter(zone => zone.type === 'support').sort((a, b) => b.price - a.price)[0] || null;
+    const resistance = zones.filter(zone => zone.type === 'resistance').sort((a, b) => a.price - b.price)[0] || null;
+
+    return {
+      nearestSupport: support ? { ...support, distance: Math.max(price - support.high, 0) / price } : null,
+      nearestResistance: resistance ? { ...resistance, distance: Math.max(resistance.low - price, 0) / price } : null
+    };
+  }
+
+  /**
+   * Zones the price is at or within proximityPercent of
+   * @param {Object} levels - detect() result
+   * @param {number} proximityPercent - Distance that counts as at the level (percent)
+   * @returns {Array} [{ ...zone, distance }]
+   */
+  static proximity(levels, proximityPercent = DEFAULT_OPTIONS.proximityPercent) {
+    if (!levels) return [];
+    return [levels.nearestSupport, levels.nearestResistance]
+      .filter(zone => zone && zone.distance <= proximityPercent / 100);
+  }
+
+  static averageTrueRange(candles, period) {
+    const trueRanges = candles.slice(1).map((candle, index) => {
+      const previousClose = candles[index].close;
+      return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+    });
+    const recent = trueRanges.slice(-period);
+    return recent.length > 0 ? recent.reduce((sum, range) => sum + range, 0) / recent.length : 0;
+  }
+}
+
+SupportResistanceService.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = SupportResistanceService;
@@ -0,0 +1,255 @@
+/**
+ * Symbol Universe
+ * Ranks tradable instruments and keeps the top-N set the scanner subscribes to
+ */
+
+const EventEmitter = require('events');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+const DEFAULT_OPTIONS = {
+  maxSymbols: 50,
+  category: 'linear',
+  quoteCoin: 'USDT',
+  refreshIntervalMs: 5 * 60 * 1000,
+  turnoverWeight: 0.7, // Score = weighted percentile of 24h turnover...
+  volatilityWeight: 0.3, // ...and of the 24h high/low range
+  minTurnover: 1000000, // USDT, thinner instruments are never selected
+  hysteresis: 0.2, // Members stay until they drop below maxSymbols * (1 + hysteresis)
+  newListingDays: 3, // Instruments launched within this many days get a boost
+  newListingBoost: 0.25,
+  pinned: ['BTCUSDT', 'ETHUSDT'] // Always subscribed
+};
+
+/**
+ * Events:
+ *   'beforeRefresh'                         - a refresh is starting (options can still be changed)
+ *   'rotation'  { added, removed, symbols } - active set changed
+ *   'listing'   { symbol, launchTime }      - instrument appeared since the last refresh
+ *   'delisting' { symbol, status }          - instrument stopped trading or disappeared
+ */
+class SymbolUniverse extends EventEmitter {
+  /**
+   * @param {Object} exchange - Exchange adapter, for tickers
+   * @param {InstrumentRegistry} instrumentRegistry - Source of the instrument list
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(exchange, instrumentRegistry, options = {}) {
+    super();
+    this.exchange = exchange;
+    this.instrumentRegistry = instrumentRegistry;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.instruments = new Map(); // symbol -> normalized instrument (see InstrumentRegistry.normalize) from the last refresh
+    this.rankings = []; // Ranked candidates, best first
+    this.active = new Set(); // Symbols currently selected
+    this.lastRefresh = null;
+    this.refreshTimer = null;
+    this.isRefreshing = false;
+  }
+
+  setMaxSymbols(maxSymbols) {
+    const value = parseInt(maxSymbols);
+    if (value > 0) {
+      this.options.maxSymbols = value;
+    }
+  }
+
+  start() {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('❌ Symbol universe refresh failed:', error.message));
+    }, this.options.refreshIntervalMs);
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Re-rank instruments and rotate the active set
+   * @returns {Object} { added, removed, symbols }
+   */
+  async refresh() {
+    if (this.isRefreshing) return { added: [], removed: [], symbols: this.getSymbols() };
+    this.isRefreshing = true;
+    this.emit('beforeRefresh');
+
+    try {
+      const [instruments, tickers] = await Promise.all([this.fetchInstruments(), this.fetchTickers()]);
+      const isFirstRefresh = this.lastRefresh === null;
+
+      this.detectListingChanges(instruments, isFirstRefresh);
+      this.instruments = instruments;
+      this.rankings = this.rank(instruments, tickers);
+      this.lastRefresh = Date.now();
+
+      return this.rotate();
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  // Eligible instruments as of the registry's last refresh; listings show up once it reloads them
+  async fetchInstruments() {
+    const { category } = this.options;
+    await this.instrumentRegistry.ensureLoaded();
+
+    if (!this.instrumentRegistry.lastRefresh.has(category)) {
+      throw new Error(`Failed to fetch instruments: ${category} instruments are not loaded`);
+    }
+
+    return new Map(this.instrumentRegistry.getAll(category)
+      .filter(instrument => this.isEligibleSymbol(instrument))
+      .map(instrument => [instrument.symbol, instrument]));
+  }
+
+  async fetchTickers() {
+    const response = await this.exchange.getTickers({ category: this.options.category });
+
+    if (response.retCode !== 0) {
+      throw new Error(`Failed to fetch tickers: ${response.retMsg}`);
+    }
+
+    return new Map(response.result.list.map(ticker => [ticker.symbol, ticker]));
+  }
+
+  isEligibleSymbol(instrument) {
+    if (!instrument.symbol) return false;
+    if (instrument.quoteCoin) return instrument.quoteCoin === this.options.quoteCoin;
+    return instrument.symbol.endsWith(this.options.quoteCoin);
+  }
+
+  detectListingChanges(instruments, isFirstRefresh) {
+    if (isFirstRefresh) return;
+
+    instruments.forEach((instrument, symbol) => {
+      if (!this.instruments.has(symbol)) {
+        console.log(`🆕 New listing: ${symbol}`);
+        this.emit('listing', { symbol, launchTime: instrument.launchTime || null });
+      }
+    });
+
+    this.instruments.forEach((instrument, symbol) => {
+      const current = instruments.get(symbol);
+      if (!current || !this.isTrading(current)) {
+        if (this.isTrading(instrument)) {
+          console.log(`🚫 Delisted: ${symbol}`);
+          this.emit('delisting', { symbol, status: current ? current.status : 'Removed' });
+        }
+      }
+    });
+  }
+
+  isTrading(instrument) {
+    // Replay recordings do not carry a status, treat them as trading
+    return !instrument.status || instrument.status === 'Trading';
+  }
+
+  /**
+   * Score tradable instruments by turnover and volatility percentile
+   * @param {Map} instruments - symbol -> instrument info
+   * @param {Map} tickers - symbol -> ticker
+   * @returns {Array} [{ symbol, score, turnover24h, volatility, isNewListing }], best first
+   */
+  rank(instruments, tickers) {
+    const now = Date.now();
+    const candidates = [];
+
+    instruments.forEach((instrument, symbol) => {
+      const ticker = tickers.get(symbol);
+      if (!ticker || !this.isTrading(instrument)) return;
+
+      // In the quote currency, so inverse contracts compare against the same minTurnover
+      const turnover24h = ExchangeAdapter.quoteTurnover(ticker, this.options.category);
+      const high = parseFloat(ticker.highPrice24h);
+      const low = parseFloat(ticker.lowPrice24h);
+      const volatility = high > 0 && low > 0 ? (high - low) / low : Math.abs(parseFloat(ticker.price24hPcnt) || 0);
+
+      const launchTime = instrument.launchTime || 0;
+      const isNewListing = launchTime > 0 && now - launchTime < this.options.newListingDays * 24 * 60 * 60 * 1000;
+
+      if (turnover24h < this.options.minTurnover && !isNewListing && !this.options.pinned.includes(symbol)) return;
+
+      candidates.push({ symbol, turnover24h, volatility, isNewListing });
+    });
+
+    const turnoverRank = this.percentiles(candidates, c => c.turnover24h);
+    const volatilityRank = this.percentiles(candidates, c => c.volatility);
+
+    candidates.forEach(candidate => {
+      candidate.score = turnoverRank.get(candidate.symbol) * this.options.turnoverWeight +
+        volatilityRank.get(candidate.symbol) * this.options.volatilityWeight +
+        (candidate.isNewListing ? this.options.newListingBoost : 0);
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  percentiles(candidates, getValue) {
+    const sorted = [...candidates].sort((a, b) => getValue(a) - getValue(b));
+    const denominator = Math.max(sorted.length - 1, 1);
+    return new Map(sorted.map((candidate, index) => [candidate.symbol, index / denominator]));
+  }
+
+  // Pick the new active set; members only drop out once they fall clearly behind
+  rotate() {
+    const { maxSymbols, hysteresis, pinned } = this.options;
+    const rankOf = new Map(this.rankings.map((candidate, index) => [candidate.symbol, index]));
+    const keepUntil = Math.ceil(maxSymbols * (1 + hysteresis));
+
+    const next = pinned.filter(symbol => rankOf.has(symbol)).slice(0, maxSymbols);
+
+    // Incumbents within the hysteresis band keep their slot
+    Array.from(this.active)
+      .filter(symbol => !next.includes(symbol) && rankOf.has(symbol) && rankOf.get(symbol) < keepUntil)
+      .sort((a, b) => rankOf.get(a) - rankOf.get(b))
+      .forEach(symbol => {
+        if (next.length < maxSymbols) next.push(symbol);
+      });
+
+    for (const candidate of this.rankings) {
+      if (next.length >= maxSymbols) break;
+      if (!next.includes(candidate.symbol)) next.push(candidate.symbol);
+    }
+
+    const added = next.filter(symbol => !this.active.has(symbol));
+    const removed = Array.from(this.active).filter(symbol => !next.includes(symbol));
+    this.active = new Set(next);
+
+    const rotation = { added, removed, symbols: next };
+    if (added.length > 0 || removed.length > 0) {
+      this.emit('rotation', rotation);
+    }
+
+    return rotation;
+  }
+
+  getSymbols() {
+    return Array.from(this.active);
+  }
+
+  has(symbol) {
+    return this.active.has(symbol);
+  }
+
+  getStatus() {
+    return {
+      maxSymbols: this.options.maxSymbols,
+      activeCount: this.active.size,
+      instrumentCount: this.instruments.size,
+      lastRefresh: this.lastRefresh,
+      refreshIntervalMs: this.options.refreshIntervalMs,
+      rankings: this.rankings.map((candidate, index) => ({
+        rank: index + 1,
+        ...candidate,
+        active: this.active.has(candidate.symbol)
+      }))
+    };
+  }
+}
+
+module.exports = SymbolUniverse;
@@ -0,0 +1,293 @@
+/**
+ * Time Series Store
+ * Embedded, file-based store for candles, ticker snapshots and detector outputs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+  dir: path.join(__dirname, '../data/timeseries'),
+  flushIntervalMs: 5000, // Buffered records are appended this often
+  pruneIntervalMs: 60 * 60 * 1000, // Retention is enforced this often
+  maxQueryRecords: 5000, // Upper bound for a single query's limit
+  // Days kept per series; candles per interval
+  retentionDays: {
+    candles: { '1m': 7, '3m': 14, '5m': 30, '15m': 60, '1h': 180, '4h': 365 },
+    tickers: 7,
+    detectors: 30
+  },
+  defaultRetentionDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+/**
+ * Records are appended to one NDJSON segment per series, symbol and UTC day:
+ *
+ *   <dir>/<series>/<category>/<symbol>/<YYYY-MM-DD>.ndjson
+ *
+ * Series are 'candles/<interval>', 'tickers' and 'detectors'. Every record has
+ * a `timestamp` (ms); the day a record is filed under comes from it, so range
+ * queries only open the segments that overlap the range. Segments are never
+ * rewritten: a record written twice (e.g. a candle from the stream and again
+ * from a backfill) is resolved on read, the last one wins.
+ */
+class TimeSeriesStore {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      retentionDays: { ...DEFAULT_OPTIONS.retentionDays, ...(options.retentionDays || {}) }
+    };
+    this.dir = path.resolve(this.options.dir);
+
+    this.buffers = new Map(); // segment file -> pending NDJSON lines
+    this.createdDirs = new Set();
+    this.flushing = Promise.resolve();
+    this.flushTimer = null;
+    this.pruneTimer = null;
+    this.isRunning = false;
+
+    this.recordsWritten = 0;
+    this.writeErrors = 0;
+    this.lastPruneAt = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.isRunning = true;
+
+    this.flushTimer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+    this.pruneTimer = setInterval(() => this.prune(), this.options.pruneIntervalMs);
+    this.prune();
+
+    console.log(`💾 Time series store at ${this.dir}`);
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    clearInterval(this.flushTimer);
+    clearInterval(this.pruneTimer);
+    this.flushTimer = null;
+    this.pruneTimer = null;
+    await this.flush();
+  }
+
+  /**
+   * Queue a record for the next flush
+   * @param {string} series - 'candles/<interval>', 'tickers' or 'detectors'
+   * @param {string} key - Market key (`${category}:${symbol}`)
+   * @param {Object} record - Data with a `timestamp` in ms
+   */
+  append(series, key, record) {
+    if (!this.isRunning || !record || !Number.isFinite(record.timestamp)) return;
+
+    const file = this.getSegmentFile(series, key, record.timestamp);
+    const lines = this.buffers.get(file) || [];
+    lines.push(JSON.stringify(record) + '\n');
+    this.buffers.set(file, lines);
+  }
+
+  // Append every buffered record; flushes run one after another
+  flush() {
+    this.flushing = this.flushing.then(() => this.writeBuffers());
+    return this.flushing;
+  }
+
+  async writeBuffers() {
+    const buffers = this.buffers;
+    this.buffers = new Map();
+
+    for (const [file, lines] of buffers) {
+      try {
+        const dir = path.dirname(file);
+        if (!this.createdDirs.has(dir)) {
+          await fs.promises.mkdir(dir, { recursive: true });
+          this.createdDirs.add(dir);
+        }
+        await fs.promises.appendFile(file, lines.join(''));
+        this.recordsWritten += lines.length;
+      } catch (error) {
+        this.writeErrors++;
+        console.error(`❌ Error writing ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Records of one series and symbol within a time range, oldest first
+   * @param {Object} range - { start, end, limit }; with a start the first `limit`
+   *   records from it are returned, otherwise the last `limit` up to `end`
+   * @returns {Promise<Array>}
+   */
+  async query(series, key, { start = null, end = null, limit = 1000 } = {}) {
+    await this.flush(); // Include records still waiting in the buffer
+
+    const symbolDir = this.getSymbolDir(series, key);
+    let files;
+    try {
+      files = await fs.promises.readdir(symbolDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const startDay = start !== null ? this.getDay(start) : null;
+    const endDay = end !== null ? this.getDay(end) : null;
+    const days = files
+      .map(file => (file.match(SEGMENT_PATTERN) || [])[1])
+      .filter(day => day && (startDay === null || day >= startDay) && (endDay === null || day <= endDay))
+      .sort();
+
+    const records = new Map(); // timestamp -> record, later writes win
+    for (const day of days) {
+      const content = await fs.promises.readFile(path.join(symbolDir, `${day}.ndjson`), 'utf8');
+      content.split('\n').forEach(line => {
+        if (!line) return;
+        try {
+          const record = JSON.parse(line);
+          if ((start === null || record.timestamp >= start) && (end === null || record.timestamp <= end)) {
+            records.set(record.timestamp, record);
+          }
+        } catch (error) {
+          // Partial line from an interrupted write
+        }
+      });
+    }
+
+    const sorted = Array.from(records.values()).sort((a, b) => a.timestamp - b.timestamp);
+    const max = Math.min(limit, this.options.maxQueryRecords);
+    return start !== null ? sorted.slice(0, max) : sorted.slice(-max);
+  }
+
+  getRetentionDays(series) {
+    const [type, interval] = series.split('/');
+    const retention = this.options.retentionDays[type];
+    const days = typeof retention === 'object' && retention !== null ? retention[interval] : retention;
+    return days || this.options.defaultRetentionDays;
+  }
+
+  // Delete segments whose whole day is older than the series' retention
+  async prune(now = Date.now()) {
+    let removed = 0;
+
+    try {
+      for (const series of await this.listSeries()) {
+        const cutoffDay = this.getDay(now - this.getRetentionDays(series) * DAY_MS);
+        const seriesDir = path.join(this.dir, ...series.split('/'));
+
+        for (const category of await this.readDir(seriesDir)) {
+          for (const symbol of await this.readDir(path.join(seriesDir, category))) {
+            const symbolDir = path.join(seriesDir, category, symbol);
+            for (const file of await this.readDir(symbolDir)) {
+              const day = (file.match(SEGMENT_PATTERN) || [])[1];
+              if (day && day < cutoffDay) {
+                await fs.promises.unlink(path.join(symbolDir, file));
+                removed++;
+              }
+            }
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error pruning time series store:', error.message);
+    }
+
+    this.lastPruneAt = now;
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired time series segments`);
+    }
+    return removed;
+  }
+
+  // 'candles/<interval>' per interval directory plus the flat series
+  async listSeries() {
+    const series = [];
+    for (const type of await this.readDir(this.dir)) {
+      if (type === 'candles') {
+        (await this.readDir(path.join(this.dir, type))).forEach(interval => series.push(`candles/${interval}`));
+      } else {
+        series.push(type);
+      }
+    }
+    return series;
+  }
+
+  async readDir(dir) {
+    try {
+      return await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  getSymbolDir(series, key) {
+    const separator = key.indexOf(':');
+    const dir = path.join(this.dir, ...series.split('/'), key.slice(0, separator), key.slice(separator + 1));
+    // Keys come from request parameters; never leave the store directory
+    if (!dir.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid time series key: ${key}`);
+    }
+    return dir;
+  }
+
+  /**
+   * Timestamp of the newest stored record of one series and symbol
+   * @returns {Promise<number|null>} null when nothing is stored
+   */
+  async getLastTimestamp(series, key) {
+    await this.flush();
+
+    const symbolDir = this.getSymbolDir(series, key);
+    const days = (await this.readDir(symbolDir))
+      .map(file => (file.match(SEGMENT_PATTERN) || [])[1])
+      .filter(Boolean)
+      .sort()
+      .reverse();
+
+    // Newest segment with a readable record
+    for (const day of days) {
+      const content = await fs.promises.readFile(path.join(symbolDir, `${day}.ndjson`), 'utf8');
+      let last = null;
+      content.split('\n').forEach(line => {
+        if (!line) return;
+        try {
+          const { timestamp } = JSON.parse(line);
+          if (Number.isFinite(timestamp) && (last === null || timestamp > last)) last = timestamp;
+        } catch (error) {
+          // Partial line from an interrupted write
+        }
+      });
+      if (last !== null) return last;
+    }
+    return null;
+  }
+
+  getSegmentFile(series, key, timestamp) {
+    return path.join(this.getSymbolDir(series, key), `${this.getDay(timestamp)}.ndjson`);
+  }
+
+  getDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      dir: this.dir,
+      bufferedSegments: this.buffers.size,
+      recordsWritten: this.recordsWritten,
+      writeErrors: this.writeErrors,
+      lastPruneAt: this.lastPruneAt
+    };
+  }
+}
+
+TimeSeriesStore.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = TimeSeriesStore;
@@ -0,0 +1,193 @@
+/**
+ * Trade Levels
+ * TP1-TP4 and SL for a signal in one of several modes (fixed percent, ATR
+ * multiples, swing structure, support/resistance), rounded to the tick size
+ */
+
+const SupportResistanceService = require('./SupportResistanceService');
+const InstrumentRegistry = require('./InstrumentRegistry');
+
+const MODES = ['fixed', 'atr', 'swing', 'supportResistance'];
+
+const DEFAULT_OPTIONS = {
+  mode: 'fixed',
+  interval: '5m', // Candles the atr, swing and supportResistance modes read
+  // fixed: fractions of entry
+  fixed: { tp1: 0.02, tp2: 0.04, tp3: 0.06, tp4: 0.08, sl: 0.035 },
+  // atr: multiples of the ATR
+  atr: { period: 14, tpMultiples: [1, 2, 3, 4], slMultiple: 1.5 },
+  // swing: SL beyond the last swing low/high, TPs at the next swings on the other side
+  swing: { lookback: 3, candles: 100, bufferAtr: 0.2 },
+  // supportResistance: SL beyond the nearest zone behind price, TPs in front of the zones ahead
+  supportResistance: { bufferAtr: 0.2 },
+  rewardMultiples: [1, 2, 3, 4], // R multiples that fill TPs structure does not provide
+  minRewardRisk: 0.5, // Structural targets closer than this many R to entry or the previous target are skipped
+  minStopPercent: 0.2, // Structural stops are widened to at least this far from entry...
+  maxStopPercent: 10 // ...and abandoned for fixed levels beyond this
+};
+
+class TradeLevels {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    ['fixed', 'atr', 'swing', 'supportResistance'].forEach(mode => {
+      this.options[mode] = { ...DEFAULT_OPTIONS[mode], ...(options[mode] || {}) };
+    });
+  }
+
+  /**
+   * @param {number} entry - Entry price
+   * @param {string} direction - 'LONG' or 'SHORT'
+   * @param {Object} context - { candles (oldest first), tickSize }
+   * @returns {Object} { entry, tp1, tp2, tp3, tp4, sl, mode, fallback } - fallback names why fixed levels were used
+   */
+  calculate(entry, direction, { candles = [], tickSize = null } = {}) {
+    const sign = direction === 'LONG' ? 1 : -1;
+    const mode = MODES.includes(this.options.mode) ? this.options.mode : 'fixed';
+
+    let levels = null;
+    let fallback = null;
+    if (mode !== 'fixed') {
+      try {
+        levels = this.calculateMode(mode, entry, sign, candles);
+      } catch (error) {
+        fallback = error.message;
+      }
+    }
+    if (!levels) {
+      levels = this.calculateFixed(entry, sign);
+    }
+
+    const round = price => TradeLevels.roundToTick(price, tickSize);
+    return {
+      entry: round(entry),
+      tp1: round(levels.tp1),
+      tp2: round(levels.tp2),
+      tp3: round(levels.tp3),
+      tp4: round(levels.tp4),
+      sl: round(levels.sl),
+      mode: fallback ? 'fixed' : mode,
+      fallback
+    };
+  }
+
+  calculateFixed(entry, sign) {
+    const { fixed } = this.options;
+    return {
+      tp1: entry * (1 + sign * fixed.tp1),
+      tp2: entry * (1 + sign * fixed.tp2),
+      tp3: entry * (1 + sign * fixed.tp3),
+      tp4: entry * (1 + sign * fixed.tp4),
+      sl: entry * (1 - sign * fixed.sl)
+    };
+  }
+
+  // Throws with the reason when the mode has no usable levels
+  calculateMode(mode, entry, sign, candles) {
+    const closed = candles.filter(candle => candle.confirmed !== false);
+    const atr = TradeLevels.averageTrueRange(closed, this.options.atr.period);
+    if (!atr) throw new Error(`not enough ${this.options.interval} candles`);
+
+    if (mode === 'atr') {
+      const { tpMultiples, slMultiple } = this.options.atr;
+      const levels = { sl: entry - sign * atr * slMultiple };
+      tpMultiples.slice(0, 4).forEach((multiple, index) => {
+        levels[`tp${index + 1}`] = entry + sign * atr * multiple;
+      });
+      return levels;
+    }
+
+    let stop;
+    let targets;
+    if (mode === 'swing') {
+      const { lookback, candles: count, bufferAtr } = this.options.swing;
+      const swings = TradeLevels.findSwings(closed.slice(-count), lookback);
+      // Latest swing low below entry for longs (high above entry for shorts)
+      const protective = (sign > 0 ? swings.lows : swings.highs)
+        .filter(price => sign * (entry - price) > 0)
+        .pop();
+      if (protective === undefined) throw new Error('no swing behind entry');
+
+      stop = protective - sign * atr * bufferAtr;
+      targets = sign > 0 ? swings.highs : swings.lows;
+    } else {
+      const zones = SupportResistanceService.detect(closed)?.zones || [];
+      const behind = zones
+        .filter(zone => sign * (entry - (sign > 0 ? zone.low : zone.high)) > 0)
+        .sort((a, b) => sign * (b.price - a.price))[0];
+      if (!behind) throw new Error(`no ${sign > 0 ? 'support' : 'resistance'} zone behind entry`);
+
+      // Stop just past the far edge of the zone; targets at the near edge of zones ahead
+      stop = (sign > 0 ? behind.low : behind.high) - sign * atr * this.options.supportResistance.bufferAtr;
+      targets = zones.map(zone => (sign > 0 ? zone.low : zone.high));
+    }
+
+    const stopPercent = Math.abs(entry - stop) / entry * 100;
+    if (stopPercent > this.options.maxStopPercent) {
+      throw new Error(`stop ${stopPercent.toFixed(1)}% away exceeds ${this.options.maxStopPercent}%`);
+    }
+    if (stopPercent < this.options.minStopPercent) {
+      stop = entry * (1 - sign * this.options.minStopPercent / 100);
+    }
+
+    return { sl: stop, ...this.buildTargets(entry, sign, Math.abs(entry - stop), targets) };
+  }
+
+  // Structural targets ahead of entry, nearest first, topped up with R multiples
+  buildTargets(entry, sign, risk, candidates) {
+    const spacing = risk * this.options.minRewardRisk;
+    const prices = [];
+    candidates
+      .slice()
+      .sort((a, b) => sign * (a - b))
+      .forEach(price => {
+        const previous = prices.length > 0 ? prices[prices.length - 1] : entry;
+        if (prices.length < 4 && sign * (price - previous) >= spacing) prices.push(price);
+      });
+
+    let multiple = prices.length > 0 ? sign * (prices[prices.length - 1] - entry) / risk : 0;
+    const fill = this.options.rewardMultiples.filter(value => value > multiple);
+    while (prices.length < 4) {
+      multiple = fill.length > 0 ? fill.shift() : Math.floor(multiple) + 1;
+      prices.push(entry + sign * risk * multiple);
+    }
+
+    return { tp1: prices[0], tp2: prices[1], tp3: prices[2], tp4: prices[3] };
+  }
+
+  // Swing high and low prices, oldest first
+  static findSwings(candles, lookback) {
+    const swings = SupportResistanceService.findSwings(candles, lookback);
+    return {
+      highs: swings.filter(swing => swing.side === 'high').map(swing => swing.price),
+      lows: swings.filter(swing => swing.side === 'low').map(swing => swing.price)
+    };
+  }
+
+  static averageTrueRange(candles, period) {
+    if (candles.length <= period) return null;
+    return SupportResistanceService.averageTrueRange(candles, period);
+  }
+
+  /**
+   * Round a price to the instrument's tick size
+   * @param {number} price - Price
+   * @param {number|string} tickSize - Tick size; without one, 6 significant digits are kept
+   * @returns {number}
+   */
+  static roundToTick(price, tickSize = null) {
+    if (!Number.isFinite(price)) return price;
+
+    if (!(parseFloat(tickSize) > 0)) {
+      return parseFloat(price.toPrecision(6));
+    }
+    return InstrumentRegistry.roundToStep(price, tickSize);
+  }
+}
+
+TradeLevels.MODES = MODES;
+TradeLevels.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = TradeLevels;
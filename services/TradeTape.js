@@ -0,0 +1,143 @@
+/**
+ * Trade Tape
+ * Rolling window of public trades for one symbol
+ */
+
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+class TradeTape {
+  constructor(symbol, options = {}) {
+    this.symbol = symbol;
+    this.category = options.category || 'linear'; // Decides how size converts to notional
+    this.windowMs = options.windowMs || 5 * 60 * 1000; // Trades older than this are dropped
+    this.maxTrades = options.maxTrades || 5000;
+    this.trades = []; // Oldest first
+  }
+
+  /**
+   * Add trades from a publicTrade message
+   * @param {Array} trades - [{ timestamp, price, size, side: 'buy'|'sell', id }]
+   */
+  addTrades(trades) {
+    trades.forEach(trade => {
+      this.trades.push({
+        ...trade,
+        notional: ExchangeAdapter.notional(trade.price, trade.size, this.category)
+      });
+    });
+
+    this.prune(trades.length > 0 ? trades[trades.length - 1].timestamp : Date.now());
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    let firstKept = 0;
+    while (firstKept < this.trades.length && this.trades[firstKept].timestamp < cutoff) {
+      firstKept++;
+    }
+
+    if (firstKept > 0) {
+      this.trades.splice(0, firstKept);
+    }
+
+    if (this.trades.length > this.maxTrades) {
+      this.trades.splice(0, this.trades.length - this.maxTrades);
+    }
+  }
+
+  getTrades(windowMs = this.windowMs) {
+    if (this.trades.length === 0) return [];
+
+    const cutoff = this.getLastTradeTime() - windowMs;
+    return this.trades.filter(trade => trade.timestamp >= cutoff);
+  }
+
+  getLastTradeTime() {
+    return this.trades.length > 0 ? this.trades[this.trades.length - 1].timestamp : null;
+  }
+
+  /**
+   * Aggressor buy/sell volume and their difference
+   * @param {number} windowMs - Lookback from the latest trade
+   * @returns {Object} Volume delta summary
+   */
+  getVolumeDelta(windowMs = this.windowMs) {
+    const summary = {
+      buyVolume: 0,
+      sellVolume: 0,
+      buyNotional: 0,
+      sellNotional: 0,
+      trades: 0
+    };
+
+    this.getTrades(windowMs).forEach(trade => {
+      if (trade.side === 'buy') {
+        summary.buyVolume += trade.size;
+        summary.buyNotional += trade.notional;
+      } else {
+        summary.sellVolume += trade.size;
+        summary.sellNotional += trade.notional;
+      }
+      summary.trades++;
+    });
+
+    summary.delta = summary.buyVolume - summary.sellVolume;
+    summary.deltaNotional = summary.buyNotional - summary.sellNotional;
+
+    return summary;
+  }
+
+  /**
+   * Group consecutive same-side prints into clusters (an order swept over
+   * several levels or split into child orders shows up as a burst of prints)
+   * @param {number} windowMs - Lookback from the latest trade
+   * @param {number} clusterGapMs - Max time between prints of one cluster
+   * @returns {Array} Clusters, oldest first
+   */
+  getClusters(windowMs = this.windowMs, clusterGapMs = 1000) {
+    const clusters = [];
+    let current = null;
+
+    this.getTrades(windowMs).forEach(trade => {
+      if (current && current.side === trade.side && trade.timestamp - current.endTime <= clusterGapMs) {
+        current.size += trade.size;
+        current.notional += trade.notional;
+        current.prints++;
+        current.endTime = trade.timestamp;
+        current.lastPrice = trade.price;
+        current.largestPrint = Math.max(current.largestPrint, trade.notional);
+        return;
+      }
+
+      current = {
+        side: trade.side,
+        size: trade.size,
+        notional: trade.notional,
+        prints: 1,
+        startTime: trade.timestamp,
+        endTime: trade.timestamp,
+        firstPrice: trade.price,
+        lastPrice: trade.price,
+        largestPrint: trade.notional
+      };
+      clusters.push(current);
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Single prints or clusters at or above a notional threshold
+   * @param {number} minNotional - Notional threshold in quote currency
+   * @param {number} windowMs - Lookback from the latest trade
+   * @param {number} clusterGapMs - Max time between prints of one cluster
+   * @returns {Array} Whale clusters, largest first
+   */
+  getWhaleClusters(minNotional, windowMs, clusterGapMs) {
+    return this.getClusters(windowMs, clusterGapMs)
+      .filter(cluster => cluster.notional >= minNotional)
+      .sort((a, b) => b.notional - a.notional);
+  }
+}
+
+module.exports = TradeTape;
@@ -0,0 +1,167 @@
+/**
+ * Volatility Regime
+ * ATR, realized volatility and its percentile rank per symbol from the kline
+ * store, plus the 1m return and volume dispersion detectors use for sigma thresholds
+ */
+
+const CandleAggregator = require('./CandleAggregator');
+
+const DEFAULT_OPTIONS = {
+  interval: '5m', // Candles the regime is measured on
+  atrPeriod: 14,
+  volatilityWindow: 24, // Returns per realized volatility sample (2h of 5m candles)
+  minSamples: 20, // Rolling samples needed before a percentile is reported
+  // Percentile upper bounds per regime; above `high` is 'extreme'
+  regimes: { low: 25, normal: 75, high: 95 },
+  sigmaInterval: '1m', // Candles sigma thresholds are measured on
+  sigmaWindow: 60, // Closed candles in the return/volume dispersion
+  cacheMs: 10000 // Results are recomputed at most this often per symbol
+};
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+class VolatilityRegime {
+  /**
+   * @param {Function} getCandles - (marketKey, interval) => candles, oldest first
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(getCandles, options = {}) {
+    this.getCandles = getCandles;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      regimes: { ...DEFAULT_OPTIONS.regimes, ...(options.regimes || {}) }
+    };
+    this.cache = new Map(); // market key -> { computedAt, result }
+  }
+
+  /**
+   * Current regime and sigmas of a symbol
+   * @param {string} key - Market key
+   * @returns {Object|null} { interval, atr, atrPercent, realizedVolatility, annualizedVolatility,
+   *   percentile, regime, sigmaInterval, returnSigma, volumeMean, volumeSigma, updatedAt }
+   */
+  get(key) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.computedAt < this.options.cacheMs) {
+      return cached.result;
+    }
+
+    const result = this.compute(key);
+    this.cache.set(key, { computedAt: Date.now(), result });
+    return result;
+  }
+
+  compute(key) {
+    const closed = interval => (this.getCandles(key, interval) || []).filter(candle => candle.confirmed !== false);
+    const regime = VolatilityRegime.measure(closed(this.options.interval), this.options);
+    const sigma = VolatilityRegime.measureSigma(closed(this.options.sigmaInterval), this.options.sigmaWindow);
+    if (!regime && !sigma) return null;
+
+    return {
+      interval: this.options.interval,
+      ...(regime || {}),
+      sigmaInterval: this.options.sigmaInterval,
+      ...(sigma || {}),
+      updatedAt: Date.now()
+    };
+  }
+
+  clear(key) {
+    this.cache.delete(key);
+  }
+
+  /**
+   * ATR, realized volatility and where the latest volatility ranks in the stored history
+   * @param {Array} candles - Closed candles, oldest first
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @returns {Object|null}
+   */
+  static measure(candles, options = {}) {
+    const { atrPeriod, volatilityWindow, minSamples, regimes } = { ...DEFAULT_OPTIONS, ...options };
+    if (candles.length <= Math.max(atrPeriod, volatilityWindow)) return null;
+
+    const trueRanges = candles.slice(1).map((candle, index) => {
+      const previousClose = candles[index].close;
+      return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+    });
+    const atr = trueRanges.slice(-atrPeriod).reduce((sum, range) => sum + range, 0) / atrPeriod;
+    const lastClose = candles[candles.length - 1].close;
+
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      if (candles[i - 1].close > 0 && candles[i].close > 0) {
+        returns.push(Math.log(candles[i].close / candles[i - 1].close));
+      }
+    }
+
+    // Rolling samples of realized volatility; the last one is the current value
+    const samples = [];
+    for (let end = volatilityWindow; end <= returns.length; end++) {
+      samples.push(standardDeviation(returns.slice(end - volatilityWindow, end)));
+    }
+    const realizedVolatility = samples[samples.length - 1] ?? null;
+    if (realizedVolatility === null) return null;
+
+    const percentile = samples.length >= minSamples
+      ? samples.filter(sample => sample <= realizedVolatility).length / samples.length * 100
+      : null;
+
+    const intervalMs = CandleAggregator.INTERVAL_MS[options.interval || DEFAULT_OPTIONS.interval];
+
+    return {
+      atr,
+      atrPercent: lastClose > 0 ? atr / lastClose * 100 : null,
+      realizedVolatility, // Standard deviation of log returns per candle
+      annualizedVolatility: intervalMs ? realizedVolatility * Math.sqrt(YEAR_MS / intervalMs) : null,
+      percentile,
+      regime: VolatilityRegime.classify(percentile, regimes),
+      samples: samples.length
+    };
+  }
+
+  /**
+   * Dispersion of returns and volume over the last closed candles
+   * @param {Array} candles - Closed candles, oldest first
+   * @param {number} window - Candles to measure
+   * @returns {Object|null} { returnSigma, volumeMean, volumeSigma, sigmaSamples }
+   */
+  static measureSigma(candles, window = DEFAULT_OPTIONS.sigmaWindow) {
+    const recent = candles.slice(-(window + 1));
+    if (recent.length < 3) return null;
+
+    const returns = [];
+    for (let i = 1; i < recent.length; i++) {
+      if (recent[i - 1].close > 0) {
+        returns.push(recent[i].close / recent[i - 1].close - 1);
+      }
+    }
+    const volumes = recent.slice(1).map(candle => candle.volume);
+
+    return {
+      returnSigma: standardDeviation(returns),
+      volumeMean: volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length,
+      volumeSigma: standardDeviation(volumes),
+      sigmaSamples: volumes.length
+    };
+  }
+
+  static classify(percentile, regimes = DEFAULT_OPTIONS.regimes) {
+    if (percentile === null) return 'unknown';
+    if (percentile <= regimes.low) return 'low';
+    if (percentile <= regimes.normal) return 'normal';
+    if (percentile <= regimes.high) return 'high';
+    return 'extreme';
+  }
+}
+
+VolatilityRegime.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = VolatilityRegime;
@@ -0,0 +1,128 @@
+/**
+ * Webhook Service
+ * Sends JSON payloads to webhook URLs with retries and keeps the delivery history
+ */
+
+const axios = require('axios');
+
+const MAX_HISTORY = 1000;
+
+class WebhookService {
+  constructor(options = {}) {
+    this.maxHistory = options.maxHistory || MAX_HISTORY;
+    this.history = []; // Newest first (in production, use a database)
+  }
+
+  /**
+   * POST a payload, retrying with exponential backoff
+   * @param {string} url - Webhook URL
+   * @param {Object} data - Payload; timestamp and source are added
+   * @param {Object} options - { headers, timeout, retries }
+   * @returns {Promise<Object>} { success, url, payload, statusCode, attempts, lastError }
+   */
+  async send(url, data, { headers = {}, timeout = 5000, retries = 3 } = {}) {
+    const payload = {
+      timestamp: Date.now(),
+      source: 'bybit-trading-dashboard',
+      ...data
+    };
+
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const startTime = Date.now();
+
+      try {
+        console.log(`🔄 Webhook attempt ${attempt}/${retries} to ${url}`);
+
+        const response = await axios.post(url, payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Bybit-Trading-Dashboard/1.0',
+            ...headers
+          },
+          timeout
+        });
+
+        const duration = Date.now() - startTime;
+
+        this.addToHistory({
+          id: this.generateId(),
+          timestamp: Date.now(),
+          url,
+          payload,
+          status: 'success',
+          statusCode: response.status,
+          duration,
+          attempt,
+          response: {
+            status: response.status,
+            statusText: response.statusText,
+            data: response.data
+          }
+        });
+
+        console.log(`✅ Webhook sent successfully in ${duration}ms`);
+        return { success: true, url, payload, statusCode: response.status, attempts: attempt, lastError: null };
+
+      } catch (error) {
+        lastError = error;
+        console.error(`❌ Webhook attempt ${attempt} failed:`, error.message);
+
+        this.addToHistory({
+          id: this.generateId(),
+          timestamp: Date.now(),
+          url,
+          payload,
+          status: 'failed',
+          statusCode: error.response?.status || 0,
+          duration: Date.now() - startTime,
+          attempt,
+          error: {
+            message: error.message,
+            code: error.code,
+            response: error.response ? {
+              status: error.response.status,
+              statusText: error.response.statusText,
+              data: error.response.data
+            } : null
+          }
+        });
+
+        // Wait before retry (exponential backoff)
+        if (attempt < retries) {
+          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    return { success: false, url, payload, statusCode: lastError?.response?.status || 0, attempts: retries, lastError };
+  }
+
+  addToHistory(entry) {
+    this.history.unshift(entry);
+
+    // Keep only the last maxHistory entries
+    if (this.history.length > this.maxHistory) {
+      this.history = this.history.slice(0, this.maxHistory);
+    }
+  }
+
+  /**
+   * Remove history entries
+   * @param {number} olderThan - Optional cutoff timestamp; everything is removed without one
+   * @returns {number} Number of entries removed
+   */
+  clearHistory(olderThan = null) {
+    const originalLength = this.history.length;
+    this.history = olderThan !== null ? this.history.filter(h => h.timestamp >= olderThan) : [];
+    return originalLength - this.history.length;
+  }
+
+  generateId() {
+    return `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = WebhookService;
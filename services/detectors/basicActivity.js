@@ -0,0 +1,46 @@
+/**
+ * Market Activity
+ * Fallback that fires for any traded symbol so the scanner always has data
+ */
+
+module.exports = {
+  id: 'basic_activity',
+  order: 90,
+  inputs: ['ticker'],
+  params: {
+    basicActivityMinVolume: { type: 'number', default: 100, min: 0, description: 'Minimum 24h volume or turnover' }
+  },
+  display: { icon: '📊', label: 'Market Activity', severity: 'low' },
+
+  evaluate({ ticker }, { basicActivityMinVolume: minVolume }) {
+    const volume24h = ticker.volume24h || 0;
+    const turnover24h = ticker.turnover24h || 0;
+    const price = ticker.price || 0;
+
+    // Very permissive: any price above $0.001 with basic volume
+    if ((volume24h <= minVolume && turnover24h <= minVolume) || price <= 0.001) return null;
+
+    return {
+      type: 'basic_market_activity',
+      volume: volume24h,
+      turnover: turnover24h,
+      price,
+      change: Math.abs(ticker.change24h || 0),
+      activity_level: volume24h > 10000 ? 'high' : volume24h > 1000 ? 'medium' : 'low',
+      confidence: 0.3
+    };
+  },
+
+  formatThreshold({ basicActivityMinVolume }, { format }) {
+    return `${format ? format.volume(basicActivityMinVolume) : basicActivityMinVolume} volume`;
+  },
+
+  describe(result, { values, format }) {
+    return {
+      description: result ?
+        `Active trading: ${format.volume(values.volume24h || 0)} volume` :
+        `${format.volume(values.volume24h || 0)} volume, ${values.change24h?.toFixed(2)}% change`,
+      actualValue: format.volume(values.volume24h || 0)
+    };
+  }
+};
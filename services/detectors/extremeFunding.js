@@ -0,0 +1,47 @@
+/**
+ * Extreme Funding
+ * Funding rate far from neutral, i.e. one side of the market is crowded
+ */
+
+module.exports = {
+  id: 'extreme_funding',
+  order: 70,
+  inputs: ['funding'],
+  params: {
+    extremeFunding: { type: 'boolean', default: true, description: 'Enable extreme funding detection' },
+    extremeFundingThreshold: { type: 'number', default: 0.0005, min: 0, description: '|Funding rate| per funding interval (0.0005 = 0.05%)' }
+  },
+  enabledParam: 'extremeFunding',
+  display: { icon: '💸', label: 'Extreme Funding', severity: 'medium' },
+
+  evaluate({ funding }, { extremeFundingThreshold }) {
+    const fundingRate = funding.rate;
+    if (isNaN(fundingRate) || Math.abs(fundingRate) < extremeFundingThreshold) return null;
+
+    // Crowded longs (positive funding) lean bearish and vice versa
+    return {
+      type: 'extreme_funding',
+      fundingRate,
+      nextFundingTime: funding.nextFundingTime,
+      crowdedSide: fundingRate > 0 ? 'long' : 'short',
+      direction: fundingRate > 0 ? 'bearish' : 'bullish',
+      confidence: Math.min(0.9, 0.5 + Math.abs(fundingRate) / extremeFundingThreshold * 0.1)
+    };
+  },
+
+  formatThreshold({ extremeFundingThreshold }) {
+    return `±${(extremeFundingThreshold * 100).toFixed(3)}%`;
+  },
+
+  describe(result, { values }) {
+    const fundingRate = values.fundingRate;
+    if (fundingRate === undefined) {
+      return { description: 'No funding data', actualValue: 'N/A' };
+    }
+
+    return {
+      description: `Funding ${(fundingRate * 100).toFixed(4)}% (${fundingRate >= 0 ? 'longs pay shorts' : 'shorts pay longs'})`,
+      actualValue: `${(fundingRate * 100).toFixed(4)}%`
+    };
+  }
+};
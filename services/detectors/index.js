@@ -0,0 +1,8 @@
+/**
+ * Default detector registry
+ * Every module in this directory is registered; drop a new file here to add a detector
+ */
+
+const DetectorRegistry = require('../DetectorRegistry');
+
+module.exports = new DetectorRegistry().loadDirectory(__dirname);
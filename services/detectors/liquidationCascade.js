@@ -0,0 +1,51 @@
+/**
+ * Liquidation Cascade
+ * Burst of forced liquidations within the liquidation window (derivatives only)
+ */
+
+module.exports = {
+  id: 'liquidation_cascade',
+  order: 80,
+  inputs: ['liquidations'],
+  params: {
+    liquidationCascade: { type: 'boolean', default: true, description: 'Enable liquidation cascade detection' },
+    liquidationCascadeThreshold: { type: 'number', default: 250000, min: 0, description: 'USDT liquidated within the liquidation window' }
+  },
+  enabledParam: 'liquidationCascade',
+  display: { icon: '🔥', label: 'Liquidation Cascade', severity: 'critical' },
+
+  evaluate({ liquidations, settings }, { liquidationCascadeThreshold: threshold }) {
+    if (liquidations.length < settings.derivatives.minCascadeEvents) return null;
+
+    const longNotional = liquidations.filter(l => l.side === 'long').reduce((sum, l) => sum + l.notional, 0);
+    const shortNotional = liquidations.filter(l => l.side === 'short').reduce((sum, l) => sum + l.notional, 0);
+    const notional = longNotional + shortNotional;
+    if (notional < threshold) return null;
+
+    // Longs being liquidated means forced selling
+    const side = longNotional >= shortNotional ? 'long' : 'short';
+    return {
+      type: 'liquidation_cascade',
+      side,
+      count: liquidations.length,
+      notional,
+      longNotional,
+      shortNotional,
+      direction: side === 'long' ? 'bearish' : 'bullish',
+      confidence: Math.min(0.95, 0.6 + Math.log10(notional / threshold) * 0.3)
+    };
+  },
+
+  formatThreshold({ liquidationCascadeThreshold }, { format }) {
+    return format ? format.volume(liquidationCascadeThreshold) : `${liquidationCascadeThreshold}`;
+  },
+
+  describe(result, { values, settings, format }) {
+    return {
+      description: result ?
+        `${result.count} ${result.side} liquidations: ${format.volume(result.notional)}` :
+        `${format.volume(values.liquidationNotional || 0)} liquidated in ${format.window(settings.derivatives.liquidationWindowMs)}`,
+      actualValue: format.volume(values.liquidationNotional || 0)
+    };
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Liquidity Walls
+ * Book levels much larger than the average level on their side
+ */
+
+module.exports = {
+  id: 'liquidity_imbalance',
+  order: 40,
+  inputs: ['orderBook'],
+  params: {
+    liquidityImbalance: { type: 'boolean', default: true, description: 'Enable liquidity wall detection' },
+    liquidityWallRatio: { type: 'number', default: 1.01, min: 1, description: 'Level size / average level size that counts as a wall' }
+  },
+  enabledParam: 'liquidityImbalance',
+  display: { icon: '🧱', label: 'Liquidity Walls', severity: 'high' },
+
+  evaluate({ orderBook }, { liquidityWallRatio: threshold }) {
+    if (!orderBook.b || !orderBook.a || orderBook.b.length === 0 || orderBook.a.length === 0) return null;
+
+    const book = orderBook.book;
+    const midPrice = book ? book.getMidPrice() : null;
+
+    const findWalls = (levels, side) => {
+      const avgVolume = levels.reduce((sum, level) => sum + parseFloat(level[1]), 0) / levels.length;
+      return levels
+        .filter(level => parseFloat(level[1]) > avgVolume * threshold)
+        .map(level => {
+          const price = parseFloat(level[0]);
+          return {
+            price,
+            volume: parseFloat(level[1]),
+            ratio: parseFloat(level[1]) / avgVolume,
+            distancePercent: midPrice ? Math.abs(price - midPrice) / midPrice * 100 : null,
+            depthToWall: book ? book.getCumulativeDepth(side, price) : null // Size that trades before the wall is hit
+          };
+        });
+    };
+
+    const walls = {
+      buy: findWalls(orderBook.b, 'bid'),
+      sell: findWalls(orderBook.a, 'ask')
+    };
+
+    if (walls.buy.length === 0 && walls.sell.length === 0) return null;
+    return { walls };
+  },
+
+  formatThreshold({ liquidityWallRatio }) {
+    return `${liquidityWallRatio.toFixed(2)}x avg level`;
+  },
+
+  marketFields(result) {
+    return { liquidityWalls: result ? result.walls : null };
+  },
+
+  describe(result) {
+    if (!result) {
+      return { description: 'No walls detected', actualValue: '0 walls' };
+    }
+
+    const wallTypes = [];
+    if (result.walls.buy.length > 0) wallTypes.push('Buy');
+    if (result.walls.sell.length > 0) wallTypes.push('Sell');
+
+    return {
+      description: `${wallTypes.join(' & ')} wall${wallTypes.length > 1 ? 's' : ''} detected`,
+      actualValue: `${result.walls.buy.length + result.walls.sell.length} walls`
+    };
+  }
+};
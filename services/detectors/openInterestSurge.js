@@ -0,0 +1,50 @@
+/**
+ * Open Interest Surge
+ * Open interest growth over the OI window (derivatives only)
+ */
+
+module.exports = {
+  id: 'oi_surge',
+  order: 60,
+  inputs: ['openInterest'],
+  params: {
+    oiSurge: { type: 'boolean', default: true, description: 'Enable open interest surge detection' },
+    oiSurgeThreshold: { type: 'number', default: 0.03, min: 0, description: 'Open interest increase within the OI window (0.03 = 3%)' }
+  },
+  enabledParam: 'oiSurge',
+  display: { icon: '📊', label: 'OI Surge', severity: 'high' },
+
+  evaluate({ openInterest }, { oiSurgeThreshold }) {
+    const change = openInterest.change;
+    if (change === null || change < oiSurgeThreshold) return null;
+
+    // Rising OI with rising price = new longs, with falling price = new shorts (both over the OI window)
+    const priceChange = openInterest.priceChange;
+    return {
+      type: 'open_interest_surge',
+      openInterest: openInterest.openInterest,
+      openInterestValue: openInterest.openInterestValue,
+      change,
+      priceChange,
+      direction: priceChange > 0 ? 'bullish' : priceChange < 0 ? 'bearish' : 'neutral',
+      confidence: Math.min(0.9, 0.5 + change * 5)
+    };
+  },
+
+  formatThreshold({ oiSurgeThreshold }) {
+    return `${(oiSurgeThreshold * 100).toFixed(1)}%`;
+  },
+
+  describe(result, { values, settings, format }) {
+    const change = values.openInterestChange;
+    if (change === undefined) {
+      return { description: 'No open interest data', actualValue: 'N/A' };
+    }
+
+    const formatted = `${change >= 0 ? '+' : ''}${(change * 100).toFixed(2)}%`;
+    return {
+      description: `OI ${formatted} in ${format.window(settings.derivatives.oiWindowMs)}`,
+      actualValue: formatted
+    };
+  }
+};
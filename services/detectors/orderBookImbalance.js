@@ -0,0 +1,58 @@
+/**
+ * Order Book Imbalance
+ * Bid against ask size over the top 10 levels, with the microprice skew for context
+ */
+
+module.exports = {
+  id: 'spoof_detection',
+  order: 30,
+  inputs: ['orderBook'],
+  params: {
+    spoofDetection: { type: 'boolean', default: true, description: 'Enable order book imbalance detection' },
+    orderBookImbalanceRatio: { type: 'number', default: 1.005, min: 1, description: 'Bid/ask size ratio (or its inverse) that counts as imbalanced' }
+  },
+  enabledParam: 'spoofDetection',
+  display: { icon: '⚠️', label: 'Order Book Imbalance', severity: 'medium' },
+
+  evaluate({ orderBook }, { orderBookImbalanceRatio: threshold }) {
+    if (!orderBook.b || !orderBook.a) return null;
+
+    const bidVolume = orderBook.b.slice(0, 10).reduce((sum, level) => sum + parseFloat(level[1]), 0);
+    const askVolume = orderBook.a.slice(0, 10).reduce((sum, level) => sum + parseFloat(level[1]), 0);
+    if (askVolume <= 0) return null;
+    const ratio = bidVolume / askVolume;
+
+    if (!(ratio > threshold || ratio < 1 / threshold)) return null;
+
+    // Microprice above mid means the touch is leaning towards buyers
+    const midPrice = orderBook.book ? orderBook.book.getMidPrice() : null;
+    const microPrice = orderBook.book ? orderBook.book.getMicroPrice() : null;
+
+    return {
+      direction: ratio > threshold ? 'buy' : 'sell',
+      ratio,
+      midPrice,
+      microPrice,
+      microPriceSkew: midPrice && microPrice ? (microPrice - midPrice) / midPrice : null
+    };
+  },
+
+  formatThreshold({ orderBookImbalanceRatio }) {
+    return `${((orderBookImbalanceRatio - 1) * 100).toFixed(1)}%`;
+  },
+
+  marketFields(result) {
+    return { spoofDirection: result ? result.direction : null, spoofRatio: result ? result.ratio : null };
+  },
+
+  describe(result, { values }) {
+    const hasRatio = values.orderBookRatio !== undefined;
+    const pressure = values.orderBookImbalance > 0 ? 'Buy' : values.orderBookImbalance < 0 ? 'Sell' : 'Balanced';
+
+    return {
+      description: hasRatio ? `${values.orderBookRatio.toFixed(2)}:1 ratio (${pressure} pressure)` : 'Balanced orderbook',
+      actualValue: values.orderBookImbalance !== undefined ?
+        `${values.orderBookImbalance > 0 ? '+' : ''}${values.orderBookImbalance.toFixed(1)}%` : '0%'
+    };
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Price Breakout
+ * Close of the current 1m candle against the previous close, as a ratio or in
+ * standard deviations of recent 1m returns
+ */
+
+module.exports = {
+  id: 'price_breakout',
+  order: 20,
+  inputs: ['candles'],
+  params: {
+    priceBreakout: { type: 'number', default: 1.0005, min: 1, description: 'Close / previous close ratio (inverse for breakdowns)' },
+    priceBreakdown: { type: 'number', default: 0, min: 0, max: 1, description: 'Close / previous close ratio for breakdowns (0.99 = -1%); the inverse of priceBreakout when 0' },
+    priceBreakoutSigma: { type: 'number', default: 0, min: 0, description: 'Move in standard deviations of recent 1m returns; replaces the ratio when above 0' }
+  },
+  display: { icon: '📊', label: 'Price Movement', severity: 'high' },
+
+  evaluate({ candles, volatility }, { priceBreakout: threshold, priceBreakdown, priceBreakoutSigma: sigmas }) {
+    if (candles.length < 2) return null;
+
+    const currentClose = parseFloat(candles[0][4]);
+    const previousClose = parseFloat(candles[1][4]);
+
+    if (sigmas > 0) {
+      if (!volatility?.returnSigma || !(previousClose > 0)) return null;
+
+      const zScore = (currentClose / previousClose - 1) / volatility.returnSigma;
+      if (Math.abs(zScore) < sigmas) return null;
+      return { direction: zScore > 0 ? 'up' : 'down', currentClose, previousClose, zScore };
+    }
+
+    if (currentClose > previousClose * threshold) {
+      return { direction: 'up', currentClose, previousClose };
+    }
+    if (currentClose < (priceBreakdown > 0 ? previousClose * priceBreakdown : previousClose / threshold)) {
+      return { direction: 'down', currentClose, previousClose };
+    }
+    return null;
+  },
+
+  formatThreshold({ priceBreakout, priceBreakoutSigma }) {
+    return priceBreakoutSigma > 0 ? `${priceBreakoutSigma}σ` : `${((priceBreakout - 1) * 100).toFixed(1)}%`;
+  },
+
+  marketFields(result) {
+    return { priceBreakoutDirection: result ? result.direction : null };
+  },
+
+  describe(result, { values, volatility }) {
+    const hasChange = values.priceChangePercentage !== undefined;
+    const sigmas = hasChange && volatility?.returnSigma ? ` (${(values.priceChangePercentage / 100 / volatility.returnSigma).toFixed(1)}σ)` : '';
+    const change = hasChange ? `${values.priceChangePercentage > 0 ? '+' : ''}${values.priceChangePercentage.toFixed(2)}%` : null;
+
+    return {
+      icon: result ? (result.direction === 'up' ? '🚀' : '📉') : undefined,
+      label: result ? (result.direction === 'up' ? 'Price Breakout' : 'Price Breakdown') : undefined,
+      description: hasChange ? `${change} change${sigmas}` : 'No price data',
+      actualValue: hasChange ? change : 'N/A'
+    };
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Spoofing
+ * Large orders placed near the touch and pulled again without trading (see SpoofTracker)
+ */
+
+module.exports = {
+  id: 'order_spoofing',
+  order: 35,
+  inputs: ['orderBookActivity'],
+  params: {
+    orderSpoofing: { type: 'boolean', default: true, description: 'Enable pulled-order spoofing detection (order sizes and lifetimes come from marketData.orderSpoofing)' },
+    orderSpoofingMinEvents: { type: 'number', default: 1, min: 1, description: 'Pulled orders within the spoof window needed to fire' }
+  },
+  enabledParam: 'orderSpoofing',
+  display: { icon: '🎭', label: 'Spoofing', severity: 'high' },
+
+  evaluate({ orderBookActivity: tracker }, { orderSpoofingMinEvents: minEvents }) {
+    const events = tracker.getEvents();
+    if (events.length < minEvents) return null;
+
+    const bidNotional = events.filter(e => e.side === 'bid').reduce((sum, e) => sum + e.notional, 0);
+    const askNotional = events.filter(e => e.side === 'ask').reduce((sum, e) => sum + e.notional, 0);
+    const side = bidNotional >= askNotional ? 'bid' : 'ask';
+    const largest = events
+      .filter(e => e.side === side)
+      .reduce((max, e) => (e.notional > max.notional ? e : max));
+
+    return {
+      type: 'order_lifetime',
+      side, // Side the fake liquidity was shown on
+      price: largest.price,
+      size: largest.size,
+      notional: largest.notional,
+      lifetimeMs: largest.lifetimeMs,
+      count: events.length,
+      bidNotional,
+      askNotional,
+      // Fake bids prop the price up for a seller and vice versa
+      direction: side === 'bid' ? 'bearish' : 'bullish',
+      events: events.slice(0, 10),
+      confidence: Math.min(0.9, 0.5 + events.length * 0.1)
+    };
+  },
+
+  formatThreshold(params, { settings, format }) {
+    if (!format) return '';
+    const { minNotional, maxLifetimeMs } = settings.orderSpoofing;
+    return `${format.volume(minNotional)} pulled < ${format.window(maxLifetimeMs)}`;
+  },
+
+  describe(result, { settings, format }) {
+    if (!result) {
+      return { description: `No pulled orders in ${format.window(settings.orderSpoofing.windowMs)}`, actualValue: '0' };
+    }
+
+    return {
+      description: `${result.side === 'bid' ? 'Bid' : 'Ask'} ${format.volume(result.notional)} at ${result.price} pulled after ${(result.lifetimeMs / 1000).toFixed(1)}s` +
+        (result.count > 1 ? ` (+${result.count - 1} more)` : ''),
+      actualValue: `${result.count} pulled`
+    };
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Volume Spike
+ * Current 1m candle volume against the average of the previous candles, or in
+ * standard deviations above the recent 1m volume mean
+ */
+
+module.exports = {
+  id: 'volume_spike',
+  order: 10,
+  inputs: ['candles'],
+  params: {
+    volumeSpike: { type: 'number', default: 1.005, min: 1, description: 'Current volume / average volume of the previous candles' },
+    volumeSpikeSigma: { type: 'number', default: 0, min: 0, description: 'Volume in standard deviations above the recent 1m mean; replaces the ratio when above 0' }
+  },
+  display: { icon: '📈', label: 'Volume Spike', severity: 'high' },
+
+  evaluate({ candles, volatility, logger }, { volumeSpike: threshold, volumeSpikeSigma: sigmas }) {
+    if (candles.length < 2) return null;
+
+    if (sigmas > 0) {
+      if (!volatility?.volumeSigma) return null;
+
+      const currentVolume = parseFloat(candles[0][5]);
+      const zScore = (currentVolume - volatility.volumeMean) / volatility.volumeSigma;
+      if (zScore < sigmas) return null;
+      return { currentVolume, avgVolume: volatility.volumeMean, ratio: volatility.volumeMean > 0 ? currentVolume / volatility.volumeMean : null, zScore };
+    }
+
+    const previousCandles = candles.slice(1);
+    const avgVolume = previousCandles.reduce((sum, candle) => sum + parseFloat(candle[5]), 0) / previousCandles.length;
+    const currentVolume = parseFloat(candles[0][5]);
+
+    // If avgVolume is 0, consider any volume as a spike
+    const isSpike = avgVolume === 0 ? currentVolume > 0 : currentVolume > avgVolume * threshold;
+    if (!isSpike) return null;
+
+    const ratio = avgVolume > 0 ? currentVolume / avgVolume : null;
+    logger?.debug(`📈 Volume spike detected: current=${currentVolume}, avg=${avgVolume}, ratio=${ratio?.toFixed(2)}`);
+
+    return { currentVolume, avgVolume, ratio };
+  },
+
+  formatThreshold({ volumeSpike, volumeSpikeSigma }) {
+    return volumeSpikeSigma > 0 ? `${volumeSpikeSigma}σ` : `${((volumeSpike - 1) * 100).toFixed(1)}%`;
+  },
+
+  describe(result, { values, format }) {
+    const hasRatio = values.volumeRatio !== undefined;
+    const percentage = hasRatio ? `${values.volumePercentage > 0 ? '+' : ''}${values.volumePercentage.toFixed(1)}%` : null;
+    const sigmas = result?.zScore !== undefined ? `, ${result.zScore.toFixed(1)}σ` : '';
+
+    return {
+      description: hasRatio ?
+        `${values.volumeRatio.toFixed(2)}x avg (${percentage}${sigmas})` :
+        `24h volume: ${format.volume(values.volume24h || 0)}`,
+      actualValue: hasRatio ? percentage : format.volume(values.volume24h || 0)
+    };
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Whale Activity
+ * Large prints (or same-side print clusters) on the trade tape
+ */
+
+module.exports = {
+  id: 'whale_alert',
+  order: 50,
+  inputs: ['trades'],
+  params: {
+    whaleAlerts: { type: 'boolean', default: true, description: 'Enable whale print detection (sizes come from marketData.whaleDetection)' }
+  },
+  enabledParam: 'whaleAlerts',
+  display: { icon: '🐋', label: 'Whale Activity', severity: 'critical' },
+
+  evaluate({ trades: tape, whaleThreshold: threshold, settings }) {
+    if (tape.trades.length === 0) return null;
+
+    const { alertWindowMs, clusterGapMs, deltaWindowMs } = settings.whaleDetection;
+    const [largest] = tape.getWhaleClusters(threshold, alertWindowMs, clusterGapMs);
+    if (!largest) return null;
+
+    const volumeDelta = tape.getVolumeDelta(deltaWindowMs);
+
+    return {
+      type: largest.prints > 1 ? 'print_cluster' : 'large_print',
+      side: largest.side, // Aggressor side
+      direction: largest.side === 'buy' ? 'bullish' : 'bearish',
+      estimatedSize: Math.round(largest.notional),
+      size: largest.size,
+      prints: largest.prints,
+      price: largest.lastPrice,
+      priceImpact: largest.firstPrice > 0 ? (largest.lastPrice - largest.firstPrice) / largest.firstPrice * 100 : 0,
+      startTime: largest.startTime,
+      endTime: largest.endTime,
+      threshold,
+      volumeDelta: volumeDelta.deltaNotional,
+      // Confidence grows with how far the print clears the threshold
+      confidence: Math.min(0.95, 0.6 + Math.log10(largest.notional / threshold) * 0.3)
+    };
+  },
+
+  formatThreshold(params, { whaleThreshold, settings, format }) {
+    if (!format) return '';
+    return `${format.volume(whaleThreshold || settings.whaleDetection.minNotional)} print`;
+  },
+
+  marketFields(result) {
+    return { whaleActivity: result };
+  },
+
+  describe(result, { values, settings, format }) {
+    if (result) {
+      return {
+        description: `${result.side === 'buy' ? 'Buy' : 'Sell'} ${result.type === 'print_cluster' ? `cluster of ${result.prints} prints` : 'print'}: ${format.volume(result.estimatedSize)}`,
+        actualValue: format.volume(result.estimatedSize)
+      };
+    }
+
+    return {
+      description: values.tradeDelta !== undefined ?
+        `Trade delta ${values.tradeDelta >= 0 ? '+' : '-'}${format.volume(Math.abs(values.tradeDelta))} (${format.window(settings.whaleDetection.deltaWindowMs)})` :
+        'No trade data',
+      actualValue: format.volume(values.largestPrint || 0)
+    };
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Test script for offline replay
+ * Writes a small recording to a temp directory and plays it through MarketDataService
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarketDataService = require('./services/MarketDataService');
+
+function writeSampleRecording(dir) {
+  const start = Date.now() - 60000;
+  const lines = [];
+
+  for (let i = 0; i < 5; i++) {
+    const price = 60000 + i * 50;
+    lines.push({
+      receivedAt: start + i * 100,
+      category: 'linear',
+      message: {
+        topic: 'tickers.BTCUSDT',
+        type: 'snapshot',
+        ts: start + i * 100,
+        data: { symbol: 'BTCUSDT', lastPrice: String(price), price24hPcnt: '0.012', volume24h: '1000', turnover24h: '60000000' }
+      }
+    });
+    lines.push({
+      receivedAt: start + i * 100 + 50,
+      category: 'linear',
+      message: {
+        topic: 'kline.1.BTCUSDT',
+        type: 'snapshot',
+        ts: start + i * 100 + 50,
+        data: [{ start: start + i * 60000, end: start + (i + 1) * 60000 - 1, interval: '1', open: String(price - 20), high: String(price + 30), low: String(price - 40), close: String(price), volume: String(10 + i * 5), turnover: '0', confirm: true }]
+      }
+    });
+  }
+
+  fs.writeFileSync(path.join(dir, 'sample.ndjson'), lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+}
+
+async function testReplay() {
+  console.log('🧪 Testing replay exchange adapter...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bybit-replay-'));
+  writeSampleRecording(dir);
+
+  const service = new MarketDataService({ adapter: { type: 'replay', dir, speed: 0 }, timeSeriesStore: null });
+  let tickerUpdates = 0;
+  let klineUpdates = 0;
+
+  service.on('marketUpdate', () => tickerUpdates++);
+  service.on('klineUpdate', () => klineUpdates++);
+
+  try {
+    await service.initialize();
+    await service.exchange.playback;
+
+    const klines = await service.getKlineData('BTCUSDT', '1m');
+    console.log(`✅ Replayed ${service.exchange.messageCount} messages: ${tickerUpdates} ticker updates, ${klineUpdates} kline updates, ${klines.length} candles stored`);
+
+    if (tickerUpdates !== 5 || klines.length !== 5) {
+      throw new Error('Unexpected replay result');
+    }
+
+    await service.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('🏁 Test completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testReplay();
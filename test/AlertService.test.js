@@ -0,0 +1,159 @@
+/**
+ * Alert Service tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertService = require('../services/AlertService');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const MINUTE = 60 * 1000;
+
+// Market data with just what the alert service reads
+class FakeMarketData extends EventEmitter {
+  constructor() {
+    super();
+    this.klineData = new Map();
+  }
+
+  getCategories() {
+    return ['linear', 'spot'];
+  }
+
+  getSupportedIntervals() {
+    return ['1m', '5m', '15m', '1h'];
+  }
+}
+
+function setup(t, webhookService = null) {
+  t.mock.timers.enable({ apis: ['Date'], now: 100 * MINUTE });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+  const marketData = new FakeMarketData();
+  const service = new AlertService(marketData, webhookService, { file: path.join(dir, 'alerts.json') });
+  const alerts = [];
+  service.on('alert', alert => alerts.push(alert));
+  service.start();
+  t.after(async () => {
+    service.stop();
+    await service.saving;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const tick = price => marketData.emit('marketUpdate', { symbol: 'BTCUSDT', category: 'linear', price });
+  return { service, marketData, alerts, tick };
+}
+
+test('a one-shot cross triggers on the crossing update only', async (t) => {
+  const { service, alerts, tick } = setup(t);
+  const rule = await service.createRule({ symbol: 'btcusdt', condition: { type: 'price_cross', price: 100, direction: 'above' } });
+  assert.equal(rule.name, 'BTCUSDT crosses above 100');
+
+  tick(105); // Already above when the rule was created
+  tick(99);
+  tick(101);
+  tick(99);
+  tick(101);
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].message, 'BTCUSDT crossed above 100 (101)');
+  assert.equal(service.getRule(rule.id).status, 'triggered');
+  assert.equal(service.getRule(rule.id).enabled, false);
+
+  // Enabling re-arms it
+  await service.updateRule(rule.id, { enabled: true });
+  tick(99);
+  tick(102);
+  assert.equal(alerts.length, 2);
+});
+
+test('repeat rules wait out their cooldown', async (t) => {
+  const { service, alerts, tick } = setup(t);
+  await service.createRule({ symbol: 'BTCUSDT', mode: 'repeat', cooldownMs: 5 * MINUTE, condition: { type: 'price_cross', price: 100 } });
+
+  tick(99);
+  tick(101);
+  tick(99); // Crossing back down is inside the cooldown
+  assert.equal(alerts.length, 1);
+
+  t.mock.timers.tick(5 * MINUTE);
+  tick(101);
+  assert.equal(alerts.length, 2);
+  assert.equal(alerts[1].rule.triggerCount, 2);
+  assert.deepEqual(service.getHistory({ limit: 1 }).map(trigger => trigger.price), [101]);
+});
+
+test('a percent move triggers when it starts, not while it lasts', async (t) => {
+  const { service, marketData, alerts, tick } = setup(t);
+  marketData.klineData.set('linear:BTCUSDT_1m', Array.from({ length: 15 }, (_, i) => ({
+    timestamp: (85 + i) * MINUTE, high: 100, low: 99, close: 99.5
+  })));
+  await service.createRule({ symbol: 'BTCUSDT', mode: 'repeat', cooldownMs: 0, condition: { type: 'percent_move', percent: 2, direction: 'down' } });
+
+  tick(97.5);
+  tick(97);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].message, 'BTCUSDT dropped 2.50% in 15m (97.5)');
+
+  tick(99);
+  tick(97.9);
+  assert.equal(alerts.length, 2);
+});
+
+test('indicator rules are checked on candles of their interval', async (t) => {
+  const { service, marketData, alerts } = setup(t);
+  const closes = Array.from({ length: 20 }, (_, i) => 100 + i);
+  marketData.klineData.set('linear:BTCUSDT_5m', closes.map((close, i) => ({ timestamp: i * 5 * MINUTE, close })));
+  await service.createRule({ symbol: 'BTCUSDT', condition: { type: 'indicator', indicator: 'rsi', operator: '>', value: 70 } });
+
+  const candle = interval => marketData.emit('klineUpdate', { symbol: 'BTCUSDT', category: 'linear', interval, data: { close: 119 } });
+  candle('1m');
+  assert.equal(alerts.length, 0);
+  candle('5m');
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].value, 100);
+
+  assert.equal(AlertService.rsi([1, 2, 1, 2], 3), 100 - 100 / (1 + 2 / 1));
+  assert.equal(AlertService.ema([1, 2, 3, 4], 2), 3.5);
+  assert.equal(AlertService.rsi([1, 2], 14), null);
+});
+
+test('validates rule definitions', (t) => {
+  const { service } = setup(t);
+
+  assert.deepEqual(service.validateRule({ symbol: 'BTC/USDT', condition: { type: 'price_cross', price: -1 }, mode: 'always' }), [
+    'symbol is required',
+    'condition.price must be a positive number',
+    'mode must be one of: once, repeat'
+  ]);
+  assert.deepEqual(service.validateRule({ condition: { type: 'percent_move', percent: 1, windowMs: 1000 } }, true), [
+    'condition.windowMs must be between 60000 (1m) and 86400000 (24h)'
+  ]);
+  assert.deepEqual(service.validateRule({ condition: { type: 'indicator', indicator: 'macd', interval: '2m', operator: '=', value: 'x' } }, true), [
+    'condition.indicator must be one of: rsi, sma, ema',
+    'condition.interval must be one of: 1m, 5m, 15m, 1h',
+    'condition.operator must be one of: > >= < <=',
+    "condition.value must be a number or 'price'"
+  ]);
+  assert.deepEqual(service.validateRule({ webhook: 'ftp://example.com' }, true), ['webhook must be true, false or an http(s) URL']);
+});
+
+test('triggers are delivered to the rule webhook', async (t) => {
+  const sent = [];
+  const webhookService = { send: async (url, payload, options) => sent.push({ url, payload, options }) };
+  const { service, tick } = setup(t, webhookService);
+  await service.createRule({ symbol: 'BTCUSDT', webhook: 'https://hooks.example.com/alerts', condition: { type: 'price_cross', price: 100 } });
+
+  tick(101);
+  tick(99);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].url, 'https://hooks.example.com/alerts');
+  assert.equal(sent[0].payload.type, 'price_alert');
+  assert.deepEqual(sent[0].options, { retries: 2 });
+});
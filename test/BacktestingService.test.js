@@ -0,0 +1,89 @@
+/**
+ * Backtesting Service tests: the legacy filter keys on top of the detector registry
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BacktestingService = require('../services/BacktestingService');
+const backtestingRoutes = require('../routes/backtestingRoutes');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+// Entry rule of the backtester before it ran the detectors
+function legacyEntry(current, previous, filters) {
+  if (filters.volumeSpike && current.volume > previous.volume * filters.volumeSpikeThreshold) {
+    const change = (current.close - previous.close) / previous.close;
+    if (Math.abs(change) >= filters.priceBreakoutThreshold) return change > 0 ? 'long' : 'short';
+  }
+  return null;
+}
+
+// Presets served by GET /api/backtesting/presets, with the defaults POST /run adds
+function getPresetFilters() {
+  const layer = backtestingRoutes.stack.find(entry => entry.route?.path === '/presets');
+  let body = null;
+  layer.route.stack[0].handle({}, { json: data => { body = data; } });
+
+  return Object.entries(body.presets).map(([name, preset]) => [name, { volumeSpike: true, priceBreakout: true, ...preset.filters }]);
+}
+
+// Moves (in %) on volume 1.3x or 2x the flat volume of the 9 candles before them
+function createCandles() {
+  const moves = [[0.4, 2], [-0.4, 2], [0.6, 2], [-0.6, 2], [0.499, 2], [-0.499, 2], [0.99, 2], [-0.99, 2], [0.995, 2], [-0.995, 2], [1.01, 2], [-1.01, 2], [1.6, 2], [-1.6, 2], [1.6, 1.3], [-1.6, 1.3]];
+  const candles = [];
+  let close = 100;
+  const push = (volume) => candles.push({ timestamp: candles.length * 60000, open: close, high: close, low: close, close, volume });
+
+  for (let i = 0; i < 10; i++) push(100);
+  moves.forEach(([percent, volume]) => {
+    close *= 1 + percent / 100;
+    push(100 * volume);
+    for (let i = 0; i < 9; i++) push(100);
+  });
+  return candles;
+}
+
+function getEntries(service, candles, filters) {
+  const params = service.resolveDetectorParams(filters);
+  const ids = service.getBacktestDetectors(filters);
+  return candles.slice(1).map((candle, index) => {
+    const signal = service.checkEntrySignal(service.getDetectorCandles(candles, index + 1), params, ids, service.getDetectorVolatility(candles, index + 1));
+    return signal ? signal.direction : null;
+  });
+}
+
+test('the presets enter on the same candles as before when volume is flat ahead of the spike', () => {
+  const service = new BacktestingService();
+  const candles = createCandles();
+
+  getPresetFilters().forEach(([name, filters]) => {
+    const expected = candles.slice(1).map((candle, index) => legacyEntry(candle, candles[index], filters));
+    assert.ok(expected.includes('long') && expected.includes('short'), name);
+    assert.deepEqual(getEntries(service, candles, filters), expected, name);
+  });
+});
+
+test('breakdowns use the same threshold as breakouts', () => {
+  const service = new BacktestingService();
+  const params = service.resolveDetectorParams({ priceBreakoutThreshold: 0.01 });
+  const candles = (close) => [[1, close, close, close, close, 1], [0, 100, 100, 100, 100, 1]];
+
+  assert.deepEqual(params, { priceBreakout: 1.01, priceBreakdown: 0.99 });
+  assert.equal(service.checkEntrySignal(candles(98.995), params, ['price_breakout']).direction, 'short');
+  assert.equal(service.checkEntrySignal(candles(99.005), params, ['price_breakout']), null);
+});
+
+test('the legacy switches turn a detector off instead of being dropped', () => {
+  const service = new BacktestingService();
+
+  assert.deepEqual(service.getBacktestDetectors({ volumeSpike: true, priceBreakout: true }), ['volume_spike', 'price_breakout']);
+  assert.deepEqual(service.getBacktestDetectors({ volumeSpike: false, volumeSpikeThreshold: 1.2 }), ['price_breakout']);
+  assert.deepEqual(service.getBacktestDetectors({ priceBreakout: false }), ['volume_spike']);
+  assert.equal(service.resolveDetectorParams({ volumeSpike: true }).volumeSpike, undefined);
+
+  // Without the volume gate every move past the threshold enters
+  const candles = createCandles();
+  const entries = getEntries(service, candles, { volumeSpike: false, priceBreakoutThreshold: 0.01 });
+  assert.equal(entries.filter(Boolean).length, 6);
+});
@@ -0,0 +1,92 @@
+/**
+ * Candle Aggregator tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CandleAggregator = require('../services/CandleAggregator');
+
+const MINUTE = 60 * 1000;
+
+function minute(index, close, confirmed = true) {
+  return {
+    timestamp: index * MINUTE,
+    open: close - 1,
+    high: close + 2,
+    low: close - 3,
+    close,
+    volume: 10,
+    turnover: 10 * close,
+    confirmed
+  };
+}
+
+test('folds 1m candles into a 5m candle that closes with its last minute', () => {
+  const aggregator = new CandleAggregator(['5m']);
+  let updated;
+  for (let i = 0; i < 5; i++) {
+    updated = aggregator.addCandle('linear:BTCUSDT', minute(i, 100 + i));
+    assert.equal(updated[0].confirmed, i === 4);
+  }
+
+  assert.deepEqual(updated, [{
+    timestamp: 0,
+    open: 99,
+    high: 106,
+    low: 97,
+    close: 104,
+    volume: 50,
+    turnover: 10 * (100 + 101 + 102 + 103 + 104),
+    interval: '5m',
+    confirmed: true,
+    source: 'aggregated'
+  }]);
+});
+
+test('an unconfirmed bucket is closed when the next one starts', () => {
+  const aggregator = new CandleAggregator(['5m']);
+  aggregator.addCandle('linear:BTCUSDT', minute(3, 100));
+
+  const updated = aggregator.addCandle('linear:BTCUSDT', minute(5, 110));
+
+  assert.deepEqual(updated.map(candle => [candle.timestamp, candle.confirmed]), [[0, true], [5 * MINUTE, false]]);
+});
+
+test('late minutes of a rolled-over bucket are ignored', () => {
+  const aggregator = new CandleAggregator(['5m']);
+  aggregator.addCandle('linear:BTCUSDT', minute(5, 110));
+
+  assert.deepEqual(aggregator.addCandle('linear:BTCUSDT', minute(4, 90)), []);
+});
+
+test('seeds the current bucket from stored minutes', () => {
+  const aggregator = new CandleAggregator(['5m', '15m']);
+  const minutes = [5, 6, 7].map(i => minute(i, 100 + i));
+
+  const seeded = aggregator.seedCandles('linear:BTCUSDT', minutes);
+
+  // The stored minutes do not reach back to the start of the 15m bucket
+  assert.deepEqual(seeded.map(candle => [candle.interval, candle.open, candle.close]), [['5m', 104, 107]]);
+  assert.equal(aggregator.addCandle('linear:BTCUSDT', minute(8, 120))[0].volume, 40);
+});
+
+test('builds 1m candles from trades', () => {
+  const aggregator = new CandleAggregator();
+
+  aggregator.addTrade('linear:BTCUSDT', { price: 100, size: 1, timestamp: 1000 });
+  aggregator.addTrade('linear:BTCUSDT', { price: 103, size: 2, timestamp: 2000 });
+  const updated = aggregator.addTrade('linear:BTCUSDT', { price: 99, size: 1, timestamp: MINUTE + 10 });
+
+  assert.equal(updated.length, 2);
+  assert.deepEqual(
+    [updated[0].open, updated[0].high, updated[0].close, updated[0].volume, updated[0].turnover, updated[0].confirmed],
+    [100, 103, 103, 3, 306, true]
+  );
+  assert.equal(updated[1].timestamp, MINUTE);
+});
+
+test('maps interval names to Bybit codes', () => {
+  assert.equal(CandleAggregator.toBybitInterval('1h'), '60');
+  assert.equal(CandleAggregator.toBybitInterval('1d'), 'D');
+  assert.equal(CandleAggregator.toBybitInterval('7m'), null);
+});
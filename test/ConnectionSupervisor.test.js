@@ -0,0 +1,108 @@
+/**
+ * Connection Supervisor tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ExchangeAdapter = require('../services/ExchangeAdapter');
+const ConnectionSupervisor = require('../services/ConnectionSupervisor');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+// Adapter that records subscribe calls instead of talking to an exchange
+class FakeAdapter extends ExchangeAdapter {
+  constructor() {
+    super('fake');
+    this.calls = [];
+  }
+
+  async subscribe(topics, category = 'linear') {
+    await super.subscribe(topics, category);
+    this.calls.push(`subscribe ${category}:${this.toTopicList(topics).join(',')}`);
+  }
+
+  async unsubscribe(topics, category = 'linear') {
+    await super.unsubscribe(topics, category);
+    this.calls.push(`unsubscribe ${category}:${this.toTopicList(topics).join(',')}`);
+  }
+}
+
+async function setup(t, options = {}) {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout', 'setInterval'], now: 1000000 });
+  const exchange = new FakeAdapter();
+  await exchange.subscribe(['tickers.BTCUSDT', 'orderbook.50.BTCUSDT', 'allLiquidation.BTCUSDT']);
+  exchange.calls = [];
+
+  const supervisor = new ConnectionSupervisor(exchange, { checkIntervalMs: 1000, ...options });
+  const events = [];
+  supervisor.on('down', ({ reason }) => events.push(`down: ${reason}`));
+  supervisor.on('up', () => events.push('up'));
+  supervisor.start();
+  t.after(() => supervisor.stop());
+  return { exchange, supervisor, events };
+}
+
+// Let the async resubscribe calls finish (setImmediate is not mocked)
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function message(topic) {
+  return { topic, category: 'linear', ts: Date.now() - 20, data: {} };
+}
+
+test('a closed socket is down until messages flow again', async (t) => {
+  const { exchange, supervisor, events } = await setup(t);
+
+  exchange.emit('open');
+  exchange.emit('close');
+  assert.equal(supervisor.state, 'reconnecting');
+
+  exchange.emit('reconnected');
+  exchange.emit('update', message('tickers.BTCUSDT'));
+
+  assert.deepEqual(events, ['down: socket closed', 'up']);
+  assert.equal(supervisor.getHealth().reconnectCount, 1);
+  assert.equal(supervisor.getHealth().topics.find(topic => topic.topic === 'tickers.BTCUSDT').latencyMs, 20);
+});
+
+test('resubscribes a topic that went quiet while the feed is alive', async (t) => {
+  const { exchange, supervisor } = await setup(t, { staleAfterMs: { orderbook: 5000 }, feedDeadAfterMs: 60000 });
+  exchange.emit('open');
+
+  // Watched from the first check, stale 5s later
+  for (let i = 0; i < 7; i++) {
+    exchange.emit('update', message('tickers.BTCUSDT'));
+    t.mock.timers.tick(1000);
+  }
+  await settle();
+
+  assert.deepEqual(exchange.calls, ['unsubscribe linear:orderbook.50.BTCUSDT', 'subscribe linear:orderbook.50.BTCUSDT']);
+  assert.deepEqual(supervisor.getStaleSymbols(), ['linear:BTCUSDT']);
+});
+
+test('a silent feed is reported down and every topic is resubscribed', async (t) => {
+  const { exchange, supervisor, events } = await setup(t, { feedDeadAfterMs: 3000 });
+  exchange.emit('open');
+
+  t.mock.timers.tick(4000);
+  await settle();
+
+  assert.equal(supervisor.state, 'stale');
+  assert.deepEqual(events, ['down: no messages for 4s']);
+  // Liquidations are not supervised
+  assert.deepEqual(exchange.calls, ['unsubscribe linear:tickers.BTCUSDT,orderbook.50.BTCUSDT', 'subscribe linear:tickers.BTCUSDT,orderbook.50.BTCUSDT']);
+});
+
+test('the end of a replay is not a dropped feed', async (t) => {
+  const { exchange, supervisor, events } = await setup(t, { feedDeadAfterMs: 3000 });
+  exchange.emit('open');
+  exchange.emit('end');
+
+  t.mock.timers.tick(10000);
+
+  assert.equal(supervisor.state, 'ended');
+  assert.deepEqual(events, []);
+  assert.deepEqual(exchange.calls, []);
+});
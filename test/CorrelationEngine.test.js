@@ -0,0 +1,98 @@
+/**
+ * Correlation Engine tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CorrelationEngine = require('../services/CorrelationEngine');
+
+const BENCHMARKS = [{ symbol: 'BTCUSDT', key: 'linear:BTCUSDT' }];
+
+// 5m candles whose closes follow the given returns
+function candlesFrom(returns, start = 100) {
+  const candles = [{ timestamp: 0, close: start }];
+  returns.forEach((value, i) => {
+    candles.push({ timestamp: (i + 1) * 300000, close: candles[i].close * (1 + value) });
+  });
+  return candles;
+}
+
+// Choppy benchmark that rallies over the last three candles
+const btcReturns = [...Array.from({ length: 47 }, (_, i) => 0.002 * Math.sin(i)), 0.004, 0.004, 0.004];
+
+function createEngine(candles, options) {
+  return new CorrelationEngine(key => candles[key], BENCHMARKS, options);
+}
+
+test('regresses returns into correlation and beta', () => {
+  const { correlation, beta, samples } = CorrelationEngine.regress([[0.02, 0.01], [-0.04, -0.02], [0.06, 0.03]]);
+  assert.ok(Math.abs(correlation - 1) < 1e-9);
+  assert.ok(Math.abs(beta - 2) < 1e-9);
+  assert.equal(samples, 3);
+
+  assert.equal(CorrelationEngine.regress([[0.01, 0.01]]), null);
+  assert.equal(CorrelationEngine.regress([[0.01, 0], [0.02, 0], [0.03, 0]]), null);
+});
+
+test('a symbol moving twice as much as BTC follows it', () => {
+  const engine = createEngine({
+    'linear:BTCUSDT': candlesFrom(btcReturns),
+    'linear:SOLUSDT': candlesFrom(btcReturns.map(value => value * 2))
+  });
+
+  const result = engine.get('linear:SOLUSDT');
+  const btc = result.benchmarks.BTCUSDT;
+  assert.equal(result.primaryWindow, '4h');
+  assert.deepEqual(Object.keys(btc.windows), ['1h', '4h', '12h']);
+  assert.equal(btc.windows['1h'].samples, 12);
+  assert.equal(btc.windows['12h'].samples, btcReturns.length);
+  assert.ok(Math.abs(btc.beta - 2) < 1e-9);
+  // Only compounding separates the move from beta times the benchmark move
+  assert.ok(Math.abs(btc.residualMove) < Math.abs(btc.move) * 0.01);
+  assert.equal(btc.followsBenchmark, true);
+  assert.equal(result.followsBenchmark, 'BTCUSDT');
+});
+
+test('an independent move does not follow the benchmark', () => {
+  const own = [...btcReturns.slice(0, 47).map(value => value * 2), -0.01, -0.01, -0.01];
+  const engine = createEngine({
+    'linear:BTCUSDT': candlesFrom(btcReturns),
+    'linear:SOLUSDT': candlesFrom(own)
+  });
+
+  const result = engine.get('linear:SOLUSDT');
+  assert.equal(result.benchmarks.BTCUSDT.followsBenchmark, false);
+  assert.equal(result.followsBenchmark, null);
+});
+
+test('skips itself, unconfirmed candles and short histories', () => {
+  const candles = candlesFrom(btcReturns);
+  const engine = createEngine({
+    'linear:BTCUSDT': candles,
+    'linear:NEWUSDT': candlesFrom(btcReturns.slice(0, 5))
+  });
+
+  assert.equal(engine.get('linear:BTCUSDT'), null);
+  assert.equal(engine.get('linear:NEWUSDT'), null);
+
+  candles.push({ timestamp: 51 * 300000, close: 1, confirmed: false });
+  assert.equal(engine.getReturns('linear:BTCUSDT').length, btcReturns.length);
+});
+
+test('caches results for cacheMs', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const candles = {
+    'linear:BTCUSDT': candlesFrom(btcReturns),
+    'linear:SOLUSDT': candlesFrom(btcReturns.map(value => value * 2))
+  };
+  let reads = 0;
+  const engine = new CorrelationEngine(key => { reads++; return candles[key]; }, BENCHMARKS);
+
+  const first = engine.get('linear:SOLUSDT');
+  const readsAfterFirst = reads;
+  assert.equal(engine.get('linear:SOLUSDT'), first);
+  assert.equal(reads, readsAfterFirst);
+
+  t.mock.timers.tick(60000);
+  assert.notEqual(engine.get('linear:SOLUSDT'), first);
+});
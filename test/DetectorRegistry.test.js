@@ -0,0 +1,111 @@
+/**
+ * Detector Registry tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DetectorRegistry = require('../services/DetectorRegistry');
+const MarketDataService = require('../services/MarketDataService');
+const ReplayExchangeAdapter = require('../services/ReplayExchangeAdapter');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+// Fires when the ticker price is above `highPriceLevel`
+function highPrice(overrides = {}) {
+  return {
+    id: 'high_price',
+    inputs: ['ticker'],
+    params: {
+      highPrice: { type: 'boolean', default: true },
+      highPriceLevel: { type: 'number', default: 100, min: 0 }
+    },
+    enabledParam: 'highPrice',
+    display: { icon: '⬆️', label: 'High Price' },
+    evaluate: ({ ticker }, { highPriceLevel }) => (ticker.price > highPriceLevel ? { direction: 'up', price: ticker.price } : null),
+    marketFields: result => ({ highPriceDirection: result ? result.direction : null }),
+    ...overrides
+  };
+}
+
+test('validates detector modules', () => {
+  const registry = new DetectorRegistry();
+  registry.register(highPrice());
+
+  assert.throws(() => registry.register(highPrice()), /already registered/);
+  assert.throws(() => registry.register(highPrice({ id: 'other' })), /param highPrice is already used by high_price/);
+  assert.throws(() => new DetectorRegistry().register(highPrice({ inputs: ['tea leaves'] })), /unknown inputs/);
+  assert.throws(() => new DetectorRegistry().register(highPrice({ enabledParam: 'highPriceLevel' })), /enabledParam must be a boolean/);
+  assert.equal(registry.get('high_price').flag, 'highPrice');
+});
+
+test('runs enabled detectors whose inputs are available', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const registry = new DetectorRegistry();
+  registry.register(highPrice());
+  registry.register(highPrice({
+    id: 'broken',
+    params: { brokenEnabled: { type: 'boolean', default: true } },
+    enabledParam: 'brokenEnabled',
+    evaluate: () => { throw new Error('boom'); }
+  }));
+
+  const results = values => registry.evaluate({ ticker: { price: 150 } }, values).map(({ detector, result }) => [detector.id, !!result]);
+
+  assert.deepEqual(results({}), [['high_price', true], ['broken', false]]);
+  assert.deepEqual(results({ highPrice: false }), [['high_price', false], ['broken', false]]);
+  assert.deepEqual(results({ highPriceLevel: 200 }), [['high_price', false], ['broken', false]]);
+  assert.equal(registry.evaluate({ ticker: null })[0].result, null);
+});
+
+test('checks filter values against the param schemas', () => {
+  const registry = new DetectorRegistry();
+  registry.register(highPrice());
+
+  assert.deepEqual(registry.validateParams({ highPrice: 'yes', highPriceLevel: -1, unrelated: 'x' }), [
+    'highPrice must be a boolean',
+    'highPriceLevel must be at least 0'
+  ]);
+  assert.deepEqual(registry.getDefaults(), { highPrice: true, highPriceLevel: 100 });
+});
+
+test('builds filter entries and market data fields', () => {
+  const registry = new DetectorRegistry();
+  registry.register(highPrice());
+  const evaluations = registry.evaluate({ ticker: { price: 150 } });
+
+  assert.deepEqual(registry.getMarketFields(evaluations), { highPriceDirection: 'up' });
+  const filter = registry.toFilter(evaluations[0]);
+  assert.equal(filter.type, 'high_price');
+  assert.equal(filter.isActive, true);
+  assert.equal(registry.getIdleFilters()[0].severity, 'inactive');
+});
+
+test('the scanner keeps the filter breakdown of quiet symbols', async () => {
+  const registry = new DetectorRegistry();
+  registry.register(highPrice());
+  const service = new MarketDataService({
+    exchange: new ReplayExchangeAdapter({ dir: '/nonexistent' }),
+    settings: {},
+    timeSeriesStore: null,
+    detectors: registry
+  });
+  const key = 'linear:BTCUSDT';
+  const signals = [];
+  service.on('signals', event => signals.push(event));
+
+  service.marketData.set(key, { symbol: 'BTCUSDT', category: 'linear', price: 150, volume24h: 1000, turnover24h: 150000 });
+  service.checkForSignalsAdvanced(key);
+  assert.equal(signals.length, 1);
+  assert.equal(service.marketData.get(key).highPriceDirection, 'up');
+  assert.deepEqual(service.getDetectorResults('BTCUSDT'), { high_price: { direction: 'up', price: 150, detected: true } });
+
+  service.marketData.set(key, { ...service.marketData.get(key), price: 50 });
+  service.checkForSignalsAdvanced(key);
+
+  const quiet = service.signalData.get(key);
+  assert.deepEqual(quiet.signals, []);
+  assert.equal(quiet.allFilters[0].isActive, false);
+  assert.equal(service.getDetectorResults('BTCUSDT'), null);
+  assert.deepEqual(await service.getSignals(), []);
+});
@@ -0,0 +1,80 @@
+/**
+ * Direction Model tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DirectionModel = require('../services/DirectionModel');
+const SignalService = require('../services/SignalService');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const bullishTrend = { overall: 'bullish', consensus: { bullish: 2, bearish: 0, neutral: 1 } };
+
+test('a volume-confirmed breakout with the trend is LONG', () => {
+  const decision = new DirectionModel().evaluate({
+    detectorResults: { price_breakout: { direction: 'up' }, volume_spike: { ratio: 3 } },
+    trend: bullishTrend
+  });
+
+  assert.equal(decision.direction, 'LONG');
+  assert.equal(decision.score, 2.167); // 1.0 * 1.5 + 1.0 * 2/3
+  assert.equal(decision.agreement, 1);
+  assert.deepEqual(decision.inputs.map(input => [input.source, input.weight]), [['price_breakout', 1.5], ['trend', 0.667]]);
+  assert.match(decision.explanation, /^LONG \(score 2\.17, 100% agreement\): long: price breakout up, confirmed by volume \(1\.5\)/);
+});
+
+test('conflicting or weak evidence is NO_TRADE', () => {
+  const model = new DirectionModel();
+
+  const conflicting = model.evaluate({
+    detectorResults: { price_breakout: { direction: 'up' }, whale_alert: { direction: 'sell' }, oi_surge: { direction: 'bearish' } }
+  });
+  assert.equal(conflicting.direction, 'NO_TRADE');
+  assert.equal(conflicting.score, -0.5);
+  assert.match(conflicting.explanation, /net score -0\.50 below 0\.8/);
+
+  const split = new DirectionModel({ minScore: 0.1, minAgreement: 0.8 }).evaluate({
+    detectorResults: { price_breakout: { direction: 'up' }, whale_alert: { direction: 'sell' } }
+  });
+  assert.equal(split.direction, 'NO_TRADE');
+  assert.match(split.explanation, /only 56% agreement/);
+
+  assert.equal(model.evaluate({ change24h: 0.05 }).direction, 'NO_TRADE');
+  assert.equal(model.evaluate().explanation, 'NO_TRADE: no directional evidence');
+});
+
+test('reads detector directions and wall sizes as votes', () => {
+  assert.deepEqual(DirectionModel.getVote('spoof_detection', { direction: 'sell' }), { sign: -1, reason: 'spoof detection sell' });
+  assert.equal(DirectionModel.getVote('volume_spike', { ratio: 3 }), null);
+  assert.equal(DirectionModel.getVote('price_breakout', null), null);
+
+  const walls = { buy: [{ price: 99, volume: 10 }], sell: [{ price: 101, volume: 2 }] };
+  assert.equal(DirectionModel.getVote('liquidity_imbalance', { walls }).sign, 1);
+  assert.equal(DirectionModel.getVote('liquidity_imbalance', { walls: { buy: [], sell: [] } }), null);
+});
+
+test('weights can be tuned per detector', () => {
+  const evidence = { detectorResults: { extreme_funding: { direction: 'bearish' } }, change24h: -0.03 };
+  assert.equal(new DirectionModel().evaluate(evidence).direction, 'NO_TRADE');
+
+  const tuned = new DirectionModel({ weights: { extreme_funding: 1.2 } }).evaluate(evidence);
+  assert.equal(tuned.direction, 'SHORT');
+  assert.equal(tuned.score, -1.4);
+});
+
+test('NO_TRADE decisions only log at debug level', (t) => {
+  const logged = t.mock.method(console, 'log', () => {});
+  const service = new SignalService({ signalStore: null });
+  service.isGenerating = true;
+  const marketData = { symbol: 'BTCUSDT', price: 100, change24h: null, detectorResults: { oi_surge: { direction: 'bullish' } } };
+
+  service.logger.setLevel('info');
+  assert.equal(service.generateSignal(marketData, ['oi_surge']), null);
+  assert.equal(logged.mock.calls.filter(call => String(call.arguments[0]).includes('🤷')).length, 0);
+
+  service.logger.setLevel('debug');
+  service.generateSignal(marketData, ['oi_surge']);
+  assert.equal(logged.mock.calls.filter(call => String(call.arguments[0]).includes('🤷')).length, 1);
+});
@@ -0,0 +1,39 @@
+/**
+ * Exchange Adapter tests: categories and quote-currency units
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExchangeAdapter = require('../services/ExchangeAdapter');
+const CandleAggregator = require('../services/CandleAggregator');
+const TradeTape = require('../services/TradeTape');
+
+test('takes the category from replays or the bybit-api connection key', () => {
+  assert.equal(ExchangeAdapter.getCategory({ category: 'spot', wsKey: 'v5LinearPublic' }), 'spot');
+  assert.equal(ExchangeAdapter.getCategory({ wsKey: 'v5SpotPublic' }), 'spot');
+  assert.equal(ExchangeAdapter.getCategory({ wsKey: 'v5InversePublic' }), 'inverse');
+  assert.equal(ExchangeAdapter.getCategory({}), 'linear');
+});
+
+test('inverse sizes are already in USD', () => {
+  assert.equal(ExchangeAdapter.notional(50000, 0.1, 'linear'), 5000);
+  assert.equal(ExchangeAdapter.notional(50000, 1000, 'inverse'), 1000);
+});
+
+test('24h turnover in the quote currency', () => {
+  const ticker = { volume24h: '900000000', turnover24h: '18000' };
+  assert.equal(ExchangeAdapter.quoteTurnover(ticker, 'inverse'), 900000000);
+  assert.equal(ExchangeAdapter.quoteTurnover(ticker, 'spot'), 18000);
+  assert.equal(ExchangeAdapter.quoteTurnover({}, 'linear'), 0);
+});
+
+test('inverse trades keep Bybit kline units and USD notionals', () => {
+  const aggregator = new CandleAggregator();
+  const [candle] = aggregator.addTrade('inverse:BTCUSD', { price: 50000, size: 1000, timestamp: 0 }, 'inverse');
+  assert.equal(candle.volume, 1000);
+  assert.equal(candle.turnover, 0.02);
+
+  const tape = new TradeTape('BTCUSD', { category: 'inverse' });
+  tape.addTrades([{ price: 50000, size: 1000, side: 'buy', timestamp: 0 }]);
+  assert.equal(tape.getVolumeDelta().buyNotional, 1000);
+});
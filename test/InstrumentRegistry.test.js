@@ -0,0 +1,125 @@
+/**
+ * Instrument Registry tests, with the signal position sizing built on it
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const InstrumentRegistry = require('../services/InstrumentRegistry');
+const SignalService = require('../services/SignalService');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const INSTRUMENTS = {
+  linear: [{
+    symbol: 'BTCUSDT',
+    status: 'Trading',
+    priceFilter: { tickSize: '0.10' },
+    lotSizeFilter: { qtyStep: '0.001', minOrderQty: '0.001', maxOrderQty: '100', minNotionalValue: '5' },
+    leverageFilter: { minLeverage: '1', maxLeverage: '100.00', leverageStep: '0.01' }
+  }, {
+    symbol: 'DOGEUSDT',
+    status: 'Trading',
+    priceFilter: { tickSize: '0.00001' },
+    lotSizeFilter: { qtyStep: '1', minOrderQty: '1', maxOrderQty: '1000000' },
+    leverageFilter: { minLeverage: '1', maxLeverage: '12.5', leverageStep: '0.5' }
+  }],
+  inverse: [{
+    symbol: 'BTCUSD',
+    status: 'Trading',
+    priceFilter: { tickSize: '0.5' },
+    lotSizeFilter: { qtyStep: '1', minOrderQty: '1', maxOrderQty: '1000000' },
+    leverageFilter: { minLeverage: '1', maxLeverage: '100', leverageStep: '0.01' }
+  }],
+  spot: [{
+    symbol: 'BTCUSDT',
+    status: 'Trading',
+    priceFilter: { tickSize: '0.01' },
+    lotSizeFilter: { basePrecision: '0.000001', minOrderQty: '0.000048', maxOrderQty: '71', minOrderAmt: '1' }
+  }]
+};
+
+// Serves each category in pages of one instrument
+function createExchange() {
+  const exchange = {
+    requests: [],
+    failing: new Set(),
+    getInstrumentsInfo: async ({ category, cursor }) => {
+      exchange.requests.push(`${category}:${cursor || 0}`);
+      if (exchange.failing.has(category)) return { retCode: 10001, retMsg: 'params error' };
+
+      const index = cursor ? parseInt(cursor) : 0;
+      const list = INSTRUMENTS[category].slice(index, index + 1);
+      const nextPageCursor = index + 1 < INSTRUMENTS[category].length ? String(index + 1) : '';
+      return { retCode: 0, result: { list, nextPageCursor } };
+    }
+  };
+  return exchange;
+}
+
+async function createRegistry() {
+  const registry = new InstrumentRegistry(createExchange(), { categories: ['linear', 'inverse', 'spot'] });
+  await registry.refresh();
+  return registry;
+}
+
+test('rounds to a step without float noise', () => {
+  assert.equal(InstrumentRegistry.roundToStep(0.3, 0.1, Math.floor), 0.3);
+  assert.equal(InstrumentRegistry.roundToStep(1.005, '0.01'), 1.01);
+  assert.equal(InstrumentRegistry.roundToStep(67123.456, '0.5'), 67123.5);
+  assert.equal(InstrumentRegistry.roundToStep(0.00012345678, '1e-7'), 0.0001235);
+  assert.equal(InstrumentRegistry.roundToStep(0.0099, 0.001, Math.floor), 0.009);
+  assert.equal(InstrumentRegistry.roundToStep(12.7, 0, Math.floor), 12.7);
+});
+
+test('loads every page and keeps a category that fails to refresh', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const exchange = createExchange();
+  const registry = new InstrumentRegistry(exchange, { categories: ['linear', 'inverse'] });
+
+  const [first, second] = await Promise.all([registry.refresh(), registry.refresh()]);
+  assert.equal(first, 3);
+  assert.equal(second, 3);
+  assert.deepEqual(exchange.requests, ['linear:0', 'linear:1', 'inverse:0']);
+  assert.equal(registry.get('DOGEUSDT').maxLeverage, 12.5);
+
+  exchange.failing.add('linear');
+  await registry.refresh();
+  assert.equal(registry.getAll('linear').length, 2);
+  assert.equal(registry.getStatus().categories.inverse.count, 1);
+});
+
+test('rounds order quantities down within the lot limits', async () => {
+  const registry = await createRegistry();
+
+  assert.equal(registry.roundQty('BTCUSDT', 0.0129), 0.012);
+  assert.equal(registry.roundQty('BTCUSDT', 250), 100);
+  assert.equal(registry.roundQty('BTCUSDT', 0.0009), 0);
+  assert.equal(registry.roundQty('BTCUSDT', 0.001, 'linear', 4000), 0); // 4 USDT is under the 5 USDT minimum
+  assert.equal(registry.roundQty('BTCUSDT', 0.0000519, 'spot'), 0.000051);
+  assert.equal(registry.roundQty('UNKNOWN', 1.23456), 1.23456);
+  assert.equal(registry.roundPrice('BTCUSD', 67123.3, 'inverse'), 67123.5);
+});
+
+test('clamps leverage to the range and step', async () => {
+  const registry = await createRegistry();
+
+  assert.equal(registry.clampLeverage('DOGEUSDT', 20), 12.5);
+  assert.equal(registry.clampLeverage('DOGEUSDT', 7.7), 7.5);
+  assert.equal(registry.clampLeverage('BTCUSDT', 0.2), 1);
+  assert.equal(registry.clampLeverage('BTCUSDT', 20, 'spot'), 1);
+  assert.equal(registry.clampLeverage('UNKNOWN', 20), 20);
+});
+
+test('sizes linear positions in coins and inverse positions in USD contracts', async () => {
+  const registry = await createRegistry();
+  const service = new SignalService({ signalStore: null });
+  service.marketDataService = { instrumentRegistry: registry };
+  service.settings.positionSize = 100;
+  service.settings.leverage = '20x';
+
+  assert.deepEqual(service.calculatePosition(67000, { symbol: 'BTCUSDT' }), { leverage: 20, quantity: 0.029 });
+  assert.deepEqual(service.calculatePosition(0.1234, { symbol: 'DOGEUSDT' }), { leverage: 12.5, quantity: 10129 });
+  assert.deepEqual(service.calculatePosition(67000, { symbol: 'BTCUSD', category: 'inverse' }), { leverage: 20, quantity: 2000 });
+  assert.deepEqual(service.calculatePosition(67000, { symbol: 'ETHUSDT' }), { leverage: 20, quantity: null });
+});
@@ -0,0 +1,76 @@
+/**
+ * Market Data Recorder tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarketDataRecorder = require('../services/MarketDataRecorder');
+const ReplayExchangeAdapter = require('../services/ReplayExchangeAdapter');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+function ticker(symbol, lastPrice, category = 'linear') {
+  return { topic: `tickers.${symbol}`, type: 'snapshot', category, data: { symbol, lastPrice } };
+}
+
+async function record(dir, messages, options = {}) {
+  const exchange = new EventEmitter();
+  const recorder = new MarketDataRecorder({ dir, flushIntervalMs: 60000, ...options });
+  recorder.start({ exchange });
+  messages.forEach(message => exchange.emit('update', message));
+  await recorder.stop();
+  return recorder;
+}
+
+test('writes segments per category and topic with an index', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = await record(dir, [
+    ticker('BTCUSDT', '100'),
+    ticker('BTCUSDT', '101'),
+    ticker('BTCUSDT', '100.5', 'spot'),
+    { topic: 'wallet', data: {} } // Not a market data topic
+  ]);
+
+  const index = JSON.parse(fs.readFileSync(path.join(recorder.sessionDir, 'index.json'), 'utf8'));
+  const segments = index.symbols.BTCUSDT['tickers.BTCUSDT'];
+
+  assert.equal(recorder.messageCount, 3);
+  assert.ok(index.stoppedAt >= index.startedAt);
+  assert.deepEqual(segments.map(entry => [entry.category, entry.messages, entry.closed]), [['linear', 2, true], ['spot', 1, true]]);
+  segments.forEach(entry => assert.ok(fs.existsSync(path.join(recorder.sessionDir, entry.file))));
+});
+
+test('rotates a segment once it reaches the size limit', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = await record(dir, [ticker('BTCUSDT', '1'), ticker('BTCUSDT', '2'), ticker('BTCUSDT', '3')], { maxSegmentBytes: 1 });
+  const index = JSON.parse(fs.readFileSync(path.join(recorder.sessionDir, 'index.json'), 'utf8'));
+
+  assert.equal(index.symbols.BTCUSDT['tickers.BTCUSDT'].length, 3);
+});
+
+test('recordings play back through the replay adapter', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = await record(dir, [ticker('BTCUSDT', '100'), ticker('ETHUSDT', '10'), ticker('BTCUSDT', '101')]);
+
+  const adapter = new ReplayExchangeAdapter({ dir: recorder.sessionDir, speed: 0 });
+  const prices = [];
+  adapter.on('update', message => prices.push(`${message.category}:${message.data.symbol}=${message.data.lastPrice}`));
+  const ended = new Promise(resolve => adapter.once('end', resolve));
+  await adapter.connect();
+  await ended;
+
+  // Same-millisecond messages of different files may swap, so compare per symbol
+  assert.deepEqual(prices.filter(price => price.includes('BTCUSDT')), ['linear:BTCUSDT=100', 'linear:BTCUSDT=101']);
+  assert.deepEqual(prices.filter(price => price.includes('ETHUSDT')), ['linear:ETHUSDT=10']);
+});
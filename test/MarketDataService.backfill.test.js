@@ -0,0 +1,84 @@
+/**
+ * Kline backfill tests (MarketDataService)
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MarketDataService = require('../services/MarketDataService');
+const ReplayExchangeAdapter = require('../services/ReplayExchangeAdapter');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const MINUTE = 60 * 1000;
+
+// REST klines of `count` minutes ending now, served newest first like Bybit
+function createExchange(count) {
+  const exchange = new ReplayExchangeAdapter({ dir: '/nonexistent' });
+  const newest = Math.floor(Date.now() / MINUTE) * MINUTE;
+  const klines = Array.from({ length: count }, (_, i) => newest - i * MINUTE);
+  exchange.requests = [];
+
+  exchange.getKline = async ({ end, limit }) => {
+    exchange.requests.push({ end, limit });
+    const list = klines
+      .filter(start => start <= end)
+      .slice(0, limit)
+      .map(start => [String(start), '1', '2', '0.5', '1.5', '10', '15']);
+    return { retCode: 0, result: { list } };
+  };
+  return { exchange, newest };
+}
+
+function createService(exchange, timeSeriesStore = null) {
+  return new MarketDataService({ exchange, settings: {}, timeSeriesStore });
+}
+
+test('pages backwards until the depth is reached and leaves the newest candle open', async () => {
+  const { exchange, newest } = createExchange(1500);
+  const service = createService(exchange);
+
+  const candles = await service.fetchHistoricalCandles('BTCUSDT', '1m', 1200);
+
+  assert.equal(candles.length, 1200);
+  assert.deepEqual(exchange.requests.map(request => request.limit), [1000, 200]);
+  assert.equal(candles[candles.length - 1].timestamp, newest);
+  assert.equal(candles[candles.length - 1].confirmed, false);
+  assert.ok(candles.slice(0, -1).every(candle => candle.confirmed && candle.source === 'backfill'));
+});
+
+test('stops when the exchange has no older candles', async () => {
+  const { exchange } = createExchange(30);
+  const candles = await createService(exchange).fetchHistoricalCandles('BTCUSDT', '1m', 250);
+  assert.equal(candles.length, 30);
+});
+
+test('merges backfilled candles under live ones without overwriting them', () => {
+  const { exchange } = createExchange(0);
+  const service = createService(exchange);
+  const live = { timestamp: 2 * MINUTE, close: 99, interval: '1m', source: 'kline' };
+  service.klineData.set('linear:BTCUSDT_1m', [live]);
+
+  const added = service.mergeCandles('linear:BTCUSDT', '1m', [1, 2, 3].map(i => ({ timestamp: i * MINUTE, close: 1 })));
+
+  assert.equal(added, 2);
+  assert.deepEqual(service.klineData.get('linear:BTCUSDT_1m').map(candle => candle.close), [1, 99, 1]);
+});
+
+test('does not persist candles a previous run already stored', async () => {
+  const { exchange, newest } = createExchange(10);
+  const appended = [];
+  const lastStored = newest - 3 * MINUTE;
+  const store = {
+    append: (series, key, record) => appended.push([series, record.timestamp]),
+    getLastTimestamp: async (series) => (series === 'candles/1m' ? lastStored : null)
+  };
+  const service = createService(exchange, store);
+  service.getSupportedIntervals = () => ['1m'];
+
+  await service.backfillSymbol('linear:BTCUSDT');
+
+  // Newer than the stored candle and closed: two minutes (the newest one is still forming)
+  assert.deepEqual(appended, [['candles/1m', newest - 2 * MINUTE], ['candles/1m', newest - MINUTE]]);
+  assert.equal(service.klineData.get('linear:BTCUSDT_1m').length, 10);
+});
@@ -0,0 +1,44 @@
+/**
+ * REST fallback tests (MarketDataService)
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MarketDataService = require('../services/MarketDataService');
+const ReplayExchangeAdapter = require('../services/ReplayExchangeAdapter');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+function createService(tickers) {
+  const exchange = new ReplayExchangeAdapter({ dir: '/nonexistent' });
+  exchange.getTickers = async () => ({ retCode: 0, result: { list: tickers } });
+  return new MarketDataService({ exchange, settings: {}, timeSeriesStore: null });
+}
+
+test('a REST poll updates the ticker fields and keeps the rest of the market data', async (t) => {
+  const service = createService([
+    { symbol: 'BTCUSDT', lastPrice: '67100', price24hPcnt: '0.012', volume24h: '1000', turnover24h: '67000000', fundingRate: '0.0001', openInterest: '' }
+  ]);
+  const scheduled = t.mock.method(service.signalScheduler, 'schedule', () => {});
+  service.marketData.set('linear:BTCUSDT', {
+    symbol: 'BTCUSDT',
+    category: 'linear',
+    price: 67000,
+    openInterest: 52000,
+    hasSignals: true,
+    detectorResults: { price_breakout: { direction: 'up' } },
+    volatility: { regime: 'high' }
+  });
+
+  await service.fetchRestMarketData();
+
+  const data = service.marketData.get('linear:BTCUSDT');
+  assert.equal(data.price, 67100);
+  assert.equal(data.fundingRate, 0.0001);
+  assert.equal(data.openInterest, 52000);
+  assert.equal(data.hasSignals, true);
+  assert.deepEqual(data.detectorResults, { price_breakout: { direction: 'up' } });
+  assert.deepEqual(data.volatility, { regime: 'high' });
+  assert.deepEqual(scheduled.mock.calls.map(call => call.arguments), [['linear:BTCUSDT', 'ticker']]);
+});
@@ -0,0 +1,77 @@
+/**
+ * Order Book tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const OrderBook = require('../services/OrderBook');
+
+function snapshot(u = 100, seq = 1000) {
+  return {
+    type: 'snapshot',
+    ts: 1,
+    data: { b: [['99', '2'], ['98', '5']], a: [['101', '1'], ['102', '4']], u, seq }
+  };
+}
+
+function delta(u, seq, b = [], a = []) {
+  return { type: 'delta', ts: 2, data: { b, a, u, seq } };
+}
+
+test('ignores deltas until a snapshot arrives', () => {
+  const book = new OrderBook('BTCUSDT');
+  assert.deepEqual(book.apply(delta(5, 1, [['99', '1']])), { applied: false, gap: false });
+  assert.equal(book.isSynced, false);
+});
+
+test('merges deltas into the snapshot', () => {
+  const book = new OrderBook('BTCUSDT');
+  book.apply(snapshot());
+
+  const result = book.apply(delta(101, 1001, [['99', '0'], ['100', '3']], [['101', '1.5']]));
+
+  assert.equal(result.applied, true);
+  assert.deepEqual(result.changes, [
+    { side: 'bid', price: '99', previousSize: 2, size: 0 },
+    { side: 'bid', price: '100', previousSize: 0, size: 3 },
+    { side: 'ask', price: '101', previousSize: 1, size: 1.5 }
+  ]);
+  assert.deepEqual(book.getBids(), [[100, 3], [98, 5]]);
+  assert.deepEqual(book.getAsks(1), [[101, 1.5]]);
+  assert.equal(book.getSpread(), 1);
+  assert.equal(book.getMidPrice(), 100.5);
+});
+
+test('drops stale deltas and flags gaps', () => {
+  const book = new OrderBook('BTCUSDT');
+  book.apply(snapshot());
+
+  assert.deepEqual(book.apply(delta(99, 999, [['99', '7']])), { applied: false, gap: false });
+  assert.equal(book.getDepthAtPrice('bid', 99), 2);
+
+  const gap = book.apply(delta(105, 1005));
+  assert.equal(gap.gap, true);
+  assert.equal(gap.expected, 101);
+  assert.equal(book.isSynced, false);
+});
+
+test('treats u=1 as a fresh snapshot', () => {
+  const book = new OrderBook('BTCUSDT');
+  book.apply(snapshot());
+
+  const result = book.apply(delta(1, 2000, [['50', '1']], [['51', '1']]));
+
+  assert.equal(result.snapshot, true);
+  assert.deepEqual(book.getBids(), [[50, 1]]);
+  assert.deepEqual(book.getAsks(), [[51, 1]]);
+});
+
+test('microprice leans towards the thinner side', () => {
+  const book = new OrderBook('BTCUSDT');
+  book.apply(snapshot());
+
+  // Bid 99 x 2, ask 101 x 1: more resting bids push the microprice towards the ask
+  assert.ok(Math.abs(book.getMicroPrice() - (99 * 1 + 101 * 2) / 3) < 1e-9);
+  assert.equal(book.getCumulativeDepth('bid', 98), 7);
+  assert.equal(book.getCumulativeDepth('ask', 101), 1);
+});
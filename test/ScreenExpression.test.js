@@ -0,0 +1,107 @@
+/**
+ * Screen Expression and Screen Service tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScreenExpression = require('../services/ScreenExpression');
+const ScreenService = require('../services/ScreenService');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const FIELDS = ['change_5m', 'volume_ratio', 'funding', 'regime', 'price'];
+
+function matches(source, values) {
+  return new ScreenExpression(source, FIELDS).evaluate(name => values[name]);
+}
+
+test('reads suffixed numbers, keyword aliases and precedence', () => {
+  const values = { change_5m: 0.02, volume_ratio: 4, funding: -0.0001, price: 25000 };
+
+  assert.equal(matches('change_5m > 1.5% AND volume_ratio > 3 AND funding < 0', values), true);
+  assert.equal(matches('change_5m > 1.5% && volume_ratio > 5 || funding < 0', values), true);
+  assert.equal(matches('change_5m > 1.5% and (volume_ratio > 5 or funding > 0)', values), false);
+  assert.equal(matches('price * 2 - 10K = 40K', values), true);
+  assert.equal(matches('-change_5m < -1% AND NOT funding > 0', values), true);
+  assert.equal(matches('!(volume_ratio >= 4)', values), false);
+  assert.equal(matches('0.5M / 2 == 250K', {}), true);
+});
+
+test('missing values make comparisons false', () => {
+  assert.equal(matches('funding < 0', {}), false);
+  assert.equal(matches('funding >= 0', {}), false);
+  assert.equal(matches('funding == null', {}), true);
+  assert.equal(matches('funding != null', { funding: 0 }), true);
+  assert.equal(matches('funding + 1 > 0', {}), false);
+  assert.equal(matches('volume_ratio / 0 > 1', { volume_ratio: 5 }), false);
+  assert.equal(matches('volume_ratio > 1', { volume_ratio: Infinity }), false);
+});
+
+test('compares strings without case and never across types', () => {
+  assert.equal(matches("regime == 'Extreme'", { regime: 'extreme' }), true);
+  assert.equal(matches('regime != "low"', { regime: 'extreme' }), true);
+  assert.equal(matches('regime > 1', { regime: 'extreme' }), false);
+});
+
+test('reports the position of syntax errors and unknown fields', () => {
+  const parse = source => () => new ScreenExpression(source, FIELDS);
+
+  assert.throws(parse(''), /Expression is empty/);
+  assert.throws(parse('funding < 0 AND'), /Unexpected end of expression at position 16/);
+  assert.throws(parse('funding < 0 AND balance > 1'), /Unknown field 'balance' at position 17/);
+  assert.throws(parse('(funding < 0'), /Expected '\)' at position 13/);
+  assert.throws(parse('funding < 0 )'), /Unexpected '\)' at position 13/);
+  assert.throws(parse("regime == 'low"), /Unterminated string at position 11/);
+  assert.throws(parse('funding; process.exit()'), /Unexpected character ';' at position 8/);
+  assert.throws(parse('funding > 1'.padEnd(ScreenExpression.MAX_LENGTH + 1)), /longer than 500/);
+  assert.throws(parse(`${'('.repeat(40)}funding${')'.repeat(40)}`), /nested too deeply/);
+  assert.throws(parse(`${'NOT '.repeat(40)}funding`), /nested too deeply/);
+});
+
+test('records the fields an expression references', () => {
+  const expression = new ScreenExpression('funding < 0 OR funding > 1% AND price > 1', FIELDS);
+  assert.deepEqual(Array.from(expression.fields).sort(), ['funding', 'price']);
+});
+
+test('screens emit the symbols that entered and left the match set', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screens-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  let rows = [];
+  const row = (symbol, fundingRate, signals = []) => ({
+    symbol, category: 'linear', price: 1, fundingRate, returns: {}, values: {}, signals
+  });
+  const marketDataService = { getScreenData: () => rows, getCategories: () => ['linear', 'spot'] };
+  const service = new ScreenService(marketDataService, { file: path.join(dir, 'screens.json') });
+  const events = [];
+  service.on('matches', event => events.push(event));
+
+  assert.deepEqual(service.validateScreen({ name: ' ', expression: 'balance > 1', category: 'option', enabled: 'yes' }), [
+    'name is required',
+    "expression: Unknown field 'balance' at position 1",
+    'Unsupported category: option',
+    'enabled must be a boolean'
+  ]);
+
+  rows = [row('BTCUSDT', -0.001), row('ETHUSDT', 0.001, ['volume_spike'])];
+  const screen = await service.createScreen({ name: 'Shorts paying', expression: 'fundingRate < 0 OR volume_spike' });
+  assert.deepEqual(screen.matches.map(match => match.symbol), ['BTCUSDT', 'ETHUSDT']);
+  assert.deepEqual(screen.matches[0].fields, { fundingRate: -0.001, volume_spike: false });
+
+  rows = [row('BTCUSDT', 0.001), row('ETHUSDT', 0.001, ['volume_spike'])];
+  service.evaluateAll();
+  service.evaluateAll();
+  assert.equal(events.length, 2);
+  assert.deepEqual(events[1].removed, [{ symbol: 'BTCUSDT', category: 'linear' }]);
+  assert.deepEqual(events[1].added, []);
+
+  await service.updateScreen(screen.id, { enabled: false });
+  assert.deepEqual(events[2].removed, [{ symbol: 'ETHUSDT', category: 'linear' }]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'screens.json'), 'utf8'));
+  assert.equal(saved[0].enabled, false);
+});
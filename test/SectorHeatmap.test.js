@@ -0,0 +1,76 @@
+/**
+ * Sector Heatmap tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SectorHeatmap = require('../services/SectorHeatmap');
+
+const WINDOWS = { '1h': { interval: '5m', candles: 12 }, '24h': { interval: '1h', candles: 24 } };
+
+// Thirteen 5m candles moving from `from` to `to`
+function hour(from, to) {
+  return Array.from({ length: 13 }, (_, i) => ({ timestamp: i * 300000, close: from + (to - from) * i / 12 }));
+}
+
+function coin(baseCoin, extra = {}) {
+  return { key: `linear:${baseCoin}USDT`, symbol: `${baseCoin}USDT`, baseCoin, price: null, turnover24h: 1000, ...extra };
+}
+
+test('normalizes multiplier prefixes and suffixes into sectors', () => {
+  const heatmap = new SectorHeatmap(() => []);
+  assert.equal(SectorHeatmap.normalizeCoin('1000PEPE'), 'PEPE');
+  assert.equal(SectorHeatmap.normalizeCoin('SHIB1000'), 'SHIB');
+  assert.equal(SectorHeatmap.normalizeCoin('1INCH'), '1INCH');
+  assert.equal(heatmap.getSector('1000PEPE'), 'Memes');
+  assert.equal(heatmap.getSector('NOTACOIN'), SectorHeatmap.OTHER_SECTOR);
+});
+
+test('measures returns from the candle a window back, not across gaps', () => {
+  const candles = hour(100, 110);
+  const heatmap = new SectorHeatmap(() => candles, { windows: WINDOWS });
+
+  assert.ok(Math.abs(heatmap.getReturn('linear:BTCUSDT', '1h') - 0.1) < 1e-9);
+  assert.ok(Math.abs(heatmap.getReturn('linear:BTCUSDT', '1h', 121) - 0.21) < 1e-9);
+
+  candles.shift();
+  assert.equal(heatmap.getReturn('linear:BTCUSDT', '1h'), null);
+});
+
+test('ranks sectors by turnover-weighted strength against BTC', () => {
+  const candles = {
+    'linear:BTCUSDT': hour(100, 101),
+    'linear:DOGEUSDT': hour(100, 110),
+    'linear:PEPEUSDT': hour(100, 90),
+    'linear:ETHUSDT': hour(100, 100)
+  };
+  const heatmap = new SectorHeatmap((key, interval) => (interval === '5m' ? candles[key] : []), { windows: WINDOWS });
+
+  const result = heatmap.build([
+    coin('BTC'),
+    coin('ETH', { change24h: -0.02 }),
+    coin('DOGE', { turnover24h: 3000 }),
+    coin('PEPE')
+  ]);
+
+  assert.equal(result.benchmark, 'BTCUSDT');
+  assert.deepEqual(result.sectors.map(sector => sector.name), ['Memes', 'L1']);
+
+  const [memes, l1] = result.sectors;
+  assert.ok(Math.abs(memes.returns['1h'] - 0.05) < 1e-9); // (0.1 * 3000 - 0.1 * 1000) / 4000
+  assert.ok(Math.abs(memes.relativeStrength['1h'] - 0.04) < 1e-9);
+  assert.deepEqual(memes.symbols.map(entry => entry.symbol), ['DOGEUSDT', 'PEPEUSDT']);
+
+  // No hourly candles: the 24h window falls back to the ticker's change
+  assert.equal(l1.symbols.find(entry => entry.symbol === 'ETHUSDT').returns['24h'], -0.02);
+  assert.deepEqual(l1.breadth['1h'], { advancers: 1, decliners: 0, unchanged: 1, ratio: 1 });
+  assert.deepEqual(result.breadth['1h'], { advancers: 2, decliners: 1, unchanged: 1, ratio: 2 / 3 });
+});
+
+test('relative strength is null without a benchmark', () => {
+  const heatmap = new SectorHeatmap(() => hour(100, 110), { windows: WINDOWS });
+  const result = heatmap.build([coin('SOL')]);
+
+  assert.equal(result.benchmark, null);
+  assert.equal(result.sectors[0].symbols[0].relativeStrength['1h'], null);
+});
@@ -0,0 +1,113 @@
+/**
+ * Signal Scheduler tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SignalScheduler = require('../services/SignalScheduler');
+const MarketDataService = require('../services/MarketDataService');
+const ReplayExchangeAdapter = require('../services/ReplayExchangeAdapter');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+function createScheduler(options = {}) {
+  const evaluated = [];
+  const scheduler = new SignalScheduler((key, entry) => evaluated.push([key, entry.updates]), options);
+  return { scheduler, evaluated };
+}
+
+test('coalesces updates per symbol into one evaluation', () => {
+  const { scheduler, evaluated } = createScheduler();
+
+  scheduler.schedule('linear:BTCUSDT', 'ticker');
+  scheduler.schedule('linear:ETHUSDT', 'ticker');
+  scheduler.schedule('linear:BTCUSDT', 'orderbook');
+  scheduler.schedule('linear:BTCUSDT', 'trade');
+  scheduler.tick();
+
+  assert.deepEqual(evaluated, [['linear:BTCUSDT', 3], ['linear:ETHUSDT', 1]]);
+  const metrics = scheduler.getMetrics();
+  assert.equal(metrics.totalUpdates, 4);
+  assert.equal(metrics.coalescedUpdates, 2);
+  assert.equal(metrics.totalEvaluations, 2);
+  assert.equal(metrics.queueLength, 0);
+});
+
+test('evaluates at most maxBatch symbols per tick, oldest first', () => {
+  const { scheduler, evaluated } = createScheduler({ maxBatch: 2 });
+  ['A', 'B', 'C'].forEach(symbol => scheduler.schedule(`linear:${symbol}`, 'ticker'));
+
+  scheduler.tick();
+  assert.deepEqual(evaluated.map(([key]) => key), ['linear:A', 'linear:B']);
+  scheduler.tick();
+  assert.deepEqual(evaluated.map(([key]) => key), ['linear:A', 'linear:B', 'linear:C']);
+});
+
+test('candleClose mode only queues closed candles', () => {
+  const { scheduler, evaluated } = createScheduler({ mode: 'candleClose' });
+  scheduler.schedule('linear:BTCUSDT', 'ticker');
+  scheduler.schedule('linear:ETHUSDT', 'candleClose');
+  scheduler.tick();
+
+  assert.deepEqual(evaluated, [['linear:ETHUSDT', 1]]);
+});
+
+test('a failing evaluation does not stop the batch', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const evaluated = [];
+  const scheduler = new SignalScheduler((key) => {
+    if (key === 'linear:A') throw new Error('boom');
+    evaluated.push(key);
+  });
+  scheduler.schedule('linear:A', 'ticker');
+  scheduler.schedule('linear:B', 'ticker');
+  scheduler.tick();
+
+  assert.deepEqual(evaluated, ['linear:B']);
+  assert.equal(scheduler.getMetrics().failedEvaluations, 1);
+});
+
+test('rejects options that would stall the scheduler', () => {
+  const { scheduler } = createScheduler();
+  assert.throws(() => scheduler.configure({ maxBatch: 0 }), /maxBatch must be a positive integer/);
+  assert.throws(() => scheduler.configure({ maxBatch: 1.5 }), /maxBatch/);
+  assert.throws(() => scheduler.configure({ intervalMs: 10 }), /intervalMs/);
+  assert.throws(() => scheduler.configure({ mode: 'often' }), /Unknown evaluation mode/);
+  assert.equal(scheduler.options.maxBatch, 200);
+});
+
+test('a rejected evaluation change applies nothing', () => {
+  const service = new MarketDataService({ exchange: new ReplayExchangeAdapter({ dir: '/nonexistent' }), settings: {}, timeSeriesStore: null });
+  const before = service.logger.level;
+
+  assert.throws(() => service.configureEvaluation({ logLevel: 'debug', maxBatch: 0 }), /maxBatch/);
+  assert.throws(() => service.configureEvaluation({ logLevel: 'loud', maxBatch: 5 }), /Unknown log level/);
+  assert.equal(service.logger.level, before);
+  assert.equal(service.signalScheduler.options.maxBatch, 200);
+
+  assert.equal(service.configureEvaluation({ logLevel: 'warn', maxBatch: 5 }).maxBatch, 5);
+  assert.equal(service.logger.level, 'warn');
+});
+
+test('LOG_LEVEL is read in any case and an unknown value falls back to info', (t) => {
+  const previous = process.env.LOG_LEVEL;
+  t.after(() => {
+    if (previous === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = previous;
+  });
+  const warned = t.mock.method(console, 'warn', () => {});
+  const createService = () => new MarketDataService({ exchange: new ReplayExchangeAdapter({ dir: '/nonexistent' }), settings: {}, timeSeriesStore: null });
+
+  process.env.LOG_LEVEL = 'WARN';
+  assert.equal(createService().logger.level, 'warn');
+
+  process.env.LOG_LEVEL = 'verbose';
+  const service = createService();
+  assert.equal(service.logger.level, 'info');
+  assert.equal(warned.mock.callCount(), 1);
+  assert.match(warned.mock.calls[0].arguments[0], /Unknown LOG_LEVEL "verbose"/);
+
+  // The evaluation endpoint still rejects anything but the exact level names
+  assert.throws(() => service.configureEvaluation({ logLevel: 'WARN' }), /Unknown log level/);
+});
@@ -0,0 +1,130 @@
+/**
+ * Signal lifecycle tests (SignalService): TP/SL hits, expiry, excursions and R-multiples
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SignalService = require('../services/SignalService');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const HOUR = 60 * 60 * 1000;
+const CREATED = Date.parse('2026-01-01T00:00:00.000Z');
+
+// Risk is 3.5 per 100 of entry: TP1 = 4/7 R, TP2 = 8/7 R, TP3 = 12/7 R, TP4 = 16/7 R
+function addSignal(service, direction = 'LONG', overrides = {}) {
+  const sign = direction === 'LONG' ? 1 : -1;
+  const signal = {
+    id: `signal_${service.signals.size + 1}`,
+    symbol: 'BTCUSDT',
+    category: 'linear',
+    direction,
+    entry: 100,
+    tp1: 100 + sign * 2,
+    tp2: 100 + sign * 4,
+    tp3: 100 + sign * 6,
+    tp4: 100 + sign * 8,
+    sl: 100 - sign * 3.5,
+    confidence: 50,
+    status: 'active',
+    timestamp: new Date(CREATED).toISOString(),
+    ...overrides
+  };
+  service.signals.set(signal.id, signal);
+  return signal;
+}
+
+function createService() {
+  return new SignalService({ signalStore: null });
+}
+
+test('scales out at each TP and closes the rest at the stop', () => {
+  const service = createService();
+  const signal = addSignal(service);
+  const updates = [];
+  service.on('signalUpdated', update => updates.push(update.status));
+
+  service.updateSignalProgress(signal, 102.5, CREATED + HOUR);
+  assert.equal(signal.status, 'tp1_hit');
+  assert.ok(Math.abs(signal.realizedR - 1 / 7) < 1e-9);
+
+  service.updateSignalProgress(signal, 99, CREATED + 2 * HOUR);
+  service.updateSignalProgress(signal, 96, CREATED + 3 * HOUR);
+
+  assert.deepEqual(updates, ['tp1_hit', 'sl_hit']);
+  assert.equal(signal.exitPrice, 96.5);
+  assert.equal(signal.rMultiple, -0.607); // 1/7 - 3/4
+  assert.equal(signal.mfeR, 0.714); // 2.5 / 3.5
+  assert.equal(signal.maeR, 1.143); // 4 / 3.5
+  assert.equal(signal.durationMs, 3 * HOUR);
+  assert.ok(signal.hits.sl);
+  assert.equal(service.signals.size, 0);
+  assert.equal(service.signalHistory[0], signal);
+});
+
+test('levels jumped over in one update all count', () => {
+  const service = createService();
+  const signal = addSignal(service, 'SHORT');
+
+  service.updateSignalProgress(signal, 91, CREATED + HOUR);
+
+  assert.equal(signal.status, 'tp4_hit');
+  assert.deepEqual(Object.keys(signal.hits), ['tp1', 'tp2', 'tp3', 'tp4']);
+  assert.equal(signal.rMultiple, 1.429); // (4 + 8 + 12 + 16) / 7 / 4
+  assert.equal(service.calculateRMultiple(signal, 103.5), -1);
+});
+
+test('signals past their TTL expire at the latest price', () => {
+  const service = createService();
+  const moving = addSignal(service);
+  const quiet = addSignal(service, 'SHORT', { symbol: 'ETHUSDT' });
+  service.settings.lifecycle = { ...service.settings.lifecycle, ttlMs: 2 * HOUR };
+
+  service.updateSignalProgress(quiet, 101, CREATED + HOUR);
+  service.updateSignalProgress(moving, 101.75, CREATED + 2 * HOUR);
+  assert.equal(moving.status, 'expired');
+  assert.equal(moving.rMultiple, 0.5);
+
+  // Symbols without updates are swept with their last seen price
+  service.expireSignals(CREATED + 2 * HOUR);
+  assert.equal(quiet.status, 'expired');
+  assert.equal(quiet.exitPrice, 101);
+  assert.equal(quiet.rMultiple, -0.286);
+});
+
+test('only price updates of the signal market move it', () => {
+  const service = createService();
+  const signal = addSignal(service);
+
+  service.trackPrice({ symbol: 'BTCUSDT', category: 'spot', price: 90 });
+  service.trackPrice({ symbol: 'ETHUSDT', category: 'linear', price: 90 });
+  assert.equal(signal.status, 'active');
+
+  service.settings.lifecycle = { ...service.settings.lifecycle, enabled: false };
+  service.trackPrice({ symbol: 'BTCUSDT', category: 'linear', price: 90 });
+  assert.equal(signal.status, 'active');
+
+  service.settings.lifecycle.enabled = true;
+  service.trackPrice({ symbol: 'BTCUSDT', category: 'linear', price: 90 });
+  assert.equal(signal.status, 'sl_hit');
+});
+
+test('statistics count outcomes by R-multiple', () => {
+  const service = createService();
+  service.updateSignalProgress(addSignal(service, 'LONG', { id: 'win' }), 110, CREATED + HOUR);
+  const loss = addSignal(service, 'LONG', { id: 'loss' });
+  service.updateSignalProgress(loss, 102, CREATED + HOUR);
+  service.updateSignalProgress(loss, 90, CREATED + 2 * HOUR);
+  // Closed by hand without a price: the status decides
+  service.updateSignalStatus(addSignal(service, 'LONG', { id: 'manual' }).id, 'tp2_hit');
+
+  const stats = service.getSignalStatistics();
+  assert.equal(stats.successfulSignals, 2);
+  assert.equal(stats.failedSignals, 1);
+  assert.deepEqual(stats.outcomes, { tp1_hit: 0, tp2_hit: 1, tp3_hit: 0, tp4_hit: 1, sl_hit: 1, expired: 0 });
+  assert.equal(stats.hitRates.tp1, 100);
+  assert.equal(stats.hitRates.sl, 50);
+  assert.equal(stats.averageR, 0.411); // (1.429 - 0.607) / 2
+  assert.equal(stats.totalR, 0.822);
+});
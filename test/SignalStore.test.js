@@ -0,0 +1,111 @@
+/**
+ * Signal Store tests, with the signal history paging built on it
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SignalStore = require('../services/SignalStore');
+const SignalService = require('../services/SignalService');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'signals.json');
+}
+
+test('upgrades a bare history array and refuses newer versions', () => {
+  const history = [{ id: 'old', status: 'tp1_hit' }];
+  assert.deepEqual(SignalStore.migrate(history), { version: 1, signals: [], history });
+  assert.throws(() => SignalStore.migrate({ version: SignalStore.SCHEMA_VERSION + 1 }), /newer than supported version 1/);
+});
+
+test('loads version 0 files and starts empty without a file', async (t) => {
+  const file = tempFile(t);
+  const store = new SignalStore({ file });
+  assert.deepEqual(await store.load(), { signals: [], history: [] });
+
+  fs.writeFileSync(file, JSON.stringify([{ id: 'old' }]));
+  assert.deepEqual(await store.load(), { signals: [], history: [{ id: 'old' }] });
+});
+
+test('moves an unreadable file aside', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = tempFile(t);
+  fs.writeFileSync(file, '{"version": 1, "signals": [');
+
+  assert.deepEqual(await new SignalStore({ file }).load(), { signals: [], history: [] });
+  const files = fs.readdirSync(path.dirname(file));
+  assert.equal(files.length, 1);
+  assert.match(files[0], /^signals\.json\.corrupt-\d+$/);
+});
+
+test('coalesces scheduled saves into one write of the latest state', async (t) => {
+  const file = tempFile(t);
+  const store = new SignalStore({ file, saveDelayMs: 60000 });
+  const saves = t.mock.method(store, 'save');
+
+  store.scheduleSave(() => ({ signals: [{ id: 'a' }], history: [] }));
+  store.scheduleSave(() => ({ signals: [{ id: 'b' }], history: [{ id: 'c' }] }));
+  await store.flush();
+
+  assert.equal(saves.mock.callCount(), 1);
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.version, SignalStore.SCHEMA_VERSION);
+  assert.deepEqual(saved.signals, [{ id: 'b' }]);
+  assert.deepEqual(saved.history, [{ id: 'c' }]);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['signals.json']);
+});
+
+test('signals survive a restart and a newer store is left untouched', async (t) => {
+  const file = tempFile(t);
+  const first = new SignalService({ signalStore: new SignalStore({ file }) });
+  first.signals.set('s1', { id: 's1', symbol: 'BTCUSDT' });
+  first.signalHistory.push({ id: 'h1', symbol: 'ETHUSDT' });
+  first.persist();
+  await first.flush();
+
+  const second = new SignalService({ signalStore: new SignalStore({ file }) });
+  await second.initialize();
+  assert.deepEqual(Array.from(second.signals.keys()), ['s1']);
+  assert.deepEqual(second.signalHistory.map(signal => signal.id), ['h1']);
+
+  t.mock.method(console, 'error', () => {});
+  const newer = JSON.stringify({ version: SignalStore.SCHEMA_VERSION + 1, signals: [], history: [] });
+  fs.writeFileSync(file, newer);
+  const third = new SignalService({ signalStore: new SignalStore({ file }) });
+  await third.initialize();
+  third.persist();
+  assert.equal(third.signalStore, null);
+  assert.equal(fs.readFileSync(file, 'utf8'), newer);
+});
+
+test('filters and pages the history newest first', () => {
+  const service = new SignalService({ signalStore: null });
+  const start = Date.parse('2026-01-01T00:00:00.000Z');
+  service.signalHistory = Array.from({ length: 25 }, (_, i) => ({
+    id: `h${i}`,
+    symbol: i % 2 === 0 ? 'BTCUSDT' : 'ETHUSDT',
+    direction: i % 3 === 0 ? 'SHORT' : 'LONG',
+    confidence: i * 4,
+    status: i % 5 === 0 ? 'sl_hit' : 'tp1_hit',
+    timestamp: new Date(start + i * 60000).toISOString()
+  }));
+
+  const page = service.querySignalHistory({ page: 2, pageSize: 10 });
+  assert.equal(page.total, 25);
+  assert.equal(page.totalPages, 3);
+  assert.deepEqual(page.data.map(signal => signal.id).slice(0, 2), ['h14', 'h13']);
+
+  const filtered = service.querySignalHistory({ symbol: 'BTCUSDT', statuses: ['sl_hit'], minConfidence: 10 });
+  assert.deepEqual(filtered.data.map(signal => signal.id), ['h20', 'h10']);
+
+  const ranged = service.querySignalHistory({ direction: 'SHORT', from: start + 5 * 60000, to: start + 12 * 60000 });
+  assert.deepEqual(ranged.data.map(signal => signal.id), ['h12', 'h9', 'h6']);
+  assert.equal(service.getSignalHistory(3).length, 3);
+});
@@ -0,0 +1,107 @@
+/**
+ * Spoof Tracker and order book detector tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpoofTracker = require('../services/SpoofTracker');
+const OrderBook = require('../services/OrderBook');
+const TradeTape = require('../services/TradeTape');
+const detectors = require('../services/detectors');
+
+const options = { minNotional: 1000, sizeMultiple: 3, maxDistancePercent: 0.5, maxLifetimeMs: 10000, confirmDelayMs: 1000 };
+
+// Ten 1-lot levels per side around 100
+function levels(start, step) {
+  return Array.from({ length: 10 }, (_, i) => [String(+(start + i * step).toFixed(1)), '1']);
+}
+
+// Book with 1-lot levels, then a 50-lot bid added at the touch at t=0
+function setup() {
+  const book = new OrderBook('BTCUSDT');
+  book.apply({ type: 'snapshot', ts: 0, data: { b: levels(100, -0.1), a: levels(100.1, 0.1), u: 1 } });
+  const tracker = new SpoofTracker('BTCUSDT', options);
+
+  const { changes } = book.apply({ type: 'delta', ts: 0, data: { b: [['100', '51']], a: [], u: 2 } });
+  tracker.handleChanges(changes, book, 0);
+  return { book, tracker };
+}
+
+function pull(book, tracker, timestamp, size = '1') {
+  const { changes } = book.apply({ type: 'delta', ts: timestamp, data: { b: [['100', size]], a: [], u: book.updateId + 1 } });
+  tracker.handleChanges(changes, book, timestamp);
+}
+
+test('flags a large order pulled without trading', () => {
+  const { book, tracker } = setup();
+  assert.equal(tracker.getStatus().trackedOrders, 1);
+
+  pull(book, tracker, 3000);
+  tracker.settle(); // Still inside confirmDelayMs
+  assert.deepEqual(tracker.getEvents(), []);
+
+  tracker.lastTimestamp = 4500;
+  tracker.settle();
+  const [event] = tracker.getEvents();
+  assert.equal(event.side, 'bid');
+  assert.equal(event.size, 50);
+  assert.equal(event.notional, 5000);
+  assert.equal(event.lifetimeMs, 3000);
+});
+
+test('an order that traded is not a spoof', () => {
+  const { book, tracker } = setup();
+  const tape = new TradeTape('BTCUSDT');
+  tape.addTrades([{ timestamp: 2500, side: 'sell', price: 100, size: 40 }]);
+
+  pull(book, tracker, 3000);
+  tracker.lastTimestamp = 5000;
+  tracker.settle(tape);
+
+  assert.deepEqual(tracker.getEvents(), []);
+  assert.equal(tracker.getStatus().totalFilled, 1);
+});
+
+test('orders resting longer than maxLifetimeMs are not tracked', () => {
+  const { book, tracker } = setup();
+  pull(book, tracker, 20000);
+  tracker.lastTimestamp = 30000;
+  tracker.settle();
+
+  assert.deepEqual(tracker.getEvents(), []);
+});
+
+test('small or distant orders are ignored', () => {
+  const book = new OrderBook('BTCUSDT');
+  book.apply({ type: 'snapshot', ts: 0, data: { b: levels(100, -0.1), a: levels(100.1, 0.1), u: 1 } });
+  const tracker = new SpoofTracker('BTCUSDT', options);
+
+  // 5 lots is below minNotional, 98 is 2% from the touch
+  const { changes } = book.apply({ type: 'delta', ts: 0, data: { b: [['100', '5'], ['98', '100']], a: [], u: 2 } });
+  tracker.handleChanges(changes, book, 0);
+
+  assert.equal(tracker.getStatus().trackedOrders, 0);
+});
+
+test('order_spoofing reports the side the fake liquidity was shown on', () => {
+  const { book, tracker } = setup();
+  pull(book, tracker, 3000);
+  tracker.lastTimestamp = 5000;
+  tracker.settle();
+
+  const detector = detectors.get('order_spoofing');
+  const result = detector.evaluate({ orderBookActivity: tracker }, detectors.getParams(detector));
+  assert.equal(result.side, 'bid');
+  assert.equal(result.direction, 'bearish');
+  assert.equal(detector.evaluate({ orderBookActivity: new SpoofTracker('X') }, detectors.getParams(detector)), null);
+});
+
+test('spoof_detection keeps measuring the bid/ask imbalance and skips empty asks', () => {
+  const detector = detectors.get('spoof_detection');
+  const params = detectors.getParams(detector);
+
+  assert.equal(detector.enabledParam, 'spoofDetection');
+  assert.equal(detector.evaluate({ orderBook: { b: [['100', '30']], a: [['101', '10']] } }, params).direction, 'buy');
+  assert.equal(detector.evaluate({ orderBook: { b: [['100', '30']], a: [['101', '0']] } }, params), null);
+  assert.equal(detector.evaluate({ orderBook: { b: [['100', '30']], a: [] } }, params), null);
+});
@@ -0,0 +1,83 @@
+/**
+ * Support/Resistance Service tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SupportResistanceService = require('../services/SupportResistanceService');
+
+// Range between 95 and 105 (12-candle cycle) with heavy volume at every low, ending back at the low
+function rangeCandles() {
+  const wave = i => 95 + Math.min(i % 12, 12 - (i % 12)) * 10 / 6;
+  const candles = Array.from({ length: 60 }, (_, i) => {
+    const close = wave(i);
+    return { timestamp: i, high: close + 0.5, low: close - 0.5, close, volume: i % 12 === 0 ? 50 : 1 };
+  });
+  candles.push({ timestamp: 60, high: 95.6, low: 94.8, close: 95.2, volume: 1 });
+  return candles;
+}
+
+test('finds swing highs and lows that stand out from their neighbours', () => {
+  const candles = [1, 2, 5, 2, 1, 3, 4].map((high, timestamp) => ({ timestamp, high, low: high - 1 }));
+  const swings = SupportResistanceService.findSwings(candles, 2);
+
+  assert.deepEqual(swings.map(({ price, side }) => [price, side]), [[5, 'high'], [0, 'low']]);
+});
+
+test('picks round numbers at a step that fits the range', () => {
+  const prices = (low, high, price) => SupportResistanceService.findRoundNumbers(low, high, price).map(level => level.price);
+
+  assert.deepEqual(prices(66000, 68500, 67000), [66000, 67000, 68000]);
+  assert.deepEqual(prices(0.5, 0.52, 0.51), [0.5, 0.51, 0.52]);
+  assert.deepEqual(prices(10, 12, 0), []);
+});
+
+test('clusters nearby candidates and counts separate visits as touches', () => {
+  const [zone, other] = SupportResistanceService.cluster([{ price: 100 }, { price: 100.4 }, { price: 103 }], 1);
+  assert.equal(zone.members.length, 2);
+  assert.equal(zone.price, 100.2);
+  assert.equal(other.price, 103);
+
+  const candles = [99, 100, 100, 102, 100, 103].map((close, timestamp) => ({ timestamp, high: close + 0.1, low: close - 0.1, close }));
+  const scored = SupportResistanceService.scoreZone(zone, candles, 103);
+  assert.equal(scored.type, 'support');
+  assert.equal(scored.touches, 2);
+  assert.equal(scored.lastTouch, 4);
+});
+
+test('scores the edges of a range as support and resistance', () => {
+  const levels = SupportResistanceService.detect(rangeCandles());
+  const top = levels.zones[0];
+  const bottom = levels.zones[levels.zones.length - 1];
+
+  assert.deepEqual(levels.zones.map(zone => zone.price), levels.zones.map(zone => zone.price).sort((a, b) => b - a));
+  assert.equal(top.type, 'resistance');
+  assert.ok(top.low <= 105.5 && top.high >= 105.5);
+  assert.ok(top.sources.includes('swing'));
+
+  assert.equal(bottom.type, 'support');
+  assert.deepEqual(bottom.sources.sort(), ['round', 'swing', 'volume']);
+  assert.ok(bottom.strength > top.strength);
+  assert.equal(levels.nearestSupport.price, bottom.price);
+  assert.equal(levels.nearestResistance.price, 100);
+
+  // Price is at the support zone, far from resistance
+  assert.deepEqual(SupportResistanceService.proximity(levels).map(zone => zone.type), ['support']);
+  assert.deepEqual(SupportResistanceService.proximity(null), []);
+});
+
+test('needs a few candles and caches per interval', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  assert.equal(SupportResistanceService.detect(rangeCandles().slice(0, 7)), null);
+
+  let reads = 0;
+  const service = new SupportResistanceService(() => { reads++; return rangeCandles(); });
+  const first = service.getLevels('linear:BTCUSDT', '5m');
+  assert.equal(service.getLevels('linear:BTCUSDT', '5m'), first);
+  service.getLevels('linear:BTCUSDT', '1h');
+  assert.equal(reads, 2);
+
+  service.clear('linear:BTCUSDT');
+  service.getLevels('linear:BTCUSDT', '5m');
+  assert.equal(reads, 3);
+});
@@ -0,0 +1,92 @@
+/**
+ * Symbol Universe tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SymbolUniverse = require('../services/SymbolUniverse');
+const InstrumentRegistry = require('../services/InstrumentRegistry');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+// Exchange whose instruments and tickers can be swapped between refreshes
+function createExchange() {
+  const exchange = {
+    instruments: [],
+    tickers: [],
+    getInstrumentsInfo: async () => ({ retCode: 0, result: { list: exchange.instruments } }),
+    getTickers: async () => ({ retCode: 0, result: { list: exchange.tickers } })
+  };
+  return exchange;
+}
+
+function instrument(symbol, extra = {}) {
+  return { symbol, status: 'Trading', quoteCoin: 'USDT', baseCoin: symbol.replace('USDT', ''), ...extra };
+}
+
+function ticker(symbol, turnover24h, range = 0.05) {
+  return { symbol, turnover24h: String(turnover24h), highPrice24h: String(1 + range), lowPrice24h: '1' };
+}
+
+function createUniverse(exchange, options = {}) {
+  const registry = new InstrumentRegistry(exchange, { categories: ['linear'] });
+  const universe = new SymbolUniverse(exchange, registry, { pinned: [], minTurnover: 1000, ...options });
+  return { registry, universe };
+}
+
+test('ranks eligible instruments by turnover and range', async () => {
+  const exchange = createExchange();
+  exchange.instruments = [instrument('AUSDT'), instrument('BUSDT'), instrument('CUSDC', { quoteCoin: 'USDC' }), instrument('DUSDT')];
+  exchange.tickers = [ticker('AUSDT', 5000, 0.01), ticker('BUSDT', 9000, 0.2), ticker('CUSDC', 1e9), ticker('DUSDT', 10)];
+  const { universe } = createUniverse(exchange, { maxSymbols: 5 });
+
+  const { symbols } = await universe.refresh();
+
+  // CUSDC has the wrong quote coin, DUSDT is below minTurnover
+  assert.deepEqual(symbols, ['BUSDT', 'AUSDT']);
+  assert.deepEqual(universe.rankings.map(candidate => candidate.score), [1, 0]);
+});
+
+test('keeps incumbents inside the hysteresis band', async () => {
+  const exchange = createExchange();
+  exchange.instruments = ['AUSDT', 'BUSDT', 'CUSDT'].map(symbol => instrument(symbol));
+  exchange.tickers = [ticker('AUSDT', 3000), ticker('BUSDT', 2000), ticker('CUSDT', 1000)];
+  const { registry, universe } = createUniverse(exchange, { maxSymbols: 2, hysteresis: 0.5 });
+
+  assert.deepEqual((await universe.refresh()).symbols, ['AUSDT', 'BUSDT']);
+
+  // BUSDT drops to third, still within ceil(2 * 1.5) = 3
+  exchange.tickers = [ticker('AUSDT', 3000), ticker('BUSDT', 1000), ticker('CUSDT', 2000)];
+  await registry.refresh();
+  const rotation = await universe.refresh();
+
+  assert.deepEqual(rotation, { added: [], removed: [], symbols: ['AUSDT', 'BUSDT'] });
+});
+
+test('pinned symbols are always selected', async () => {
+  const exchange = createExchange();
+  exchange.instruments = ['AUSDT', 'BTCUSDT'].map(symbol => instrument(symbol));
+  exchange.tickers = [ticker('AUSDT', 5000), ticker('BTCUSDT', 10)];
+  const { universe } = createUniverse(exchange, { maxSymbols: 1, pinned: ['BTCUSDT'] });
+
+  assert.deepEqual((await universe.refresh()).symbols, ['BTCUSDT']);
+});
+
+test('reports listings and delistings between refreshes', async () => {
+  const exchange = createExchange();
+  exchange.instruments = [instrument('AUSDT'), instrument('BUSDT')];
+  exchange.tickers = [ticker('AUSDT', 5000), ticker('BUSDT', 5000), ticker('NEWUSDT', 5000)];
+  const { registry, universe } = createUniverse(exchange);
+  const events = [];
+  universe.on('listing', ({ symbol }) => events.push(`listing ${symbol}`));
+  universe.on('delisting', ({ symbol, status }) => events.push(`delisting ${symbol} ${status}`));
+
+  await universe.refresh();
+  exchange.instruments = [instrument('AUSDT', { status: 'Closed' }), instrument('NEWUSDT', { launchTime: String(Date.now()) })];
+  await registry.refresh();
+  await universe.refresh();
+
+  assert.deepEqual(events, ['listing NEWUSDT', 'delisting AUSDT Closed', 'delisting BUSDT Removed']);
+  assert.equal(universe.rankings.find(candidate => candidate.symbol === 'NEWUSDT').isNewListing, true);
+});
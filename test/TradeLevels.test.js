@@ -0,0 +1,83 @@
+/**
+ * Trade Levels tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TradeLevels = require('../services/TradeLevels');
+
+// 1-point candles: a swing high at 104.5, a swing low at 95.5, a swing high at 108.5, back to 102
+const closes = [
+  100, 101, 102, 103, 104, 103, 102, 101, 100, 99, 98, 97, 96, 97, 98, 99, 100, 101,
+  102, 103, 104, 105, 106, 107, 108, 107, 106, 105, 104, 103, 102, 101, 100, 101, 102
+];
+const candles = closes.map((close, timestamp) => ({ timestamp, high: close + 0.5, low: close - 0.5, close }));
+
+const levels = result => [result.tp1, result.tp2, result.tp3, result.tp4, result.sl];
+
+test('fixed levels are percentages of entry rounded to the tick', () => {
+  const tradeLevels = new TradeLevels();
+  assert.deepEqual(levels(tradeLevels.calculate(100, 'LONG')), [102, 104, 106, 108, 96.5]);
+  assert.deepEqual(levels(tradeLevels.calculate(100, 'SHORT')), [98, 96, 94, 92, 103.5]);
+
+  const rounded = tradeLevels.calculate(100.3, 'LONG', { tickSize: '0.5' });
+  assert.equal(rounded.entry, 100.5);
+  assert.equal(rounded.sl, 97);
+  assert.equal(rounded.mode, 'fixed');
+  assert.equal(rounded.fallback, null);
+});
+
+test('atr levels are multiples of the average true range', () => {
+  const result = new TradeLevels({ mode: 'atr' }).calculate(102, 'SHORT', { candles, tickSize: '0.01' });
+  // ATR 1.5 (each candle moves 1 with a 1-point range)
+  assert.deepEqual(levels(result), [100.5, 99, 97.5, 96, 104.25]);
+  assert.equal(result.mode, 'atr');
+});
+
+test('swing levels stop beyond the last swing and target the next ones', () => {
+  const tradeLevels = new TradeLevels({ mode: 'swing' });
+
+  // Stop 0.2 ATR under the 95.5 low (risk 6.8); 104.5 is under 0.5R away, the rest are R multiples
+  const long = tradeLevels.calculate(102, 'LONG', { candles, tickSize: '0.01' });
+  assert.deepEqual(levels(long), [108.5, 108.8, 115.6, 122.4, 95.2]);
+
+  // No swing high above 109 to stop a short behind
+  const short = tradeLevels.calculate(109, 'SHORT', { candles });
+  assert.equal(short.mode, 'fixed');
+  assert.equal(short.fallback, 'no swing behind entry');
+});
+
+test('support/resistance levels stop past the zone behind entry', () => {
+  const range = Array.from({ length: 60 }, (_, i) => {
+    const close = 95 + Math.min(i % 12, 12 - (i % 12)) * 10 / 6;
+    return { timestamp: i, high: close + 0.5, low: close - 0.5, close, volume: i % 12 === 0 ? 50 : 1 };
+  });
+  range.push({ timestamp: 60, high: 95.6, low: 94.8, close: 95.2, volume: 1 });
+
+  const result = new TradeLevels({ mode: 'supportResistance' }).calculate(95.2, 'LONG', { candles: range, tickSize: '0.01' });
+  assert.equal(result.mode, 'supportResistance');
+  assert.ok(result.sl < 94.2 && result.sl > 93);
+  assert.ok(result.tp1 > 99 && result.tp1 < 100);
+});
+
+test('falls back to fixed levels without enough data or with a distant stop', () => {
+  const short = new TradeLevels({ mode: 'atr' }).calculate(100, 'LONG', { candles: candles.slice(0, 10) });
+  assert.equal(short.mode, 'fixed');
+  assert.equal(short.fallback, 'not enough 5m candles');
+
+  const far = new TradeLevels({ mode: 'swing', maxStopPercent: 5 }).calculate(102, 'LONG', { candles });
+  assert.equal(far.fallback, 'stop 6.7% away exceeds 5%');
+  assert.deepEqual(levels(far), levels(new TradeLevels().calculate(102, 'LONG')));
+
+  // Unconfirmed candles are ignored
+  const open = candles.map(candle => ({ ...candle, confirmed: false }));
+  assert.equal(new TradeLevels({ mode: 'atr' }).calculate(100, 'LONG', { candles: open }).mode, 'fixed');
+});
+
+test('tops up structural targets with R multiples', () => {
+  const targets = new TradeLevels().buildTargets(100, 1, 2, [110, 100.5, 103, 103.4]);
+  assert.deepEqual(targets, { tp1: 103, tp2: 110, tp3: 112, tp4: 114 });
+
+  assert.equal(TradeLevels.roundToTick(123.456789), 123.457);
+  assert.equal(TradeLevels.roundToTick(0.000123456789, '0.0000001'), 0.0001235);
+});
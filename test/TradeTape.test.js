@@ -0,0 +1,58 @@
+/**
+ * Trade Tape tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TradeTape = require('../services/TradeTape');
+
+function trade(timestamp, side, price, size) {
+  return { timestamp, side, price, size };
+}
+
+test('drops trades that fall out of the window', () => {
+  const tape = new TradeTape('BTCUSDT', { windowMs: 1000 });
+  tape.addTrades([trade(0, 'buy', 100, 1), trade(500, 'buy', 100, 1)]);
+  tape.addTrades([trade(1600, 'sell', 100, 1)]);
+
+  assert.deepEqual(tape.trades.map(t => t.timestamp), [1600]);
+});
+
+test('keeps at most maxTrades', () => {
+  const tape = new TradeTape('BTCUSDT', { maxTrades: 2 });
+  tape.addTrades([trade(1, 'buy', 1, 1), trade(2, 'buy', 1, 1), trade(3, 'buy', 1, 1)]);
+  assert.deepEqual(tape.trades.map(t => t.timestamp), [2, 3]);
+});
+
+test('sums aggressor volume into a delta', () => {
+  const tape = new TradeTape('BTCUSDT');
+  tape.addTrades([trade(1, 'buy', 100, 2), trade(2, 'sell', 101, 1), trade(3, 'buy', 102, 1)]);
+
+  const delta = tape.getVolumeDelta();
+  assert.equal(delta.buyVolume, 3);
+  assert.equal(delta.sellVolume, 1);
+  assert.equal(delta.delta, 2);
+  assert.equal(delta.deltaNotional, 200 + 102 - 101);
+  assert.equal(delta.trades, 3);
+});
+
+test('clusters same-side prints within the gap and picks out whales', () => {
+  const tape = new TradeTape('BTCUSDT');
+  tape.addTrades([
+    trade(0, 'buy', 100, 300),
+    trade(400, 'buy', 101, 500), // Same sweep
+    trade(2000, 'buy', 101, 10), // Too late for the sweep
+    trade(2100, 'sell', 100, 2000)
+  ]);
+
+  const clusters = tape.getClusters(60000, 1000);
+  assert.deepEqual(clusters.map(c => [c.side, c.prints, c.notional]), [
+    ['buy', 2, 30000 + 50500],
+    ['buy', 1, 1010],
+    ['sell', 1, 200000]
+  ]);
+  assert.equal(clusters[0].largestPrint, 50500);
+
+  const whales = tape.getWhaleClusters(50000, 60000, 1000);
+  assert.deepEqual(whales.map(c => c.side), ['sell', 'buy']);
+});
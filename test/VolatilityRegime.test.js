@@ -0,0 +1,80 @@
+/**
+ * Volatility Regime tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VolatilityRegime = require('../services/VolatilityRegime');
+const detectors = require('../services/detectors');
+
+// Candles swinging by `swing` around 100, each with a 2-point range
+function candles(swings) {
+  return swings.map((swing, i) => {
+    const close = 100 + (i % 2 === 0 ? swing : -swing);
+    return { timestamp: i * 300000, open: close, high: close + 1, low: close - 1, close, volume: 10 };
+  });
+}
+
+test('classifies percentiles into regimes', () => {
+  assert.equal(VolatilityRegime.classify(null), 'unknown');
+  assert.equal(VolatilityRegime.classify(25), 'low');
+  assert.equal(VolatilityRegime.classify(50), 'normal');
+  assert.equal(VolatilityRegime.classify(90), 'high');
+  assert.equal(VolatilityRegime.classify(99), 'extreme');
+  assert.equal(VolatilityRegime.classify(30, { low: 40, normal: 75, high: 95 }), 'low');
+});
+
+test('a quiet history followed by wide swings is extreme', () => {
+  const result = VolatilityRegime.measure(candles([...Array(76).fill(0.05), ...Array(24).fill(2)]));
+
+  assert.equal(result.samples, 76);
+  assert.equal(result.percentile, 100);
+  assert.equal(result.regime, 'extreme');
+  assert.ok(result.atr > 2);
+  assert.ok(Math.abs(result.annualizedVolatility / result.realizedVolatility - Math.sqrt(365 * 288)) < 1e-6);
+});
+
+test('calm after a volatile history is low', () => {
+  const result = VolatilityRegime.measure(candles([...Array(76).fill(2), ...Array(24).fill(0.05)]));
+  assert.equal(result.regime, 'low');
+  assert.ok(Math.abs(result.atr - 2) < 1e-9);
+  assert.ok(Math.abs(result.atrPercent - 200 / 99.95) < 1e-9);
+});
+
+test('needs enough candles and samples', () => {
+  assert.equal(VolatilityRegime.measure(candles(Array(24).fill(1))), null);
+
+  const short = VolatilityRegime.measure(candles(Array(30).fill(1)));
+  assert.equal(short.percentile, null);
+  assert.equal(short.regime, 'unknown');
+});
+
+test('measures return and volume dispersion of closed 1m candles', () => {
+  const oneMinute = [10, 20, 10, 20, 10].map((volume, i) => ({ close: i % 2 === 0 ? 100 : 101, volume }));
+  oneMinute.push({ close: 500, volume: 1000, confirmed: false });
+  const regime = new VolatilityRegime((key, interval) => (interval === '1m' ? oneMinute : []));
+
+  const result = regime.get('linear:BTCUSDT');
+  assert.equal(result.regime, undefined);
+  assert.equal(result.sigmaSamples, 4);
+  assert.equal(result.volumeMean, 15);
+  assert.ok(Math.abs(result.volumeSigma - Math.sqrt(100 / 3)) < 1e-9);
+  assert.ok(result.returnSigma > 0.009);
+  assert.equal(new VolatilityRegime(() => []).get('linear:BTCUSDT'), null);
+});
+
+test('sigma thresholds replace the ratio in the breakout and spike detectors', () => {
+  const volatility = { returnSigma: 0.001, volumeMean: 100, volumeSigma: 10 };
+  // Newest first, as the detectors read them: [start, open, high, low, close, volume]
+  const rows = [['2', '0', '0', '0', '100.25', '125'], ['1', '0', '0', '0', '100', '100']];
+  const price = detectors.get('price_breakout');
+  const volume = detectors.get('volume_spike');
+  const params = detector => detectors.getParams(detector);
+
+  assert.equal(price.evaluate({ candles: rows, volatility }, { ...params(price), priceBreakoutSigma: 3 }), null);
+  assert.equal(price.evaluate({ candles: rows, volatility }, { ...params(price), priceBreakoutSigma: 2 }).direction, 'up');
+  assert.equal(price.evaluate({ candles: rows, volatility: null }, { ...params(price), priceBreakoutSigma: 2 }), null);
+
+  assert.equal(volume.evaluate({ candles: rows, volatility }, { ...params(volume), volumeSpikeSigma: 2 }).zScore, 2.5);
+  assert.equal(volume.evaluate({ candles: rows, volatility }, { ...params(volume), volumeSpikeSigma: 3 }), null);
+});
@@ -0,0 +1,63 @@
+/**
+ * Funding, open interest and liquidation detector tests
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const detectors = require('../services/detectors');
+const MarketDataService = require('../services/MarketDataService');
+const ReplayExchangeAdapter = require('../services/ReplayExchangeAdapter');
+
+// Progress logs with emoji can split across chunks and break the test runner's protocol on Node 20
+mock.method(console, 'log', () => {});
+
+const settings = { derivatives: { minCascadeEvents: 3 } };
+
+function evaluate(id, context, values = {}) {
+  const detector = detectors.get(id);
+  return detector.evaluate(context, detectors.getParams(detector, values));
+}
+
+test('OI surge takes its direction from the price change over the OI window', () => {
+  const openInterest = { openInterest: 1100, openInterestValue: 1e6, change: 0.1 };
+
+  assert.equal(evaluate('oi_surge', { openInterest: { ...openInterest, priceChange: 0.02 } }).direction, 'bullish');
+  assert.equal(evaluate('oi_surge', { openInterest: { ...openInterest, priceChange: -0.02 } }).direction, 'bearish');
+  assert.equal(evaluate('oi_surge', { openInterest: { ...openInterest, priceChange: null } }).direction, 'neutral');
+  assert.equal(evaluate('oi_surge', { openInterest: { ...openInterest, change: 0.01 } }), null);
+});
+
+test('extreme funding fades the crowded side', () => {
+  const crowdedLongs = evaluate('extreme_funding', { funding: { rate: 0.001 } });
+  assert.equal(crowdedLongs.crowdedSide, 'long');
+  assert.equal(crowdedLongs.direction, 'bearish');
+  assert.equal(evaluate('extreme_funding', { funding: { rate: -0.001 } }).direction, 'bullish');
+  assert.equal(evaluate('extreme_funding', { funding: { rate: 0.0001 } }), null);
+});
+
+test('liquidation cascade needs enough events and notional', () => {
+  const liquidation = (side, notional) => ({ side, notional });
+  const longs = [liquidation('long', 100000), liquidation('long', 150000), liquidation('short', 20000)];
+
+  const result = evaluate('liquidation_cascade', { liquidations: longs, settings });
+  assert.equal(result.side, 'long');
+  assert.equal(result.direction, 'bearish');
+  assert.equal(result.notional, 270000);
+
+  assert.equal(evaluate('liquidation_cascade', { liquidations: longs.slice(0, 2), settings }), null);
+  assert.equal(evaluate('liquidation_cascade', { liquidations: longs, settings }, { liquidationCascadeThreshold: 1e6 }), null);
+});
+
+test('open interest and price change are measured over the same samples', () => {
+  const service = new MarketDataService({ exchange: new ReplayExchangeAdapter({ dir: '/nonexistent' }), settings: {}, timeSeriesStore: null });
+  const key = 'linear:BTCUSDT';
+
+  service.recordOpenInterest(key, 1000, 100);
+  service.recordOpenInterest(key, 1010, 101); // Within 10s: replaces the sample
+  assert.equal(service.openInterestHistory.get(key).length, 1);
+  assert.equal(service.getOpenInterestChange(key), null);
+
+  service.openInterestHistory.get(key).unshift({ timestamp: Date.now() - 60000, openInterest: 800, price: 110 });
+  assert.ok(Math.abs(service.getOpenInterestChange(key) - (1010 - 800) / 800) < 1e-12);
+  assert.ok(Math.abs(service.getOpenInterestPriceChange(key) - (101 - 110) / 110) < 1e-12);
+});